@@ -35,9 +35,20 @@ class ConfigManager {
           users: "./users.json"
         },
         defaults: {
-          maxCitiesPerUser: 10,
+          maxListsPerUser: 5,
+          maxCitiesPerList: 10,
           maxAttractionsPerCity: 5,
           maxRestaurantsPerCity: 5
+        },
+        validation: {
+          strictCities: false
+        },
+        admins: [],
+        storage: {
+          adapter: "json",
+          directory: "./storage",
+          sqliteFile: "./data.sqlite",
+          options: {}
         }
       };
     }
@@ -76,11 +87,53 @@ class ConfigManager {
   }
 
   /**
-   * Get maximum cities per user
+   * Get the name of the storage adapter to use
+   * @returns {string} Adapter name (json, memory, user-directory) or module path
+   */
+  getStorageAdapter() {
+    return (this.config.storage && this.config.storage.adapter) || 'json';
+  }
+
+  /**
+   * Get the root directory used by directory-based storage adapters
+   * @returns {string} Path to the storage directory
+   */
+  getStorageDirectoryPath() {
+    const directory = (this.config.storage && this.config.storage.directory) || './storage';
+    return path.join(__dirname, '..', directory);
+  }
+
+  /**
+   * Get the path to the SQLite database used by the sqlite storage adapter
+   * @returns {string} Path to the database file
+   */
+  getSqliteFilePath() {
+    const file = (this.config.storage && this.config.storage.sqliteFile) || './data.sqlite';
+    return path.join(__dirname, '..', file);
+  }
+
+  /**
+   * Get extra options passed to the storage adapter constructor
+   * @returns {Object} Adapter options
+   */
+  getStorageOptions() {
+    return { ...(this.config.storage && this.config.storage.options) };
+  }
+
+  /**
+   * Get maximum named lists per user
+   * @returns {number} Maximum lists limit
+   */
+  getMaxListsPerUser() {
+    return this.config.defaults.maxListsPerUser || 5;
+  }
+
+  /**
+   * Get maximum cities per list (configuration files written before named lists call it maxCitiesPerUser)
    * @returns {number} Maximum cities limit
    */
-  getMaxCitiesPerUser() {
-    return this.config.defaults.maxCitiesPerUser;
+  getMaxCitiesPerList() {
+    return this.config.defaults.maxCitiesPerList || this.config.defaults.maxCitiesPerUser;
   }
 
   /**
@@ -99,6 +152,31 @@ class ConfigManager {
     return this.config.defaults.maxRestaurantsPerCity;
   }
 
+  /**
+   * Whether new city names must be European cities known to the gazetteer
+   * @returns {boolean} True if unknown city names are rejected
+   */
+  isStrictCityValidation() {
+    return !!(this.config.validation && this.config.validation.strictCities);
+  }
+
+  /**
+   * Get the usernames (emails) of the admins, who choose the featured lists of the public showcase
+   * @returns {Array<string>} Admin usernames
+   */
+  getAdmins() {
+    return Array.isArray(this.config.admins) ? this.config.admins : [];
+  }
+
+  /**
+   * Whether a user is an admin
+   * @param {string} username - Username (email)
+   * @returns {boolean} True if the user is listed in `admins`
+   */
+  isAdmin(username) {
+    return !!username && this.getAdmins().includes(username);
+  }
+
   /**
    * Update configuration
    * @param {Object} newConfig - New configuration object
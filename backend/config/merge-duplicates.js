@@ -0,0 +1,65 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Merge Script
+ *
+ * Merges cities, attractions and restaurants whose names only differ in case, diacritics or spacing.
+ * Usage: node merge-duplicates.js [option]
+ */
+
+const storage = require('../src/storage');
+const { migrateStorage } = require('../src/migrations');
+const { mergeStoredDuplicates } = require('../src/duplicates');
+const clock = require('../src/clock');
+
+function showUsage() {
+  console.log(`
+Duplicate Merge Script
+
+Usage: node merge-duplicates.js [option]
+
+Options:
+  --dry-run    List the merges without changing the stored data
+  --help       Show this help message
+
+Without options, the data is migrated to the current schema, then duplicates in each of
+the users' lists are merged into the first entry with that name.
+
+Examples:
+  node merge-duplicates.js --dry-run
+  node merge-duplicates.js
+  `);
+}
+
+async function runMerge() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    showUsage();
+    return;
+  }
+
+  const dryRun = args.includes('--dry-run');
+  const adapter = storage.getAdapter();
+  const report = await adapter.withLocks(() => { // Waits for a running server's requests
+    migrateStorage(adapter);
+    return mergeStoredDuplicates(adapter, clock.now(), { dryRun });
+  });
+
+  const keys = Object.keys(report);
+  if (keys.length === 0) {
+    console.log('No duplicates found');
+    return;
+  }
+  for (const key of keys) {
+    console.log(`${key}:`);
+    for (const line of report[key]) console.log(`  ${line}`);
+  }
+  if (dryRun) console.log('Dry run: no changes were written');
+}
+
+// Run the script
+runMerge().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
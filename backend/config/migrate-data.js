@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Data Migration Script
+ *
+ * Upgrades the stored city data to the current schema version.
+ * Usage: node migrate-data.js [option]
+ */
+
+const storage = require('../src/storage');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, pendingMigrations, migrateStorage } = require('../src/migrations');
+
+function showUsage() {
+  console.log(`
+Data Migration Script
+
+Usage: node migrate-data.js [option]
+
+Options:
+  --status     Show the stored and current schema versions and pending migrations
+  --help       Show this help message
+
+Without options, all pending migrations are applied to the configured storage.
+
+Examples:
+  node migrate-data.js --status
+  node migrate-data.js
+  `);
+}
+
+async function runMigrations() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    showUsage();
+    return;
+  }
+
+  const adapter = storage.getAdapter();
+  const version = getSchemaVersion(adapter.readData());
+
+  if (args.includes('--status')) {
+    console.log(`Stored schema version: ${version}`);
+    console.log(`Current schema version: ${CURRENT_SCHEMA_VERSION}`);
+    for (const migration of pendingMigrations(version)) {
+      console.log(`  pending ${migration.version}: ${migration.description}`);
+    }
+    return;
+  }
+
+  const applied = await adapter.withLocks(() => migrateStorage(adapter)); // Waits for a running server's requests
+  if (applied.length === 0) {
+    console.log(`Data is already at schema version ${CURRENT_SCHEMA_VERSION}`);
+  } else {
+    console.log(`Migrated data from schema version ${version} to ${CURRENT_SCHEMA_VERSION}`);
+  }
+}
+
+// Run the script
+runMigrations().catch(error => {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * SQLite Migration Script
+ *
+ * One-shot copy of the JSON data files (data.json and users.json) into the SQLite database
+ * used by the sqlite storage adapter. Requires Node.js 22.5 or later.
+ * Usage: node migrate-to-sqlite.js [options]
+ */
+
+const path = require('path');
+const config = require('./config');
+const { JsonFileAdapter, SqliteAdapter, copyStorage } = require('../src/storage');
+
+function showUsage() {
+  console.log(`
+SQLite Migration Script
+
+Usage: node migrate-to-sqlite.js [options]
+
+Options:
+  --db <filename>    Target database file (default: storage.sqliteFile from database.json)
+  --force            Overwrite a database that already contains data
+  --switch           Set the storage adapter to sqlite after a successful migration
+  --help             Show this help message
+
+Examples:
+  node migrate-to-sqlite.js
+  node migrate-to-sqlite.js --db staging.sqlite --switch
+  `);
+}
+
+function migrate() {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--help')) {
+    showUsage();
+    return;
+  }
+
+  const dbIndex = args.indexOf('--db');
+  if (dbIndex !== -1 && !args[dbIndex + 1]) {
+    console.error('Error: Missing value for option --db');
+    process.exit(1);
+  }
+  const dbFile = dbIndex === -1 ? config.getSqliteFilePath() : path.resolve(__dirname, '..', args[dbIndex + 1]);
+
+  let target;
+  try {
+    target = new SqliteAdapter({ file: dbFile });
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+
+  const existing = target.readData();
+  if (Object.keys(existing).length > 0 && !args.includes('--force')) {
+    console.error(`Error: ${dbFile} already contains data (use --force to overwrite)`);
+    target.close();
+    process.exit(1);
+  }
+
+  const source = new JsonFileAdapter();
+  const counts = copyStorage(source, target);
+  target.close();
+  console.log(`Migrated ${counts.users} users and ${counts.cities} cities into ${dbFile}`);
+
+  if (args.includes('--switch')) {
+    const updates = { storage: { adapter: 'sqlite' } };
+    if (dbIndex !== -1) updates.storage.sqliteFile = args[dbIndex + 1];
+    config.updateConfig(updates);
+    console.log('Storage adapter switched to sqlite');
+  }
+}
+
+// Run the script
+migrate();
@@ -18,15 +18,24 @@ Usage: node update-config.js [option] [value]
 Options:
   --cities-file <filename>     Set the cities data file name (e.g., data.json)
   --users-file <filename>      Set the users data file name (e.g., users.json)
-  --max-cities <number>        Set maximum cities per user (default: 10)
+  --max-lists <number>         Set maximum named lists per user (default: 5)
+  --max-cities <number>        Set maximum cities per list (default: 10)
   --max-attractions <number>   Set maximum attractions per city (default: 5)
   --max-restaurants <number>   Set maximum restaurants per city (default: 5)
+  --storage-adapter <name>     Set the storage adapter (json, memory, user-directory, sqlite or a module path)
+  --storage-dir <directory>    Set the directory used by the user-directory adapter (default: ./storage)
+  --sqlite-file <filename>     Set the database file used by the sqlite adapter (default: ./data.sqlite)
+  --strict-cities <true|false> Only accept city names found in the gazetteer of European cities (default: false)
+  --admins <emails>            Set the admins who feature public lists, comma-separated (default: none)
   --show                       Show current configuration
   --help                       Show this help message
 
 Examples:
   node update-config.js --cities-file data_example.json
   node update-config.js --max-cities 15
+  node update-config.js --storage-adapter user-directory --storage-dir ./storage
+  node update-config.js --strict-cities true
+  node update-config.js --admins admin@example.com
   node update-config.js --show
   `);
 }
@@ -63,13 +72,21 @@ function updateConfig() {
       case '--users-file':
         updates.files = { ...updates.files, users: value };
         break;
+      case '--max-lists':
+        const maxLists = parseInt(value);
+        if (isNaN(maxLists) || maxLists < 1) {
+          console.error('Error: max-lists must be a positive number');
+          process.exit(1);
+        }
+        updates.defaults = { ...updates.defaults, maxListsPerUser: maxLists };
+        break;
       case '--max-cities':
         const maxCities = parseInt(value);
         if (isNaN(maxCities) || maxCities < 1) {
           console.error('Error: max-cities must be a positive number');
           process.exit(1);
         }
-        updates.defaults = { ...updates.defaults, maxCitiesPerUser: maxCities };
+        updates.defaults = { ...updates.defaults, maxCitiesPerList: maxCities };
         break;
       case '--max-attractions':
         const maxAttractions = parseInt(value);
@@ -87,6 +104,25 @@ function updateConfig() {
         }
         updates.defaults = { ...updates.defaults, maxRestaurantsPerCity: maxRestaurants };
         break;
+      case '--storage-adapter':
+        updates.storage = { ...updates.storage, adapter: value };
+        break;
+      case '--storage-dir':
+        updates.storage = { ...updates.storage, directory: value };
+        break;
+      case '--sqlite-file':
+        updates.storage = { ...updates.storage, sqliteFile: value };
+        break;
+      case '--strict-cities':
+        if (value !== 'true' && value !== 'false') {
+          console.error('Error: strict-cities must be true or false');
+          process.exit(1);
+        }
+        updates.validation = { ...updates.validation, strictCities: value === 'true' };
+        break;
+      case '--admins':
+        updates.admins = value.split(',').map(email => email.trim()).filter(Boolean);
+        break;
       default:
         console.error(`Error: Unknown option ${option}`);
         showUsage();
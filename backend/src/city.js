@@ -1,222 +1,564 @@
 /**
  * City, attraction, and restaurant management routes.
  * Handles CRUD for cities, attractions, and restaurants, with per-user data and limits.
- * Data is stored in data.json (for demo purposes).
+ * Data is persisted through the configured storage adapter (data.json by default).
+ *
+ * The routes act on one of the user's named lists: mounted under `/api/lists/:listId/cities` (see
+ * lists.js) on the list with that ID, and under `/api/cities` on the user's default (first) list.
+ * Under `/api/lists` the list may belong to another user who invited the user as a member; changes
+ * then require the editor role (see listAccess.js).
+ *
+ * Every city and item has a generated ID (see records.js). Each route is available by name
+ * (`/:cityName/attractions/:attraction`) and by ID (`/by-id/:cityId/attractions/:attractionId`);
+ * the ID routes also work for names containing `/`, `?` or `%`. Cities and items carry
+ * `createdAt`/`updatedAt` timestamps, taken from clock.js so tests can control them.
+ *
+ * Names are cleaned before they are stored and matched ignoring case, diacritics and spacing
+ * (see records.js), so `/paris/attractions/champs-elysees` finds "Champs-Élysées" in "Paris".
+ * Adding a city or item under a different spelling of an existing name is refused with 409 and
+ * the existing entry. With strict city validation (config `validation.strictCities`), city names
+ * must be found in the offline gazetteer of European cities and are stored under its English name.
  */
 const express = require('express');
-const fs = require('fs');
-const path = require('path');
-const router = express.Router();
+const router = express.Router({ mergeParams: true });
 
 // Import global configuration
 const config = require('../config/config');
+const { readCities, saveUserCities, withDataLock, getUserCities } = require('./cityStore');
+const { listOwner, editableListOwner } = require('./listAccess');
+const { toCity, toItem, moveToPosition, cleanName, sameName } = require('./records');
+const { sanitizeItem, sanitizeCityCoordinates } = require('./itemSchema');
+const { parseListQuery, applyListQuery } = require('./listQuery');
+const { findPlace, suggestPlaces } = require('./gazetteer');
+const { toFeatureCollection } = require('./geojson');
+const { toCalendar } = require('./ical');
+const itineraryRoutes = require('./itinerary');
+
+// Number of gazetteer suggestions returned with an unknown city name
+const UNKNOWN_CITY_SUGGESTIONS = 3;
+
+// Attraction and restaurant lists, keyed by the city property that holds them
+const ITEM_KINDS = {
+  attractions: { field: 'attraction', label: 'Attraction', getMax: () => config.getMaxAttractionsPerCity() },
+  restaurants: { field: 'restaurant', label: 'Restaurant', getMax: () => config.getMaxRestaurantsPerCity() },
+};
 
 /**
- * Reads the city data from the configured data file.
- * @returns {object} The parsed data object, or a default object if the file does not exist.
- * Side effect: Reads from the filesystem.
+ * Validates the coordinates of a city, and the attractions and restaurants sent with it against the
+ * item schema. Items repeating the name of an earlier item of the list (see records.sameName) are dropped.
+ * An `itinerary` sent with the city is ignored; it is only changed through the itinerary routes.
+ * @param {object} city - City object from the request body
+ * @returns {{ city: object|null, error: string|null }} The city with normalised items, or an error message
  */
-function readData() {
-  const dataFile = config.getCitiesFilePath();
-  if (!fs.existsSync(dataFile)) return { cities: [], latest: null }; // Return default if file missing
-  return JSON.parse(fs.readFileSync(dataFile, 'utf-8')); // Parse and return data
+function sanitizeCity(city) {
+  const { city: result, error: invalid } = sanitizeCityCoordinates(city);
+  if (invalid) return { city: null, error: `Invalid city: ${invalid}` };
+  delete result.itinerary;
+  for (const [list, kind] of Object.entries(ITEM_KINDS)) {
+    if (!(list in city)) continue;
+    const items = [];
+    for (const input of city[list] || []) {
+      const { item, error } = sanitizeItem(list, input);
+      if (error) return { city: null, error: `Invalid ${kind.field}: ${error}` };
+      if (!items.some(sameName(item.name))) items.push(item);
+    }
+    result[list] = items;
+  }
+  return { city: result, error: null };
 }
 
 /**
- * Writes the given data object to the configured data file.
- * @param {object} data - The data object to write.
- * Side effect: Writes to the filesystem.
+ * Carries the itinerary of a stored city over to the record that replaces it.
+ * @param {object} record - City record about to be stored
+ * @param {object} [stored] - Stored city it replaces
+ * @returns {object} The record
  */
-function writeData(data) {
-  const dataFile = config.getCitiesFilePath();
-  fs.writeFileSync(dataFile, JSON.stringify(data, null, 2)); // Write formatted JSON
+function keepItinerary(record, stored) {
+  if (stored && stored.itinerary) record.itinerary = stored.itinerary;
+  return record;
 }
 
 /**
- * Returns the last 10 cities for the user (or latest), with last 5 attractions/restaurants per city.
- * @param {string} username - The username to fetch cities for (or undefined for latest)
- * @returns {Array} Array of city objects, each with up to 5 attractions and 5 restaurants
+ * Sets the coordinates of a city from the gazetteer, if it knows the city.
+ * @param {object} city - City object
+ * @returns {object} The city with the gazetteer's `lat`/`lon`, or the city unchanged
  */
-function getUserCities(username) {
-  const data = readData();
-  let cities = [];
-  if (username && data[username]) cities = data[username]; // User-specific cities
-  else if (data.latest) cities = data.latest; // Fallback to latest
-  // Limit to configured number of cities, and configured attractions/restaurants per city
-  const maxCities = config.getMaxCitiesPerUser();
-  const maxAttractions = config.getMaxAttractionsPerCity();
-  const maxRestaurants = config.getMaxRestaurantsPerCity();
-  
-  cities = cities.slice(-maxCities).map(city => ({
-    ...city,
-    attractions: (city.attractions || []).slice(-maxAttractions),
-    restaurants: (city.restaurants || []).slice(-maxRestaurants)
-  }));
-  return cities;
+function locateCity(city) {
+  const place = findPlace(city.name);
+  return place ? { ...city, lat: place.lat, lon: place.lon } : city;
 }
 
+/**
+ * Checks a city name against the gazetteer when strict city validation is enabled.
+ * @param {string} name - Cleaned city name
+ * @returns {{ name: string|null, error: object|null }} The name to store (the gazetteer's English name
+ *   in strict mode, e.g. "Munich" for "münchen"), or an error body listing close gazetteer names
+ */
+function checkCityName(name) {
+  if (!config.isStrictCityValidation()) return { name, error: null };
+  const place = findPlace(name);
+  if (place) return { name: place.name, error: null };
+  const suggestions = suggestPlaces(name, UNKNOWN_CITY_SUGGESTIONS).map(suggestion => suggestion.name);
+  return { name: null, error: { error: `Unknown city "${name}"`, suggestions } };
+}
+
+// Itinerary of a city (see itinerary.js)
+router.use('/by-id/:cityId/itinerary', itineraryRoutes);
+router.use('/:cityName/itinerary', itineraryRoutes);
+
 /**
  * GET /
- * Returns the list of cities for the logged-in user, or the latest cities if not logged in.
- * Responds with an array of city objects.
+ * Returns the list of cities for the logged-in user. Guests have no list and get an empty one; they
+ * read the public showcase (see public.js).
+ * - Optional query parameters (see listQuery.js): `sort`/`order`, applied to the cities and to their
+ *   attractions/restaurants; `q` name filter; `limit`/`cursor` pagination; `fields` and `include`.
+ * - Sets `X-Total-Count` (number of matching cities) and, if there are more, `X-Next-Cursor`.
+ * - Returns error for invalid query parameters.
+ * Responds with an array of city objects (one page).
  */
 router.get('/', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  res.json(getUserCities(username)); // Respond with city list
+  const owner = listOwner(req); // Owner of the list, or undefined for guests
+  const { options, error } = parseListQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  const page = applyListQuery(getUserCities(owner, { ...options, listId: req.params.listId }), options);
+  res.set('X-Total-Count', String(page.total));
+  if (page.nextCursor) res.set('X-Next-Cursor', page.nextCursor);
+  res.json(page.cities); // Respond with city list
+});
+
+/**
+ * GET /export.geojson
+ * Exports the cities of the logged-in user (none for guests) and their
+ * attractions as a GeoJSON FeatureCollection (see geojson.js), for GIS tools.
+ * - Covers the same cities and attractions as GET /; those without coordinates are left out.
+ * Responds with `application/geo+json`, as a `cities.geojson` attachment.
+ */
+router.get('/export.geojson', (req, res) => {
+  const owner = listOwner(req); // Owner of the list, or undefined for guests
+  res.set('Content-Type', 'application/geo+json');
+  res.set('Content-Disposition', 'attachment; filename="cities.geojson"');
+  res.json(toFeatureCollection(getUserCities(owner, { listId: req.params.listId })));
 });
 
 /**
  * POST /
  * Adds or updates a city for the logged-in user.
- * - Requires authentication.
+ * - Requires login and edit access to the list (owner or editor).
  * - City name required.
- * - Limits to 10 cities per user.
+ * - Limits to 10 cities per list.
  * - Limits attractions/restaurants to 5 each per city.
+ * - Attractions/restaurants may be names or records, validated against the item schema.
+ * - Optional `lat`/`lon` coordinates; without them, they are filled in from the gazetteer when it
+ *   knows the city.
  * - Returns error if limits are exceeded or data is invalid.
+ * - A city with the same name is replaced, keeping its ID and the IDs of items it still has.
+ * - Returns 409 with the `existing` city if its name only matches ignoring case, diacritics or spacing.
+ * - With strict city validation, returns 400 with `suggestions` for names not in the gazetteer.
  * Responds with the added/updated city object or error message.
  */
-router.post('/', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  if (!username) return res.status(401).json({ error: 'Login required' });
-  const { city } = req.body;
-  if (!city || !city.name) return res.status(400).json({ error: 'City name required' });
-  const data = readData();
-  if (!data[username]) data[username] = [];
-  const idx = data[username].findIndex(c => c.name === city.name);
-  const maxCities = config.getMaxCitiesPerUser();
-  if (idx === -1 && data[username].length >= maxCities) {
+router.post('/', (req, res) => withDataLock(() => {
+  const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+  if (!owner) return;
+  const { city: input } = req.body;
+  const typed = input && typeof input.name === 'string' ? cleanName(input.name) : '';
+  if (!typed) return res.status(400).json({ error: 'City name required' });
+  const { name, error: unknown } = checkCityName(typed);
+  if (unknown) return res.status(400).json(unknown);
+  const city = { ...input, name };
+  const cities = readCities(owner, req.params.listId) || [];
+  const idx = cities.findIndex(sameName(name));
+  if (idx >= 0 && cities[idx].name !== name) {
+    return res.status(409).json({ error: `City "${cities[idx].name}" already exists`, existing: cities[idx] });
+  }
+  const maxCities = config.getMaxCitiesPerList();
+  if (idx === -1 && cities.length >= maxCities) {
     return res.status(400).json({ error: `City limit (${maxCities}) reached` });
   }
   // Limit attractions and restaurants to configured limits
   const maxAttractions = config.getMaxAttractionsPerCity();
   const maxRestaurants = config.getMaxRestaurantsPerCity();
-  city.attractions = (city.attractions || []).slice(0, maxAttractions);
-  city.restaurants = (city.restaurants || []).slice(0, maxRestaurants);
+  const { city: checked, error } = sanitizeCity({
+    ...city,
+    attractions: (city.attractions || []).slice(0, maxAttractions),
+    restaurants: (city.restaurants || []).slice(0, maxRestaurants)
+  });
+  if (error) return res.status(400).json({ error });
+  const record = keepItinerary(toCity('lat' in checked ? checked : locateCity(checked), cities[idx]), cities[idx]);
   if (idx >= 0) {
-    data[username][idx] = city; // Update existing city
+    cities[idx] = record; // Update existing city
   } else {
-    data[username].push(city); // Add new city
+    cities.push(record); // Add new city
   }
-  data.latest = data[username]; // Update latest
-  writeData(data); // Persist changes
-  res.json(city); // Respond with city
-});
+  saveUserCities(owner, cities, req.params.listId); // Persist changes
+  res.json(record); // Respond with city
+}));
+
+// Match a city by the `:cityName` or `:cityId` route parameter
+const cityByName = params => sameName(params.cityName);
+const cityById = params => city => city.id === params.cityId;
+
+// Match an item by the `:attraction`/`:restaurant` or `:itemId` route parameter
+const itemByName = (params, kind) => sameName(params[kind.field]);
+const itemById = params => item => item.id === params.itemId;
+
+/**
+ * Creates a handler that deletes a city for the logged-in user.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Returns error if the user has no cities.
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @returns {Function} Express route handler
+ */
+function deleteCity(matchCity) {
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const cities = readCities(owner, req.params.listId);
+    if (!cities) return res.status(404).json({ error: 'No cities found' });
+    const idx = cities.findIndex(matchCity(req.params));
+    if (idx >= 0) cities.splice(idx, 1); // Remove city
+    saveUserCities(owner, cities, req.params.listId); // Persist changes
+    res.json({ message: 'City deleted' }); // Respond with success
+  });
+}
 
 /**
+ * Creates a handler that renames or otherwise updates a city in place for the logged-in user.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Body: `{ city: { name, ... } }`; fields not sent are kept, and the city keeps its ID and position.
+ * - Attractions/restaurants sent in the body replace the stored ones, limited to 5 each like POST /.
+ * - `lat`/`lon` set the coordinates (null removes them); a renamed city without new coordinates
+ *   takes the gazetteer's, if it knows the new name.
+ * - Returns 409 (with the `existing` city) if another city already has the new name, ignoring case,
+ *   diacritics and spacing; 404 if the city is not found.
+ * - With strict city validation, returns 400 with `suggestions` for names not in the gazetteer.
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @returns {Function} Express route handler responding with the updated city
+ */
+function updateCity(matchCity) {
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const { city: changes } = req.body;
+    if (!changes || typeof changes !== 'object') return res.status(400).json({ error: 'City data required' });
+    if ('name' in changes && (typeof changes.name !== 'string' || !cleanName(changes.name))) {
+      return res.status(400).json({ error: 'City name required' });
+    }
+    const cities = readCities(owner, req.params.listId) || [];
+    const idx = cities.findIndex(matchCity(req.params));
+    if (idx === -1) return res.status(404).json({ error: 'City not found' });
+    const current = cities[idx];
+    const updated = { ...current, ...changes };
+    if ('name' in changes) {
+      const { name, error: unknown } = checkCityName(cleanName(changes.name));
+      if (unknown) return res.status(400).json(unknown);
+      updated.name = name;
+      const other = cities.find((c, i) => i !== idx && sameName(updated.name)(c));
+      if (other) return res.status(409).json({ error: `City "${other.name}" already exists`, existing: other });
+    }
+    for (const [list, kind] of Object.entries(ITEM_KINDS)) {
+      if (list in changes) updated[list] = (changes[list] || []).slice(0, kind.getMax()); // Limit replaced lists
+    }
+    const { city: checked, error } = sanitizeCity(updated);
+    if (error) return res.status(400).json({ error });
+    const renamed = 'name' in changes && checked.name !== current.name && !('lat' in changes) && !('lon' in changes);
+    cities[idx] = keepItinerary(toCity(renamed ? locateCity(checked) : checked, current), current);
+    saveUserCities(owner, cities, req.params.listId); // Persist changes
+    res.json(cities[idx]); // Respond with updated city
+  });
+}
+
+/**
+ * Creates a handler that adds an attraction or restaurant to a city for the logged-in user.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Accepts the item as a name (`{ attraction: 'Louvre' }`) or a record with a name and details
+ *   (see itemSchema.js).
+ * - Limits to 5 items per city; an item with an existing name is not added twice.
+ * - Returns 409 with the `existing` item if its name only matches ignoring case, diacritics or spacing.
+ * - Returns error if the item is invalid, limits are exceeded or city not found.
+ * @param {string} list - `attractions` or `restaurants`
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @returns {Function} Express route handler responding with the updated city
+ */
+function addItem(list, matchCity) {
+  const kind = ITEM_KINDS[list];
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const value = req.body[kind.field];
+    if (!value) return res.status(400).json({ error: `${kind.label} required` });
+    const { item, error } = sanitizeItem(list, value);
+    if (error) return res.status(400).json({ error: `Invalid ${kind.field}: ${error}` });
+    const cities = readCities(owner, req.params.listId) || [];
+    const city = cities.find(matchCity(req.params));
+    if (!city) return res.status(404).json({ error: 'City not found' });
+    city[list] = city[list] || [];
+    const existing = city[list].find(sameName(item.name));
+    if (existing && existing.name !== item.name) {
+      return res.status(409).json({ error: `${kind.label} "${existing.name}" already exists`, existing });
+    }
+    const max = kind.getMax();
+    if (!existing && city[list].length >= max) {
+      return res.status(400).json({ error: `${kind.label} limit (${max}) reached` });
+    }
+    if (!existing) city[list].push(toItem(item)); // Add item if not duplicate
+    saveUserCities(owner, cities, req.params.listId); // Persist changes
+    res.json(city); // Respond with updated city
+  });
+}
+
+/**
+ * Creates a handler that renames or otherwise updates an attraction or restaurant in place.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Accepts the new name (`{ attraction: 'Louvre' }`) or an object of fields to change;
+ *   detail fields set to null or '' are removed.
+ * - The item keeps its ID and position in the list.
+ * - Returns 409 (with the `existing` item) if another item of the city already has the new name,
+ *   ignoring case, diacritics and spacing; 404 if not found.
+ * @param {string} list - `attractions` or `restaurants`
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @param {Function} matchItem - Builds an item predicate from the route params and item kind
+ * @returns {Function} Express route handler responding with the updated city
+ */
+function updateItem(list, matchCity, matchItem) {
+  const kind = ITEM_KINDS[list];
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const value = req.body[kind.field];
+    const changes = typeof value === 'string' ? { name: value } : value;
+    if (!changes || typeof changes !== 'object' || ('name' in changes && !changes.name)) {
+      return res.status(400).json({ error: `${kind.label} required` });
+    }
+    const cities = readCities(owner, req.params.listId) || [];
+    const city = cities.find(matchCity(req.params));
+    if (!city) return res.status(404).json({ error: 'City not found' });
+    const items = city[list] || [];
+    const idx = items.findIndex(matchItem(req.params, kind));
+    if (idx === -1) return res.status(404).json({ error: `${kind.label} not found` });
+    const current = items[idx];
+    const { item, error } = sanitizeItem(list, { ...current, ...changes });
+    if (error) return res.status(400).json({ error: `Invalid ${kind.field}: ${error}` });
+    const other = items.find((entry, i) => i !== idx && sameName(item.name)(entry));
+    if (other) return res.status(409).json({ error: `${kind.label} "${other.name}" already exists`, existing: other });
+    items[idx] = { ...item, id: current.id }; // Update in place, keeping ID and position
+    city[list] = items;
+    saveUserCities(owner, cities, req.params.listId); // Persist changes
+    res.json(city); // Respond with updated city
+  });
+}
+
+/**
+ * Creates a handler that deletes an attraction or restaurant from a city for the logged-in user.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Returns error if city not found.
+ * @param {string} list - `attractions` or `restaurants`
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @param {Function} matchItem - Builds an item predicate from the route params and item kind
+ * @returns {Function} Express route handler responding with the updated city
+ */
+function deleteItem(list, matchCity, matchItem) {
+  const kind = ITEM_KINDS[list];
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const cities = readCities(owner, req.params.listId) || [];
+    const city = cities.find(matchCity(req.params));
+    if (!city) return res.status(404).json({ error: 'City not found' });
+    const items = city[list] || [];
+    const idx = items.findIndex(matchItem(req.params, kind));
+    if (idx >= 0) items.splice(idx, 1); // Remove item
+    city[list] = items;
+    saveUserCities(owner, cities, req.params.listId); // Persist changes
+    res.json(city); // Respond with updated city
+  });
+}
+
+/**
+ * Reads the target position of a move request.
+ * @param {object} body - Request body `{ position }` (1 is the top of the list)
+ * @returns {number|null} The position, or null if it is not a positive integer
+ */
+function readPosition(body) {
+  const position = body && body.position;
+  return Number.isInteger(position) && position >= 1 ? position : null;
+}
+
+/**
+ * Creates a handler that moves a city to a new rank for the logged-in user.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Body: `{ position: k }`, 1-based; positions past the end move the city last.
+ * - Returns error if the position is invalid or the city is not found.
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @returns {Function} Express route handler responding with the reordered city list
+ */
+function moveCity(matchCity) {
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const position = readPosition(req.body);
+    if (!position) return res.status(400).json({ error: 'Position must be a positive integer' });
+    const cities = readCities(owner, req.params.listId) || [];
+    const idx = cities.findIndex(matchCity(req.params));
+    if (idx === -1) return res.status(404).json({ error: 'City not found' });
+    saveUserCities(owner, moveToPosition(cities, idx, position), req.params.listId); // Persist new order
+    res.json(getUserCities(owner, { listId: req.params.listId })); // Respond with reordered list
+  });
+}
+
+/**
+ * Creates a handler that moves an attraction or restaurant to a new rank within its city.
+ * - Requires login and edit access to the list (owner or editor).
+ * - Body: `{ position: k }`, 1-based; positions past the end move the item last.
+ * - Returns error if the position is invalid or the city or item is not found.
+ * @param {string} list - `attractions` or `restaurants`
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @param {Function} matchItem - Builds an item predicate from the route params and item kind
+ * @returns {Function} Express route handler responding with the updated city
+ */
+function moveItem(list, matchCity, matchItem) {
+  const kind = ITEM_KINDS[list];
+  return (req, res) => withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const position = readPosition(req.body);
+    if (!position) return res.status(400).json({ error: 'Position must be a positive integer' });
+    const cities = readCities(owner, req.params.listId) || [];
+    const city = cities.find(matchCity(req.params));
+    if (!city) return res.status(404).json({ error: 'City not found' });
+    const items = city[list] || [];
+    const idx = items.findIndex(matchItem(req.params, kind));
+    if (idx === -1) return res.status(404).json({ error: `${kind.label} not found` });
+    city[list] = moveToPosition(items, idx, position);
+    saveUserCities(owner, cities, req.params.listId); // Persist new order
+    res.json(city); // Respond with updated city
+  });
+}
+
+/**
+ * Creates a handler that exports the itinerary of a city of the logged-in user as an iCalendar file
+ * (see ical.js).
+ * - Returns 404 if the city is not found or has no itinerary.
+ * @param {Function} matchCity - Builds a city predicate from the route params
+ * @returns {Function} Express route handler
+ */
+function exportItinerary(matchCity) {
+  return (req, res) => {
+    const owner = listOwner(req); // Owner of the list, or undefined for guests
+    const city = getUserCities(owner, { listId: req.params.listId }).find(matchCity(req.params));
+    if (!city) return res.status(404).json({ error: 'City not found' });
+    if (!city.itinerary) return res.status(404).json({ error: 'No itinerary' });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="itinerary.ics"');
+    res.send(toCalendar(city));
+  };
+}
+
+/**
+ * GET /by-id/:cityId/itinerary.ics
+ * GET /:cityName/itinerary.ics
+ * Exports a city's itinerary as iCalendar, with an event per scheduled attraction or restaurant.
+ * Responds with `text/calendar`, as an `itinerary.ics` attachment, or error.
+ */
+router.get('/by-id/:cityId/itinerary.ics', exportItinerary(cityById));
+router.get('/:cityName/itinerary.ics', exportItinerary(cityByName));
+
+/**
+ * DELETE /by-id/:cityId
  * DELETE /:cityName
  * Deletes a city for the logged-in user.
- * - Requires authentication.
- * - Returns error if city not found.
  * Responds with a success message or error.
  */
-router.delete('/:cityName', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  if (!username) return res.status(401).json({ error: 'Login required' });
-  const { cityName } = req.params;
-  const data = readData();
-  if (!data[username]) return res.status(404).json({ error: 'No cities found' });
-  data[username] = data[username].filter(c => c.name !== cityName); // Remove city
-  data.latest = data[username]; // Update latest
-  writeData(data); // Persist changes
-  res.json({ message: 'City deleted' }); // Respond with success
-});
+router.delete('/by-id/:cityId', deleteCity(cityById));
+router.delete('/:cityName', deleteCity(cityByName));
+
+/**
+ * PATCH /by-id/:cityId
+ * PATCH /:cityName
+ * Renames or updates a city for the logged-in user, keeping its attractions and restaurants.
+ * Responds with the updated city object or error.
+ */
+router.patch('/by-id/:cityId', updateCity(cityById));
+router.patch('/:cityName', updateCity(cityByName));
 
 /**
+ * POST /by-id/:cityId/move
+ * POST /:cityName/move
+ * Moves a city to rank `position` for the logged-in user.
+ * Responds with the reordered city list or error.
+ */
+router.post('/by-id/:cityId/move', moveCity(cityById));
+router.post('/:cityName/move', moveCity(cityByName));
+
+/**
+ * POST /by-id/:cityId/attractions
  * POST /:cityName/attractions
  * Adds an attraction to a city for the logged-in user.
- * - Requires authentication.
- * - Limits to 5 attractions per city.
- * - Returns error if limits are exceeded or city not found.
  * Responds with the updated city object or error.
  */
-router.post('/:cityName/attractions', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  if (!username) return res.status(401).json({ error: 'Login required' });
-  const { cityName } = req.params;
-  const { attraction } = req.body;
-  if (!attraction) return res.status(400).json({ error: 'Attraction required' });
-  const data = readData();
-  const city = (data[username] || []).find(c => c.name === cityName);
-  if (!city) return res.status(404).json({ error: 'City not found' });
-  city.attractions = city.attractions || [];
-  const maxAttractions = config.getMaxAttractionsPerCity();
-  if (city.attractions.length >= maxAttractions) {
-    return res.status(400).json({ error: `Attraction limit (${maxAttractions}) reached` });
-  }
-  const idx = city.attractions.findIndex(a => a === attraction);
-  if (idx === -1) city.attractions.push(attraction); // Add attraction if not duplicate
-  data.latest = data[username]; // Update latest
-  writeData(data); // Persist changes
-  res.json(city); // Respond with updated city
-});
+router.post('/by-id/:cityId/attractions', addItem('attractions', cityById));
+router.post('/:cityName/attractions', addItem('attractions', cityByName));
 
 /**
+ * PATCH /by-id/:cityId/attractions/:itemId
+ * PATCH /:cityName/attractions/:attraction
+ * Renames or updates an attraction of a city for the logged-in user, keeping its position.
+ * Responds with the updated city object or error.
+ */
+router.patch('/by-id/:cityId/attractions/:itemId', updateItem('attractions', cityById, itemById));
+router.patch('/:cityName/attractions/:attraction', updateItem('attractions', cityByName, itemByName));
+
+/**
+ * POST /by-id/:cityId/attractions/:itemId/move
+ * POST /:cityName/attractions/:attraction/move
+ * Moves an attraction to rank `position` within its city for the logged-in user.
+ * Responds with the updated city object or error.
+ */
+router.post('/by-id/:cityId/attractions/:itemId/move', moveItem('attractions', cityById, itemById));
+router.post('/:cityName/attractions/:attraction/move', moveItem('attractions', cityByName, itemByName));
+
+/**
+ * DELETE /by-id/:cityId/attractions/:itemId
  * DELETE /:cityName/attractions/:attraction
  * Deletes an attraction from a city for the logged-in user.
- * - Requires authentication.
- * - Returns error if city not found.
  * Responds with the updated city object or error.
  */
-router.delete('/:cityName/attractions/:attraction', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  if (!username) return res.status(401).json({ error: 'Login required' });
-  const { cityName, attraction } = req.params;
-  const data = readData();
-  const city = (data[username] || []).find(c => c.name === cityName);
-  if (!city) return res.status(404).json({ error: 'City not found' });
-  city.attractions = (city.attractions || []).filter(a => a !== attraction); // Remove attraction
-  data.latest = data[username]; // Update latest
-  writeData(data); // Persist changes
-  res.json(city); // Respond with updated city
-});
+router.delete('/by-id/:cityId/attractions/:itemId', deleteItem('attractions', cityById, itemById));
+router.delete('/:cityName/attractions/:attraction', deleteItem('attractions', cityByName, itemByName));
 
 /**
+ * POST /by-id/:cityId/restaurants
  * POST /:cityName/restaurants
  * Adds a restaurant to a city for the logged-in user.
- * - Requires authentication.
- * - Limits to 5 restaurants per city.
- * - Returns error if limits are exceeded or city not found.
  * Responds with the updated city object or error.
  */
-router.post('/:cityName/restaurants', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  if (!username) return res.status(401).json({ error: 'Login required' });
-  const { cityName } = req.params;
-  const { restaurant } = req.body;
-  if (!restaurant) return res.status(400).json({ error: 'Restaurant required' });
-  const data = readData();
-  const city = (data[username] || []).find(c => c.name === cityName);
-  if (!city) return res.status(404).json({ error: 'City not found' });
-  city.restaurants = city.restaurants || [];
-  const maxRestaurants = config.getMaxRestaurantsPerCity();
-  if (city.restaurants.length >= maxRestaurants) {
-    return res.status(400).json({ error: `Restaurant limit (${maxRestaurants}) reached` });
-  }
-  const idx = city.restaurants.findIndex(r => r === restaurant);
-  if (idx === -1) city.restaurants.push(restaurant); // Add restaurant if not duplicate
-  data.latest = data[username]; // Update latest
-  writeData(data); // Persist changes
-  res.json(city); // Respond with updated city
-});
+router.post('/by-id/:cityId/restaurants', addItem('restaurants', cityById));
+router.post('/:cityName/restaurants', addItem('restaurants', cityByName));
+
+/**
+ * PATCH /by-id/:cityId/restaurants/:itemId
+ * PATCH /:cityName/restaurants/:restaurant
+ * Renames or updates a restaurant of a city for the logged-in user, keeping its position.
+ * Responds with the updated city object or error.
+ */
+router.patch('/by-id/:cityId/restaurants/:itemId', updateItem('restaurants', cityById, itemById));
+router.patch('/:cityName/restaurants/:restaurant', updateItem('restaurants', cityByName, itemByName));
 
 /**
+ * POST /by-id/:cityId/restaurants/:itemId/move
+ * POST /:cityName/restaurants/:restaurant/move
+ * Moves a restaurant to rank `position` within its city for the logged-in user.
+ * Responds with the updated city object or error.
+ */
+router.post('/by-id/:cityId/restaurants/:itemId/move', moveItem('restaurants', cityById, itemById));
+router.post('/:cityName/restaurants/:restaurant/move', moveItem('restaurants', cityByName, itemByName));
+
+/**
+ * DELETE /by-id/:cityId/restaurants/:itemId
  * DELETE /:cityName/restaurants/:restaurant
  * Deletes a restaurant from a city for the logged-in user.
- * - Requires authentication.
- * - Returns error if city not found.
  * Responds with the updated city object or error.
  */
-router.delete('/:cityName/restaurants/:restaurant', (req, res) => {
-  const username = req.session.user && req.session.user.username; // Get username from session
-  if (!username) return res.status(401).json({ error: 'Login required' });
-  const { cityName, restaurant } = req.params;
-  const data = readData();
-  const city = (data[username] || []).find(c => c.name === cityName);
-  if (!city) return res.status(404).json({ error: 'City not found' });
-  city.restaurants = (city.restaurants || []).filter(r => r !== restaurant); // Remove restaurant
-  data.latest = data[username]; // Update latest
-  writeData(data); // Persist changes
-  res.json(city); // Respond with updated city
-});
+router.delete('/by-id/:cityId/restaurants/:itemId', deleteItem('restaurants', cityById, itemById));
+router.delete('/:cityName/restaurants/:restaurant', deleteItem('restaurants', cityByName, itemByName));
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,159 @@
+/**
+ * Reading and writing of the city lists, shared by the city and list routes and the routes that
+ * read city data (nearby places). Every list goes through the configured storage adapter.
+ *
+ * A user's entry holds their named lists (see listSchema.js); the city functions take an optional
+ * list ID and default to the user's first list. Lists are stored under their owner; the lists a
+ * user is a member of, and shared lists, are found through the adapter's list lookups, which the
+ * database and per-user directory adapters answer from an index.
+ */
+// Import global configuration
+const config = require('../config/config');
+// Storage adapter selected in config/database.json
+const storage = require('./storage');
+const { assignRanks, stampTimestamps } = require('./records');
+const { pruneItinerary } = require('./itinerarySchema');
+const { DEFAULT_LIST_NAME, OWNER_ROLE, newList, findList, memberRole } = require('./listSchema');
+const clock = require('./clock');
+const { SORTS } = require('./listQuery');
+
+/**
+ * Reads a user's named lists through the active storage adapter.
+ * Adapters backed by a database or a directory per user only load that user's entry.
+ * @param {string} username - Owner of the lists
+ * @returns {Array|undefined} The stored lists (see listSchema.js), or undefined if there are none.
+ */
+function readLists(username) {
+  return storage.getAdapter().readEntry(username);
+}
+
+/**
+ * Persists a user's lists, e.g. after a list is created, renamed or deleted.
+ * @param {string} username - Owner of the lists
+ * @param {Array} lists - The user's lists, with their cities
+ */
+function saveUserLists(username, lists) {
+  storage.getAdapter().writeEntries({ [username]: lists });
+}
+
+/**
+ * Finds the lists of other users that a user is a member of.
+ * @param {string} username - The member
+ * @returns {Array<{ owner: string, list: object, role: string }>} The lists, with their owner and the member's role
+ */
+function findMemberLists(username) {
+  return storage.getAdapter().findListsByMember(username)
+    .filter(({ owner }) => owner !== username)
+    .map(({ owner, list }) => ({ owner, list, role: memberRole(list, username) }));
+}
+
+/**
+ * Finds a list the user works on: one of their own lists, or a list they are a member of.
+ * @param {string} username - The logged-in user
+ * @param {string} listId - List ID
+ * @returns {{ owner: string, list: object, role: string }|undefined} The list, its owner and the user's
+ *   role (`owner`, `editor` or `viewer`), or undefined if the user has no access to it
+ */
+function resolveList(username, listId) {
+  const own = findList(readLists(username), listId);
+  if (own) return { owner: username, list: own, role: OWNER_ROLE };
+  return findMemberLists(username).find(({ list }) => list.id === listId);
+}
+
+/**
+ * Finds the list shared under a token, across all users.
+ * @param {string} token - Share token (see listSchema.newShareToken)
+ * @returns {{ username: string, list: object }|undefined} The list and its owner, or undefined if no
+ *   list is shared under the token
+ */
+function findSharedList(token) {
+  if (typeof token !== 'string' || !token) return undefined;
+  const found = storage.getAdapter().findListByShareToken(token);
+  return found && { username: found.owner, list: found.list };
+}
+
+/**
+ * Reads the cities of one of a user's lists.
+ * @param {string} username - Owner of the list
+ * @param {string} [listId] - ID of one of the user's lists (defaults to the user's first list)
+ * @returns {Array|undefined} The stored cities, or undefined if there are none.
+ */
+function readCities(username, listId) {
+  const list = findList(readLists(username), listId);
+  return list && list.cities;
+}
+
+/**
+ * Persists the cities of one of a user's lists.
+ * Ranks are renumbered from the list order first, itinerary slots of deleted items are dropped, and
+ * `createdAt`/`updatedAt` are set by comparing with the stored list, so every route keeps them in sync.
+ * A user without lists gets a default list holding the cities.
+ * @param {string} username - Owner of the cities
+ * @param {Array} cities - The full city list
+ * @param {string} [listId] - ID of the list (defaults to the user's first list)
+ */
+function saveUserCities(username, cities, listId) {
+  const lists = readLists(username) || [];
+  const time = clock.now();
+  let list = findList(lists, listId);
+  if (!list) {
+    list = newList(DEFAULT_LIST_NAME, time);
+    lists.push(list);
+  }
+  assignRanks(cities);
+  cities.forEach(pruneItinerary);
+  stampTimestamps(cities, list.cities, time);
+  list.cities = cities;
+  list.updatedAt = time;
+  storage.getAdapter().writeEntries({ [username]: lists });
+}
+
+/**
+ * Runs a read-modify-write cycle on the city data as one exclusive unit,
+ * so concurrent requests cannot overwrite each other's changes.
+ * @param {Function} fn - Function that reads, modifies and writes the data
+ * @returns {*} The return value of fn
+ */
+function withDataLock(fn) {
+  return storage.getAdapter().lockData(fn);
+}
+
+/**
+ * Returns the first 10 cities of a user's list, with the first 5 attractions/restaurants per city.
+ * Guests have no list and get none; they see the public showcase instead (see public.js).
+ * Cities and items are sorted before they are trimmed, so `{ sort: 'created', order: 'desc' }`
+ * returns the most recently added ones; the default is rank order.
+ * @param {string} [username] - Owner of the list (undefined for guests)
+ * @param {object} [options]
+ * @param {string} [options.sort] - Key of SORTS (`rank`, `name`, `created` or `updated`)
+ * @param {string} [options.order] - `asc` or `desc`
+ * @param {string} [options.listId] - ID of one of the user's lists (defaults to the user's first list)
+ * @returns {Array} Array of city objects, each with up to 5 attractions and 5 restaurants
+ */
+function getUserCities(username, { sort = 'rank', order = 'asc', listId } = {}) {
+  let cities = (username && readCities(username, listId)) || []; // User-specific cities
+  // Limit to configured number of cities, and configured attractions/restaurants per city
+  const maxCities = config.getMaxCitiesPerList();
+  const maxAttractions = config.getMaxAttractionsPerCity();
+  const maxRestaurants = config.getMaxRestaurantsPerCity();
+  const compare = order === 'desc' ? (a, b) => SORTS[sort](b, a) : SORTS[sort];
+  
+  cities = [...cities].sort(compare).slice(0, maxCities).map(city => ({
+    ...city,
+    attractions: [...(city.attractions || [])].sort(compare).slice(0, maxAttractions),
+    restaurants: [...(city.restaurants || [])].sort(compare).slice(0, maxRestaurants)
+  }));
+  return cities;
+}
+
+module.exports = {
+  readLists,
+  saveUserLists,
+  findMemberLists,
+  resolveList,
+  findSharedList,
+  readCities,
+  saveUserCities,
+  withDataLock,
+  getUserCities,
+};
@@ -0,0 +1,38 @@
+/**
+ * Clock used for the `createdAt`/`updatedAt` timestamps of cities and items.
+ * Defaults to the system time; tests can swap it out with setClock().
+ */
+
+// Default clock: the current system time
+const systemClock = () => new Date();
+
+let activeClock = systemClock;
+
+/**
+ * Returns the current time as an ISO 8601 string.
+ * @returns {string} e.g. "2024-05-01T12:00:00.000Z"
+ */
+function now() {
+  return new Date(activeClock()).toISOString();
+}
+
+/**
+ * Replaces the clock (e.g. with a fixed or stepping clock in tests).
+ * @param {Function} clock - Function returning a Date, timestamp or date string
+ */
+function setClock(clock) {
+  activeClock = clock;
+}
+
+/**
+ * Restores the system clock.
+ */
+function resetClock() {
+  activeClock = systemClock;
+}
+
+module.exports = {
+  now,
+  setClock,
+  resetClock,
+};
@@ -0,0 +1,27 @@
+/**
+ * Great-circle distances between coordinates, for the nearby place search.
+ * The earth is taken as a sphere of the mean radius, which is within 0.5% of the true distance.
+ */
+
+// Mean radius of the earth in kilometres (IUGG)
+const EARTH_RADIUS_KM = 6371.0088;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points, by the haversine formula.
+ * @param {{ lat: number, lon: number }} a - First point, in decimal degrees
+ * @param {{ lat: number, lon: number }} b - Second point, in decimal degrees
+ * @returns {number} Distance in kilometres
+ */
+function distanceKm(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+module.exports = {
+  distanceKm,
+};
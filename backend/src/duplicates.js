@@ -0,0 +1,131 @@
+/**
+ * Merging of duplicate cities and items stored before names were compared ignoring case,
+ * diacritics and spacing (see records.nameKey), e.g. "Paris", "paris " and "PARIS" saved as
+ * three cities. Used by `config/merge-duplicates.js`.
+ *
+ * Within a list, the first record with a name is kept and later ones with the same name are merged
+ * into it: a duplicate city's items are added to the kept city (merging items with the same name
+ * in turn), and detail fields missing from a kept item are taken from its duplicates. The kept
+ * record's `createdAt` becomes the earliest of the merged ones, and its `updatedAt` the merge time.
+ */
+const { ITEM_LISTS, cleanName, nameKey, assignRanks } = require('./records');
+const { isSharedKey } = require('./storage/layout');
+
+// Fields of an item that are never copied from a duplicate
+const RECORD_FIELDS = ['id', 'name', 'rank', 'createdAt', 'updatedAt'];
+
+/**
+ * Earliest of two ISO timestamps, either of which may be missing.
+ * @param {string} [a]
+ * @param {string} [b]
+ * @returns {string|undefined}
+ */
+function earliest(a, b) {
+  if (!a || !b) return a || b;
+  return a < b ? a : b;
+}
+
+/**
+ * Merges a duplicate item into the kept one, in place.
+ * @param {object} kept - Item that stays in the list
+ * @param {object} duplicate - Item with the same name, removed from the list
+ * @param {string} time - Merge time
+ */
+function mergeItem(kept, duplicate, time) {
+  for (const [key, value] of Object.entries(duplicate)) {
+    if (!RECORD_FIELDS.includes(key) && !(key in kept)) kept[key] = value;
+  }
+  kept.createdAt = earliest(kept.createdAt, duplicate.createdAt);
+  kept.updatedAt = time;
+}
+
+/**
+ * Merges the records of a list that have the same name.
+ * @param {Array} records - Cities or items, in list order
+ * @param {Function} merge - Merges a duplicate into the kept record, in place: `(kept, duplicate)`
+ * @param {Function} report - Called with `(kept, duplicate)` for each merged duplicate
+ * @returns {Array} The list without duplicates (kept records are modified in place)
+ */
+function mergeList(records, merge, report) {
+  const byKey = new Map();
+  const result = [];
+  for (const record of records) {
+    const key = nameKey(record.name);
+    const kept = byKey.get(key);
+    if (kept) {
+      merge(kept, record);
+      report(kept, record);
+    } else {
+      record.name = cleanName(record.name);
+      byKey.set(key, record);
+      result.push(record);
+    }
+  }
+  return result;
+}
+
+/**
+ * Merges the duplicate cities of a city list, and the duplicate items of each city.
+ * @param {Array} cities - A stored city list (not modified)
+ * @param {string} time - Merge time (see clock.js)
+ * @returns {{ cities: Array, merged: Array<string> }} The merged list, and a line describing each merge
+ */
+function mergeDuplicates(cities, time) {
+  const merged = [];
+  const mergeItems = (city, list, items) => mergeList(
+    items,
+    (kept, duplicate) => mergeItem(kept, duplicate, time),
+    (kept, duplicate) => merged.push(`${city.name}: ${list.slice(0, -1)} "${duplicate.name}" merged into "${kept.name}"`),
+  );
+  const result = mergeList(
+    structuredClone(cities),
+    (kept, duplicate) => {
+      for (const list of ITEM_LISTS) kept[list] = [...(kept[list] || []), ...(duplicate[list] || [])];
+      kept.createdAt = earliest(kept.createdAt, duplicate.createdAt);
+      kept.updatedAt = time;
+    },
+    (kept, duplicate) => merged.push(`City "${duplicate.name}" merged into "${kept.name}"`),
+  );
+  for (const city of result) {
+    for (const list of ITEM_LISTS) {
+      const before = (city[list] || []).length;
+      city[list] = mergeItems(city, list, city[list] || []);
+      if (city[list].length !== before) city.updatedAt = time;
+    }
+  }
+  return { cities: assignRanks(result), merged };
+}
+
+/**
+ * Merges duplicates in every city list held by a storage adapter (each of the users' named lists),
+ * and persists the entries that changed. The data must be at the current schema version.
+ * @param {object} adapter - Storage adapter
+ * @param {string} time - Merge time (see clock.js)
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report the merges, without writing
+ * @returns {object} Map of list (the username and list name, as `alice (Summer 2026)`)
+ *   to the merges made in it
+ */
+function mergeStoredDuplicates(adapter, time, { dryRun = false } = {}) {
+  return adapter.lockData(() => {
+    const data = adapter.readData();
+    const report = {};
+    const changed = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (isSharedKey(key) || !Array.isArray(value)) continue;
+      const lists = value.map(list => {
+        const { cities, merged } = mergeDuplicates(list.cities, time);
+        if (merged.length > 0) report[`${key} (${list.name})`] = merged;
+        return { ...list, cities };
+      });
+      if (JSON.stringify(lists) !== JSON.stringify(value)) changed[key] = lists;
+    }
+    if (!dryRun && Object.keys(changed).length > 0) adapter.writeEntries(changed);
+    return report;
+  });
+}
+
+module.exports = {
+  mergeDuplicates,
+  mergeStoredDuplicates,
+};
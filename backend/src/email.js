@@ -0,0 +1,15 @@
+/**
+ * Email address validation, shared by user registration (user.js) and list invitations (lists.js).
+ * Usernames are email addresses.
+ */
+
+/**
+ * Validates that the username is a valid email address.
+ * @param {string} email - The email to validate.
+ * @returns {boolean} True if valid email, false otherwise.
+ */
+function isValidEmail(email) {
+  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email); // Simple regex for email validation
+}
+
+module.exports = { isValidEmail };
@@ -0,0 +1,145 @@
+/**
+ * Accent-insensitive, typo-tolerant text matching, used by the search routes.
+ *
+ * Texts and queries are folded (diacritics removed, lower-cased) before comparing, so "sao paulo"
+ * finds "São Paulo". A query matches a text when the folded query occurs in it, or else when every
+ * query word is close to a word of the text: a prefix of it, or within a few typos (insertions,
+ * deletions, substitutions or swapped neighbours; more typos are allowed in longer words).
+ * Matches are scored from 0 to 1 and report the matched ranges of the original text as highlights.
+ */
+
+/**
+ * Folds one character for comparison.
+ * @param {string} ch - A single character (code point)
+ * @returns {string} The character without diacritics, lower-cased (may be empty or longer)
+ */
+function foldChar(ch) {
+  return ch.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Folds a text for comparison, remembering where each folded character came from.
+ * @param {string} text
+ * @returns {{ folded: string, map: Array<number> }} The folded text, and for each of its characters
+ *   (plus one past the end) the index of the original character
+ */
+function foldWithMap(text) {
+  let folded = '';
+  const map = [];
+  let index = 0;
+  for (const ch of text) {
+    const part = foldChar(ch);
+    for (let i = 0; i < part.length; i++) map.push(index);
+    folded += part;
+    index += ch.length;
+  }
+  map.push(text.length);
+  return { folded, map };
+}
+
+/**
+ * Folds a text for comparison: no diacritics, lower case, single spaces, trimmed.
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return foldWithMap(String(text)).folded.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Number of typos tolerated in a query word of the given length.
+ * @param {number} length
+ * @returns {number}
+ */
+function allowedTypos(length) {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Edit distance between two strings, counting a swap of neighbouring characters as one edit
+ * (optimal string alignment).
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Scores how well a query word matches a word of the text.
+ * @param {string} token - Folded query word
+ * @param {string} word - Folded word of the text
+ * @returns {number} Similarity from 0 (no match) to 1 (same word)
+ */
+function wordSimilarity(token, word) {
+  if (word === token) return 1;
+  if (word.startsWith(token)) return 0.9;
+  const typos = allowedTypos(token.length);
+  if (typos === 0) return 0;
+  const whole = editDistance(token, word);
+  if (whole <= typos) return 0.8 * (1 - whole / Math.max(token.length, word.length));
+  const prefix = editDistance(token, word.slice(0, token.length)); // Typo in a word still being typed
+  return prefix <= typos ? 0.7 * (1 - prefix / token.length) : 0;
+}
+
+/**
+ * Matches a query against a text.
+ * @param {string} query - Search query
+ * @param {string} text - Text to search in
+ * @returns {{ score: number, highlights: Array<{ start: number, end: number }> }|null} Score from 0 to 1
+ *   and the matched ranges of the original text (end exclusive), or null if the text does not match
+ */
+function matchText(query, text) {
+  const folded = normalizeText(query);
+  if (!folded || typeof text !== 'string') return null;
+  const { folded: target, map } = foldWithMap(text);
+  const highlight = (start, end) => {
+    let next = end;
+    while (map[next] === map[end - 1]) next++; // End after the whole original character
+    return { start: map[start], end: map[next] };
+  };
+
+  // Exact phrase: whole text, start of the text, or anywhere in it
+  const at = target.indexOf(folded);
+  if (at !== -1) {
+    const score = target.trim() === folded ? 1 : at === 0 ? 0.95 : 0.85;
+    return { score, highlights: [highlight(at, at + folded.length)] };
+  }
+
+  // Every query word close to some word of the text
+  const words = [...target.matchAll(/[\p{L}\p{N}]+/gu)].map(m => ({ word: m[0], start: m.index }));
+  const tokens = folded.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  const highlights = [];
+  let total = 0;
+  for (const token of tokens) {
+    let best = null;
+    for (const { word, start } of words) {
+      const similarity = wordSimilarity(token, word);
+      if (similarity > 0 && (!best || similarity > best.similarity)) best = { similarity, start, end: start + word.length };
+    }
+    if (!best) return null;
+    total += best.similarity;
+    if (!highlights.some(h => h.start === map[best.start])) highlights.push(highlight(best.start, best.end));
+  }
+  if (highlights.length === 0) return null;
+  return { score: 0.75 * (total / tokens.length), highlights: highlights.sort((a, b) => a.start - b.start) };
+}
+
+module.exports = {
+  normalizeText,
+  editDistance,
+  matchText,
+};
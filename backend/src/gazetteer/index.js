@@ -0,0 +1,81 @@
+/**
+ * Offline gazetteer of European cities, bundled as europeanCities.json:
+ *
+ *   { name, country, countryCode, aliases: [...], lat, lon, population }
+ *
+ * `name` is the English name; `aliases` hold local and historical names ("München", "Breslau").
+ * Lookups compare names with records.nameKey(), and suggestions use the fuzzy matching of the
+ * search routes, so "munchen" and "Barcelna" both find their city.
+ */
+const { nameKey } = require('../records');
+const { matchText } = require('../fuzzy');
+
+// Weight of a match on an alias, relative to a match on the English name
+const ALIAS_WEIGHT = 0.95;
+
+let places = null;
+let byKey = null;
+
+/**
+ * Loads the bundled city list once and indexes it by name and alias.
+ * @returns {Array} Gazetteer entries
+ */
+function loadPlaces() {
+  if (!places) {
+    places = require('./europeanCities.json');
+    byKey = new Map();
+    for (const place of places) {
+      for (const name of [place.name, ...place.aliases]) {
+        if (!byKey.has(nameKey(name))) byKey.set(nameKey(name), place);
+      }
+    }
+  }
+  return places;
+}
+
+/**
+ * Finds the city with a name or alias equal to the given name (ignoring case, accents and spacing).
+ * @param {string} name
+ * @returns {object|null} Gazetteer entry
+ */
+function findPlace(name) {
+  loadPlaces();
+  return byKey.get(nameKey(name)) || null;
+}
+
+/**
+ * Suggests cities for a partly typed name, best first; ties go to the larger city.
+ * @param {string} query - Typed text
+ * @param {number} limit - Largest number of suggestions
+ * @returns {Array} `{ name, country, countryCode, lat, lon, matched, score }`, where `matched` is the
+ *   alias that matched, or null when the English name did
+ */
+function suggestPlaces(query, limit) {
+  const suggestions = [];
+  for (const place of loadPlaces()) {
+    let best = null;
+    for (const name of [place.name, ...place.aliases]) {
+      const match = matchText(query, name);
+      if (!match) continue;
+      const score = name === place.name ? match.score : match.score * ALIAS_WEIGHT;
+      if (!best || score > best.score) best = { matched: name === place.name ? null : name, score };
+    }
+    if (best) suggestions.push({ place, ...best });
+  }
+  suggestions.sort((a, b) => b.score - a.score || b.place.population - a.place.population);
+  return suggestions.slice(0, limit).map(({ place, matched, score }) => ({
+    name: place.name,
+    country: place.country,
+    countryCode: place.countryCode,
+    lat: place.lat,
+    lon: place.lon,
+    matched,
+    score: Math.round(score * 1000) / 1000,
+  }));
+}
+
+module.exports = {
+  loadPlaces,
+  findPlace,
+  suggestPlaces,
+};
@@ -0,0 +1,51 @@
+/**
+ * GeoJSON (RFC 7946) export of a city list, for GIS tools.
+ *
+ * Every city and attraction with coordinates becomes a Point feature whose `id` is the record ID;
+ * its properties are the record's other fields plus a `kind` (`city` or `attraction`), and
+ * attractions also name their city (`cityId`, `cityName`). Records without coordinates are left out.
+ */
+
+/**
+ * Builds a Point geometry from a record's coordinates.
+ * @param {object} record - City or attraction record
+ * @returns {object|null} GeoJSON Point (longitude first), or null if the record has no coordinates
+ */
+function pointOf(record) {
+  if (!Number.isFinite(record.lat) || !Number.isFinite(record.lon)) return null;
+  return { type: 'Point', coordinates: [record.lon, record.lat] };
+}
+
+/**
+ * Builds a feature from a record, moving its coordinates into the geometry.
+ * @param {object} record - City or attraction record (without item lists)
+ * @param {object} extra - Properties added in front of the record's own
+ * @returns {object} GeoJSON Feature
+ */
+function toFeature(record, extra) {
+  const { id, lat, lon, ...properties } = record;
+  return { type: 'Feature', id, geometry: pointOf(record), properties: { ...extra, ...properties } };
+}
+
+/**
+ * Converts a city list into a FeatureCollection of its cities and their attractions.
+ * @param {Array} cities - City records
+ * @returns {object} GeoJSON FeatureCollection
+ */
+function toFeatureCollection(cities) {
+  const features = [];
+  for (const { attractions, restaurants, itinerary, ...city } of cities) {
+    if (pointOf(city)) features.push(toFeature(city, { kind: 'city' }));
+    for (const attraction of attractions || []) {
+      if (pointOf(attraction)) {
+        features.push(toFeature(attraction, { kind: 'attraction', cityId: city.id, cityName: city.name }));
+      }
+    }
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  pointOf,
+  toFeatureCollection,
+};
@@ -0,0 +1,146 @@
+/**
+ * iCalendar (RFC 5545) export of a city's itinerary, for calendar apps.
+ *
+ * Every slot of the itinerary becomes a VEVENT named after its attraction or restaurant. Slots with a
+ * time start then, in the city's local time (floating times), and last an hour; slots without one are
+ * all-day events. The event UID is derived from the slot ID, so importing a later export updates the
+ * events instead of duplicating them. Lines end with CRLF and are folded at 75 octets.
+ */
+const { compareSlots } = require('./itinerarySchema');
+const clock = require('./clock');
+
+// Product identifier of the calendars we produce
+const PRODID = '-//Demo Microservices//City Itinerary//EN';
+
+// Domain part of event UIDs
+const UID_DOMAIN = 'demo-microservices';
+
+// Length of an event for a slot with a time (slots have no end time)
+const TIMED_SLOT_DURATION = 'PT1H';
+
+// Maximum length of a content line, in octets, not counting the line break
+const MAX_LINE_OCTETS = 75;
+
+// Event category of each item list
+const CATEGORIES = { attractions: 'Attraction', restaurants: 'Restaurant' };
+
+/**
+ * Escapes a TEXT property value (backslash, semicolon, comma and line breaks).
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Folds a content line into lines of at most 75 octets, each continuation starting with a space.
+ * Multi-byte UTF-8 characters are never split.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line, joined with CRLF
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines hold one octet less, for their leading space
+    if (octets + size > MAX_LINE_OCTETS - (parts.length > 0 ? 1 : 0)) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Formats a day as an iCalendar DATE.
+ * @param {string} date - `YYYY-MM-DD`
+ * @returns {string} `YYYYMMDD`
+ */
+const formatDate = date => date.replace(/-/g, '');
+
+/**
+ * Formats an instant as an iCalendar UTC DATE-TIME.
+ * @param {string} iso - ISO 8601 timestamp
+ * @returns {string} `YYYYMMDDTHHMMSSZ`
+ */
+const formatTimestamp = iso => new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+/**
+ * Returns the day after a date.
+ * @param {string} date - `YYYY-MM-DD`
+ * @returns {string} `YYYY-MM-DD`
+ */
+function nextDay(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() + 1);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Builds the content lines of the event for a slot.
+ * @param {object} city - City record
+ * @param {object} slot - Itinerary slot
+ * @param {object} item - The slot's attraction or restaurant
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Unfolded content lines
+ */
+function eventLines(city, slot, item, stamp) {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${slot.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${stamp}`,
+  ];
+  if (slot.time) {
+    lines.push(`DTSTART:${formatDate(slot.date)}T${slot.time.replace(':', '')}00`, `DURATION:${TIMED_SLOT_DURATION}`);
+  } else {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(slot.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(slot.date))}`);
+  }
+  lines.push(`SUMMARY:${escapeText(item.name)}`);
+  lines.push(`LOCATION:${escapeText(item.address || `${item.name}, ${city.name}`)}`);
+  if (Number.isFinite(item.lat) && Number.isFinite(item.lon)) lines.push(`GEO:${item.lat};${item.lon}`);
+  if (slot.notes) lines.push(`DESCRIPTION:${escapeText(slot.notes)}`);
+  if (item.website) lines.push(`URL:${item.website}`);
+  lines.push(`CATEGORIES:${CATEGORIES[slot.list]}`, 'END:VEVENT');
+  return lines;
+}
+
+/**
+ * Converts a city's itinerary into an iCalendar file with one event per slot, in time order.
+ * Slots whose item no longer exists are left out.
+ * @param {object} city - City record with an itinerary
+ * @returns {string} The calendar, with CRLF line breaks
+ */
+function toCalendar(city) {
+  // Stamp events with the last change to the city, so unchanged itineraries export identically
+  const stamp = formatTimestamp(city.updatedAt || clock.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${escapeText(`Trip to ${city.name}`)}`,
+  ];
+  for (const slot of [...city.itinerary.slots].sort(compareSlots)) {
+    const item = (city[slot.list] || []).find(entry => entry.id === slot.itemId);
+    if (item) lines.push(...eventLines(city, slot, item, stamp));
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  escapeText,
+  foldLine,
+  toCalendar,
+};
@@ -0,0 +1,128 @@
+/**
+ * Typed schema for attraction and restaurant records.
+ *
+ * Besides the fields maintained by the server (`id`, `rank`, `createdAt`, `updatedAt`), an item has a required `name` and
+ * optional detail fields. Each list accepts its own set of details:
+ *
+ *   attractions: address, website, openingHours, priceLevel, notes, lat, lon
+ *   restaurants: address, website, openingHours, priceLevel, cuisine, notes
+ *
+ * Clients may still send a plain string, which is read as `{ name }`.
+ *
+ * Cities and attractions may carry coordinates: `lat`/`lon` in decimal degrees (WGS 84), always
+ * set together.
+ */
+
+const { cleanName } = require('./records');
+
+// Detail fields shared by attractions and restaurants
+const COMMON_FIELDS = {
+  address: { type: 'string', maxLength: 200 },
+  website: { type: 'url', maxLength: 500 },
+  openingHours: { type: 'string', maxLength: 200 },
+  priceLevel: { type: 'integer', min: 1, max: 4 },
+  notes: { type: 'string', maxLength: 1000 },
+};
+
+// Optional coordinates of cities and attractions, in decimal degrees
+const COORDINATE_FIELDS = {
+  lat: { type: 'number', min: -90, max: 90 },
+  lon: { type: 'number', min: -180, max: 180 },
+};
+
+// Detail fields accepted by each item list
+const ITEM_SCHEMAS = {
+  attractions: { ...COMMON_FIELDS, ...COORDINATE_FIELDS },
+  restaurants: { ...COMMON_FIELDS, cuisine: { type: 'string', maxLength: 100 } },
+};
+
+// Fields maintained by the server; they are passed through untouched
+const SYSTEM_FIELDS = ['id', 'rank', 'createdAt', 'updatedAt'];
+
+// Maximum length of an item name
+const MAX_NAME_LENGTH = 200;
+
+/**
+ * Checks one detail value against its field spec.
+ * @param {object} spec - Field spec from ITEM_SCHEMAS
+ * @param {*} value - Value sent by the client (strings already trimmed)
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+function checkField(spec, value) {
+  switch (spec.type) {
+    case 'integer':
+      return Number.isInteger(value) && value >= spec.min && value <= spec.max
+        ? null : `must be an integer from ${spec.min} to ${spec.max}`;
+    case 'number':
+      return Number.isFinite(value) && value >= spec.min && value <= spec.max
+        ? null : `must be a number from ${spec.min} to ${spec.max}`;
+    case 'url':
+      if (typeof value !== 'string' || value.length > spec.maxLength) return `must be a URL of at most ${spec.maxLength} characters`;
+      return /^https?:\/\/\S+$/i.test(value) ? null : 'must be an http(s) URL';
+    default:
+      return typeof value === 'string' && value.length <= spec.maxLength
+        ? null : `must be a string of at most ${spec.maxLength} characters`;
+  }
+}
+
+/**
+ * Validates and normalises an item against the schema of its list.
+ * Strings are trimmed, names cleaned (see records.js), and detail fields set to null or an empty
+ * string are removed.
+ * @param {string} list - `attractions` or `restaurants`
+ * @param {string|object} input - Item name, or item object sent by a client
+ * @returns {{ item: object|null, error: string|null }} The normalised item, or what is wrong with it
+ */
+function sanitizeItem(list, input) {
+  const schema = ITEM_SCHEMAS[list];
+  const source = typeof input === 'string' ? { name: input } : input;
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return { item: null, error: 'must be a name or an object' };
+  const item = {};
+  for (const [key, raw] of Object.entries(source)) {
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (SYSTEM_FIELDS.includes(key)) {
+      item[key] = raw;
+    } else if (key === 'name') {
+      if (typeof value !== 'string' || !value) return { item: null, error: 'name is required' };
+      if (value.length > MAX_NAME_LENGTH) return { item: null, error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+      item.name = cleanName(value);
+    } else if (!schema[key]) {
+      return { item: null, error: `unknown field "${key}"` };
+    } else if (value !== null && value !== '') {
+      const problem = checkField(schema[key], value);
+      if (problem) return { item: null, error: `${key} ${problem}` };
+      item[key] = value;
+    }
+  }
+  if (!item.name) return { item: null, error: 'name is required' };
+  if (('lat' in item) !== ('lon' in item)) return { item: null, error: 'lat and lon must be given together' };
+  return { item, error: null };
+}
+
+/**
+ * Validates the optional coordinates of a city; coordinates set to null or an empty string are removed.
+ * Other city fields are left as they are.
+ * @param {object} city - City object sent by a client
+ * @returns {{ city: object|null, error: string|null }} The city, or what is wrong with its coordinates
+ */
+function sanitizeCityCoordinates(city) {
+  const result = { ...city };
+  for (const [key, spec] of Object.entries(COORDINATE_FIELDS)) {
+    if (!(key in result)) continue;
+    if (result[key] === null || result[key] === '') {
+      delete result[key];
+      continue;
+    }
+    const problem = checkField(spec, result[key]);
+    if (problem) return { city: null, error: `${key} ${problem}` };
+  }
+  if (('lat' in result) !== ('lon' in result)) return { city: null, error: 'lat and lon must be given together' };
+  return { city: result, error: null };
+}
+
+module.exports = {
+  ITEM_SCHEMAS,
+  SYSTEM_FIELDS,
+  sanitizeItem,
+  sanitizeCityCoordinates,
+};
@@ -0,0 +1,185 @@
+/**
+ * Itinerary routes, mounted by the city routes under `/:cityName/itinerary` and
+ * `/by-id/:cityId/itinerary`.
+ * Plans a trip to a city: its dates, and slots that schedule the city's attractions and
+ * restaurants on the days of the trip at a time of day (see itinerarySchema.js). Changes respond
+ * with the updated city, like the other city routes; GET responds with the day-by-day plan. The
+ * route of a day proposes, or applies, a short walking order for its attractions (see route.js).
+ */
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+
+const { readCities, saveUserCities, withDataLock, getUserCities } = require('./cityStore');
+const { listOwner, editableListOwner } = require('./listAccess');
+const { sameName } = require('./records');
+const {
+  MAX_SLOTS_PER_DAY, sanitizeTripDates, sanitizeSlot, compareSlots, addSlot, pruneItinerary, planDays, proposeRoute, applyRoute,
+} = require('./itinerarySchema');
+
+/**
+ * Builds the predicate for the city named by the mount path (`:cityId` or `:cityName`).
+ * @param {object} params - Route params
+ * @returns {Function} Predicate on cities
+ */
+function matchCity(params) {
+  return params.cityId !== undefined ? city => city.id === params.cityId : sameName(params.cityName);
+}
+
+/**
+ * Runs a change to the itinerary of a city of the request's list, then saves the cities.
+ * - Requires login and edit access to the list (owner or editor); responds 404 if the city is not found.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} change - Called with the city; returns an error response to stop without saving
+ */
+function changeItinerary(req, res, change) {
+  withDataLock(() => {
+    const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+    if (!owner) return;
+    const cities = readCities(owner, req.params.listId) || [];
+    const city = cities.find(matchCity(req.params));
+    if (!city) return res.status(404).json({ error: 'City not found' });
+    if (change(city)) return;
+    saveUserCities(owner, cities, req.params.listId); // Persist changes
+    res.json(city); // Respond with updated city
+  });
+}
+
+/**
+ * GET /
+ * Returns the day-by-day plan of a city of the logged-in user:
+ * `{ startDate, endDate, days: [{ date, slots: [{ id, time, list, itemId, name, notes }] }] }`.
+ * Every day of the trip is listed, with its slots in time order (slots without a time last).
+ * Responds 404 if the city is not found or has no itinerary.
+ */
+router.get('/', (req, res) => {
+  const owner = listOwner(req); // Owner of the list, or undefined for guests
+  const city = getUserCities(owner, { listId: req.params.listId }).find(matchCity(req.params));
+  if (!city) return res.status(404).json({ error: 'City not found' });
+  if (!city.itinerary) return res.status(404).json({ error: 'No itinerary' });
+  res.json(planDays(city));
+});
+
+/**
+ * PUT /
+ * Creates the itinerary of a city, or changes its trip dates.
+ * - Body: `{ itinerary: { startDate, endDate } }`, dates as `YYYY-MM-DD`; a trip lasts at most 14 days.
+ * - Slots on days that are no longer part of the trip are removed.
+ * Responds with the updated city or error.
+ */
+router.put('/', (req, res) => changeItinerary(req, res, city => {
+  const { dates, error } = sanitizeTripDates(req.body.itinerary);
+  if (error) return res.status(400).json({ error: `Invalid itinerary: ${error}` });
+  city.itinerary = { ...dates, slots: city.itinerary ? city.itinerary.slots : [] };
+  pruneItinerary(city);
+}));
+
+/**
+ * DELETE /
+ * Deletes the itinerary of a city, with all its slots.
+ * Responds with the updated city or error.
+ */
+router.delete('/', (req, res) => changeItinerary(req, res, city => {
+  delete city.itinerary;
+}));
+
+/**
+ * POST /slots
+ * Schedules an attraction or restaurant of the city on a day of the trip.
+ * - Body: `{ slot: { date, time, list, itemId, notes } }`; `time` (`HH:MM`) and `notes` are optional,
+ *   `list` is `attractions` or `restaurants` and `itemId` the ID of one of its items.
+ * - Limits each day to 10 slots.
+ * - Returns 404 if the city has no itinerary, 400 if the slot is invalid or its day is full.
+ * Responds with the updated city or error.
+ */
+router.post('/slots', (req, res) => changeItinerary(req, res, city => {
+  if (!city.itinerary) return res.status(404).json({ error: 'No itinerary' });
+  const { slot, error } = sanitizeSlot(req.body.slot, city);
+  if (error) return res.status(400).json({ error: `Invalid slot: ${error}` });
+  if (!addSlot(city.itinerary, slot)) return res.status(400).json({ error: `Slot limit (${MAX_SLOTS_PER_DAY}) reached for ${slot.date}` });
+}));
+
+/**
+ * PATCH /slots/:slotId
+ * Moves a slot to another day or time, or changes its item or notes.
+ * - Body: `{ slot: { ...fields to change } }`; `time` or `notes` set to null or '' are removed.
+ * - Returns 404 if the itinerary or slot is not found, 400 if the result is invalid or the new day is full.
+ * Responds with the updated city or error.
+ */
+router.patch('/slots/:slotId', (req, res) => changeItinerary(req, res, city => {
+  const slots = city.itinerary ? city.itinerary.slots : [];
+  const idx = slots.findIndex(slot => slot.id === req.params.slotId);
+  if (idx === -1) return res.status(404).json({ error: 'Slot not found' });
+  const changes = req.body.slot;
+  if (!changes || typeof changes !== 'object') return res.status(400).json({ error: 'Slot required' });
+  const current = slots[idx];
+  const { slot, error } = sanitizeSlot({ ...current, ...changes }, city);
+  if (error) return res.status(400).json({ error: `Invalid slot: ${error}` });
+  if (slot.date !== current.date && slots.filter(s => s.date === slot.date).length >= MAX_SLOTS_PER_DAY) {
+    return res.status(400).json({ error: `Slot limit (${MAX_SLOTS_PER_DAY}) reached for ${slot.date}` });
+  }
+  slots[idx] = { id: current.id, ...slot }; // Update, keeping the slot's ID
+  slots.sort(compareSlots);
+}));
+
+/**
+ * DELETE /slots/:slotId
+ * Removes a slot from the itinerary.
+ * Responds with the updated city or error.
+ */
+router.delete('/slots/:slotId', (req, res) => changeItinerary(req, res, city => {
+  if (!city.itinerary) return res.status(404).json({ error: 'No itinerary' });
+  city.itinerary.slots = city.itinerary.slots.filter(slot => slot.id !== req.params.slotId);
+}));
+
+/**
+ * Checks that a date is a day of a city's trip.
+ * @param {object} city - City record
+ * @param {string} date - Day from the route params
+ * @returns {string|null} Error message if the city has no itinerary or the date is not a day of the trip
+ */
+function checkDay(city, date) {
+  if (!city.itinerary) return 'No itinerary';
+  return date >= city.itinerary.startDate && date <= city.itinerary.endDate && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    ? null : 'Day not found';
+}
+
+/**
+ * GET /days/:date/route
+ * Proposes a visiting order for the attractions planned on a day, keeping the walk short
+ * (nearest neighbour and 2-opt over great-circle distances; see route.js). Reads the city like GET /.
+ * - Only attractions with coordinates are routed; other slots are listed in `skipped`.
+ * Responds with `{ date, order, stops, distanceKm, currentDistanceKm, skipped }` (see
+ * itinerarySchema.proposeRoute), or 404 if the city, itinerary or day is not found.
+ */
+router.get('/days/:date/route', (req, res) => {
+  const owner = listOwner(req); // Owner of the list, or undefined for guests
+  const city = getUserCities(owner, { listId: req.params.listId }).find(matchCity(req.params));
+  if (!city) return res.status(404).json({ error: 'City not found' });
+  const missing = checkDay(city, req.params.date);
+  if (missing) return res.status(404).json({ error: missing });
+  res.json(proposeRoute(city, req.params.date));
+});
+
+/**
+ * POST /days/:date/route
+ * Reorders the attractions planned on a day to follow the proposed route. The day keeps its times:
+ * the first stop takes the time of the first routed slot, and so on; other slots stay in place.
+ * - Requires login and edit access to the list; returns 404 if the city, itinerary or day is not found.
+ * Responds with the applied route, as GET /days/:date/route (`currentDistanceKm` is the walk before).
+ */
+router.post('/days/:date/route', (req, res) => withDataLock(() => {
+  const owner = editableListOwner(req, res); // Owner of the list, if the user may change it
+  if (!owner) return;
+  const cities = readCities(owner, req.params.listId) || [];
+  const city = cities.find(matchCity(req.params));
+  if (!city) return res.status(404).json({ error: 'City not found' });
+  const missing = checkDay(city, req.params.date);
+  if (missing) return res.status(404).json({ error: missing });
+  const route = proposeRoute(city, req.params.date);
+  applyRoute(city.itinerary, route);
+  saveUserCities(owner, cities, req.params.listId); // Persist changes
+  res.json(route); // Respond with the applied route
+}));
+
+module.exports = router;
@@ -0,0 +1,233 @@
+/**
+ * Itinerary of a city: trip dates and time slots that schedule the city's attractions and
+ * restaurants on the days of the trip. Stored on the city record:
+ *
+ *   itinerary: { startDate: '2026-05-01', endDate: '2026-05-03',
+ *                slots: [{ id, date, time, list, itemId, notes }, ...] }
+ *
+ * Dates are `YYYY-MM-DD` calendar dates; `time` is `HH:MM` (24-hour) or null for "any time";
+ * `list` and `itemId` reference an attraction or restaurant of the same city. The days of the trip
+ * are derived from its dates (see planDays), so a day without slots needs no storage. The
+ * attractions of a day can be put in a short walking order (see proposeRoute).
+ */
+const { ITEM_LISTS, generateId } = require('./records');
+const { pathDistance, optimiseRoute } = require('./route');
+
+// Longest trip, in days
+const MAX_TRIP_DAYS = 14;
+
+// Largest number of slots on one day
+const MAX_SLOTS_PER_DAY = 10;
+
+// Longest slot note
+const MAX_NOTES_LENGTH = 200;
+
+// Fields of a slot that clients may set
+const SLOT_FIELDS = ['date', 'time', 'list', 'itemId', 'notes'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reads a `YYYY-MM-DD` calendar date.
+ * @param {*} value
+ * @returns {string|null} The date, or null if it is not a valid date in that form
+ */
+function parseDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value ? value : null;
+}
+
+/**
+ * Lists the dates from start to end, both included.
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {Array<string>}
+ */
+function tripDates(startDate, endDate) {
+  const dates = [];
+  for (let time = Date.parse(`${startDate}T00:00:00Z`); time <= Date.parse(`${endDate}T00:00:00Z`); time += MS_PER_DAY) {
+    dates.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Validates the trip dates of an itinerary.
+ * @param {object} input - `{ startDate, endDate }` sent by a client
+ * @returns {{ dates: object|null, error: string|null }} `{ startDate, endDate }`, or what is wrong with them
+ */
+function sanitizeTripDates(input) {
+  if (!input || typeof input !== 'object') return { dates: null, error: 'startDate and endDate are required' };
+  const startDate = parseDate(input.startDate);
+  const endDate = parseDate(input.endDate);
+  if (!startDate || !endDate) return { dates: null, error: 'startDate and endDate must be dates (YYYY-MM-DD)' };
+  if (endDate < startDate) return { dates: null, error: 'endDate must not be before startDate' };
+  if (tripDates(startDate, endDate).length > MAX_TRIP_DAYS) {
+    return { dates: null, error: `A trip can last at most ${MAX_TRIP_DAYS} days` };
+  }
+  return { dates: { startDate, endDate }, error: null };
+}
+
+/**
+ * Validates a slot against the itinerary and city it belongs to.
+ * Strings are trimmed; `time` and `notes` set to null or an empty string are removed.
+ * @param {object} input - Slot fields sent by a client (merged over the stored slot, when updating)
+ * @param {object} city - City record holding the itinerary
+ * @returns {{ slot: object|null, error: string|null }} The slot without its ID, or what is wrong with it
+ */
+function sanitizeSlot(input, city) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { slot: null, error: 'must be an object' };
+  const slot = {};
+  for (const [key, raw] of Object.entries(input)) {
+    const value = typeof raw === 'string' ? raw.trim() : raw;
+    if (key === 'id') continue;
+    if (!SLOT_FIELDS.includes(key)) return { slot: null, error: `unknown field "${key}"` };
+    if (value !== null && value !== '') slot[key] = value;
+  }
+  const { startDate, endDate } = city.itinerary;
+  if (!parseDate(slot.date) || slot.date < startDate || slot.date > endDate) {
+    return { slot: null, error: `date must be a day of the trip (${startDate} to ${endDate})` };
+  }
+  if ('time' in slot && !/^([01]\d|2[0-3]):[0-5]\d$/.test(slot.time)) return { slot: null, error: 'time must be HH:MM' };
+  if (!ITEM_LISTS.includes(slot.list)) return { slot: null, error: `list must be one of: ${ITEM_LISTS.join(', ')}` };
+  if (!(city[slot.list] || []).some(item => item.id === slot.itemId)) {
+    return { slot: null, error: `itemId must be the ID of one of the city's ${slot.list}` };
+  }
+  if ('notes' in slot && (typeof slot.notes !== 'string' || slot.notes.length > MAX_NOTES_LENGTH)) {
+    return { slot: null, error: `notes must be a string of at most ${MAX_NOTES_LENGTH} characters` };
+  }
+  const result = { date: slot.date, time: slot.time || null, list: slot.list, itemId: slot.itemId };
+  if ('notes' in slot) result.notes = slot.notes;
+  return { slot: result, error: null };
+}
+
+/**
+ * Orders slots by date, then time; slots without a time come last in their day.
+ * @param {object} a
+ * @param {object} b
+ * @returns {number}
+ */
+function compareSlots(a, b) {
+  if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+  if (a.time === b.time) return 0;
+  if (!a.time || !b.time) return a.time ? -1 : 1;
+  return a.time < b.time ? -1 : 1;
+}
+
+/**
+ * Adds a slot to an itinerary, in place, keeping the slots in date and time order.
+ * @param {object} itinerary - Stored itinerary
+ * @param {object} slot - Sanitised slot (see sanitizeSlot)
+ * @returns {object|null} The slot record with its new ID, or null if its day is full
+ */
+function addSlot(itinerary, slot) {
+  if (itinerary.slots.filter(s => s.date === slot.date).length >= MAX_SLOTS_PER_DAY) return null;
+  const record = { id: generateId(), ...slot };
+  itinerary.slots.push(record);
+  itinerary.slots.sort(compareSlots);
+  return record;
+}
+
+/**
+ * Removes the slots that no longer fit their city, in place: slots outside the trip dates and
+ * slots of attractions or restaurants that were deleted.
+ * @param {object} city - City record
+ * @returns {object} The same city
+ */
+function pruneItinerary(city) {
+  const { itinerary } = city;
+  if (!itinerary) return city;
+  itinerary.slots = (itinerary.slots || []).filter(slot => slot.date >= itinerary.startDate
+    && slot.date <= itinerary.endDate
+    && (city[slot.list] || []).some(item => item.id === slot.itemId));
+  return city;
+}
+
+/**
+ * Builds the day-by-day plan of a city's itinerary.
+ * @param {object} city - City record with an itinerary
+ * @returns {object} `{ startDate, endDate, days: [{ date, slots: [{ id, time, list, itemId, name, notes }] }] }`,
+ *   with every day of the trip and its slots in time order; slots of missing items are left out
+ */
+function planDays(city) {
+  const { startDate, endDate, slots = [] } = city.itinerary;
+  const days = tripDates(startDate, endDate).map(date => ({ date, slots: [] }));
+  const byDate = new Map(days.map(day => [day.date, day]));
+  for (const slot of [...slots].sort(compareSlots)) {
+    const item = (city[slot.list] || []).find(entry => entry.id === slot.itemId);
+    const day = byDate.get(slot.date);
+    if (!item || !day) continue;
+    const { date, ...fields } = slot;
+    day.slots.push({ ...fields, name: item.name });
+  }
+  return { startDate, endDate, days };
+}
+
+/**
+ * Proposes a visiting order for the attractions planned on a day of the trip (see route.js).
+ * Only slots of attractions with coordinates are routed; restaurant slots and attractions without
+ * coordinates keep their place in the day.
+ * @param {object} city - City record with an itinerary
+ * @param {string} date - Day of the trip
+ * @returns {object} `{ date, order, stops, distanceKm, currentDistanceKm, skipped }`: the IDs of the
+ *   routed slots in the proposed order, those stops (`{ slotId, itemId, name, lat, lon }`) in that
+ *   order, the length of the proposed and the current walk in kilometres (rounded to 0.1 km), and the
+ *   slots left out (`{ slotId, name }`)
+ */
+function proposeRoute(city, date) {
+  const stops = [];
+  const skipped = [];
+  for (const slot of city.itinerary.slots.filter(s => s.date === date).sort(compareSlots)) {
+    const item = (city[slot.list] || []).find(entry => entry.id === slot.itemId);
+    if (!item) continue;
+    if (slot.list === 'attractions' && Number.isFinite(item.lat) && Number.isFinite(item.lon)) {
+      stops.push({ slotId: slot.id, itemId: item.id, name: item.name, lat: item.lat, lon: item.lon });
+    } else {
+      skipped.push({ slotId: slot.id, name: item.name });
+    }
+  }
+  const { order, distanceKm } = optimiseRoute(stops);
+  const round = km => Math.round(km * 10) / 10;
+  return {
+    date,
+    order: order.map(index => stops[index].slotId),
+    stops: order.map(index => stops[index]),
+    distanceKm: round(distanceKm),
+    currentDistanceKm: round(pathDistance(stops)),
+    skipped,
+  };
+}
+
+/**
+ * Reorders the routed slots of a day, in place, to follow a proposed route. The slots swap places:
+ * the first stop of the route takes the place (and time) of the first routed slot of the day, and so on,
+ * so the day keeps its times and its restaurant slots stay where they were.
+ * @param {object} itinerary - Stored itinerary
+ * @param {object} route - Route from proposeRoute()
+ * @returns {object} The same itinerary
+ */
+function applyRoute(itinerary, route) {
+  const day = itinerary.slots.filter(slot => slot.date === route.date).sort(compareSlots);
+  const positions = day.map((slot, index) => index).filter(index => route.order.includes(day[index].id));
+  const byId = new Map(day.map(slot => [slot.id, slot]));
+  const reordered = [...day];
+  route.order.forEach((slotId, k) => {
+    reordered[positions[k]] = { ...byId.get(slotId), time: day[positions[k]].time };
+  });
+  itinerary.slots = [...itinerary.slots.filter(slot => slot.date !== route.date), ...reordered].sort(compareSlots);
+  return itinerary;
+}
+
+module.exports = {
+  MAX_TRIP_DAYS,
+  MAX_SLOTS_PER_DAY,
+  sanitizeTripDates,
+  sanitizeSlot,
+  compareSlots,
+  addSlot,
+  pruneItinerary,
+  planDays,
+  proposeRoute,
+  applyRoute,
+};
@@ -0,0 +1,44 @@
+/**
+ * Access of the logged-in user to the list a city route works on.
+ * The city routes (city.js, itinerary.js) act on the user's default list under `/api/cities`, or on the
+ * list named in `/api/lists/:listId/cities`, which may be another user's list the user is a member of.
+ * The list routes (lists.js) resolve that list before the city routes run and store its owner and the
+ * user's role in `req.listAccess`. Cities are read and saved under the owner.
+ */
+const { OWNER_ROLE, canEdit } = require('./listSchema');
+
+/**
+ * Returns the user whose list a request reads.
+ * @param {object} req - Express request
+ * @returns {string|undefined} Owner of the list, or undefined for guests (who have no list)
+ */
+function listOwner(req) {
+  if (req.listAccess) return req.listAccess.owner;
+  return req.session.user && req.session.user.username; // Get username from session
+}
+
+/**
+ * Checks that the logged-in user may change the list of a request: its owner or an editor.
+ * Responds with 401 for guests and 403 for viewers.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {string|null} Owner of the list, or null after responding with an error
+ */
+function editableListOwner(req, res) {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  if (!username) {
+    res.status(401).json({ error: 'Login required' });
+    return null;
+  }
+  const { owner, role } = req.listAccess || { owner: username, role: OWNER_ROLE };
+  if (!canEdit(role)) {
+    res.status(403).json({ error: 'Viewers cannot change this list' });
+    return null;
+  }
+  return owner;
+}
+
+module.exports = {
+  listOwner,
+  editableListOwner,
+};
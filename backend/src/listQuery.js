@@ -0,0 +1,145 @@
+/**
+ * Query parameters of `GET /api/cities`: sorting, name filtering, pagination and field selection.
+ *
+ *   sort=rank|name|created|updated   Order of cities and items (default rank)
+ *   order=asc|desc                   Direction (default asc)
+ *   q=<text>                         Only cities whose name contains the text (ignoring case and accents)
+ *   limit=<n>&cursor=<cursor>        Page size (1-100) and the cursor returned for the next page
+ *   fields=name,rank,...             City fields to return (`id` is always returned)
+ *   include=attractions,restaurants  Item lists to inline
+ *
+ * Without `fields`, every city field and both item lists are returned; with `fields`, item lists
+ * are only returned when named in `include`. Without `limit`, the whole (trimmed) list is one page.
+ */
+const { normalizeText } = require('./fuzzy');
+
+// Orders accepted by `sort=`, as comparators of two cities or items
+const SORTS = {
+  rank: (a, b) => a.rank - b.rank,
+  name: (a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }),
+  created: (a, b) => String(a.createdAt).localeCompare(String(b.createdAt)),
+  updated: (a, b) => String(a.updatedAt).localeCompare(String(b.updatedAt)),
+};
+
+// Directions accepted by `order=`
+const ORDERS = ['asc', 'desc'];
+
+// City fields accepted by `fields=`
+const CITY_FIELDS = ['id', 'name', 'rank', 'createdAt', 'updatedAt'];
+
+// Item lists accepted by `include=`
+const INCLUDES = ['attractions', 'restaurants'];
+
+// Largest page accepted by `limit=`
+const MAX_LIMIT = 100;
+
+/**
+ * Encodes a list offset as an opaque cursor.
+ * @param {number} offset - Index of the first city of the next page
+ * @returns {string} Cursor
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor created by encodeCursor().
+ * @param {string} cursor - Cursor sent by the client
+ * @returns {number|null} The offset, or null if the cursor is invalid
+ */
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Splits a comma-separated query value into a list, checking each entry.
+ * @param {string} value - Query value (repeated parameters arrive joined by commas)
+ * @param {Array} allowed - Accepted entries
+ * @returns {{ list: Array, unknown: string|undefined }} The entries, and the first unknown one
+ */
+function readList(value, allowed) {
+  const list = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+  return { list, unknown: list.find(entry => !allowed.includes(entry)) };
+}
+
+/**
+ * Validates the query parameters of `GET /api/cities`.
+ * @param {object} [query] - Parsed query string
+ * @returns {{ options: object|null, error: string|null }} Options for applyListQuery(), or an error message
+ */
+function parseListQuery(query = {}) {
+  const { sort = 'rank', order = 'asc', q = '', limit, cursor, fields, include } = query;
+  const fail = error => ({ options: null, error });
+  if (!Object.hasOwn(SORTS, sort)) return fail(`Sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  if (!ORDERS.includes(order)) return fail(`Order must be one of: ${ORDERS.join(', ')}`);
+
+  const options = { sort, order, q: normalizeText(q), limit: null, offset: 0, fields: null, include: INCLUDES };
+  if (limit !== undefined) {
+    options.limit = Number(limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      return fail(`Limit must be an integer from 1 to ${MAX_LIMIT}`);
+    }
+  }
+  if (cursor !== undefined) {
+    options.offset = decodeCursor(String(cursor));
+    if (options.offset === null) return fail('Invalid cursor');
+  }
+  if (fields !== undefined) {
+    const { list, unknown } = readList(fields, CITY_FIELDS);
+    if (unknown) return fail(`Unknown field "${unknown}"; fields must be among: ${CITY_FIELDS.join(', ')}`);
+    options.fields = list;
+    options.include = [];
+  }
+  if (include !== undefined) {
+    const { list, unknown } = readList(include, INCLUDES);
+    if (unknown) return fail(`Unknown include "${unknown}"; include must be among: ${INCLUDES.join(', ')}`);
+    options.include = list;
+  }
+  return { options, error: null };
+}
+
+/**
+ * Returns the selected fields and item lists of a city.
+ * @param {object} city - City record
+ * @param {object} options - Options from parseListQuery()
+ * @returns {object} Projected city
+ */
+function projectCity(city, { fields, include }) {
+  const result = {};
+  for (const [key, value] of Object.entries(city)) {
+    if (INCLUDES.includes(key) ? include.includes(key) : !fields || key === 'id' || fields.includes(key)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Filters, paginates and projects a sorted, trimmed city list.
+ * @param {Array} cities - Cities as returned by getUserCities()
+ * @param {object} options - Options from parseListQuery()
+ * @returns {{ cities: Array, total: number, nextCursor: string|null }} The page, the number of
+ *   matching cities, and the cursor of the next page (null on the last page)
+ */
+function applyListQuery(cities, options) {
+  const matching = options.q ? cities.filter(city => normalizeText(city.name).includes(options.q)) : cities;
+  const end = options.limit === null ? matching.length : options.offset + options.limit;
+  return {
+    cities: matching.slice(options.offset, end).map(city => projectCity(city, options)),
+    total: matching.length,
+    nextCursor: end < matching.length ? encodeCursor(end) : null,
+  };
+}
+
+module.exports = {
+  SORTS,
+  ORDERS,
+  CITY_FIELDS,
+  parseListQuery,
+  applyListQuery,
+};
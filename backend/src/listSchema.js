@@ -0,0 +1,156 @@
+/**
+ * Named city lists.
+ *
+ * A user owns several lists ("Summer 2026", "Food weekend"), each holding its own ranked cities:
+ *
+ *   { id, name, createdAt, updatedAt, shareToken?, members?: [{ username, role, invitedAt }], cities: [city, ...] }
+ *
+ * The first list is the user's default list, used by the routes that do not name a list
+ * (`/api/cities`). Users who never saved a city have no lists until they do (see cityStore.js).
+ * List names are cleaned like city names and unique per user, ignoring case, diacritics and spacing.
+ * A list with a `shareToken` can be read without an account at `/api/shared/:token` (see shared.js).
+ *
+ * Lists are stored under their owner. The owner can invite other users by email as members, who
+ * work on the list with a role: editors change its cities like the owner, viewers only read it.
+ * Only the owner renames, shares or deletes the list and manages its members.
+ */
+const crypto = require('crypto');
+const { generateId, cleanName, nameKey } = require('./records');
+const { isValidEmail } = require('./email');
+
+// Name of the list created for users without one, and of the list that migration 7 wraps existing cities in
+const DEFAULT_LIST_NAME = 'My cities';
+
+// Maximum length of a list name
+const MAX_LIST_NAME_LENGTH = 100;
+
+// Roles of the users working on a list; the owner is the user the list is stored under
+const OWNER_ROLE = 'owner';
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+// Maximum number of members of a list, besides its owner
+const MAX_MEMBERS_PER_LIST = 20;
+
+/**
+ * Creates an empty list.
+ * @param {string} name - Cleaned list name
+ * @param {string} time - Creation time (see clock.js)
+ * @param {Array} [cities] - Initial cities
+ * @returns {object} List record
+ */
+function newList(name, time, cities = []) {
+  return { id: generateId(), name, createdAt: time, updatedAt: time, cities };
+}
+
+/**
+ * Generates a share token. Anyone who knows it can read the list, so it is long and random.
+ * @returns {string} URL-safe token
+ */
+function newShareToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Validates a list name sent by a client.
+ * @param {*} input - `name` of the request body's `list`
+ * @param {Array} lists - The user's lists, to check that the name is free
+ * @param {string} [ownId] - ID of the list being renamed, which may keep its own name
+ * @returns {{ name: string|null, error: string|null, existing: object|null }} The cleaned name, or what is
+ *   wrong with it (`existing` is the list that already has the name)
+ */
+function sanitizeListName(input, lists, ownId) {
+  if (typeof input !== 'string' || !cleanName(input)) return { name: null, error: 'List name required', existing: null };
+  const name = cleanName(input);
+  if (name.length > MAX_LIST_NAME_LENGTH) {
+    return { name: null, error: `List name must be at most ${MAX_LIST_NAME_LENGTH} characters`, existing: null };
+  }
+  const existing = lists.find(list => list.id !== ownId && nameKey(list.name) === nameKey(name));
+  if (existing) return { name: null, error: `List "${existing.name}" already exists`, existing };
+  return { name, error: null, existing: null };
+}
+
+/**
+ * Finds a list by ID, or the default (first) list when no ID is given.
+ * @param {Array} [lists] - A user's lists
+ * @param {string} [listId] - List ID
+ * @returns {object|undefined} The list
+ */
+function findList(lists, listId) {
+  if (!lists) return undefined;
+  return listId === undefined ? lists[0] : lists.find(list => list.id === listId);
+}
+
+/**
+ * Returns the role of a member of a list.
+ * @param {object} list - List record
+ * @param {string} username - Username of the member
+ * @returns {string|undefined} `editor` or `viewer`, or undefined if the user is not a member
+ */
+function memberRole(list, username) {
+  const member = (list.members || []).find(entry => entry.username === username);
+  return member && member.role;
+}
+
+/**
+ * Whether a role may change the cities of a list.
+ * @param {string} role - `owner`, `editor` or `viewer`
+ * @returns {boolean}
+ */
+function canEdit(role) {
+  return role === OWNER_ROLE || role === 'editor';
+}
+
+/**
+ * Validates a member sent by a client, for an invitation or a role change.
+ * @param {*} input - `member` of the request body: `{ username, role }`
+ * @param {string} owner - Owner of the list, who cannot be a member
+ * @returns {{ member: object|null, error: string|null }} The cleaned `{ username, role }`, or what is wrong with it
+ */
+function sanitizeMember(input, owner) {
+  if (!input || typeof input !== 'object') return { member: null, error: 'Member required' };
+  const username = typeof input.username === 'string' ? input.username.trim() : '';
+  if (!isValidEmail(username)) return { member: null, error: 'A valid email is required' };
+  if (username === owner) return { member: null, error: 'The owner cannot be invited' };
+  if (!MEMBER_ROLES.includes(input.role)) return { member: null, error: `Role must be one of: ${MEMBER_ROLES.join(', ')}` };
+  return { member: { username, role: input.role }, error: null };
+}
+
+/**
+ * Lists the users working on a list, the owner first.
+ * @param {object} list - List record
+ * @param {string} owner - Owner of the list
+ * @returns {Array<{ username: string, role: string }>}
+ */
+function listMembers(list, owner) {
+  return [{ username: owner, role: OWNER_ROLE }, ...(list.members || []).map(({ username, role }) => ({ username, role }))];
+}
+
+/**
+ * Describes a list without its cities, as returned by the list routes.
+ * The share token is only shown to the owner; members are listed by GET /api/lists/:listId/members.
+ * @param {object} list - List record
+ * @param {string} owner - Owner of the list
+ * @param {string} [role] - Role of the user the list is described for (defaults to the owner)
+ * @returns {object} `{ id, name, createdAt, updatedAt, shareToken?, owner, role, cityCount }`
+ */
+function toListSummary(list, owner, role = OWNER_ROLE) {
+  const { cities, members, shareToken, ...fields } = list;
+  return { ...fields, ...(role === OWNER_ROLE && shareToken && { shareToken }), owner, role, cityCount: cities.length };
+}
+
+module.exports = {
+  DEFAULT_LIST_NAME,
+  MAX_LIST_NAME_LENGTH,
+  OWNER_ROLE,
+  MEMBER_ROLES,
+  MAX_MEMBERS_PER_LIST,
+  newList,
+  newShareToken,
+  sanitizeListName,
+  findList,
+  memberRole,
+  canEdit,
+  sanitizeMember,
+  listMembers,
+  toListSummary,
+};
@@ -0,0 +1,260 @@
+/**
+ * Named list routes.
+ * A user owns several city lists ("Summer 2026", "Food weekend"; see listSchema.js). These routes
+ * create, rename, share and delete them, and mount the city routes (city.js) under `/:listId/cities`,
+ * scoped to one list. Lists belong to the logged-in user, so every route requires a login; shared
+ * lists are read through shared.js instead.
+ *
+ * The owner can invite other users by email to work on a list, as editors or viewers. Members see the
+ * list in GET / and reach its cities under `/:listId/cities`; only editors change them. No email is
+ * sent: the list shows up once the invited user logs in (or registers) with that address.
+ */
+const express = require('express');
+const router = express.Router();
+
+// Import global configuration
+const config = require('../config/config');
+const { readLists, saveUserLists, findMemberLists, resolveList, withDataLock } = require('./cityStore');
+const {
+  OWNER_ROLE, MAX_MEMBERS_PER_LIST, newList, newShareToken, sanitizeListName, sanitizeMember, listMembers, toListSummary,
+} = require('./listSchema');
+const clock = require('./clock');
+const cityRoutes = require('./city');
+
+/**
+ * Runs a read-modify-write cycle on the logged-in user's lists.
+ * - Requires authentication.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Function} change - Called with the lists, a function that saves them and the username; responds itself
+ */
+function changeLists(req, res, change) {
+  withDataLock(() => {
+    const username = req.session.user && req.session.user.username; // Get username from session
+    if (!username) return res.status(401).json({ error: 'Login required' });
+    const lists = readLists(username) || [];
+    change(lists, () => saveUserLists(username, lists), username);
+  });
+}
+
+/**
+ * Finds the list of the `:listId` route parameter among the logged-in user's own lists.
+ * Responds with 403 if it is another user's list the user is a member of, and 404 if it is not found.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {Array} lists - The user's own lists
+ * @returns {object|null} The list, or null after responding with an error
+ */
+function findOwnList(req, res, lists) {
+  const list = lists.find(entry => entry.id === req.params.listId);
+  if (list) return list;
+  if (resolveList(req.session.user.username, req.params.listId)) {
+    res.status(403).json({ error: 'Only the list owner can do this' });
+  } else {
+    res.status(404).json({ error: 'List not found' });
+  }
+  return null;
+}
+
+/**
+ * GET /
+ * Returns the lists the logged-in user works on, without their cities:
+ * `[{ id, name, createdAt, updatedAt, shareToken, owner, role, cityCount }]`.
+ * The user's own lists come first (`role: 'owner'`; `shareToken` only for shared lists), followed by the
+ * lists of other users they are a member of (`role: 'editor'` or `'viewer'`).
+ * The first list is the default list, used by `/api/cities`.
+ */
+router.get('/', (req, res) => {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  if (!username) return res.status(401).json({ error: 'Login required' });
+  const own = (readLists(username) || []).map(list => toListSummary(list, username));
+  const joined = findMemberLists(username).map(({ owner, list, role }) => toListSummary(list, owner, role));
+  res.json([...own, ...joined]);
+});
+
+/**
+ * POST /
+ * Creates an empty list.
+ * - Body: `{ list: { name } }`; names are unique per user, ignoring case, diacritics and spacing.
+ * - Limits to 5 lists per user (config `defaults.maxListsPerUser`).
+ * - Returns 400 for a missing or invalid name or when the limit is reached, 409 with the `existing`
+ *   list if the name is taken.
+ * Responds with the new list (as GET /) or error.
+ */
+router.post('/', (req, res) => changeLists(req, res, (lists, save, username) => {
+  const { name, error, existing } = sanitizeListName((req.body.list || {}).name, lists);
+  if (existing) return res.status(409).json({ error, existing: toListSummary(existing, username) });
+  if (error) return res.status(400).json({ error });
+  const maxLists = config.getMaxListsPerUser();
+  if (lists.length >= maxLists) return res.status(400).json({ error: `List limit (${maxLists}) reached` });
+  const list = newList(name, clock.now());
+  lists.push(list);
+  save(); // Persist changes
+  res.json(toListSummary(list, username)); // Respond with the new list
+}));
+
+/**
+ * PATCH /:listId
+ * Renames a list.
+ * - Body: `{ list: { name } }`.
+ * - Only the owner; returns 403 for members, 404 if the list is not found, 400 for an invalid name,
+ *   409 if the name is taken.
+ * Responds with the renamed list (as GET /) or error.
+ */
+router.patch('/:listId', (req, res) => changeLists(req, res, (lists, save, username) => {
+  const list = findOwnList(req, res, lists);
+  if (!list) return;
+  const { name, error, existing } = sanitizeListName((req.body.list || {}).name, lists, list.id);
+  if (existing) return res.status(409).json({ error, existing: toListSummary(existing, username) });
+  if (error) return res.status(400).json({ error });
+  if (name !== list.name) {
+    list.name = name;
+    list.updatedAt = clock.now();
+    save(); // Persist changes
+  }
+  res.json(toListSummary(list, username)); // Respond with the renamed list
+}));
+
+/**
+ * DELETE /:listId
+ * Deletes a list with all its cities. When the default list is deleted, the next list becomes the default.
+ * Its members lose access to it.
+ * - Only the owner; returns 403 for members, 404 if the list is not found.
+ * Responds with a success message or error.
+ */
+router.delete('/:listId', (req, res) => changeLists(req, res, (lists, save) => {
+  const list = findOwnList(req, res, lists);
+  if (!list) return;
+  lists.splice(lists.indexOf(list), 1); // Remove list
+  save(); // Persist changes
+  res.json({ message: 'List deleted' }); // Respond with success
+}));
+
+/**
+ * POST /:listId/share
+ * Creates a share token, so anyone with the link can read the list (GET /api/shared/:token) without an
+ * account. A list has one token; creating a new one revokes the previous link.
+ * - Only the owner; returns 403 for members, 404 if the list is not found.
+ * Responds with the list (as GET /), including its `shareToken`, or error.
+ */
+router.post('/:listId/share', (req, res) => changeLists(req, res, (lists, save, username) => {
+  const list = findOwnList(req, res, lists);
+  if (!list) return;
+  list.shareToken = newShareToken();
+  save(); // Persist changes
+  res.json(toListSummary(list, username)); // Respond with the shared list
+}));
+
+/**
+ * DELETE /:listId/share
+ * Revokes the share link of a list; GET /api/shared/:token then returns 404.
+ * - Only the owner; returns 403 for members, 404 if the list is not found.
+ * Responds with the list (as GET /) or error.
+ */
+router.delete('/:listId/share', (req, res) => changeLists(req, res, (lists, save, username) => {
+  const list = findOwnList(req, res, lists);
+  if (!list) return;
+  if (list.shareToken) {
+    delete list.shareToken;
+    save(); // Persist changes
+  }
+  res.json(toListSummary(list, username)); // Respond with the list
+}));
+
+/**
+ * GET /:listId/members
+ * Returns the users working on a list, the owner first: `[{ username, role }]`.
+ * - Open to the owner and the members; returns 404 for anyone else.
+ */
+router.get('/:listId/members', (req, res) => {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  if (!username) return res.status(401).json({ error: 'Login required' });
+  const access = resolveList(username, req.params.listId);
+  if (!access) return res.status(404).json({ error: 'List not found' });
+  res.json(listMembers(access.list, access.owner));
+});
+
+/**
+ * POST /:listId/members
+ * Invites a user by email to work on a list.
+ * - Body: `{ member: { username, role } }`, with `role` `editor` or `viewer`.
+ * - Limits to 20 members per list, besides the owner.
+ * - Only the owner; returns 403 for members, 404 if the list is not found, 400 for an invalid email or
+ *   role or when the limit is reached, 409 if the user is already a member.
+ * Responds with the members (as GET /:listId/members) or error.
+ */
+router.post('/:listId/members', (req, res) => changeLists(req, res, (lists, save, username) => {
+  const list = findOwnList(req, res, lists);
+  if (!list) return;
+  const { member, error } = sanitizeMember(req.body.member, username);
+  if (error) return res.status(400).json({ error });
+  const members = list.members || [];
+  if (members.some(entry => entry.username === member.username)) {
+    return res.status(409).json({ error: `${member.username} is already a member` });
+  }
+  if (members.length >= MAX_MEMBERS_PER_LIST) return res.status(400).json({ error: `Member limit (${MAX_MEMBERS_PER_LIST}) reached` });
+  list.members = [...members, { ...member, invitedAt: clock.now() }];
+  save(); // Persist changes
+  res.json(listMembers(list, username)); // Respond with the members
+}));
+
+/**
+ * PATCH /:listId/members/:username
+ * Changes the role of a member.
+ * - Body: `{ member: { role } }`.
+ * - Only the owner; returns 403 for members, 404 if the list or member is not found, 400 for an invalid role.
+ * Responds with the members (as GET /:listId/members) or error.
+ */
+router.patch('/:listId/members/:username', (req, res) => changeLists(req, res, (lists, save, username) => {
+  const list = findOwnList(req, res, lists);
+  if (!list) return;
+  const current = (list.members || []).find(entry => entry.username === req.params.username);
+  if (!current) return res.status(404).json({ error: 'Member not found' });
+  const { member, error } = sanitizeMember({ ...req.body.member, username: current.username }, username);
+  if (error) return res.status(400).json({ error });
+  if (member.role !== current.role) {
+    current.role = member.role;
+    save(); // Persist changes
+  }
+  res.json(listMembers(list, username)); // Respond with the members
+}));
+
+/**
+ * DELETE /:listId/members/:username
+ * Removes a member from a list. The owner can remove anyone; members can remove themselves to leave the list.
+ * - Returns 403 when a member removes someone else, 404 if the list or member is not found.
+ * Responds with the remaining members (as GET /:listId/members) or error.
+ */
+router.delete('/:listId/members/:username', (req, res) => withDataLock(() => {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  if (!username) return res.status(401).json({ error: 'Login required' });
+  const access = resolveList(username, req.params.listId);
+  if (!access) return res.status(404).json({ error: 'List not found' });
+  if (access.role !== OWNER_ROLE && req.params.username !== username) {
+    return res.status(403).json({ error: 'Only the list owner can remove other members' });
+  }
+  const lists = readLists(access.owner);
+  const list = lists.find(entry => entry.id === req.params.listId);
+  const members = list.members || [];
+  if (!members.some(entry => entry.username === req.params.username)) return res.status(404).json({ error: 'Member not found' });
+  list.members = members.filter(entry => entry.username !== req.params.username);
+  saveUserLists(access.owner, lists); // Persist changes
+  res.json(listMembers(list, access.owner)); // Respond with the remaining members
+}));
+
+/**
+ * City routes of one list (see city.js), e.g. GET /:listId/cities or POST /:listId/cities/:cityName/attractions.
+ * - Requires authentication; returns 404 if the list is not found or the user is neither its owner nor a member.
+ * - Stores the list's owner and the user's role in `req.listAccess` (see listAccess.js); viewers get 403
+ *   from the routes that change cities.
+ */
+router.use('/:listId/cities', (req, res, next) => {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  if (!username) return res.status(401).json({ error: 'Login required' });
+  const access = resolveList(username, req.params.listId);
+  if (!access) return res.status(404).json({ error: 'List not found' });
+  req.listAccess = { owner: access.owner, role: access.role };
+  next();
+}, cityRoutes);
+
+module.exports = router;
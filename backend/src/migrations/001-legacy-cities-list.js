@@ -0,0 +1,25 @@
+/**
+ * Migration 1: legacy top-level `cities` list.
+ *
+ * Older data files (like data_example.json) keep one shared list under `cities`, while the routes
+ * expect `{ [username]: [...], latest: [...] }`. A non-empty shared list becomes the `latest` guest
+ * view. `latest` is only ever a copy of some user's list, so replacing it loses no data.
+ * `legacyGuestList` records that it now holds the shared list, which migration 8 keeps.
+ */
+module.exports = {
+  version: 1,
+  description: 'Move the legacy top-level cities list into latest',
+
+  /**
+   * @param {object} data - Data object at schema version 0
+   * @returns {object} Data object at schema version 1
+   */
+  up(data) {
+    const { cities, ...rest } = data;
+    if (Array.isArray(cities) && cities.length > 0) {
+      rest.latest = cities;
+      rest.legacyGuestList = true;
+    }
+    return rest;
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 2: record IDs.
+ *
+ * Cities, attractions and restaurants were addressed by name only, and items were plain strings.
+ * Every city gets a generated `id`, and every item becomes an `{ id, name }` record.
+ */
+const { splitData } = require('../storage/layout');
+const { toCity } = require('../records');
+
+module.exports = {
+  version: 2,
+  description: 'Assign IDs to cities, attractions and restaurants',
+
+  /**
+   * @param {object} data - Data object at schema version 1
+   * @returns {object} Data object at schema version 2
+   */
+  up(data) {
+    const { shared, users } = splitData(data);
+    const result = { ...shared };
+    if (Array.isArray(shared.latest)) result.latest = shared.latest.map(city => toCity(city));
+    for (const [username, cities] of Object.entries(users)) {
+      result[username] = Array.isArray(cities) ? cities.map(city => toCity(city)) : cities;
+    }
+    return result;
+  },
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 3: explicit ranks.
+ *
+ * The order of a list was implied by insertion order. Every city and item gets a 1-based `rank`
+ * matching its current position, which the city routes keep up to date from then on.
+ */
+const { splitData } = require('../storage/layout');
+const { assignRanks } = require('../records');
+
+module.exports = {
+  version: 3,
+  description: 'Number cities, attractions and restaurants by rank',
+
+  /**
+   * @param {object} data - Data object at schema version 2
+   * @returns {object} Data object at schema version 3
+   */
+  up(data) {
+    const { shared, users } = splitData(data);
+    const result = { ...shared };
+    if (Array.isArray(shared.latest)) result.latest = assignRanks(shared.latest);
+    for (const [username, cities] of Object.entries(users)) {
+      result[username] = Array.isArray(cities) ? assignRanks(cities) : cities;
+    }
+    return result;
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Migration 4: structured attraction and restaurant records.
+ *
+ * Items were `{ id, name, rank }` records, and object items sent by clients were stored with
+ * whatever fields they carried. Items are now checked against the typed schema in itemSchema.js:
+ * names and details are trimmed, blank details are removed, and fields the schema does not know
+ * (or values it would reject) are dropped, so stored data matches what the routes accept.
+ */
+const { splitData } = require('../storage/layout');
+const { ITEM_LISTS, itemName } = require('../records');
+const { sanitizeItem } = require('../itemSchema');
+
+/**
+ * Keeps the parts of a stored item that the schema accepts.
+ * @param {string} list - `attractions` or `restaurants`
+ * @param {object} item - Stored item record
+ * @returns {object} Item record matching the schema
+ */
+function structureItem(list, item) {
+  const { id, rank, ...fields } = typeof item === 'object' && item ? item : { name: itemName(item) };
+  const result = { id, name: String(fields.name ?? '').trim() };
+  if (rank !== undefined) result.rank = rank;
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'name') continue;
+    const { item: checked } = sanitizeItem(list, { name: result.name || '-', [key]: value });
+    if (checked && key in checked) result[key] = checked[key];
+  }
+  return result;
+}
+
+/**
+ * Applies structureItem to every item of a city list.
+ * @param {Array} cities - A city list
+ * @returns {Array} New city list
+ */
+function structureCities(cities) {
+  return cities.map(city => {
+    const result = { ...city };
+    for (const list of ITEM_LISTS) {
+      if (Array.isArray(city[list])) result[list] = city[list].map(item => structureItem(list, item));
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  version: 4,
+  description: 'Check attraction and restaurant records against the item schema',
+
+  /**
+   * @param {object} data - Data object at schema version 3
+   * @returns {object} Data object at schema version 4
+   */
+  up(data) {
+    const { shared, users } = splitData(data);
+    const result = { ...shared };
+    if (Array.isArray(shared.latest)) result.latest = structureCities(shared.latest);
+    for (const [username, cities] of Object.entries(users)) {
+      result[username] = Array.isArray(cities) ? structureCities(cities) : cities;
+    }
+    return result;
+  },
+};
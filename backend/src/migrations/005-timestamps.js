@@ -0,0 +1,47 @@
+/**
+ * Migration 5: created/updated timestamps.
+ *
+ * Nothing recorded when a city or item was added or last changed. The real times are unknown, so
+ * every existing city and item gets the time of the migration as both `createdAt` and `updatedAt`;
+ * the city routes maintain them from then on.
+ */
+const { splitData } = require('../storage/layout');
+const { ITEM_LISTS } = require('../records');
+const clock = require('../clock');
+
+/**
+ * Adds missing timestamps to the cities of a list and their items.
+ * @param {Array} cities - A city list
+ * @param {string} time - Time of the migration
+ * @returns {Array} New city list
+ */
+function addTimestamps(cities, time) {
+  const withTimestamps = record => ({ createdAt: time, updatedAt: time, ...record });
+  return cities.map(city => {
+    const result = withTimestamps(city);
+    for (const list of ITEM_LISTS) {
+      if (Array.isArray(city[list])) result[list] = city[list].map(withTimestamps);
+    }
+    return result;
+  });
+}
+
+module.exports = {
+  version: 5,
+  description: 'Add createdAt/updatedAt timestamps to cities, attractions and restaurants',
+
+  /**
+   * @param {object} data - Data object at schema version 4
+   * @returns {object} Data object at schema version 5
+   */
+  up(data) {
+    const { shared, users } = splitData(data);
+    const result = { ...shared };
+    const time = clock.now();
+    if (Array.isArray(shared.latest)) result.latest = addTimestamps(shared.latest, time);
+    for (const [username, cities] of Object.entries(users)) {
+      result[username] = Array.isArray(cities) ? addTimestamps(cities, time) : cities;
+    }
+    return result;
+  },
+};
@@ -0,0 +1,40 @@
+/**
+ * Migration 6: city coordinates.
+ *
+ * Cities may now carry `lat`/`lon` coordinates, filled in from the gazetteer of European cities
+ * when they are added. Existing cities known to the gazetteer get its coordinates; other cities
+ * are left without. Attractions have no gazetteer, so they are left as they are.
+ */
+const { splitData } = require('../storage/layout');
+const { findPlace } = require('../gazetteer');
+
+/**
+ * Adds gazetteer coordinates to the cities of a list that have none.
+ * @param {Array} cities - A city list
+ * @returns {Array} New city list
+ */
+function addCoordinates(cities) {
+  return cities.map(city => {
+    const place = city && typeof city.name === 'string' && !('lat' in city) && findPlace(city.name);
+    return place ? { ...city, lat: place.lat, lon: place.lon } : city;
+  });
+}
+
+module.exports = {
+  version: 6,
+  description: 'Add gazetteer coordinates to known cities',
+
+  /**
+   * @param {object} data - Data object at schema version 5
+   * @returns {object} Data object at schema version 6
+   */
+  up(data) {
+    const { shared, users } = splitData(data);
+    const result = { ...shared };
+    if (Array.isArray(shared.latest)) result.latest = addCoordinates(shared.latest);
+    for (const [username, cities] of Object.entries(users)) {
+      result[username] = Array.isArray(cities) ? addCoordinates(cities) : cities;
+    }
+    return result;
+  },
+};
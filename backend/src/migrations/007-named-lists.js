@@ -0,0 +1,29 @@
+/**
+ * Migration 7: named lists.
+ *
+ * A user owned a single city list; users now own several named lists (see listSchema.js). Each
+ * existing city list is wrapped into a default list, stamped with the migration time. Entries that
+ * already hold lists are left alone. `latest` stays a plain city list.
+ */
+const { splitData, holdsLists } = require('../storage/layout');
+const { DEFAULT_LIST_NAME, newList } = require('../listSchema');
+const clock = require('../clock');
+
+module.exports = {
+  version: 7,
+  description: 'Wrap the city list of each user into a default named list',
+
+  /**
+   * @param {object} data - Data object at schema version 6
+   * @returns {object} Data object at schema version 7
+   */
+  up(data) {
+    const { shared, users } = splitData(data);
+    const result = { ...shared };
+    const time = clock.now();
+    for (const [username, cities] of Object.entries(users)) {
+      result[username] = Array.isArray(cities) && !holdsLists(cities) ? [newList(DEFAULT_LIST_NAME, time, cities)] : cities;
+    }
+    return result;
+  },
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration 8: drop the `latest` guest view.
+ *
+ * Every change to a city list copied that list into `latest`, which guests were shown, so visitors
+ * saw the cities of whichever user changed something last. Guests now see the public showcase of
+ * the users who opted in (see showcase.js); the stored copy is removed.
+ *
+ * `latest` is not always a copy: migration 1 moved the shared list of older data files (like
+ * data_example.json) there, marking it with `legacyGuestList`. That list, which was public already,
+ * is kept as a public, featured list of the showcase owner, so guests still see it. Any other
+ * `latest` is a copy of a user's list, which may be private, and is never published. (Migration 2
+ * gave the copy's cities IDs of their own, so it cannot be told apart from the original by ID.)
+ */
+const { newList } = require('../listSchema');
+const { SHOWCASE_OWNER } = require('../showcase');
+const clock = require('../clock');
+
+// Name of the list the legacy guest list is kept in
+const GUEST_LIST_NAME = 'Shared cities';
+
+module.exports = {
+  version: 8,
+  description: 'Drop the latest guest view, keeping a legacy guest list as a featured showcase list',
+
+  /**
+   * @param {object} data - Data object at schema version 7
+   * @returns {object} Data object at schema version 8
+   */
+  up(data) {
+    const { latest, legacyGuestList, ...rest } = data;
+    if (!legacyGuestList || !Array.isArray(latest) || latest.length === 0) return rest;
+
+    const list = newList(GUEST_LIST_NAME, clock.now(), latest);
+    const showcase = rest.showcase || {};
+    const publicUsers = Array.isArray(showcase.publicUsers) ? showcase.publicUsers : [];
+    return {
+      ...rest,
+      [SHOWCASE_OWNER]: [...(Array.isArray(rest[SHOWCASE_OWNER]) ? rest[SHOWCASE_OWNER] : []), list],
+      showcase: {
+        publicUsers: publicUsers.includes(SHOWCASE_OWNER) ? publicUsers : [...publicUsers, SHOWCASE_OWNER],
+        featured: [...(Array.isArray(showcase.featured) ? showcase.featured : []), list.id],
+      },
+    };
+  },
+};
@@ -0,0 +1,82 @@
+/**
+ * Schema migrations for the city data object.
+ *
+ * The data object carries a `schemaVersion` field (missing means version 0). Each migration
+ * upgrades the data by exactly one version; the runner applies every pending migration in order.
+ * Migrations run on server startup, before it accepts requests, and from `config/migrate-data.js`.
+ * The routes expect current data, so the server is restarted after switching data files.
+ */
+const migrations = [
+  require('./001-legacy-cities-list'),
+  require('./002-record-ids'),
+  require('./003-ranks'),
+  require('./004-structured-items'),
+  require('./005-timestamps'),
+  require('./006-city-coordinates'),
+  require('./007-named-lists'),
+  require('./008-drop-latest'),
+];
+
+// Schema version written by this version of the backend
+const CURRENT_SCHEMA_VERSION = migrations.length;
+
+/**
+ * Returns the schema version of a data object.
+ * @param {object} data - The data object
+ * @returns {number} Schema version (0 for files written before versioning)
+ */
+function getSchemaVersion(data) {
+  return (data && data.schemaVersion) || 0;
+}
+
+/**
+ * Lists the migrations that still have to run for a given schema version.
+ * @param {number} version - Current schema version of the data
+ * @returns {Array} Pending migrations, in order
+ * @throws {Error} If the data was written by a newer backend
+ */
+function pendingMigrations(version) {
+  if (version > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Data schema version ${version} is newer than supported version ${CURRENT_SCHEMA_VERSION}`);
+  }
+  return migrations.filter(migration => migration.version > version);
+}
+
+/**
+ * Upgrades a data object to the current schema. The input is not modified.
+ * @param {object} data - The data object
+ * @returns {{ data: object, applied: Array<number> }} Migrated data and the versions applied
+ */
+function migrateData(data) {
+  let result = structuredClone(data || {});
+  const applied = [];
+  for (const migration of pendingMigrations(getSchemaVersion(result))) {
+    result = { ...migration.up(result), schemaVersion: migration.version };
+    applied.push(migration.version);
+  }
+  return { data: result, applied };
+}
+
+/**
+ * Upgrades the data held by a storage adapter and persists it if anything changed.
+ * The version check reads a single entry, so up-to-date stores are cheap to check.
+ * @param {object} adapter - Storage adapter
+ * @returns {Array<number>} The versions applied (empty if the data was already current)
+ */
+function migrateStorage(adapter) {
+  if (pendingMigrations(adapter.readEntry('schemaVersion') || 0).length === 0) return [];
+  return adapter.lockData(() => {
+    const { data, applied } = migrateData(adapter.readData());
+    if (applied.length > 0) adapter.writeData(data);
+    return applied;
+  });
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  migrations,
+  getSchemaVersion,
+  pendingMigrations,
+  migrateData,
+  migrateStorage,
+};
@@ -0,0 +1,135 @@
+/**
+ * Place routes.
+ * Autocomplete for city names from the offline gazetteer of European cities (see gazetteer/),
+ * used by the "Add City" input, and a search for the saved cities and attractions near a point
+ * ("what else is near Rome on my list?"). No external service is called.
+ */
+const express = require('express');
+const router = express.Router();
+
+const { readLists, getUserCities } = require('./cityStore');
+const { findPublicLists } = require('./showcase');
+const { suggestPlaces } = require('./gazetteer');
+const { distanceKm } = require('./distance');
+
+// Default and largest number of suggestions returned
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 20;
+
+// Longest accepted query
+const MAX_QUERY_LENGTH = 100;
+
+// Default and largest search radius of nearby places, in kilometres
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 1000;
+
+// Default and largest number of nearby places returned
+const DEFAULT_NEARBY_LIMIT = 20;
+const MAX_NEARBY_LIMIT = 50;
+
+/**
+ * Reads a number from a query parameter.
+ * @param {string} value - Query parameter
+ * @param {number} min - Smallest accepted value
+ * @param {number} max - Largest accepted value
+ * @returns {number|null} The number, or null if it is missing, not a number or out of range
+ */
+function readNumber(value, min, max) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Lists the cities and attractions of a city list that have coordinates, with their distance from a point.
+ * @param {Array} cities - City list
+ * @param {{ lat: number, lon: number }} center - Point to measure from
+ * @param {string} source - `mine` or `public`, reported with each place
+ * @returns {Array} `{ type, cityId, cityName, itemId?, name, lat, lon, distanceKm, source }`
+ */
+function placesNear(cities, center, source) {
+  const places = [];
+  const add = (place, record) => {
+    if (!Number.isFinite(record.lat) || !Number.isFinite(record.lon)) return;
+    const distance = distanceKm(center, record);
+    places.push({ ...place, name: record.name, lat: record.lat, lon: record.lon, distanceKm: distance, source });
+  };
+  for (const city of cities) {
+    add({ type: 'city', cityId: city.id, cityName: city.name }, city);
+    for (const attraction of city.attractions || []) {
+      add({ type: 'attraction', cityId: city.id, cityName: city.name, itemId: attraction.id }, attraction);
+    }
+  }
+  return places;
+}
+
+/**
+ * GET /cities
+ * Suggests European cities for a partly typed name.
+ * - `q` (required): typed text; accents and case are ignored, local names ("Köln") and small typos
+ *   are matched.
+ * - `limit`: number of suggestions, 1-20 (default 10).
+ * - Returns error for a missing or too long query or an invalid limit.
+ * Responds with suggestions ordered by score, then population:
+ * `{ name, country, countryCode, lat, lon, matched, score }`, where `matched` is the alias that
+ * matched (or null for the English name).
+ */
+router.get('/cities', (req, res) => {
+  const { q = '', limit = String(DEFAULT_LIMIT) } = req.query || {};
+  const query = String(q).trim();
+  if (!query) return res.status(400).json({ error: 'Query required' });
+  if (query.length > MAX_QUERY_LENGTH) return res.status(400).json({ error: `Query must be at most ${MAX_QUERY_LENGTH} characters` });
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_LIMIT) {
+    return res.status(400).json({ error: `Limit must be an integer from 1 to ${MAX_LIMIT}` });
+  }
+  res.json(suggestPlaces(query, max));
+});
+
+/**
+ * GET /nearby
+ * Finds the cities and attractions within a radius of a point, nearest first, measured along the
+ * great circle. Searches the cities of each of the logged-in user's lists and of the public showcase
+ * (the only ones for guests; see showcase.js), read like GET /api/cities (see cityStore.getUserCities); places without
+ * coordinates are left out.
+ * - `lat` (required, -90 to 90) and `lon` (required, -180 to 180): the point, in decimal degrees.
+ * - `km`: radius in kilometres, above 0 and at most 1000 (default 50).
+ * - `limit`: number of places, 1-50 (default 20).
+ * - Returns error for missing or invalid coordinates, radius or limit.
+ * Responds with `{ type, cityId, cityName, itemId, name, lat, lon, distanceKm, source, listId }` for each
+ * place (`type` is `city` or `attraction`, `itemId` is set for attractions, `source` is `mine` or
+ * `public`, `listId` is set for the user's own places), with distances rounded to 0.1 km.
+ */
+router.get('/nearby', (req, res) => {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  const query = req.query || {};
+  const lat = readNumber(query.lat, -90, 90);
+  const lon = readNumber(query.lon, -180, 180);
+  if (lat === null || lon === null) {
+    return res.status(400).json({ error: 'lat (-90 to 90) and lon (-180 to 180) are required' });
+  }
+  const km = query.km === undefined ? DEFAULT_RADIUS_KM : readNumber(query.km, 0, MAX_RADIUS_KM);
+  if (!km) return res.status(400).json({ error: `km must be a number above 0 and at most ${MAX_RADIUS_KM}` });
+  const max = query.limit === undefined ? DEFAULT_NEARBY_LIMIT : Number(query.limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_NEARBY_LIMIT) {
+    return res.status(400).json({ error: `Limit must be an integer from 1 to ${MAX_NEARBY_LIMIT}` });
+  }
+
+  const center = { lat, lon };
+  let places = [];
+  const seen = new Set(); // City IDs already searched (the user's own lists may be public)
+  for (const list of (username && readLists(username)) || []) {
+    const mine = getUserCities(username, { listId: list.id });
+    mine.forEach(city => seen.add(city.id));
+    places = places.concat(placesNear(mine, center, 'mine').map(place => ({ ...place, listId: list.id })));
+  }
+  const shared = findPublicLists()
+    .flatMap(({ owner, list }) => getUserCities(owner, { listId: list.id }))
+    .filter(city => !seen.has(city.id));
+  places = places.concat(placesNear(shared, center, 'public'));
+  places = places.filter(place => place.distanceKm <= km);
+  places.sort((a, b) => a.distanceKm - b.distanceKm); // Stable: ties keep cities before their attractions
+  res.json(places.slice(0, max).map(place => ({ ...place, distanceKm: Math.round(place.distanceKm * 10) / 10 })));
+});
+
+module.exports = router;
@@ -0,0 +1,73 @@
+/**
+ * Popularity rankings across users' city lists.
+ *
+ * A city (or an attraction or restaurant of a city) is as popular as the number of lists it appears
+ * in. Names are matched ignoring case, diacritics and spacing (see records.nameKey), since the same
+ * city has a different ID in every list. Ties are broken by the average position in those lists
+ * (`rank`, 1 = top), then by name; entries tied on both share a rank position, as in "1, 2, 2, 4".
+ */
+const { ITEM_LISTS, nameKey } = require('./records');
+
+/**
+ * Counts one list's entries into a tally.
+ * @param {Map} tally - Map of name key to `{ name, count, positions }`, updated in place
+ * @param {Array} entries - Cities or items of one list, in rank order
+ */
+function countEntries(tally, entries) {
+  entries.forEach((entry, index) => {
+    const key = nameKey(entry.name);
+    if (!tally.has(key)) tally.set(key, { name: entry.name, count: 0, positions: [] }); // First spelling seen is shown
+    const counted = tally.get(key);
+    counted.count += 1;
+    counted.positions.push(entry.rank || index + 1);
+  });
+}
+
+/**
+ * Orders a tally into a ranking.
+ * @param {Map} tally - Map of name key to `{ name, count, positions }`
+ * @returns {Array<{ rank: number, name: string, count: number, averageRank: number }>} Most popular first;
+ *   `averageRank` is rounded to 0.1
+ */
+function rankTally(tally) {
+  const entries = [...tally.values()].map(({ name, count, positions }) => ({
+    name,
+    count,
+    averageRank: Math.round(positions.reduce((sum, position) => sum + position, 0) / positions.length * 10) / 10,
+  }));
+  entries.sort((a, b) => b.count - a.count || a.averageRank - b.averageRank || a.name.localeCompare(b.name));
+  let rank = 0;
+  return entries.map((entry, index) => {
+    const previous = entries[index - 1];
+    if (!previous || previous.count !== entry.count || previous.averageRank !== entry.averageRank) rank = index + 1;
+    return { rank, ...entry };
+  });
+}
+
+/**
+ * Ranks the cities of a set of lists, and the attractions and restaurants of each city.
+ * @param {Array<Array>} lists - City lists (each an array of cities with their items, in rank order)
+ * @returns {{ cities: Array, items: Map }} The city ranking, and a map of city name key to
+ *   `{ attractions, restaurants }` rankings
+ */
+function buildRankings(lists) {
+  const cities = new Map();
+  const items = new Map();
+  for (const list of lists) {
+    countEntries(cities, list);
+    for (const city of list) {
+      const key = nameKey(city.name);
+      if (!items.has(key)) items.set(key, Object.fromEntries(ITEM_LISTS.map(itemList => [itemList, new Map()])));
+      ITEM_LISTS.forEach(itemList => countEntries(items.get(key)[itemList], city[itemList] || []));
+    }
+  }
+  const rankedItems = new Map();
+  for (const [key, tallies] of items) {
+    rankedItems.set(key, Object.fromEntries(ITEM_LISTS.map(itemList => [itemList, rankTally(tallies[itemList])])));
+  }
+  return { cities: rankTally(cities), items: rankedItems };
+}
+
+module.exports = {
+  buildRankings,
+};
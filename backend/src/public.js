@@ -0,0 +1,103 @@
+/**
+ * Public showcase routes.
+ * Guests see the lists of the users who made their lists public (PATCH /api/users/me), instead of
+ * another user's cities: the lists featured by admins, then the most recently updated ones. The owners
+ * are not included. Admins (config `admins`) choose the featured lists.
+ */
+const express = require('express');
+const router = express.Router();
+
+// Import global configuration
+const config = require('../config/config');
+const { getUserCities, withDataLock } = require('./cityStore');
+const { readShowcase, findPublicLists, setFeatured } = require('./showcase');
+
+// Number of recently updated lists in the showcase, besides the featured ones
+const RECENT_LISTS = 10;
+
+/**
+ * Describes a public list for guests, with its cities limited and ordered like GET /api/cities.
+ * @param {{ owner: string, list: object }} entry - A public list and its owner
+ * @returns {object} `{ id, name, updatedAt, cities }`
+ */
+function toPublicList({ owner, list }) {
+  return { id: list.id, name: list.name, updatedAt: list.updatedAt, cities: getUserCities(owner, { listId: list.id }) };
+}
+
+/**
+ * Builds the showcase: the featured lists in the order they were featured, then the most recently
+ * updated other lists that hold cities.
+ * @returns {{ featured: Array, recent: Array }}
+ */
+function showcaseLists() {
+  const lists = findPublicLists();
+  const order = readShowcase().featured;
+  const featured = lists.filter(entry => entry.featured)
+    .sort((a, b) => order.indexOf(a.list.id) - order.indexOf(b.list.id));
+  const recent = lists.filter(entry => !entry.featured && entry.list.cities.length > 0)
+    .sort((a, b) => String(b.list.updatedAt).localeCompare(String(a.list.updatedAt)))
+    .slice(0, RECENT_LISTS);
+  return { featured: featured.map(toPublicList), recent: recent.map(toPublicList) };
+}
+
+/**
+ * Checks that the logged-in user is an admin.
+ * Responds with 401 for guests and 403 for other users.
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @returns {boolean} True if the user is an admin, false after responding with an error
+ */
+function requireAdmin(req, res) {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  if (!username) {
+    res.status(401).json({ error: 'Login required' });
+    return false;
+  }
+  if (!config.isAdmin(username)) {
+    res.status(403).json({ error: 'Admins only' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /lists
+ * Returns the public showcase: `{ featured: [list], recent: [list] }`, each list `{ id, name, updatedAt, cities }`.
+ * - No login required.
+ * - `recent` holds up to 10 lists with cities, most recently updated first, without the featured ones.
+ */
+router.get('/lists', (req, res) => {
+  res.json(showcaseLists());
+});
+
+/**
+ * PUT /featured/:listId
+ * Features a public list, after the lists featured before it.
+ * - Admins only; returns 401 for guests, 403 for other users, 404 if the list is not public.
+ * Responds with the showcase (as GET /lists) or error.
+ */
+router.put('/featured/:listId', (req, res) => withDataLock(() => {
+  if (!requireAdmin(req, res)) return;
+  if (!findPublicLists().some(({ list }) => list.id === req.params.listId)) {
+    return res.status(404).json({ error: 'Public list not found' });
+  }
+  setFeatured(req.params.listId, true);
+  res.json(showcaseLists()); // Respond with the showcase
+}));
+
+/**
+ * DELETE /featured/:listId
+ * Stops featuring a list; it stays public.
+ * - Admins only; returns 401 for guests, 403 for other users, 404 if the list is not featured.
+ * Responds with the showcase (as GET /lists) or error.
+ */
+router.delete('/featured/:listId', (req, res) => withDataLock(() => {
+  if (!requireAdmin(req, res)) return;
+  if (!readShowcase().featured.includes(req.params.listId)) {
+    return res.status(404).json({ error: 'Featured list not found' });
+  }
+  setFeatured(req.params.listId, false);
+  res.json(showcaseLists()); // Respond with the showcase
+}));
+
+module.exports = router;
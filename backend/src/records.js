@@ -0,0 +1,187 @@
+/**
+ * Helpers for the records stored in a city list.
+ *
+ * Every city and every attraction/restaurant carries a generated `id`, so routes can address
+ * them independently of their (user-editable) names, and a 1-based `rank` (its list position):
+ *
+ *   { id, name, rank, attractions: [{ id, name, rank }, ...], restaurants: [{ id, name, rank }, ...] }
+ *
+ * Attractions and restaurants may also carry the detail fields described in itemSchema.js.
+ * Cities and items also carry `createdAt`/`updatedAt` ISO timestamps, set by stampTimestamps(), and a city
+ * may carry the `itinerary` of a trip (see itinerarySchema.js).
+ *
+ * Names are stored cleaned (cleanName) and compared by nameKey(), which ignores case, diacritics and
+ * spacing, so "Champs-Elysées" and "champs-élysées " name the same attraction.
+ */
+const crypto = require('crypto');
+const { normalizeText } = require('./fuzzy');
+
+// City properties that hold lists of items
+const ITEM_LISTS = ['attractions', 'restaurants'];
+
+/**
+ * Generates a new record ID.
+ * @returns {string} A random UUID
+ */
+function generateId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Display name of an attraction or restaurant (plain string or object with a name).
+ * @param {string|object} item
+ * @returns {string|undefined}
+ */
+function itemName(item) {
+  return typeof item === 'string' ? item : item && item.name;
+}
+
+/**
+ * Cleans a user-entered name for storage: Unicode NFC form, trimmed, inner whitespace collapsed.
+ * @param {string} name
+ * @returns {string}
+ */
+function cleanName(name) {
+  return String(name).normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Key under which names are compared: case, diacritics and spacing are ignored.
+ * @param {string} name
+ * @returns {string} e.g. "champs-elysees" for "Champs-Élysées"
+ */
+function nameKey(name) {
+  return normalizeText(name);
+}
+
+/**
+ * Builds a predicate matching records whose name is the same as the given one (see nameKey).
+ * @param {string} name
+ * @returns {Function} Predicate on cities or items
+ */
+function sameName(name) {
+  const key = nameKey(name);
+  return record => nameKey(record.name) === key;
+}
+
+/**
+ * Turns a plain string or item object into an item record with an ID.
+ * IDs sent by a client are only kept if they belong to an existing item of the list; otherwise
+ * the item reuses the ID of an existing item with the same name, or gets a new one.
+ * @param {string|object} item - Item name or object with a name
+ * @param {Array} [existing] - Current items of the list, to keep their IDs stable
+ * @returns {object} Item record `{ id, name, ... }`
+ */
+function toItem(item, existing = []) {
+  const { id, ...fields } = typeof item === 'string' ? { name: item } : item;
+  const match = existing.find(e => id && e.id === id) || existing.find(sameName(fields.name));
+  return { id: match ? match.id : generateId(), ...fields };
+}
+
+/**
+ * Turns a city object into a city record, assigning IDs to the city and its items.
+ * @param {object} city - City object as stored or sent by a client
+ * @param {object} [existing] - Stored city it replaces, to keep its IDs stable
+ * @returns {object} City record
+ */
+function toCity(city, existing) {
+  const record = { id: null, ...city }; // Keeps `id` as the first key
+  record.id = existing ? existing.id : generateId(); // Client-sent city IDs are never trusted
+  for (const list of ITEM_LISTS) {
+    const current = (existing && existing[list]) || [];
+    record[list] = (city[list] || []).map(item => toItem(item, current));
+  }
+  return record;
+}
+
+/**
+ * Numbers cities and their items by list position, in place (rank 1 is the top of the list).
+ * The array order is the source of truth; ranks are renumbered on every write.
+ * @param {Array} cities - A city list
+ * @returns {Array} The same list
+ */
+function assignRanks(cities) {
+  cities.forEach((city, index) => {
+    city.rank = index + 1;
+    for (const list of ITEM_LISTS) {
+      (city[list] || []).forEach((item, itemIndex) => { item.rank = itemIndex + 1; });
+    }
+  });
+  return cities;
+}
+
+/**
+ * Moves an entry of a list to a 1-based position, in place. Positions past the end move it last.
+ * @param {Array} list - Cities or items
+ * @param {number} from - Current index of the entry
+ * @param {number} position - Target position (1 is the top)
+ * @returns {Array} The same list
+ */
+function moveToPosition(list, from, position) {
+  const [entry] = list.splice(from, 1);
+  list.splice(Math.min(position, list.length + 1) - 1, 0, entry);
+  return list;
+}
+
+/**
+ * Lists the content of a record that counts as a change: everything except its rank and
+ * timestamps (including those of its items), with keys sorted so key order does not matter.
+ * @param {object} record - City or item record
+ * @returns {Array} Comparable [key, value] pairs
+ */
+function contentOf(record) {
+  const { rank, createdAt, updatedAt, ...fields } = record;
+  return Object.keys(fields).sort().map(key => [
+    key,
+    ITEM_LISTS.includes(key) && Array.isArray(fields[key]) ? fields[key].map(contentOf) : fields[key],
+  ]);
+}
+
+/**
+ * Sets the timestamps of a record, in place, from the stored record with the same ID.
+ * @param {object} record - City or item record about to be written
+ * @param {object} [stored] - Stored version of the record, if any
+ * @param {string} time - Current time
+ */
+function stamp(record, stored, time) {
+  const unchanged = stored && JSON.stringify(contentOf(record)) === JSON.stringify(contentOf(stored));
+  record.createdAt = (stored && stored.createdAt) || time;
+  record.updatedAt = (unchanged && stored.updatedAt) || time;
+}
+
+/**
+ * Maintains `createdAt`/`updatedAt` on a city list about to be written, in place.
+ * New cities and items get both timestamps; `updatedAt` changes when a record's content does
+ * (for a city, that includes adding, editing, removing or reordering its items), but not when
+ * only its rank does. Timestamps sent by clients are ignored.
+ * @param {Array} cities - The city list about to be written
+ * @param {Array} stored - The city list currently stored
+ * @param {string} time - Current time (see clock.js)
+ * @returns {Array} The same list
+ */
+function stampTimestamps(cities, stored, time) {
+  const storedCities = new Map((stored || []).map(city => [city.id, city]));
+  for (const city of cities) {
+    const storedCity = storedCities.get(city.id);
+    stamp(city, storedCity, time);
+    for (const list of ITEM_LISTS) {
+      const storedItems = new Map(((storedCity && storedCity[list]) || []).map(item => [item.id, item]));
+      (city[list] || []).forEach(item => stamp(item, storedItems.get(item.id), time));
+    }
+  }
+  return cities;
+}
+
+module.exports = {
+  ITEM_LISTS,
+  generateId,
+  itemName,
+  cleanName,
+  nameKey,
+  sameName,
+  toItem,
+  toCity,
+  assignRanks,
+  moveToPosition,
+  stampTimestamps,
+};
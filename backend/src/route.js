@@ -0,0 +1,94 @@
+/**
+ * Visiting order for a day of an itinerary, keeping the walk between stops short.
+ *
+ * The route is an open path (it need not return to where it started) measured in great-circle
+ * kilometres between the stops, so it estimates the walk as the crow flies. It is built by the
+ * nearest-neighbour heuristic from every stop in turn, each improved with 2-opt (reversing stretches
+ * of the path while that shortens it), and the shortest result is kept. A day holds few stops, so
+ * this is cheap, and it is deterministic: ties keep the earliest start and the first improvement found.
+ */
+const { distanceKm } = require('./distance');
+
+// Smallest saving, in kilometres, that counts as an improvement (guards against rounding loops)
+const EPSILON = 1e-9;
+
+/**
+ * Length of a path through points in the given order.
+ * @param {Array<{ lat: number, lon: number }>} points
+ * @returns {number} Kilometres
+ */
+function pathDistance(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) total += distanceKm(points[i - 1], points[i]);
+  return total;
+}
+
+/**
+ * Nearest-neighbour path: from the start, always walk to the closest stop not yet visited
+ * (the earliest in the list on ties).
+ * @param {Array} points
+ * @param {number} start - Index of the first stop
+ * @returns {Array<number>} Indexes of the points in visiting order
+ */
+function nearestNeighbour(points, start) {
+  const order = [start];
+  const left = points.map((point, index) => index).filter(index => index !== start);
+  while (left.length > 0) {
+    const from = points[order[order.length - 1]];
+    let best = 0;
+    for (let i = 1; i < left.length; i++) {
+      if (distanceKm(from, points[left[i]]) < distanceKm(from, points[left[best]]) - EPSILON) best = i;
+    }
+    order.push(left.splice(best, 1)[0]);
+  }
+  return order;
+}
+
+/**
+ * Improves an open path with 2-opt, in place: reverses the stretch between two stops whenever that
+ * shortens the path, until no reversal does.
+ * @param {Array} points
+ * @param {Array<number>} order - Indexes of the points in visiting order
+ * @returns {Array<number>} The same order
+ */
+function twoOpt(points, order) {
+  const at = index => points[order[index]];
+  const edge = (a, b) => (a < 0 || b >= order.length ? 0 : distanceKm(at(a), at(b)));
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let k = i + 1; k < order.length; k++) {
+        // Reversing order[i..k] replaces the edges (i-1, i) and (k, k+1) by (i-1, k) and (i, k+1)
+        const before = edge(i - 1, i) + edge(k, k + 1);
+        const after = edge(i - 1, k) + edge(i, k + 1);
+        if (after < before - EPSILON) {
+          order.splice(i, k - i + 1, ...order.slice(i, k + 1).reverse());
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+/**
+ * Proposes a short visiting order for points.
+ * @param {Array<{ lat: number, lon: number }>} points - Stops, in their current order
+ * @returns {{ order: Array<number>, distanceKm: number }} Indexes of the points in the proposed
+ *   order, and the length of that path in kilometres
+ */
+function optimiseRoute(points) {
+  let best = { order: points.map((point, index) => index), distanceKm: pathDistance(points) };
+  for (let start = 0; start < points.length; start++) {
+    const order = twoOpt(points, nearestNeighbour(points, start));
+    const distance = pathDistance(order.map(index => points[index]));
+    if (distance < best.distanceKm - EPSILON) best = { order, distanceKm: distance };
+  }
+  return best;
+}
+
+module.exports = {
+  pathDistance,
+  optimiseRoute,
+};
@@ -0,0 +1,122 @@
+/**
+ * Search routes.
+ * Finds cities, attractions and restaurants by name (and items by their text details) with the
+ * accent-insensitive, typo-tolerant matching of fuzzy.js, so "which of my cities has the Louvre?"
+ * does not require expanding every city.
+ */
+const express = require('express');
+const router = express.Router();
+
+// Storage adapter selected in config/database.json
+const storage = require('./storage');
+const { ITEM_LISTS } = require('./records');
+const { ITEM_SCHEMAS } = require('./itemSchema');
+const { matchText } = require('./fuzzy');
+const { findPublicLists } = require('./showcase');
+
+// Hit type of each item list
+const ITEM_TYPES = { attractions: 'attraction', restaurants: 'restaurant' };
+
+// Text details searched besides the name of each item list (address, cuisine, notes, ...)
+const DETAIL_FIELDS = Object.fromEntries(ITEM_LISTS.map(list => [
+  list,
+  Object.keys(ITEM_SCHEMAS[list]).filter(field => ITEM_SCHEMAS[list][field].type === 'string'),
+]));
+
+// Weight of a match in an item detail, relative to a match in the name
+const DETAIL_WEIGHT = 0.8;
+
+// Scopes accepted by `scope=`: the user's own cities, the public showcase, or both
+const SCOPES = ['mine', 'public', 'all'];
+
+// Default and largest number of hits returned
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Longest accepted query
+const MAX_QUERY_LENGTH = 100;
+
+/**
+ * Finds the best matching field of a city or item.
+ * @param {string} query - Search query
+ * @param {object} record - City or item record
+ * @param {Array} detailFields - Text fields searched besides the name
+ * @returns {object|null} `{ field, text, score, highlights }`, or null if nothing matches
+ */
+function bestMatch(query, record, detailFields) {
+  let best = null;
+  for (const field of ['name', ...detailFields]) {
+    const match = matchText(query, record[field]);
+    if (!match) continue;
+    const score = field === 'name' ? match.score : match.score * DETAIL_WEIGHT;
+    if (!best || score > best.score) best = { field, text: record[field], score, highlights: match.highlights };
+  }
+  return best;
+}
+
+/**
+ * Searches a city list.
+ * @param {string} query - Search query
+ * @param {Array} cities - City list
+ * @param {string} source - `mine` or `public`, reported with each hit
+ * @returns {Array} Hits for the cities and their items
+ */
+function searchCities(query, cities, source) {
+  const hits = [];
+  for (const city of cities) {
+    const cityMatch = bestMatch(query, city, []);
+    if (cityMatch) hits.push({ type: 'city', cityId: city.id, cityName: city.name, name: city.name, source, ...cityMatch });
+    for (const list of ITEM_LISTS) {
+      for (const item of city[list] || []) {
+        const match = bestMatch(query, item, DETAIL_FIELDS[list]);
+        if (match) {
+          hits.push({ type: ITEM_TYPES[list], cityId: city.id, cityName: city.name, itemId: item.id, name: item.name, source, ...match });
+        }
+      }
+    }
+  }
+  return hits;
+}
+
+/**
+ * GET /
+ * Searches the cities of the logged-in user's lists and their attractions/restaurants.
+ * - `q` (required): search text; accents and case are ignored and small typos tolerated.
+ * - `scope=mine|public|all`: the user's own cities (default when logged in), the lists of the public
+ *   showcase (default, and the only scope, for guests; see showcase.js), or both.
+ * - `limit`: number of hits, 1-50 (default 20).
+ * - Returns error for a missing or too long query, an unknown scope or an invalid limit.
+ * Responds with hits ordered by score (best first), each with the matched `field`, its `text` and
+ * `highlights` (ranges of `text` that matched, end exclusive); hits in the user's own lists name
+ * their `listId`.
+ */
+router.get('/', (req, res) => {
+  const username = req.session.user && req.session.user.username; // Get username from session
+  const { q = '', scope = username ? 'mine' : 'public', limit = String(DEFAULT_LIMIT) } = req.query || {};
+  const query = String(q).trim();
+  if (!query) return res.status(400).json({ error: 'Query required' });
+  if (query.length > MAX_QUERY_LENGTH) return res.status(400).json({ error: `Query must be at most ${MAX_QUERY_LENGTH} characters` });
+  if (!SCOPES.includes(scope)) return res.status(400).json({ error: `Scope must be one of: ${SCOPES.join(', ')}` });
+  const max = Number(limit);
+  if (!Number.isInteger(max) || max < 1 || max > MAX_LIMIT) {
+    return res.status(400).json({ error: `Limit must be an integer from 1 to ${MAX_LIMIT}` });
+  }
+
+  const adapter = storage.getAdapter();
+  let hits = [];
+  const seen = new Set(); // City IDs already searched (the user's own lists may be public)
+  if (username && scope !== 'public') {
+    for (const list of adapter.readEntry(username) || []) {
+      list.cities.forEach(city => seen.add(city.id));
+      hits = hits.concat(searchCities(query, list.cities, 'mine').map(hit => ({ ...hit, listId: list.id })));
+    }
+  }
+  if (!username || scope !== 'mine') {
+    const shared = findPublicLists().flatMap(({ list }) => list.cities).filter(city => !seen.has(city.id));
+    hits = hits.concat(searchCities(query, shared, 'public'));
+  }
+  hits.sort((a, b) => b.score - a.score); // Stable: ties keep cities before their items, in rank order
+  res.json(hits.slice(0, max).map(hit => ({ ...hit, score: Math.round(hit.score * 1000) / 1000 })));
+});
+
+module.exports = router;
@@ -11,6 +11,14 @@ const path = require('path');
 
 const userRoutes = require('./user');
 const cityRoutes = require('./city');
+const listRoutes = require('./lists');
+const sharedRoutes = require('./shared');
+const publicRoutes = require('./public');
+const statsRoutes = require('./stats');
+const searchRoutes = require('./search');
+const placeRoutes = require('./places');
+const storage = require('./storage');
+const { migrateStorage } = require('./migrations');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -18,7 +26,8 @@ const PORT = process.env.PORT || 3001;
 // Enable CORS for frontend (Vite default port)
 app.use(cors({
   origin: 'http://localhost:5173', // Allow frontend requests
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor'] // Pagination metadata of GET /api/cities
 }));
 // Parse JSON request bodies
 app.use(express.json());
@@ -32,16 +41,44 @@ app.use(session({
   cookie: { secure: false, httpOnly: true }
 }));
 
-// Mount user authentication and city management routes
+// Run each write request as the owner of the storage locks, taken before its (synchronous) handlers
+// run without blocking the event loop, and released once the response is done
+app.use((req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return next();
+  storage.getAdapter()
+    .withLocks(() => new Promise(resolve => {
+      res.once('close', resolve);
+      next();
+    }))
+    .catch(next);
+});
+
+// Mount user authentication, list and city management, shared lists, the public showcase, popularity
+// statistics, search and place autocomplete routes
 app.use('/api/users', userRoutes);
+app.use('/api/lists', listRoutes);
+app.use('/api/shared', sharedRoutes);
+app.use('/api/public', publicRoutes);
+app.use('/api/stats', statsRoutes);
 app.use('/api/cities', cityRoutes);
+app.use('/api/search', searchRoutes);
+app.use('/api/places', placeRoutes);
 
 // Root endpoint for health check
 app.get('/', (req, res) => {
   res.send('Backend API is running');
 });
 
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-}); 
\ No newline at end of file
+// Upgrade stored data to the current schema before accepting requests, then start the server
+const adapter = storage.getAdapter();
+adapter.withLocks(() => migrateStorage(adapter))
+  .then(applied => {
+    if (applied.length > 0) console.log(`Applied data migrations: ${applied.join(', ')}`);
+    app.listen(PORT, () => {
+      console.log(`Server running on http://localhost:${PORT}`);
+    });
+  })
+  .catch(error => {
+    console.error(`Data migration failed: ${error.message}`);
+    process.exit(1);
+  }); 
\ No newline at end of file
@@ -0,0 +1,27 @@
+/**
+ * Shared list routes.
+ * A user can share one of their lists with people without an account (POST /api/lists/:listId/share).
+ * The link holds the list's share token; these routes return the list for the token without a session,
+ * read-only. Revoking the link (DELETE /api/lists/:listId/share) removes the token.
+ */
+const express = require('express');
+const router = express.Router();
+
+const { findSharedList, getUserCities } = require('./cityStore');
+
+/**
+ * GET /:token
+ * Returns the list shared under a token: `{ name, updatedAt, cities }`, with the cities limited and
+ * ordered like GET /api/cities. The owner and the token are not included.
+ * - No login required.
+ * - Returns 404 if no list is shared under the token (also after the link was revoked).
+ * Responds with the shared list or error.
+ */
+router.get('/:token', (req, res) => {
+  const shared = findSharedList(req.params.token);
+  if (!shared) return res.status(404).json({ error: 'Shared list not found' });
+  const { username, list } = shared;
+  res.json({ name: list.name, updatedAt: list.updatedAt, cities: getUserCities(username, { listId: list.id }) });
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+/**
+ * Public showcase of city lists, shown to guests instead of a single user's list.
+ *
+ * Lists are private unless their owner opts in: users who make their lists public have every list
+ * shown in the showcase, and can opt out at any time. Admins (config `admins`) feature some of the
+ * public lists, which guests see first. Both choices are kept in the shared `showcase` entry of the
+ * data object:
+ *
+ *   { publicUsers: [username, ...], featured: [listId, ...] }
+ *
+ * A featured list whose owner opts out, or which is deleted, drops out of the showcase.
+ *
+ * The shared guest list of older data files (see migrations/008-drop-latest.js) is kept as a public,
+ * featured list of SHOWCASE_OWNER, which is not a valid email and can never be registered.
+ */
+// Storage adapter selected in config/database.json
+const storage = require('./storage');
+
+// Owner of the lists that belonged to no user (the legacy guest list)
+const SHOWCASE_OWNER = 'showcase@localhost';
+
+/**
+ * Reads the showcase entry.
+ * @returns {{ publicUsers: Array<string>, featured: Array<string> }}
+ */
+function readShowcase() {
+  const showcase = storage.getAdapter().readEntry('showcase') || {};
+  return {
+    publicUsers: Array.isArray(showcase.publicUsers) ? showcase.publicUsers : [],
+    featured: Array.isArray(showcase.featured) ? showcase.featured : [],
+  };
+}
+
+/**
+ * Persists the showcase entry. Callers hold the data lock (see cityStore.withDataLock).
+ * @param {{ publicUsers: Array<string>, featured: Array<string> }} showcase
+ */
+function saveShowcase(showcase) {
+  storage.getAdapter().writeEntries({ showcase });
+}
+
+/**
+ * Whether a user has made their lists public.
+ * @param {string} username
+ * @returns {boolean}
+ */
+function isPublicUser(username) {
+  return readShowcase().publicUsers.includes(username);
+}
+
+/**
+ * Makes a user's lists public or private. Callers hold the data lock.
+ * @param {string} username
+ * @param {boolean} isPublic - True to show the user's lists in the showcase
+ */
+function setPublicUser(username, isPublic) {
+  const showcase = readShowcase();
+  if (showcase.publicUsers.includes(username) === isPublic) return;
+  showcase.publicUsers = isPublic
+    ? [...showcase.publicUsers, username]
+    : showcase.publicUsers.filter(entry => entry !== username);
+  saveShowcase(showcase);
+}
+
+/**
+ * Finds the lists of the users who made their lists public. Only those users' entries are read.
+ * @returns {Array<{ owner: string, list: object, featured: boolean }>} The lists, with their owner and
+ *   whether an admin featured them
+ */
+function findPublicLists() {
+  const { publicUsers, featured } = readShowcase();
+  if (publicUsers.length === 0) return [];
+  return storage.getAdapter().findListsByOwners(publicUsers)
+    .map(({ owner, list }) => ({ owner, list, featured: featured.includes(list.id) }));
+}
+
+/**
+ * Features a list or takes it out of the featured lists. Callers hold the data lock.
+ * Featured lists are shown in the order they were featured.
+ * @param {string} listId
+ * @param {boolean} isFeatured - True to feature the list
+ */
+function setFeatured(listId, isFeatured) {
+  const showcase = readShowcase();
+  if (showcase.featured.includes(listId) === isFeatured) return;
+  showcase.featured = isFeatured
+    ? [...showcase.featured, listId]
+    : showcase.featured.filter(entry => entry !== listId);
+  saveShowcase(showcase);
+}
+
+module.exports = {
+  SHOWCASE_OWNER,
+  readShowcase,
+  isPublicUser,
+  setPublicUser,
+  findPublicLists,
+  setFeatured,
+};
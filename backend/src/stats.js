@@ -0,0 +1,94 @@
+/**
+ * Popularity statistics routes.
+ * Rank the cities, and the attractions and restaurants of a city, by the number of public lists
+ * (see showcase.js) they appear in, as read by GET /api/cities (see popularity.js). Private lists are
+ * never counted. No login is required.
+ *
+ * Rankings read every public list, so they are computed once and cached until the city data changes,
+ * as told by the storage adapter's dataVersion(), which also sees changes made by other processes
+ * (the CLI scripts, another server). Adapters that cannot tell get the rankings recomputed every time.
+ */
+const express = require('express');
+const router = express.Router();
+
+// Storage adapter selected in config/database.json
+const storage = require('./storage');
+const { getUserCities } = require('./cityStore');
+const { findPublicLists } = require('./showcase');
+const { buildRankings } = require('./popularity');
+const { nameKey } = require('./records');
+
+// Default and largest number of entries returned
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+// Rankings of the public lists, with the adapter and data version they were computed from
+let cache = null;
+
+/**
+ * Returns the rankings of the public lists, recomputing them if the data changed since.
+ * @returns {{ cities: Array, items: Map }} See popularity.buildRankings
+ */
+function getRankings() {
+  const adapter = storage.getAdapter();
+  const version = adapter.dataVersion();
+  if (!cache || cache.adapter !== adapter || version === null || cache.version !== version) {
+    const lists = findPublicLists().map(({ owner, list }) => getUserCities(owner, { listId: list.id }));
+    cache = { adapter, version, rankings: buildRankings(lists) };
+  }
+  return cache.rankings;
+}
+
+/**
+ * Reads the `limit` query parameter.
+ * @param {object} query - Request query
+ * @returns {number|null} The limit, or null if it is invalid
+ */
+function readLimit(query) {
+  const { limit = String(DEFAULT_LIMIT) } = query || {};
+  const max = Number(limit);
+  return Number.isInteger(max) && max >= 1 && max <= MAX_LIMIT ? max : null;
+}
+
+/**
+ * GET /top-cities
+ * Returns the cities found in the most public lists: `[{ rank, name, count, averageRank }]`, where
+ * `count` is the number of lists and `averageRank` the average position of the city in them.
+ * - `limit`: number of cities, 1-50 (default 10).
+ * Responds with the ranking or error.
+ */
+router.get('/top-cities', (req, res) => {
+  const max = readLimit(req.query);
+  if (!max) return res.status(400).json({ error: `Limit must be an integer from 1 to ${MAX_LIMIT}` });
+  res.json(getRankings().cities.slice(0, max));
+});
+
+/**
+ * Creates a handler that ranks one item list (attractions or restaurants) of a city across the
+ * public lists, like GET /top-cities.
+ * - `city` (required): city name, matched ignoring case, diacritics and spacing.
+ * - `limit`: number of items, 1-50 (default 10).
+ * - Responds with an empty ranking for cities no public list holds.
+ * @param {string} itemList - `attractions` or `restaurants`
+ * @returns {Function} Express route handler
+ */
+function topItems(itemList) {
+  return (req, res) => {
+    const city = typeof (req.query || {}).city === 'string' ? req.query.city.trim() : '';
+    if (!city) return res.status(400).json({ error: 'City required' });
+    const max = readLimit(req.query);
+    if (!max) return res.status(400).json({ error: `Limit must be an integer from 1 to ${MAX_LIMIT}` });
+    const items = getRankings().items.get(nameKey(city));
+    res.json(items ? items[itemList].slice(0, max) : []);
+  };
+}
+
+/**
+ * GET /top-attractions?city=
+ * GET /top-restaurants?city=
+ * Return the attractions or restaurants of a city found in the most public lists (see topItems).
+ */
+router.get('/top-attractions', topItems('attractions'));
+router.get('/top-restaurants', topItems('restaurants'));
+
+module.exports = router;
@@ -0,0 +1,283 @@
+/**
+ * Crash-safe JSON file helpers shared by the file-based storage adapters.
+ *
+ * - Writes go to a temporary file that is fsync'ed and then renamed over the target, so readers
+ *   only ever see the old or the new contents, never a truncated file.
+ * - Before every write the current file, if it parses, becomes `<file>.bak`, so the backup is the
+ *   last good copy before the newest write; if the main file fails to parse (e.g. it was
+ *   hand-edited or written by an older version), reads return the backup instead. Reads take no
+ *   lock, so they never rewrite the file: the next write, made under the lock, repairs it.
+ * - Read-modify-write cycles are serialised across requests and processes by a `<file>.lock` file
+ *   created with the exclusive `wx` flag, holding the pid of its owner. withFileLocks() takes the
+ *   locks, waiting asynchronously so the event loop keeps serving other requests, and runs a
+ *   request (or script) as their owner. The synchronous withFileLock() of the route handlers
+ *   never waits: it re-enters a lock its caller owns, takes a free one, or fails.
+ */
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { setTimeout: delay } = require('timers/promises');
+
+// How long to wait for a lock before giving up, how old a lock must be to count as stale before
+// its owner has written its pid, and how often to retry
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+// Files whose lock this process holds, to tell its own locks from ones left behind under its pid
+const lockedFiles = new Set();
+
+// Files locked by the current request or script, carried through its synchronous and asynchronous
+// continuations, so that its own nested cycles re-enter the locks and nobody else's do
+const lockOwner = new AsyncLocalStorage();
+
+/**
+ * Path of the last-good backup for a file.
+ * @param {string} file
+ * @returns {string}
+ */
+function backupPath(file) {
+  return `${file}.bak`;
+}
+
+/**
+ * Path of a temporary file next to a file, unique to this process and moment.
+ * @param {string} file
+ * @returns {string}
+ */
+function tempPath(file) {
+  return path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.${Date.now()}.tmp`);
+}
+
+/**
+ * Writes a file atomically: temp file, fsync, rename.
+ * @param {string} file - Target path
+ * @param {string} contents - File contents
+ */
+function writeFileAtomic(file, contents) {
+  const tmpFile = tempPath(file);
+  const fd = fs.openSync(tmpFile, 'w');
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd); // Make sure the bytes are on disk before the rename makes them visible
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmpFile, file);
+  } catch (error) {
+    fs.rmSync(tmpFile, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Makes the current contents of a file its backup, unless they fail to parse (the backup then
+ * stays the last good copy). The file is hard-linked (or copied) to a temp file that is renamed
+ * over the backup, so the file itself never goes missing and the backup is never half written.
+ * @param {string} file
+ */
+function rotateBackup(file) {
+  if (!fs.existsSync(file)) return;
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch {
+    return;
+  }
+  const tmpFile = tempPath(backupPath(file));
+  try {
+    fs.linkSync(file, tmpFile);
+  } catch {
+    fs.copyFileSync(file, tmpFile); // File systems without hard links
+  }
+  fs.renameSync(tmpFile, backupPath(file));
+}
+
+/**
+ * Serialises a value as formatted JSON and writes it atomically, keeping the previous contents
+ * as the backup copy.
+ * @param {string} file - Target path
+ * @param {*} value - Value to serialise
+ */
+function writeJsonFile(file, value) {
+  rotateBackup(file);
+  writeFileAtomic(file, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Returns a stamp that changes whenever a file is written, by this process or another one.
+ * Every write renames a new file into place, so the inode changes even if the size and the
+ * modification time (to the clock's resolution) do not.
+ * @param {string} file
+ * @returns {string} The stamp, or '-' if the file does not exist
+ */
+function fileVersion(file) {
+  try {
+    const stat = fs.statSync(file);
+    return `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+  } catch {
+    return '-';
+  }
+}
+
+/**
+ * Reads and parses a JSON file.
+ * If the file is corrupt, the last good copy is read from `<file>.bak`; the file itself is left
+ * for the next write to replace.
+ * @param {string} file - Path to the file
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {*} Parsed contents, recovered contents, or fallback
+ * @throws {SyntaxError} If the file is corrupt and no usable backup exists
+ */
+function readJsonFile(file, fallback) {
+  if (!fs.existsSync(file)) return fallback;
+  const contents = fs.readFileSync(file, 'utf-8');
+  try {
+    return JSON.parse(contents);
+  } catch (error) {
+    const backup = backupPath(file);
+    if (!fs.existsSync(backup)) throw error;
+    const recovered = JSON.parse(fs.readFileSync(backup, 'utf-8')); // Throws if the backup is corrupt too
+    console.error(`Read ${path.basename(file)} from backup after parse error:`, error.message);
+    return recovered;
+  }
+}
+
+/**
+ * Tells whether a process is running.
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM'; // Running, but owned by another user
+  }
+}
+
+/**
+ * Removes the lock file of a file if its owner has died without releasing it.
+ * A lock naming this process counts as stale unless this process holds it, since it was left
+ * behind by an earlier process with the same pid (a container restart, for example).
+ * @param {string} file - Locked file
+ * @returns {boolean} True if the lock is gone
+ */
+function removeStaleLock(file) {
+  const lockFile = `${file}.lock`;
+  try {
+    const pid = Number.parseInt(fs.readFileSync(lockFile, 'utf-8'), 10);
+    if (pid > 0) {
+      if (pid === process.pid ? lockedFiles.has(file) : isRunning(pid)) return false;
+    } else if (Date.now() - fs.statSync(lockFile).mtimeMs < LOCK_STALE_MS) {
+      return false; // Just created; the owner has not written its pid yet
+    }
+    fs.rmSync(lockFile, { force: true });
+    return true;
+  } catch {
+    return true; // Lock disappeared in the meantime
+  }
+}
+
+/**
+ * Creates the lock file of a file if no other lock holds it.
+ * @param {string} file - File to lock
+ * @returns {boolean} True if the lock was taken
+ */
+function tryLock(file) {
+  try {
+    fs.writeFileSync(`${file}.lock`, String(process.pid), { flag: 'wx' });
+  } catch (error) {
+    if (error.code !== 'EEXIST') throw error;
+    return false;
+  }
+  lockedFiles.add(file);
+  return true;
+}
+
+/**
+ * Releases a lock taken by tryLock(), and withdraws it from its owner, so asynchronous work the
+ * owner left running cannot re-enter it afterwards.
+ * @param {string} file
+ * @param {Set<string>} owned - Files locked by the owner
+ */
+function unlock(file, owned) {
+  owned.delete(file);
+  lockedFiles.delete(file);
+  fs.rmSync(`${file}.lock`, { force: true });
+}
+
+/**
+ * Returns the files locked by the current request or script.
+ * @returns {Set<string>}
+ */
+function ownedLocks() {
+  return lockOwner.getStore() || new Set();
+}
+
+/**
+ * Takes the locks on several files, in order, then runs fn as their owner and releases them once
+ * the promise it returns settles. Waiting happens on timers, so the event loop keeps serving other
+ * requests. Locks the caller already owns are re-entered.
+ * @param {string[]} files - Files to lock, always in the same order to avoid deadlocks
+ * @param {Function} fn - Function to run while the locks are held; may return a promise
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs] - How long to wait for each lock (default 5s)
+ * @returns {Promise<*>} The result of fn
+ * @throws {Error} If a lock cannot be acquired within the timeout (locks taken so far are released)
+ */
+async function withFileLocks(files, fn, options = {}) {
+  const owned = new Set(ownedLocks());
+  const taken = [];
+  try {
+    for (const file of files) {
+      if (owned.has(file)) continue;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const deadline = Date.now() + (options.timeoutMs ?? LOCK_TIMEOUT_MS);
+      while (!tryLock(file)) {
+        if (removeStaleLock(file)) continue;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for lock on ${path.basename(file)}`);
+        await delay(LOCK_RETRY_MS);
+      }
+      taken.push(file);
+      owned.add(file);
+    }
+    return await lockOwner.run(owned, fn);
+  } finally {
+    while (taken.length > 0) unlock(taken.pop(), owned);
+  }
+}
+
+/**
+ * Runs fn while holding an exclusive lock on the given file, without ever waiting for it: the
+ * lock is re-entered if the caller owns it (see withFileLocks), taken if it is free, and refused
+ * otherwise. Route handlers run after the server took their locks; scripts take them first too.
+ * @param {string} file - File to lock
+ * @param {Function} fn - Function to run while the lock is held
+ * @returns {*} The return value of fn
+ * @throws {Error} If someone else holds the lock
+ */
+function withFileLock(file, fn) {
+  if (ownedLocks().has(file)) return fn();
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (!tryLock(file) && !(removeStaleLock(file) && tryLock(file))) {
+    throw new Error(`Lock on ${path.basename(file)} is held elsewhere; take it with withFileLocks() first`);
+  }
+  const owned = new Set(ownedLocks()).add(file);
+  try {
+    return lockOwner.run(owned, fn);
+  } finally {
+    unlock(file, owned);
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonFile,
+  readJsonFile,
+  fileVersion,
+  withFileLock,
+  withFileLocks,
+};
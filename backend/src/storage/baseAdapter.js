@@ -0,0 +1,108 @@
+/**
+ * Base class for storage adapters.
+ * Subclasses must implement readData/writeData/readUsers/writeUsers. The entry-level helpers and
+ * list lookups below fall back to loading the whole data object; adapters that can address a single
+ * user directly or keep an index (a directory per user, a database) override them with cheaper lookups.
+ */
+const { splitData, ownedLists, memberNames } = require('./layout');
+
+class BaseAdapter {
+  /**
+   * Reads one top-level entry of the data object (a user's cities, or a shared key like `latest`).
+   * @param {string} key - Username or shared key
+   * @returns {*} The entry, or undefined if it does not exist
+   */
+  readEntry(key) {
+    return this.readData()[key];
+  }
+
+  /**
+   * Replaces several top-level entries of the data object at once.
+   * @param {object} entries - Map of username/shared key to new value
+   */
+  writeEntries(entries) {
+    const data = this.readData();
+    Object.assign(data, entries);
+    this.writeData(data);
+  }
+
+  /**
+   * Returns a value that changes whenever the stored city data changes, including changes made by
+   * other processes (CLI scripts, another server), so caches of data derived from all lists can
+   * tell when to recompute. The default cannot tell and returns null, which disables such caches.
+   * @returns {string|number|null}
+   */
+  dataVersion() {
+    return null;
+  }
+
+  /**
+   * Lists the named lists of every user, with their owner.
+   * @returns {Array<{ owner: string, list: object }>}
+   */
+  scanLists() {
+    const { users } = splitData(this.readData());
+    return Object.entries(users).flatMap(([owner, entry]) => ownedLists(owner, entry));
+  }
+
+  /**
+   * Finds the lists a user is a member of (see listSchema.js), across all owners.
+   * @param {string} username - The member
+   * @returns {Array<{ owner: string, list: object }>} The lists and their owners
+   */
+  findListsByMember(username) {
+    return this.scanLists().filter(({ list }) => memberNames(list).includes(username));
+  }
+
+  /**
+   * Finds the list shared under a token, across all owners.
+   * @param {string} token - Share token
+   * @returns {{ owner: string, list: object }|undefined} The list and its owner, or undefined if no
+   *   list is shared under the token
+   */
+  findListByShareToken(token) {
+    return this.scanLists().find(({ list }) => list.shareToken === token);
+  }
+
+  /**
+   * Reads the lists of several owners at once (e.g. the users whose lists are public).
+   * @param {Array<string>} owners - Usernames
+   * @returns {Array<{ owner: string, list: object }>} The lists, in the order of the owners
+   */
+  findListsByOwners(owners) {
+    const { users } = splitData(this.readData());
+    return owners.flatMap(owner => ownedLists(owner, users[owner]));
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the city data.
+   * Handlers run synchronously in a single process, so the default needs no real lock.
+   * @param {Function} fn - Function to run
+   * @returns {*} The return value of fn
+   */
+  lockData(fn) {
+    return fn();
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the users.
+   * @param {Function} fn - Function to run
+   * @returns {*} The return value of fn
+   */
+  lockUsers(fn) {
+    return fn();
+  }
+
+  /**
+   * Runs fn (a server request, a script) holding the data and users locks, waiting for them
+   * asynchronously, so the lockData/lockUsers cycles it runs never wait on the event loop.
+   * The default has no locks to take.
+   * @param {Function} fn - Function to run; may return a promise
+   * @returns {Promise<*>} The result of fn
+   */
+  async withLocks(fn) {
+    return fn();
+  }
+}
+
+module.exports = BaseAdapter;
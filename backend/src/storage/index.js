@@ -0,0 +1,121 @@
+/**
+ * Storage adapter registry.
+ * Route handlers read and write through the active adapter instead of touching `fs` directly.
+ * The adapter is selected by `storage.adapter` in config/database.json and created lazily;
+ * tests (or staging setups) can swap it out at runtime with setAdapter().
+ *
+ * Every adapter implements the same synchronous interface:
+ *   - readData()        -> object   City lists keyed by username (plus shared keys such as `latest`)
+ *   - writeData(data)
+ *   - readUsers()       -> Array    Registered users
+ *   - writeUsers(users)
+ *   - lockData(fn)      -> *        Runs fn as one exclusive read-modify-write cycle on the city data
+ *   - lockUsers(fn)     -> *        Same for the users
+ *   - withLocks(fn)     -> Promise  Runs fn (a request, a script) holding both locks, waiting asynchronously
+ *   - dataVersion()     -> *        Changes whenever the stored city data changes, in any process
+ *
+ * Adapters should extend BaseAdapter, which also provides readEntry(key) and writeEntries(entries)
+ * on top of readData/writeData; adapters that can address one user directly override those. It also
+ * provides the list lookups findListsByMember(username), findListByShareToken(token) and
+ * findListsByOwners(owners), which adapters with an index of members and share tokens override.
+ */
+const path = require('path');
+
+const config = require('../../config/config');
+const BaseAdapter = require('./baseAdapter');
+const JsonFileAdapter = require('./jsonFileAdapter');
+const MemoryAdapter = require('./memoryAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+const UserDirectoryAdapter = require('./userDirectoryAdapter');
+const { isSharedKey, entryCities } = require('./layout');
+
+// Built-in adapters, keyed by the name used in config/database.json
+const adapters = {
+  json: JsonFileAdapter,
+  memory: MemoryAdapter,
+  'user-directory': UserDirectoryAdapter,
+  sqlite: SqliteAdapter,
+};
+
+let activeAdapter = null;
+
+/**
+ * Registers an adapter class under a name so it can be selected from the configuration.
+ * @param {string} name - Adapter name (value of `storage.adapter`)
+ * @param {Function} Adapter - Class implementing the adapter interface
+ */
+function registerAdapter(name, Adapter) {
+  adapters[name] = Adapter;
+}
+
+/**
+ * Creates a new adapter instance.
+ * Unknown names that look like a path (e.g. "./staging-adapter.js") are loaded as a module
+ * relative to the backend directory, so custom adapters need no changes to this file.
+ * @param {string} name - Adapter name or module path
+ * @param {object} [options] - Options passed to the adapter constructor
+ * @returns {object} Adapter instance
+ */
+function createAdapter(name, options = {}) {
+  let Adapter = adapters[name];
+  if (!Adapter && name && name.startsWith('.')) {
+    Adapter = require(path.join(__dirname, '..', '..', name));
+  }
+  if (!Adapter) throw new Error(`Unknown storage adapter: ${name}`);
+  return new Adapter(options);
+}
+
+/**
+ * Returns the active adapter, creating it from the configuration on first use.
+ * @returns {object} Adapter instance
+ */
+function getAdapter() {
+  if (!activeAdapter) activeAdapter = createAdapter(config.getStorageAdapter(), config.getStorageOptions());
+  return activeAdapter;
+}
+
+/**
+ * Replaces the active adapter (e.g. with a MemoryAdapter in tests).
+ * @param {object} adapter - Adapter instance
+ */
+function setAdapter(adapter) {
+  activeAdapter = adapter;
+}
+
+/**
+ * Drops the active adapter so the next getAdapter() call recreates it from the configuration.
+ */
+function resetAdapter() {
+  activeAdapter = null;
+}
+
+/**
+ * Copies all city data and users from one adapter to another (e.g. JSON files into SQLite).
+ * @param {object} source - Adapter to read from
+ * @param {object} target - Adapter to write to
+ * @returns {{ users: number, cities: number }} Number of users and cities copied
+ */
+function copyStorage(source, target) {
+  const data = source.readData();
+  const users = source.readUsers();
+  target.lockData(() => target.writeData(data));
+  target.lockUsers(() => target.writeUsers(users));
+  const cities = Object.entries(data)
+    .filter(([key]) => !isSharedKey(key))
+    .reduce((count, [, value]) => count + entryCities(value).length, 0);
+  return { users: users.length, cities };
+}
+
+module.exports = {
+  registerAdapter,
+  createAdapter,
+  getAdapter,
+  setAdapter,
+  resetAdapter,
+  copyStorage,
+  BaseAdapter,
+  JsonFileAdapter,
+  MemoryAdapter,
+  SqliteAdapter,
+  UserDirectoryAdapter,
+};
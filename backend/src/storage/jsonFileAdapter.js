@@ -0,0 +1,108 @@
+/**
+ * JSON file storage adapter.
+ * Keeps all city data in one JSON file and all users in another (the original layout).
+ * File paths default to the ones in the global configuration and are resolved on every call,
+ * so configuration changes take effect without recreating the adapter.
+ * Writes are atomic and backed up; see atomicFile.js.
+ */
+const config = require('../../config/config');
+const BaseAdapter = require('./baseAdapter');
+const { readJsonFile, writeJsonFile, fileVersion, withFileLock, withFileLocks } = require('./atomicFile');
+
+class JsonFileAdapter extends BaseAdapter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dataFile] - Path to the cities data file (defaults to config.getCitiesFilePath())
+   * @param {string} [options.usersFile] - Path to the users file (defaults to config.getUsersFilePath())
+   */
+  constructor(options = {}) {
+    super();
+    this.dataFile = options.dataFile;
+    this.usersFile = options.usersFile;
+  }
+
+  /**
+   * Path to the cities data file.
+   * @returns {string}
+   */
+  getDataFile() {
+    return this.dataFile || config.getCitiesFilePath();
+  }
+
+  /**
+   * Path to the users file.
+   * @returns {string}
+   */
+  getUsersFile() {
+    return this.usersFile || config.getUsersFilePath();
+  }
+
+  /**
+   * Reads the city data object.
+   * @returns {object} The parsed data object, or a default object if the file does not exist.
+   */
+  readData() {
+    return readJsonFile(this.getDataFile(), { cities: [], latest: null }); // Default if file missing
+  }
+
+  /**
+   * Writes the city data object.
+   * @param {object} data - The data object to write.
+   */
+  writeData(data) {
+    writeJsonFile(this.getDataFile(), data);
+  }
+
+  /**
+   * Stamps the data file, which every write of the city data replaces.
+   * @returns {string}
+   */
+  dataVersion() {
+    return fileVersion(this.getDataFile());
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the city data while holding the data file lock.
+   * @param {Function} fn - Function to run while the lock is held
+   * @returns {*} The return value of fn
+   */
+  lockData(fn) {
+    return withFileLock(this.getDataFile(), fn);
+  }
+
+  /**
+   * Reads the list of users.
+   * @returns {Array} Array of user objects, or an empty array if the file does not exist.
+   */
+  readUsers() {
+    return readJsonFile(this.getUsersFile(), []); // Empty array if file missing
+  }
+
+  /**
+   * Writes the list of users.
+   * @param {Array} users - Array of user objects to write.
+   */
+  writeUsers(users) {
+    writeJsonFile(this.getUsersFile(), users);
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the users while holding the users file lock.
+   * @param {Function} fn - Function to run while the lock is held
+   * @returns {*} The return value of fn
+   */
+  lockUsers(fn) {
+    return withFileLock(this.getUsersFile(), fn);
+  }
+
+  /**
+   * Runs fn holding the users and data file locks.
+   * @param {Function} fn - Function to run; may return a promise
+   * @returns {Promise<*>} The result of fn
+   */
+  withLocks(fn) {
+    return withFileLocks([this.getUsersFile(), this.getDataFile()], fn);
+  }
+}
+
+module.exports = JsonFileAdapter;
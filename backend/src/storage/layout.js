@@ -0,0 +1,91 @@
+/**
+ * Helpers describing the layout of the city data object:
+ *
+ *   { schemaVersion: n, [username]: [list, ...], showcase: { publicUsers: [...], featured: [...] } }
+ *
+ * where each list is `{ id, name, createdAt, updatedAt, cities: [city, ...] }`. Before schema
+ * version 7 a user's entry was a single city list; migration 7 wraps it into a default list.
+ * `showcase` holds the public showcase (see showcase.js). Before schema version 8 a `latest` copy
+ * of the last changed list was kept for guests; migration 8 drops it.
+ *
+ * Adapters that store users separately (a directory per user, a table per entity) use these to
+ * tell user-owned entries apart from shared ones.
+ */
+
+// Top-level keys of the data object that do not belong to a single user.
+// `cities` (used by data_example.json), `latest` and `legacyGuestList` are legacy keys removed by
+// migrations (see migrations/).
+const SHARED_KEYS = ['schemaVersion', 'showcase', 'latest', 'cities', 'legacyGuestList'];
+
+/**
+ * Whether a top-level key is shared rather than owned by a user.
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isSharedKey(key) {
+  return SHARED_KEYS.includes(key);
+}
+
+/**
+ * Splits the data object into shared entries and per-user city lists.
+ * @param {object} data - The data object
+ * @returns {{ shared: object, users: object }} Shared entries and a map of username to cities
+ */
+function splitData(data) {
+  const shared = {};
+  const users = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (isSharedKey(key)) shared[key] = value;
+    else users[key] = value;
+  }
+  return { shared, users };
+}
+
+/**
+ * Whether a user entry holds named lists, rather than the single city list of schema 6 and older.
+ * An empty entry holds neither, and is read the same either way.
+ * @param {*} entry - A user's entry of the data object
+ * @returns {boolean}
+ */
+function holdsLists(entry) {
+  return Array.isArray(entry) && entry.length > 0 && entry.every(list => list && Array.isArray(list.cities));
+}
+
+/**
+ * Lists the cities of a user entry, across all its lists.
+ * @param {*} entry - A user's entry of the data object
+ * @returns {Array} City records
+ */
+function entryCities(entry) {
+  if (!Array.isArray(entry)) return [];
+  return holdsLists(entry) ? entry.flatMap(list => list.cities) : entry;
+}
+
+/**
+ * Lists the named lists of a user entry with their owner, as returned by the adapters' list lookups.
+ * @param {string} owner - Username the entry is stored under
+ * @param {*} entry - The user's entry of the data object
+ * @returns {Array<{ owner: string, list: object }>} The lists (none for entries without named lists)
+ */
+function ownedLists(owner, entry) {
+  return holdsLists(entry) ? entry.map(list => ({ owner, list })) : [];
+}
+
+/**
+ * Usernames of the members of a list (see listSchema.js), besides its owner.
+ * @param {object} list - List record
+ * @returns {Array<string>}
+ */
+function memberNames(list) {
+  return Array.isArray(list.members) ? list.members.map(member => member.username) : [];
+}
+
+module.exports = {
+  SHARED_KEYS,
+  isSharedKey,
+  splitData,
+  holdsLists,
+  entryCities,
+  ownedLists,
+  memberNames,
+};
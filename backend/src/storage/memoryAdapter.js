@@ -0,0 +1,64 @@
+/**
+ * In-memory storage adapter.
+ * Nothing touches the filesystem, which makes it the adapter of choice for tests.
+ * Reads and writes go through structuredClone so callers can never mutate the stored copy
+ * without calling writeData/writeUsers, mirroring the behaviour of the file-based adapters.
+ */
+const BaseAdapter = require('./baseAdapter');
+
+class MemoryAdapter extends BaseAdapter {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.data] - Initial city data object
+   * @param {Array} [options.users] - Initial users array
+   */
+  constructor(options = {}) {
+    super();
+    this.data = structuredClone(options.data || {});
+    this.users = structuredClone(options.users || []);
+    this.writes = 0;
+  }
+
+  /**
+   * Reads the city data object.
+   * @returns {object} A copy of the stored data object.
+   */
+  readData() {
+    return structuredClone(this.data);
+  }
+
+  /**
+   * Replaces the stored city data object.
+   * @param {object} data - The data object to store.
+   */
+  writeData(data) {
+    this.data = structuredClone(data);
+    this.writes += 1;
+  }
+
+  /**
+   * Counts the writes of the city data; nothing outside this process can change it.
+   * @returns {number}
+   */
+  dataVersion() {
+    return this.writes;
+  }
+
+  /**
+   * Reads the list of users.
+   * @returns {Array} A copy of the stored users array.
+   */
+  readUsers() {
+    return structuredClone(this.users);
+  }
+
+  /**
+   * Replaces the stored users array.
+   * @param {Array} users - Array of user objects to store.
+   */
+  writeUsers(users) {
+    this.users = structuredClone(users);
+  }
+}
+
+module.exports = MemoryAdapter;
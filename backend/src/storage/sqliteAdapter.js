@@ -0,0 +1,416 @@
+/**
+ * SQLite storage adapter, built on Node's built-in `node:sqlite` module (Node.js 22.5+).
+ *
+ * Tables:
+ *   users        (username PK, password, has_list)   has_list marks users with stored lists
+ *   lists        (id PK, owner -> users, position, name, share_token, extra JSON)
+ *   list_members (list_id -> lists, username)         who is a member of which list
+ *   cities       (id PK, owner -> users, list_id -> lists, position, name, extra JSON)
+ *   attractions  (id PK, city_id -> cities, position, name, value JSON)
+ *   restaurants  (id PK, city_id -> cities, position, name, value JSON)
+ *   meta         (key PK, value JSON)                 shared entries such as `showcase`
+ *
+ * Foreign keys cascade, so deleting a list removes its cities, and deleting a city its items. Fields
+ * not covered by a column are kept in the JSON columns, so the stored objects round-trip unchanged
+ * through readData/writeData. Cities stored before named lists (schema version 6 and older) have no
+ * list; a user entry made of such cities reads back as a plain city list until migration 7 wraps it.
+ * readEntry/writeEntries only touch the rows of the user involved, which lets the city routes
+ * look up one user's cities and check limits without loading everybody's data. `share_token` and
+ * `list_members` index the share token and members kept in a list's extra JSON, so share links and
+ * the lists a user was invited to are looked up without reading other users' lists.
+ */
+const config = require('../../config/config');
+const BaseAdapter = require('./baseAdapter');
+const { isSharedKey, splitData, holdsLists, memberNames } = require('./layout');
+const { itemName } = require('../records');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    username TEXT PRIMARY KEY,
+    password TEXT,
+    has_list INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS lists (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS lists_owner ON lists(owner, position);
+  CREATE TABLE IF NOT EXISTS cities (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    owner TEXT NOT NULL REFERENCES users(username) ON DELETE CASCADE,
+    list_id INTEGER REFERENCES lists(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS cities_owner ON cities(owner, position);
+  CREATE TABLE IF NOT EXISTS attractions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    city_id INTEGER NOT NULL REFERENCES cities(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    value TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS attractions_city ON attractions(city_id, position);
+  CREATE TABLE IF NOT EXISTS restaurants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    city_id INTEGER NOT NULL REFERENCES cities(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    value TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS restaurants_city ON restaurants(city_id, position);
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Item tables, keyed by the city property they hold
+const ITEM_TABLES = ['attractions', 'restaurants'];
+
+// How long a connection waits for another process to release the database before failing with
+// SQLITE_BUSY (the same as the file adapters' lock timeout)
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * Loads the built-in sqlite module, with a helpful error on older Node.js versions.
+ * @returns {object} The node:sqlite module
+ * @throws {Error} If node:sqlite is not available
+ */
+function loadSqlite() {
+  try {
+    return require('node:sqlite');
+  } catch {
+    throw new Error(`The sqlite storage adapter requires Node.js 22.5 or later (running ${process.version})`);
+  }
+}
+
+class SqliteAdapter extends BaseAdapter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Database file, or ':memory:' (defaults to config.getSqliteFilePath())
+   */
+  constructor(options = {}) {
+    super();
+    const { DatabaseSync } = loadSqlite();
+    this.db = new DatabaseSync(options.file || config.getSqliteFilePath());
+    this.db.exec('PRAGMA foreign_keys = ON');
+    this.db.exec(`PRAGMA busy_timeout = ${BUSY_TIMEOUT_MS}`);
+    this.db.exec(SCHEMA);
+    this.upgradeSchema();
+    this.transactionDepth = 0;
+    this.commits = 0;
+  }
+
+  /**
+   * Adds the columns and tables introduced after the first release to databases created before them.
+   * The share token and member indexes are filled from the lists' extra JSON when they are added.
+   */
+  upgradeSchema() {
+    const columns = this.db.prepare('PRAGMA table_info(cities)').all().map(column => column.name);
+    if (!columns.includes('list_id')) {
+      this.db.exec('ALTER TABLE cities ADD COLUMN list_id INTEGER REFERENCES lists(id) ON DELETE CASCADE');
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS cities_list ON cities(list_id, position)');
+    const listColumns = this.db.prepare('PRAGMA table_info(lists)').all().map(column => column.name);
+    if (!listColumns.includes('share_token')) {
+      this.db.exec(`
+        ALTER TABLE lists ADD COLUMN share_token TEXT;
+        UPDATE lists SET share_token = json_extract(extra, '$.shareToken');
+        CREATE TABLE IF NOT EXISTS list_members (
+          list_id INTEGER NOT NULL REFERENCES lists(id) ON DELETE CASCADE,
+          username TEXT NOT NULL
+        );
+        INSERT INTO list_members (list_id, username)
+          SELECT lists.id, json_extract(member.value, '$.username')
+          FROM lists, json_each(lists.extra, '$.members') AS member;
+      `);
+    }
+    this.db.exec('CREATE INDEX IF NOT EXISTS lists_share_token ON lists(share_token)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS list_members_username ON list_members(username)');
+  }
+
+  /**
+   * Closes the database connection.
+   */
+  close() {
+    this.db.close();
+  }
+
+  /**
+   * Runs fn inside a transaction (nested calls join the outer transaction).
+   * BEGIN IMMEDIATE takes SQLite's write lock up front, serialising cycles across processes: while
+   * another process holds it, the busy timeout makes this one wait for it rather than fail at once.
+   * @param {Function} fn
+   * @returns {*} The return value of fn
+   */
+  transaction(fn) {
+    if (this.transactionDepth > 0) return fn();
+    this.db.exec('BEGIN IMMEDIATE');
+    this.transactionDepth = 1;
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      this.commits += 1;
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    } finally {
+      this.transactionDepth = 0;
+    }
+  }
+
+  /**
+   * Loads the cities of one list of a user, with their attractions and restaurants.
+   * @param {string} username
+   * @param {number|null} listId - Row ID of the list, or null for cities stored before named lists
+   * @returns {Array} City objects in stored order
+   */
+  selectCities(username, listId) {
+    const rows = this.db.prepare('SELECT id, name, extra FROM cities WHERE owner = ? AND list_id IS ? ORDER BY position')
+      .all(username, listId);
+    return rows.map(row => {
+      const city = { name: row.name, ...JSON.parse(row.extra) };
+      for (const table of ITEM_TABLES) {
+        city[table] = this.db.prepare(`SELECT value FROM ${table} WHERE city_id = ? ORDER BY position`)
+          .all(row.id)
+          .map(item => JSON.parse(item.value));
+      }
+      return city;
+    });
+  }
+
+  /**
+   * Loads a list with its cities from its row.
+   * @param {{ id: number, owner: string, name: string, extra: string }} row - Row of the lists table
+   * @returns {object} List record
+   */
+  selectList(row) {
+    return { name: row.name, ...JSON.parse(row.extra), cities: this.selectCities(row.owner, row.id) };
+  }
+
+  /**
+   * Loads a user's entry: their lists with their cities, or the plain city list stored before named lists.
+   * @param {string} username
+   * @returns {Array} Lists, or cities
+   */
+  selectEntry(username) {
+    const lists = this.db.prepare('SELECT id, owner, name, extra FROM lists WHERE owner = ? ORDER BY position').all(username);
+    if (lists.length === 0) return this.selectCities(username, null);
+    return lists.map(row => this.selectList(row));
+  }
+
+  /**
+   * Inserts cities, with their attractions and restaurants, into a list of a user.
+   * @param {string} username
+   * @param {number|null} listId - Row ID of the list, or null for a plain city list
+   * @param {Array} cities
+   */
+  insertCities(username, listId, cities) {
+    const insertCity = this.db.prepare('INSERT INTO cities (owner, list_id, position, name, extra) VALUES (?, ?, ?, ?, ?)');
+    cities.forEach((city, position) => {
+      const { name, attractions, restaurants, ...extra } = city;
+      const { lastInsertRowid } = insertCity.run(username, listId, position, name, JSON.stringify(extra));
+      const items = { attractions, restaurants };
+      for (const table of ITEM_TABLES) {
+        const insertItem = this.db.prepare(`INSERT INTO ${table} (city_id, position, name, value) VALUES (?, ?, ?, ?)`);
+        (items[table] || []).forEach((item, itemPosition) => {
+          insertItem.run(lastInsertRowid, itemPosition, String(itemName(item)), JSON.stringify(item));
+        });
+      }
+    });
+  }
+
+  /**
+   * Replaces a user's entry: their lists, or a plain city list (data older than schema version 7).
+   * @param {string} username
+   * @param {Array} entry - Lists or cities
+   */
+  replaceEntry(username, entry) {
+    this.db.prepare(`INSERT INTO users (username, has_list) VALUES (?, 1)
+      ON CONFLICT(username) DO UPDATE SET has_list = 1`).run(username);
+    this.db.prepare('DELETE FROM lists WHERE owner = ?').run(username);
+    this.db.prepare('DELETE FROM cities WHERE owner = ?').run(username); // Cascades to items
+    if (!holdsLists(entry)) return this.insertCities(username, null, entry);
+    const insertList = this.db.prepare('INSERT INTO lists (owner, position, name, share_token, extra) VALUES (?, ?, ?, ?, ?)');
+    const insertMember = this.db.prepare('INSERT INTO list_members (list_id, username) VALUES (?, ?)');
+    entry.forEach((list, position) => {
+      const { name, cities, ...extra } = list;
+      const { lastInsertRowid } = insertList.run(username, position, name, list.shareToken || null, JSON.stringify(extra));
+      for (const member of memberNames(list)) insertMember.run(lastInsertRowid, member);
+      this.insertCities(username, lastInsertRowid, cities);
+    });
+  }
+
+  /**
+   * Removes a user's lists and cities (and the user row if it is not a registered user).
+   * @param {string} username
+   */
+  dropEntry(username) {
+    this.db.prepare('DELETE FROM lists WHERE owner = ?').run(username);
+    this.db.prepare('DELETE FROM cities WHERE owner = ?').run(username);
+    this.db.prepare('UPDATE users SET has_list = 0 WHERE username = ?').run(username);
+    this.db.prepare('DELETE FROM users WHERE username = ? AND password IS NULL').run(username);
+  }
+
+  /**
+   * Writes shared entries to the meta table.
+   * @param {object} shared - Map of shared key to value
+   */
+  writeShared(shared) {
+    const upsert = this.db.prepare(`INSERT INTO meta (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value`);
+    for (const [key, value] of Object.entries(shared)) {
+      upsert.run(key, JSON.stringify(value === undefined ? null : value));
+    }
+  }
+
+  /**
+   * Reassembles the whole city data object from the tables.
+   * @returns {object} Data object keyed by username plus shared keys
+   */
+  readData() {
+    const data = {};
+    for (const row of this.db.prepare('SELECT key, value FROM meta').all()) {
+      data[row.key] = JSON.parse(row.value);
+    }
+    for (const row of this.db.prepare('SELECT username FROM users WHERE has_list = 1 ORDER BY rowid').all()) {
+      data[row.username] = this.selectEntry(row.username);
+    }
+    return data;
+  }
+
+  /**
+   * Replaces the whole city data object.
+   * @param {object} data - The data object to write.
+   */
+  writeData(data) {
+    this.transaction(() => {
+      const { shared, users } = splitData(data);
+      for (const row of this.db.prepare('SELECT username FROM users WHERE has_list = 1').all()) {
+        if (!(row.username in users)) this.dropEntry(row.username);
+      }
+      for (const [username, entry] of Object.entries(users)) this.replaceEntry(username, entry);
+      this.db.exec('DELETE FROM meta');
+      this.writeShared(shared);
+    });
+  }
+
+  /**
+   * Reads one entry with a query scoped to that user (or the meta table).
+   * @param {string} key - Username or shared key
+   * @returns {*} The entry, or undefined if it does not exist
+   */
+  readEntry(key) {
+    if (isSharedKey(key)) {
+      const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+      return row ? JSON.parse(row.value) : undefined;
+    }
+    const user = this.db.prepare('SELECT has_list FROM users WHERE username = ?').get(key);
+    return user && user.has_list ? this.selectEntry(key) : undefined;
+  }
+
+  /**
+   * Replaces entries, touching only the rows of the users involved.
+   * @param {object} entries - Map of username/shared key to new value
+   */
+  writeEntries(entries) {
+    this.transaction(() => {
+      const { shared, users } = splitData(entries);
+      for (const [username, entry] of Object.entries(users)) this.replaceEntry(username, entry);
+      this.writeShared(shared);
+    });
+  }
+
+  /**
+   * Finds the lists a user is a member of through the list_members table.
+   * @param {string} username - The member
+   * @returns {Array<{ owner: string, list: object }>} The lists and their owners
+   */
+  findListsByMember(username) {
+    return this.db.prepare(`SELECT DISTINCT lists.id, lists.owner, lists.name, lists.extra, lists.position FROM lists
+      JOIN list_members ON list_members.list_id = lists.id
+      WHERE list_members.username = ? ORDER BY lists.owner, lists.position`)
+      .all(username)
+      .map(row => ({ owner: row.owner, list: this.selectList(row) }));
+  }
+
+  /**
+   * Finds the list shared under a token through the share_token index.
+   * @param {string} token - Share token
+   * @returns {{ owner: string, list: object }|undefined} The list and its owner
+   */
+  findListByShareToken(token) {
+    const row = this.db.prepare('SELECT id, owner, name, extra FROM lists WHERE share_token = ?').get(token);
+    return row ? { owner: row.owner, list: this.selectList(row) } : undefined;
+  }
+
+  /**
+   * Reads the lists of several owners, one indexed query each.
+   * @param {Array<string>} owners - Usernames
+   * @returns {Array<{ owner: string, list: object }>} The lists, in the order of the owners
+   */
+  findListsByOwners(owners) {
+    const select = this.db.prepare('SELECT id, owner, name, extra FROM lists WHERE owner = ? ORDER BY position');
+    return owners.flatMap(owner => select.all(owner).map(row => ({ owner, list: this.selectList(row) })));
+  }
+
+  /**
+   * Reads the registered users (rows with a password).
+   * @returns {Array} Array of user objects
+   */
+  readUsers() {
+    return this.db.prepare('SELECT username, password FROM users WHERE password IS NOT NULL ORDER BY rowid')
+      .all()
+      .map(row => ({ username: row.username, password: row.password }));
+  }
+
+  /**
+   * Replaces the registered users. Rows that only own lists are kept without a password.
+   * @param {Array} users - Array of user objects to write.
+   */
+  writeUsers(users) {
+    this.transaction(() => {
+      this.db.exec('UPDATE users SET password = NULL');
+      const upsert = this.db.prepare(`INSERT INTO users (username, password) VALUES (?, ?)
+        ON CONFLICT(username) DO UPDATE SET password = excluded.password`);
+      for (const user of users) upsert.run(user.username, user.password);
+      this.db.exec('DELETE FROM users WHERE password IS NULL AND has_list = 0');
+    });
+  }
+
+  /**
+   * Combines SQLite's `data_version`, which changes with every commit by another connection, with
+   * the commits of this one, which it does not count.
+   * @returns {string}
+   */
+  dataVersion() {
+    const { data_version: version } = this.db.prepare('PRAGMA data_version').get();
+    return `${version}:${this.commits}`;
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the city data inside one transaction.
+   * @param {Function} fn
+   * @returns {*} The return value of fn
+   */
+  lockData(fn) {
+    return this.transaction(fn);
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the users inside one transaction.
+   * @param {Function} fn
+   * @returns {*} The return value of fn
+   */
+  lockUsers(fn) {
+    return this.transaction(fn);
+  }
+}
+
+module.exports = SqliteAdapter;
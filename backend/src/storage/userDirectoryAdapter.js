@@ -0,0 +1,266 @@
+/**
+ * Per-user directory storage adapter.
+ * Splits the city data object so that every user gets their own directory:
+ *
+ *   <directory>/
+ *     users.json            # all registered users
+ *     shared.json           # keys not owned by a user (e.g. `showcase`)
+ *     lists-index.json      # members and share tokens of each user's lists
+ *     <username>/cities.json
+ *
+ * Usernames are URI-encoded to produce safe directory names. The list index maps each owner to the
+ * members and share tokens of their lists, so member and share link lookups only read the files of
+ * the owners involved. It is rewritten with every user file; stores written before it existed are
+ * indexed from the user files until the next write.
+ * Every file is written atomically and backed up; see atomicFile.js.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../../config/config');
+const BaseAdapter = require('./baseAdapter');
+const { readJsonFile, writeJsonFile, fileVersion, withFileLock, withFileLocks } = require('./atomicFile');
+const { isSharedKey, splitData, holdsLists, ownedLists, memberNames } = require('./layout');
+
+const CITIES_FILE = 'cities.json';
+const SHARED_FILE = 'shared.json';
+const USERS_FILE = 'users.json';
+const LIST_INDEX_FILE = 'lists-index.json';
+
+/**
+ * Indexes the lists of a user entry.
+ * @param {*} entry - The user's entry of the data object
+ * @returns {{ members: Array<string>, shareTokens: Array<string> }} Members and share tokens of the lists
+ */
+function indexEntry(entry) {
+  const lists = holdsLists(entry) ? entry : [];
+  return {
+    members: [...new Set(lists.flatMap(memberNames))],
+    shareTokens: lists.map(list => list.shareToken).filter(Boolean),
+  };
+}
+
+class UserDirectoryAdapter extends BaseAdapter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.directory] - Root directory (defaults to config.getStorageDirectoryPath())
+   */
+  constructor(options = {}) {
+    super();
+    this.directory = options.directory;
+  }
+
+  /**
+   * Root directory holding one sub-directory per user.
+   * @returns {string}
+   */
+  getDirectory() {
+    return this.directory || config.getStorageDirectoryPath();
+  }
+
+  /**
+   * Directory for a single user's files.
+   * @param {string} username
+   * @returns {string}
+   */
+  getUserDirectory(username) {
+    return path.join(this.getDirectory(), encodeURIComponent(username));
+  }
+
+  /**
+   * Lists the usernames that currently have a directory.
+   * @returns {string[]}
+   */
+  listUsernames() {
+    const root = this.getDirectory();
+    if (!fs.existsSync(root)) return [];
+    return fs.readdirSync(root, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => decodeURIComponent(entry.name));
+  }
+
+  /**
+   * Reassembles the city data object from the per-user files.
+   * @returns {object} Data object keyed by username plus shared keys
+   */
+  readData() {
+    const data = readJsonFile(path.join(this.getDirectory(), SHARED_FILE), {});
+    for (const username of this.listUsernames()) {
+      data[username] = readJsonFile(path.join(this.getUserDirectory(username), CITIES_FILE), []);
+    }
+    return data;
+  }
+
+  /**
+   * Splits the data object into per-user files and a shared file.
+   * Directories of users missing from the data object are removed.
+   * @param {object} data - The data object to write.
+   */
+  writeData(data) {
+    const { shared, users } = splitData(data);
+    fs.mkdirSync(this.getDirectory(), { recursive: true });
+    for (const [username, cities] of Object.entries(users)) {
+      this.writeUserCities(username, cities, false);
+    }
+    writeJsonFile(path.join(this.getDirectory(), SHARED_FILE), shared);
+    for (const username of this.listUsernames()) {
+      if (!(username in users)) {
+        fs.rmSync(this.getUserDirectory(username), { recursive: true, force: true }); // User no longer has data
+      }
+    }
+    const index = {};
+    for (const [username, cities] of Object.entries(users)) index[username] = indexEntry(cities);
+    writeJsonFile(path.join(this.getDirectory(), LIST_INDEX_FILE), index);
+  }
+
+  /**
+   * Writes a single user's cities file.
+   * @param {string} username
+   * @param {Array} cities - The user's lists (or a plain city list before schema version 7)
+   * @param {boolean} [updateIndex=true] - Whether to update the list index (writeData rewrites it once)
+   */
+  writeUserCities(username, cities, updateIndex = true) {
+    const userDir = this.getUserDirectory(username);
+    fs.mkdirSync(userDir, { recursive: true });
+    writeJsonFile(path.join(userDir, CITIES_FILE), cities);
+    if (updateIndex) {
+      const index = this.readListIndex();
+      index[username] = indexEntry(cities);
+      writeJsonFile(path.join(this.getDirectory(), LIST_INDEX_FILE), index);
+    }
+  }
+
+  /**
+   * Reads the list index, or builds it from the user files if it was never written.
+   * @returns {object} Map of username to `{ members, shareTokens }`
+   */
+  readListIndex() {
+    const index = readJsonFile(path.join(this.getDirectory(), LIST_INDEX_FILE), null);
+    if (index) return index;
+    const built = {};
+    for (const username of this.listUsernames()) built[username] = indexEntry(this.readEntry(username));
+    return built;
+  }
+
+  /**
+   * Lists the owners whose index entry matches, e.g. the owners of lists with a given member.
+   * @param {Function} predicate - Called with an index entry (`{ members, shareTokens }`)
+   * @returns {Array<string>} Usernames
+   */
+  indexedOwners(predicate) {
+    return Object.entries(this.readListIndex())
+      .filter(([, entry]) => predicate(entry))
+      .map(([owner]) => owner);
+  }
+
+  /**
+   * Finds the lists a user is a member of, reading only the files of the owners the index names.
+   * @param {string} username - The member
+   * @returns {Array<{ owner: string, list: object }>} The lists and their owners
+   */
+  findListsByMember(username) {
+    return this.findListsByOwners(this.indexedOwners(entry => entry.members.includes(username)))
+      .filter(({ list }) => memberNames(list).includes(username));
+  }
+
+  /**
+   * Finds the list shared under a token, reading only the file of the owner the index names.
+   * @param {string} token - Share token
+   * @returns {{ owner: string, list: object }|undefined} The list and its owner
+   */
+  findListByShareToken(token) {
+    return this.findListsByOwners(this.indexedOwners(entry => entry.shareTokens.includes(token)))
+      .find(({ list }) => list.shareToken === token);
+  }
+
+  /**
+   * Reads the lists of several owners, one user file each.
+   * @param {Array<string>} owners - Usernames
+   * @returns {Array<{ owner: string, list: object }>} The lists, in the order of the owners
+   */
+  findListsByOwners(owners) {
+    return owners.flatMap(owner => ownedLists(owner, this.readEntry(owner)));
+  }
+
+  /**
+   * Reads one entry, touching only that user's file (or the shared file).
+   * @param {string} key - Username or shared key
+   * @returns {*} The entry, or undefined if it does not exist
+   */
+  readEntry(key) {
+    if (isSharedKey(key)) return readJsonFile(path.join(this.getDirectory(), SHARED_FILE), {})[key];
+    return readJsonFile(path.join(this.getUserDirectory(key), CITIES_FILE), undefined);
+  }
+
+  /**
+   * Replaces entries, rewriting only the affected user files (and the shared file if needed).
+   * @param {object} entries - Map of username/shared key to new value
+   */
+  writeEntries(entries) {
+    const { shared, users } = splitData(entries);
+    for (const [username, cities] of Object.entries(users)) {
+      this.writeUserCities(username, cities);
+    }
+    if (Object.keys(shared).length > 0) {
+      const sharedFile = path.join(this.getDirectory(), SHARED_FILE);
+      writeJsonFile(sharedFile, { ...readJsonFile(sharedFile, {}), ...shared });
+    }
+  }
+
+  /**
+   * Stamps the list index and the shared file: every write of a user file rewrites the index too.
+   * @returns {string}
+   */
+  dataVersion() {
+    const root = this.getDirectory();
+    return `${fileVersion(path.join(root, LIST_INDEX_FILE))}/${fileVersion(path.join(root, SHARED_FILE))}`;
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the city data while holding a lock on the whole directory.
+   * @param {Function} fn - Function to run while the lock is held
+   * @returns {*} The return value of fn
+   */
+  lockData(fn) {
+    return withFileLock(path.join(this.getDirectory(), SHARED_FILE), fn);
+  }
+
+  /**
+   * Reads the list of users.
+   * @returns {Array} Array of user objects, or an empty array if none are stored.
+   */
+  readUsers() {
+    return readJsonFile(path.join(this.getDirectory(), USERS_FILE), []);
+  }
+
+  /**
+   * Writes the list of users.
+   * @param {Array} users - Array of user objects to write.
+   */
+  writeUsers(users) {
+    const root = this.getDirectory();
+    fs.mkdirSync(root, { recursive: true });
+    writeJsonFile(path.join(root, USERS_FILE), users);
+  }
+
+  /**
+   * Runs a read-modify-write cycle on the users while holding the users file lock.
+   * @param {Function} fn - Function to run while the lock is held
+   * @returns {*} The return value of fn
+   */
+  lockUsers(fn) {
+    return withFileLock(path.join(this.getDirectory(), USERS_FILE), fn);
+  }
+
+  /**
+   * Runs fn holding the users and directory locks.
+   * @param {Function} fn - Function to run; may return a promise
+   * @returns {Promise<*>} The result of fn
+   */
+  withLocks(fn) {
+    const root = this.getDirectory();
+    return withFileLocks([path.join(root, USERS_FILE), path.join(root, SHARED_FILE)], fn);
+  }
+}
+
+module.exports = UserDirectoryAdapter;
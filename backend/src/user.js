@@ -1,44 +1,42 @@
 /**
  * User authentication and session management routes.
- * Handles registration, login, logout, and session check.
- * Stores users in users.json (for demo purposes).
+ * Handles registration, login, logout, session check, and whether the user's lists are public.
+ * Users are persisted through the configured storage adapter (users.json by default); the public
+ * flag is kept with the public showcase (see showcase.js).
  */
-const path = require('path');
 const express = require('express');
-const fs = require('fs');
 const router = express.Router();
 
-// Import global configuration
-const config = require('../config/config');
+// Storage adapter selected in config/database.json
+const storage = require('./storage');
+const { isValidEmail } = require('./email');
+const { withDataLock } = require('./cityStore');
+const { isPublicUser, setPublicUser } = require('./showcase');
 
 /**
- * Reads the list of users from the configured users file.
- * @returns {Array} Array of user objects, or an empty array if the file does not exist.
- * Side effect: Reads from the filesystem.
+ * Reads the list of users through the active storage adapter.
+ * @returns {Array} Array of user objects.
  */
 function readUsers() {
-  const usersFile = config.getUsersFilePath();
-  if (!fs.existsSync(usersFile)) return []; // Return empty array if file missing
-  return JSON.parse(fs.readFileSync(usersFile, 'utf-8')); // Parse and return users
+  return storage.getAdapter().readUsers();
 }
 
 /**
- * Writes the given users array to the configured users file.
+ * Writes the given users array through the active storage adapter.
  * @param {Array} users - Array of user objects to write.
- * Side effect: Writes to the filesystem.
  */
 function writeUsers(users) {
-  const usersFile = config.getUsersFilePath();
-  fs.writeFileSync(usersFile, JSON.stringify(users, null, 2)); // Write formatted JSON
+  storage.getAdapter().writeUsers(users);
 }
 
 /**
- * Validates that the username is a valid email address.
- * @param {string} email - The email to validate.
- * @returns {boolean} True if valid email, false otherwise.
+ * Runs a read-modify-write cycle on the users as one exclusive unit,
+ * so two simultaneous registrations cannot drop each other.
+ * @param {Function} fn - Function that reads, modifies and writes the users
+ * @returns {*} The return value of fn
  */
-function isValidEmail(email) {
-  return /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email); // Simple regex for email validation
+function withUsersLock(fn) {
+  return storage.getAdapter().lockUsers(fn);
 }
 
 /**
@@ -48,9 +46,10 @@ function isValidEmail(email) {
  * - Validates email format.
  * - Stores user in users.json and sets session.
  * - Returns error if user exists or data is invalid.
- * Responds with the new user's username or error message.
+ * - New users' lists are private.
+ * Responds with the new user's `{ username, public }` or error message.
  */
-router.post('/register', (req, res) => {
+router.post('/register', (req, res) => withUsersLock(() => {
   const { username, password } = req.body;
   if (!username || !password) return res.status(400).json({ error: 'Username and password required' });
   if (!isValidEmail(username)) return res.status(400).json({ error: 'A valid email is required' });
@@ -61,8 +60,8 @@ router.post('/register', (req, res) => {
   users.push({ username, password }); // Add new user
   writeUsers(users); // Persist users
   req.session.user = { username }; // Set session
-  res.json({ username }); // Respond with username
-});
+  res.json({ username, public: false }); // Respond with username
+}));
 
 /**
  * POST /login
@@ -71,7 +70,7 @@ router.post('/register', (req, res) => {
  * - Validates email format.
  * - Sets session if successful.
  * - Returns error for invalid credentials or email.
- * Responds with the user's username or error message.
+ * Responds with the user's `{ username, public }` or error message.
  */
 router.post('/login', (req, res) => {
   const { username, password } = req.body;
@@ -80,7 +79,7 @@ router.post('/login', (req, res) => {
   const user = users.find(u => u.username === username && u.password === password);
   if (!user) return res.status(401).json({ error: 'Invalid credentials' });
   req.session.user = { username }; // Set session
-  res.json({ username }); // Respond with username
+  res.json({ username, public: isPublicUser(username) }); // Respond with username and public flag
 });
 
 /**
@@ -96,15 +95,33 @@ router.post('/logout', (req, res) => {
 
 /**
  * GET /me
- * Returns the current logged-in user's username, or 401 if not logged in.
- * Responds with the username or error message.
+ * Returns the current logged-in user's `{ username, public }`, or 401 if not logged in.
+ * `public` tells whether the user's lists are shown in the public showcase (GET /api/public/lists).
+ * Responds with the user or error message.
  */
 router.get('/me', (req, res) => {
   if (req.session.user) {
-    res.json({ username: req.session.user.username }); // Respond with username
+    const { username } = req.session.user;
+    res.json({ username, public: isPublicUser(username) }); // Respond with username and public flag
   } else {
     res.status(401).json({ error: 'Not logged in' }); // Respond with error
   }
 });
 
+/**
+ * PATCH /me
+ * Shows the logged-in user's lists in the public showcase, or hides them again.
+ * - Body: `{ public: true }` or `{ public: false }`.
+ * - Returns 401 if not logged in, 400 if `public` is not a boolean.
+ * Responds with the user's `{ username, public }` or error message.
+ */
+router.patch('/me', (req, res) => withDataLock(() => {
+  if (!req.session.user) return res.status(401).json({ error: 'Not logged in' });
+  const { username } = req.session.user;
+  const { public: isPublic } = req.body || {};
+  if (typeof isPublic !== 'boolean') return res.status(400).json({ error: 'public must be true or false' });
+  setPublicUser(username, isPublic);
+  res.json({ username, public: isPublic }); // Respond with username and public flag
+}));
+
 module.exports = router; 
\ No newline at end of file
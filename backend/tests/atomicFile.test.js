@@ -0,0 +1,199 @@
+/**
+ * atomicFile.test.js
+ *
+ * This test suite verifies the crash-safe file helpers used by the file-based storage adapters.
+ * It simulates the failure modes that used to corrupt data.json and users.json: a truncated file
+ * after a crash mid-write, and two read-modify-write cycles running at the same time.
+ *
+ * Coverage includes:
+ * - Atomic writes leave no temporary files behind and keep the previous contents as the backup
+ * - Recovery of the last good copy when the main file fails to parse
+ * - Errors when a file is corrupt and no backup exists
+ * - Lock acquisition, re-entrancy and stale lock cleanup by the owner's pid
+ * - Waiting for locks asynchronously for a whole request, with the event loop left free, timeouts,
+ *   and locks re-entered only by the request that owns them
+ * - JsonFileAdapter recovering data.json through the same helpers
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { writeJsonFile, readJsonFile, withFileLock, withFileLocks } = require('../src/storage/atomicFile.js');
+const JsonFileAdapter = require('../src/storage/jsonFileAdapter.js');
+
+describe('Atomic file helpers', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-test-'));
+    file = path.join(tmpDir, 'data.json');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    vi.restoreAllMocks();
+  });
+
+  // Test: Writes replace the file and back up the previous contents without leaving temp files
+  it('writes atomically and keeps a backup', () => {
+    writeJsonFile(file, { alice: [] });
+    expect(fs.readdirSync(tmpDir)).toEqual(['data.json']); // Nothing to back up yet
+    writeJsonFile(file, { alice: [{ name: 'Paris' }] });
+    expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).toEqual({ alice: [{ name: 'Paris' }] });
+    expect(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8'))).toEqual({ alice: [] });
+    expect(fs.readdirSync(tmpDir).sort()).toEqual(['data.json', 'data.json.bak']);
+  });
+
+  // Test: A bad write that still parses does not reach the backup, and corrupt contents never do
+  it('keeps the last good copy as the backup', () => {
+    writeJsonFile(file, { bob: [{ name: 'London' }] });
+    writeJsonFile(file, { bob: null }); // Parses, but loses the list
+    expect(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8'))).toEqual({ bob: [{ name: 'London' }] });
+    fs.writeFileSync(file, '{"bob": nu'); // Hand-edited into invalid JSON
+    writeJsonFile(file, { bob: [] });
+    expect(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8'))).toEqual({ bob: [{ name: 'London' }] });
+  });
+
+  // Test: Returns the fallback for a missing file
+  it('returns the fallback when the file does not exist', () => {
+    expect(readJsonFile(file, [])).toEqual([]);
+  });
+
+  // Test: A truncated file is recovered from the last good copy
+  it('recovers the last good copy when the file fails to parse', () => {
+    writeJsonFile(file, { bob: [] });
+    writeJsonFile(file, { bob: [{ name: 'London' }] });
+    writeJsonFile(file, { bob: [{ name: 'London' }] });
+    fs.writeFileSync(file, '{"bob": [{"na'); // Simulate a crash mid-write
+    expect(readJsonFile(file, {})).toEqual({ bob: [{ name: 'London' }] });
+    expect(fs.readFileSync(file, 'utf-8')).toBe('{"bob": [{"na'); // Not rewritten outside a lock
+    expect(console.error).toHaveBeenCalled();
+    writeJsonFile(file, { bob: [{ name: 'London' }, { name: 'Leeds' }] }); // The next write repairs it
+    expect(readJsonFile(file, {}).bob).toHaveLength(2);
+    expect(JSON.parse(fs.readFileSync(`${file}.bak`, 'utf-8'))).toEqual({ bob: [{ name: 'London' }] });
+  });
+
+  // Test: Corrupt file with no backup still throws
+  it('throws when the file is corrupt and no backup exists', () => {
+    fs.writeFileSync(file, '{');
+    expect(() => readJsonFile(file, {})).toThrow(SyntaxError);
+  });
+
+  // Test: Lock is released after the cycle, even when it throws
+  it('releases the lock after fn completes or throws', () => {
+    expect(withFileLock(file, () => 42)).toBe(42);
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+    expect(() => withFileLock(file, () => { throw new Error('boom'); })).toThrow('boom');
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  // Test: Nested cycles on the same file do not deadlock
+  it('is re-entrant within the same process', () => {
+    const result = withFileLock(file, () => withFileLock(file, () => 'inner'));
+    expect(result).toBe('inner');
+  });
+
+  // Test: The synchronous cycle never waits for a lock held by another process
+  it('refuses a lock held by another process without waiting', () => {
+    fs.writeFileSync(`${file}.lock`, '');
+    const fn = vi.fn();
+    const start = Date.now();
+    expect(() => withFileLock(file, fn)).toThrow(/held elsewhere/);
+    expect(Date.now() - start).toBeLessThan(50);
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  // Test: A lock abandoned by a crashed process is taken over
+  it('removes stale locks', () => {
+    const lockFile = `${file}.lock`;
+    fs.writeFileSync(lockFile, '');
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, old, old);
+    expect(withFileLock(file, () => 'ok')).toBe('ok');
+  });
+
+  // Test: The lock records its owner; a lock is stale once that process is gone, however young,
+  // and never while it runs, however old
+  it('tells stale locks by the pid of their owner', () => {
+    const lockFile = `${file}.lock`;
+    expect(withFileLock(file, () => fs.readFileSync(lockFile, 'utf-8'))).toBe(String(process.pid));
+    fs.writeFileSync(lockFile, String(spawnSync(process.execPath, ['-e', '']).pid)); // Exited
+    expect(withFileLock(file, () => 'ok')).toBe('ok');
+    fs.writeFileSync(lockFile, String(process.pid)); // Left behind by an earlier run under this pid
+    expect(withFileLock(file, () => 'ok')).toBe('ok');
+    fs.writeFileSync(lockFile, String(process.ppid));
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile, old, old);
+    expect(() => withFileLock(file, () => 'ok')).toThrow(/held elsewhere/);
+  });
+
+  // Test: Acquiring asynchronously keeps the event loop running while another process holds the
+  // lock; cycles inside the held lock then run without waiting
+  it('waits for locks without blocking the event loop', async () => {
+    const usersFile = path.join(tmpDir, 'users.json');
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+    const timer = new Promise(resolve => setTimeout(resolve, 30)).then(() => {
+      fs.rmSync(`${file}.lock`); // The other process finishes
+      return 'timer';
+    });
+    const result = await withFileLocks([usersFile, file], () => {
+      expect(fs.readFileSync(`${file}.lock`, 'utf-8')).toBe(String(process.pid));
+      return withFileLock(file, () => withFileLock(usersFile, () => 'ok'));
+    }, { timeoutMs: 2000 });
+    expect(result).toBe('ok');
+    expect(await timer).toBe('timer');
+    expect(fs.readdirSync(tmpDir)).toEqual([]);
+  });
+
+  // Test: Only the owner of a lock re-enters it; another request waits for it, or is refused by
+  // the synchronous cycle, and work the owner left running cannot use it after the release
+  it('lets only the owner re-enter a lock', async () => {
+    const order = [];
+    let leftRunning;
+    const first = withFileLocks([file], async () => {
+      leftRunning = new Promise(resolve => setTimeout(resolve, 60)).then(() => withFileLock(file, () => 'late'));
+      await new Promise(resolve => setTimeout(resolve, 30));
+      order.push('first');
+    });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(() => withFileLock(file, () => 'other')).toThrow(/held elsewhere/);
+    const second = withFileLocks([file], () => order.push('second'));
+    await Promise.all([first, second]);
+    expect(order).toEqual(['first', 'second']);
+    expect(await leftRunning).toBe('late'); // Taken afresh, as the lock is free again
+    expect(fs.existsSync(`${file}.lock`)).toBe(false);
+  });
+
+  // Test: A timeout rejects and releases the locks already taken
+  it('releases the locks taken so far when acquiring times out', async () => {
+    const usersFile = path.join(tmpDir, 'users.json');
+    fs.writeFileSync(`${file}.lock`, String(process.ppid));
+    const fn = vi.fn();
+    await expect(withFileLocks([usersFile, file], fn, { timeoutMs: 50 })).rejects.toThrow(/Timed out/);
+    expect(fn).not.toHaveBeenCalled();
+    expect(fs.existsSync(`${usersFile}.lock`)).toBe(false);
+    expect(fs.existsSync(`${file}.lock`)).toBe(true);
+  });
+
+  // Test: Two read-modify-write cycles through the adapter both persist
+  it('JsonFileAdapter keeps both updates from sequential locked cycles and recovers from corruption', () => {
+    const adapter = new JsonFileAdapter({ dataFile: file, usersFile: path.join(tmpDir, 'users.json') });
+    adapter.writeData({ carol: [{ name: 'Rome', attractions: [] }] });
+    const addAttraction = name => adapter.lockData(() => {
+      const data = adapter.readData();
+      data.carol[0].attractions.push(name);
+      adapter.writeData(data);
+    });
+    addAttraction('Colosseum');
+    addAttraction('Pantheon');
+    expect(adapter.readData().carol[0].attractions).toEqual(['Colosseum', 'Pantheon']);
+    fs.writeFileSync(file, ''); // Truncated by a crash
+    expect(adapter.readData().carol[0].attractions).toEqual(['Colosseum']); // The copy before the last write
+  });
+});
@@ -8,17 +8,37 @@
  * - Adding, deleting, and listing cities for users
  * - Adding attractions and restaurants to cities
  * - Enforcing city, attraction, and restaurant limits
- * - Ensuring only the last N items are returned
+ * - Ensuring only the top N ranked items are returned
  * - Data isolation between users
  * - Error handling for invalid operations
+ * - Stable IDs and the ID-based routes
+ * - Renaming cities, attractions and restaurants in place with PATCH
+ * - Ranks and moving cities and items to a new rank
+ * - Structured attraction/restaurant records validated against the item schema
+ * - createdAt/updatedAt timestamps (with an injected clock) and sorting GET / by them
+ * - Pagination, name filtering and field selection on GET /
+ * - Name matching that ignores case, accents and spacing, and 409 for near-duplicate names
+ * - Strict city validation against the gazetteer
+ * - City and attraction coordinates, and the GeoJSON export
  */
-import { describe, it, expect, beforeEach, afterAll } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach, afterAll } from 'vitest';
 import fs from 'fs';
 import path from 'path';
+import { createRequire } from 'module';
 import cityRoutes from '../src/city.js';
 
+const require = createRequire(import.meta.url);
+const clock = require('../src/clock.js'); // Same module instance as the one city.js uses
+const config = require('../config/config.js');
+const storage = require('../src/storage/index.js');
+const { migrateStorage } = require('../src/migrations/index.js');
+
 const DATA_FILE = path.join(path.dirname(new URL(import.meta.url).pathname), '../data.json');
 
+// Fixed time returned by the test clock, and the timestamps it produces
+const NOW = '2024-05-01T12:00:00.000Z';
+const STAMPED = { createdAt: NOW, updatedAt: NOW };
+
 /**
  * Helper to mock request and response objects for testing Express routes.
  * @param {object} body - The request body
@@ -31,18 +51,34 @@ function mockReqRes(body = {}, session = {}, params = {}) {
   const res = {
     statusCode: 200,
     jsonPayload: null,
+    headers: {},
     status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
     json(payload) { this.jsonPayload = payload; return this; }
   };
   return { req, res };
 }
 
+/**
+ * Writes data.json and upgrades it to the current schema, as the server does on startup.
+ * @param {object} data - Data object, in any schema version
+ */
+function writeData(data) {
+  fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+  migrateStorage(storage.getAdapter());
+}
+
 // Test suite for city routes
 describe('City routes', () => {
   // Reset data.json before each test to ensure test isolation
   beforeEach(() => {
     // Reset data.json before each test
     fs.writeFileSync(DATA_FILE, '{}');
+    clock.setClock(() => NOW);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
   });
 
   // Test: Returns empty array for guest (not logged in)
@@ -62,41 +98,41 @@ describe('City routes', () => {
     expect(res.statusCode).toBe(200);
     expect(res.jsonPayload.name).toBe('Paris');
     const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-    expect(data['alice'][0].name).toBe('Paris');
+    expect(data['alice'][0].cities[0].name).toBe('Paris');
   });
 
   // Test: Deletes a city for a user
   it('deletes a city for a user', () => {
     const session = { user: { username: 'bob' } };
     const data = { bob: [{ name: 'London', attractions: [], restaurants: [] }], latest: [{ name: 'London', attractions: [], restaurants: [] }] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     const { req, res } = mockReqRes({}, session, { cityName: 'London' });
     cityRoutes.handle({ ...req, method: 'DELETE', url: '/London' }, res, () => {}); // Simulate DELETE /:cityName
     expect(res.statusCode).toBe(200);
     const updated = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
-    expect(updated['bob'].length).toBe(0);
+    expect(updated['bob'][0].cities.length).toBe(0);
   });
 
   // Test: Adds an attraction to a city
   it('adds an attraction to a city', () => {
     const session = { user: { username: 'carol' } };
     const data = { carol: [{ name: 'Rome', attractions: [], restaurants: [] }], latest: [{ name: 'Rome', attractions: [], restaurants: [] }] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     const { req, res } = mockReqRes({ attraction: 'Colosseum' }, session, { cityName: 'Rome' });
     cityRoutes.handle({ ...req, method: 'POST', url: '/Rome/attractions' }, res, () => {}); // Simulate POST /:cityName/attractions
     expect(res.statusCode).toBe(200);
-    expect(res.jsonPayload.attractions).toContain('Colosseum');
+    expect(res.jsonPayload.attractions.map(a => a.name)).toContain('Colosseum');
   });
 
   // Test: Adds a restaurant to a city
   it('adds a restaurant to a city', () => {
     const session = { user: { username: 'dave' } };
     const data = { dave: [{ name: 'Berlin', attractions: [], restaurants: [] }], latest: [{ name: 'Berlin', attractions: [], restaurants: [] }] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     const { req, res } = mockReqRes({ restaurant: 'Curry 36' }, session, { cityName: 'Berlin' });
     cityRoutes.handle({ ...req, method: 'POST', url: '/Berlin/restaurants' }, res, () => {}); // Simulate POST /:cityName/restaurants
     expect(res.statusCode).toBe(200);
-    expect(res.jsonPayload.restaurants).toContain('Curry 36');
+    expect(res.jsonPayload.restaurants.map(r => r.name)).toContain('Curry 36');
   });
 
   // Test: Enforces city limit (10 per user)
@@ -121,7 +157,7 @@ describe('City routes', () => {
   it('enforces attraction limit (5 per city)', () => {
     const session = { user: { username: 'frank' } };
     const data = { frank: [{ name: 'Rome', attractions: [], restaurants: [] }], latest: [{ name: 'Rome', attractions: [], restaurants: [] }] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     // Add 5 attractions
     for (let i = 0; i < 5; i++) {
       const { req, res } = mockReqRes({ attraction: `Attraction${i}` }, session, { cityName: 'Rome' });
@@ -139,7 +175,7 @@ describe('City routes', () => {
   it('enforces restaurant limit (5 per city)', () => {
     const session = { user: { username: 'gina' } };
     const data = { gina: [{ name: 'Berlin', attractions: [], restaurants: [] }], latest: [{ name: 'Berlin', attractions: [], restaurants: [] }] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     // Add 5 restaurants
     for (let i = 0; i < 5; i++) {
       const { req, res } = mockReqRes({ restaurant: `Restaurant${i}` }, session, { cityName: 'Berlin' });
@@ -166,7 +202,7 @@ describe('City routes', () => {
       });
     }
     const data = { hank: cities, latest: cities };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     const { req, res } = mockReqRes({}, session, {});
     cityRoutes.handle({ ...req, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /
     expect(res.statusCode).toBe(200);
@@ -177,8 +213,8 @@ describe('City routes', () => {
     }
   });
 
-  // Test: GET returns the last 10 cities, not the first 10
-  it('GET returns the last 10 cities, not the first 10', () => {
+  // Test: GET returns the 10 top-ranked cities, not the last 10 added
+  it('GET returns the top 10 ranked cities', () => {
     const session = { user: { username: 'lastcities' } };
     // Create 15 cities
     const cities = [];
@@ -186,18 +222,18 @@ describe('City routes', () => {
       cities.push({ name: `City${i}`, attractions: [], restaurants: [] });
     }
     const data = { lastcities: cities, latest: cities };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     const { req, res } = mockReqRes({}, session, {});
     cityRoutes.handle({ ...req, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /
     expect(res.statusCode).toBe(200);
     expect(res.jsonPayload.length).toBe(10);
-    // Should be City5 to City14
-    expect(res.jsonPayload[0].name).toBe('City5');
-    expect(res.jsonPayload[9].name).toBe('City14');
+    // Should be City0 to City9, ranked 1 to 10
+    expect(res.jsonPayload[0]).toMatchObject({ name: 'City0', rank: 1 });
+    expect(res.jsonPayload[9]).toMatchObject({ name: 'City9', rank: 10 });
   });
 
-  // Test: GET returns the last 5 attractions/restaurants, not the first 5
-  it('GET returns the last 5 attractions/restaurants, not the first 5', () => {
+  // Test: GET returns the 5 top-ranked attractions/restaurants
+  it('GET returns the top 5 ranked attractions/restaurants', () => {
     const session = { user: { username: 'lastitems' } };
     const city = {
       name: 'TestCity',
@@ -205,17 +241,413 @@ describe('City routes', () => {
       restaurants: ['R0', 'R1', 'R2', 'R3', 'R4', 'R5', 'R6']
     };
     const data = { lastitems: [city], latest: [city] };
-    fs.writeFileSync(DATA_FILE, JSON.stringify(data));
+    writeData(data);
     const { req, res } = mockReqRes({}, session, {});
     cityRoutes.handle({ ...req, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /
     expect(res.statusCode).toBe(200);
     expect(res.jsonPayload.length).toBe(1);
-    expect(res.jsonPayload[0].attractions).toEqual(['A2', 'A3', 'A4', 'A5', 'A6']);
-    expect(res.jsonPayload[0].restaurants).toEqual(['R2', 'R3', 'R4', 'R5', 'R6']);
+    expect(res.jsonPayload[0].attractions.map(a => a.name)).toEqual(['A0', 'A1', 'A2', 'A3', 'A4']);
+    expect(res.jsonPayload[0].restaurants.map(r => r.name)).toEqual(['R0', 'R1', 'R2', 'R3', 'R4']);
+  });
+
+  // Test: Cities and items get generated IDs, kept when the city is posted again
+  it('assigns stable IDs to cities and items', () => {
+    const session = { user: { username: 'ids' } };
+    let { req, res } = mockReqRes({ city: { name: 'Paris', attractions: ['Louvre'], restaurants: [] } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    const { id, attractions } = res.jsonPayload;
+    expect(id).toEqual(expect.any(String));
+    expect(attractions).toEqual([{ id: expect.any(String), name: 'Louvre', rank: 1, ...STAMPED }]);
+    ({ req, res } = mockReqRes({ city: { name: 'Paris', attractions: ['Louvre', 'Orsay'], restaurants: [] } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST / again
+    expect(res.jsonPayload.id).toBe(id);
+    expect(res.jsonPayload.attractions[0].id).toBe(attractions[0].id);
+    expect(res.jsonPayload.attractions[1].id).not.toBe(attractions[0].id);
+  });
+
+  // Test: ID routes work for names the name routes cannot express
+  it('adds and deletes items by ID for a city with a slash in its name', () => {
+    const session = { user: { username: 'byid' } };
+    const city = { id: 'c1', name: 'Biel/Bienne', attractions: [], restaurants: [{ id: 'r1', name: '50% Off?' }] };
+    writeData({ schemaVersion: 2, byid: [city], latest: [city] });
+    let { req, res } = mockReqRes({ attraction: 'Old Town' }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c1/attractions' }, res, () => {}); // Simulate POST /by-id/:cityId/attractions
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.attractions.map(a => a.name)).toEqual(['Old Town']);
+    ({ req, res } = mockReqRes({}, session, {}));
+    cityRoutes.handle({ ...req, method: 'DELETE', url: '/by-id/c1/restaurants/r1' }, res, () => {}); // Simulate DELETE /by-id/:cityId/restaurants/:itemId
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.restaurants).toEqual([]);
+    ({ req, res } = mockReqRes({}, session, {}));
+    cityRoutes.handle({ ...req, method: 'DELETE', url: '/by-id/c1' }, res, () => {}); // Simulate DELETE /by-id/:cityId
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['byid'][0].cities).toEqual([]);
+  });
+
+  // Test: ID routes return 404 for an unknown city ID
+  it('returns 404 for an unknown city ID', () => {
+    const session = { user: { username: 'byid' } };
+    const { req, res } = mockReqRes({ restaurant: 'Curry 36' }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/missing/restaurants' }, res, () => {}); // Simulate POST /by-id/:cityId/restaurants
+    expect(res.statusCode).toBe(404);
+  });
+
+  // Test: PATCH renames a city in place, keeping its ID, position and items
+  it('renames a city in place with PATCH', () => {
+    const session = { user: { username: 'renamer' } };
+    const cities = [
+      { id: 'c1', name: 'Pariss', attractions: [{ id: 'a1', name: 'Louvre' }], restaurants: [] },
+      { id: 'c2', name: 'Rome', attractions: [], restaurants: [] }
+    ];
+    writeData({ schemaVersion: 2, renamer: cities, latest: cities });
+    const { req, res } = mockReqRes({ city: { name: 'Paris' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/Pariss' }, res, () => {}); // Simulate PATCH /:cityName
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual({ id: 'c1', name: 'Paris', rank: 1, ...STAMPED, lat: 48.8566, lon: 2.3522, attractions: [{ id: 'a1', name: 'Louvre', rank: 1, ...STAMPED }], restaurants: [] });
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['renamer'][0].cities.map(c => c.name)).toEqual(['Paris', 'Rome']);
+  });
+
+  // Test: PATCH refuses to rename a city onto another city's name
+  it('returns 409 when renaming to an existing city name', () => {
+    const session = { user: { username: 'renamer' } };
+    const cities = [{ id: 'c1', name: 'Paris' }, { id: 'c2', name: 'Rome' }];
+    writeData({ schemaVersion: 2, renamer: cities, latest: cities });
+    const { req, res } = mockReqRes({ city: { name: 'Rome' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1' }, res, () => {}); // Simulate PATCH /by-id/:cityId
+    expect(res.statusCode).toBe(409);
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['renamer'][0].cities.map(c => c.name)).toEqual(['Paris', 'Rome']);
+  });
+
+  // Test: PATCH validates the new name and the target city
+  it('returns 400 for an empty name and 404 for an unknown city on PATCH', () => {
+    const session = { user: { username: 'renamer' } };
+    let { req, res } = mockReqRes({ city: { name: '' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/Paris' }, res, () => {}); // Simulate PATCH /:cityName
+    expect(res.statusCode).toBe(400);
+    ({ req, res } = mockReqRes({ city: { name: 'Lyon' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/Paris' }, res, () => {}); // Simulate PATCH /:cityName
+    expect(res.statusCode).toBe(404);
+  });
+
+  // Test: PATCH renames an attraction in place, keeping its ID and position
+  it('renames an attraction in place with PATCH', () => {
+    const session = { user: { username: 'editor' } };
+    const attractions = [{ id: 'a1', name: 'Notre-Dame Cathdral' }, { id: 'a2', name: 'Louvre' }];
+    const cities = [{ id: 'c1', name: 'Paris', attractions, restaurants: [] }];
+    writeData({ schemaVersion: 2, editor: cities, latest: cities });
+    const { req, res } = mockReqRes({ attraction: 'Notre-Dame Cathedral' }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/Paris/attractions/Notre-Dame%20Cathdral' }, res, () => {}); // Simulate PATCH /:cityName/attractions/:attraction
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.attractions).toEqual([{ id: 'a1', name: 'Notre-Dame Cathedral', rank: 1, ...STAMPED }, { id: 'a2', name: 'Louvre', rank: 2, ...STAMPED }]);
+  });
+
+  // Test: PATCH refuses duplicate item names and unknown items
+  it('returns 409 for a duplicate restaurant name and 404 for an unknown one', () => {
+    const session = { user: { username: 'editor' } };
+    const restaurants = [{ id: 'r1', name: 'Le Meurice' }, { id: 'r2', name: 'Epicure' }];
+    const cities = [{ id: 'c1', name: 'Paris', attractions: [], restaurants }];
+    writeData({ schemaVersion: 2, editor: cities, latest: cities });
+    let { req, res } = mockReqRes({ restaurant: 'Epicure' }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1/restaurants/r1' }, res, () => {}); // Simulate PATCH /by-id/:cityId/restaurants/:itemId
+    expect(res.statusCode).toBe(409);
+    ({ req, res } = mockReqRes({ restaurant: 'Septime' }, session, {}));
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1/restaurants/r9' }, res, () => {}); // Simulate PATCH /by-id/:cityId/restaurants/:itemId
+    expect(res.statusCode).toBe(404);
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['editor'][0].cities[0].restaurants.map(r => r.name)).toEqual(['Le Meurice', 'Epicure']);
+  });
+
+  // Test: Moving a city renumbers the ranks of the whole list
+  it('moves a city to a new rank', () => {
+    const session = { user: { username: 'mover' } };
+    const cities = ['Paris', 'Rome', 'Berlin'].map((name, i) => ({ id: `c${i}`, name, attractions: [], restaurants: [] }));
+    writeData({ schemaVersion: 2, mover: cities, latest: cities });
+    const { req, res } = mockReqRes({ position: 1 }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c2/move' }, res, () => {}); // Simulate POST /by-id/:cityId/move
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.map(c => [c.rank, c.name])).toEqual([[1, 'Berlin'], [2, 'Paris'], [3, 'Rome']]);
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['mover'][0].cities.map(c => c.name)).toEqual(['Berlin', 'Paris', 'Rome']);
+  });
+
+  // Test: Moving an item past the end puts it last; invalid positions are refused
+  it('moves an attraction within its city and validates the position', () => {
+    const session = { user: { username: 'mover' } };
+    const attractions = ['Louvre', 'Orsay', 'Eiffel Tower'].map((name, i) => ({ id: `a${i}`, name }));
+    const cities = [{ id: 'c1', name: 'Paris', attractions, restaurants: [] }];
+    writeData({ schemaVersion: 2, mover: cities, latest: cities });
+    let { req, res } = mockReqRes({ position: 99 }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/Paris/attractions/Louvre/move' }, res, () => {}); // Simulate POST /:cityName/attractions/:attraction/move
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.attractions.map(a => [a.rank, a.name])).toEqual([[1, 'Orsay'], [2, 'Eiffel Tower'], [3, 'Louvre']]);
+    ({ req, res } = mockReqRes({ position: 0 }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c1/attractions/a0/move' }, res, () => {}); // Simulate POST /by-id/:cityId/attractions/:itemId/move
+    expect(res.statusCode).toBe(400);
+  });
+
+  // Test: Items can be posted as records with details; plain strings still work
+  it('adds a restaurant record with details and still accepts a plain string', () => {
+    const session = { user: { username: 'foodie' } };
+    const cities = [{ id: 'c1', name: 'Paris', attractions: [], restaurants: [] }];
+    writeData({ schemaVersion: 2, foodie: cities, latest: cities });
+    const restaurant = { name: ' Septime ', cuisine: 'French', priceLevel: 3, website: 'https://www.septime-charonne.fr', notes: '' };
+    let { req, res } = mockReqRes({ restaurant }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c1/restaurants' }, res, () => {}); // Simulate POST /by-id/:cityId/restaurants
+    expect(res.statusCode).toBe(200);
+    ({ req, res } = mockReqRes({ restaurant: 'Chez Janou' }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c1/restaurants' }, res, () => {}); // Simulate POST /by-id/:cityId/restaurants
+    expect(res.jsonPayload.restaurants).toEqual([
+      { id: expect.any(String), name: 'Septime', cuisine: 'French', priceLevel: 3, website: 'https://www.septime-charonne.fr', rank: 1, ...STAMPED },
+      { id: expect.any(String), name: 'Chez Janou', rank: 2, ...STAMPED },
+    ]);
+  });
+
+  // Test: Invalid details and fields outside the schema are refused
+  it('returns 400 for invalid item details', () => {
+    const session = { user: { username: 'foodie' } };
+    const cities = [{ id: 'c1', name: 'Paris', attractions: [], restaurants: [] }];
+    writeData({ schemaVersion: 2, foodie: cities, latest: cities });
+    for (const restaurant of [{ name: 'Septime', priceLevel: 5 }, { name: 'Septime', website: 'javascript:alert(1)' }, { name: 'Septime', stars: 3 }]) {
+      const { req, res } = mockReqRes({ restaurant }, session, {});
+      cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c1/restaurants' }, res, () => {}); // Simulate POST /by-id/:cityId/restaurants
+      expect(res.statusCode).toBe(400);
+    }
+    const { req, res } = mockReqRes({ city: { name: 'Lyon', attractions: [{ name: 'Fourvière', cuisine: 'Lyonnaise' }] } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonPayload.error).toBe('Invalid attraction: unknown field "cuisine"');
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['foodie'][0].cities).toHaveLength(1);
+    expect(data['foodie'][0].cities[0].restaurants).toEqual([]);
+  });
+
+  // Test: PATCH updates item details, and null removes one
+  it('updates and clears attraction details with PATCH', () => {
+    const session = { user: { username: 'editor' } };
+    const attractions = [{ id: 'a1', name: 'Louvre', address: 'Rue de Rivoli', notes: 'Book ahead' }];
+    const cities = [{ id: 'c1', name: 'Paris', attractions, restaurants: [] }];
+    writeData({ schemaVersion: 2, editor: cities, latest: cities });
+    let { req, res } = mockReqRes({ attraction: { openingHours: 'Wed-Mon 9:00-18:00', notes: null } }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1/attractions/a1' }, res, () => {}); // Simulate PATCH /by-id/:cityId/attractions/:itemId
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.attractions).toEqual([{ id: 'a1', name: 'Louvre', address: 'Rue de Rivoli', openingHours: 'Wed-Mon 9:00-18:00', rank: 1, ...STAMPED }]);
+    ({ req, res } = mockReqRes({ attraction: { name: '' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1/attractions/a1' }, res, () => {}); // Simulate PATCH /by-id/:cityId/attractions/:itemId
+    expect(res.statusCode).toBe(400);
+  });
+
+  // Test: Timestamps are set on creation and updatedAt only moves when the content changes
+  it('maintains createdAt and updatedAt across mutating routes', () => {
+    const session = { user: { username: 'timer' } };
+    let { req, res } = mockReqRes({ city: { name: 'Paris', attractions: ['Louvre'], restaurants: [] } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    const { id, attractions: [louvre] } = res.jsonPayload;
+    expect(res.jsonPayload).toMatchObject(STAMPED);
+    expect(louvre).toMatchObject(STAMPED);
+    ({ req, res } = mockReqRes({ city: { name: 'Rome', createdAt: '1999-01-01T00:00:00.000Z' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST / (client timestamps are ignored)
+    expect(res.jsonPayload).toMatchObject(STAMPED);
+
+    const LATER = '2024-05-02T08:30:00.000Z';
+    clock.setClock(() => LATER);
+    ({ req, res } = mockReqRes({ attraction: 'Orsay' }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: `/by-id/${id}/attractions` }, res, () => {}); // Simulate POST /by-id/:cityId/attractions
+    expect(res.jsonPayload).toMatchObject({ createdAt: NOW, updatedAt: LATER });
+    expect(res.jsonPayload.attractions[0]).toEqual(louvre);
+    expect(res.jsonPayload.attractions[1]).toMatchObject({ createdAt: LATER, updatedAt: LATER });
+    ({ req, res } = mockReqRes({ position: 1 }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/Rome/move' }, res, () => {}); // Simulate POST /:cityName/move (rank change only)
+    expect(res.jsonPayload.map(c => [c.name, c.updatedAt])).toEqual([['Rome', NOW], ['Paris', LATER]]);
+  });
+
+  // Test: GET / sorts cities and items by the requested key and direction before trimming
+  it('sorts GET results by name, creation or update time', () => {
+    const session = { user: { username: 'sorter' } };
+    const city = (id, name, rank, createdAt, updatedAt, attractions = []) => ({ id, name, rank, createdAt, updatedAt, attractions, restaurants: [] });
+    const cities = [
+      city('c1', 'rome', 1, '2024-01-03T00:00:00.000Z', '2024-01-03T00:00:00.000Z', [
+        { id: 'a1', name: 'Pantheon', rank: 1, createdAt: '2024-01-05T00:00:00.000Z', updatedAt: '2024-01-05T00:00:00.000Z' },
+        { id: 'a2', name: 'Colosseum', rank: 2, createdAt: '2024-01-04T00:00:00.000Z', updatedAt: '2024-01-06T00:00:00.000Z' },
+      ]),
+      city('c2', 'Berlin', 2, '2024-01-01T00:00:00.000Z', '2024-01-07T00:00:00.000Z'),
+      city('c3', 'Paris', 3, '2024-01-02T00:00:00.000Z', '2024-01-02T00:00:00.000Z'),
+    ];
+    writeData({ schemaVersion: 5, sorter: cities, latest: cities });
+    const get = query => {
+      const { req, res } = mockReqRes({}, session, {});
+      cityRoutes.handle({ ...req, query, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /?sort=...&order=...
+      return res;
+    };
+    expect(get({}).jsonPayload.map(c => c.name)).toEqual(['rome', 'Berlin', 'Paris']);
+    expect(get({ sort: 'name' }).jsonPayload.map(c => c.name)).toEqual(['Berlin', 'Paris', 'rome']);
+    expect(get({ sort: 'created', order: 'desc' }).jsonPayload.map(c => c.name)).toEqual(['rome', 'Paris', 'Berlin']);
+    const byUpdate = get({ sort: 'updated', order: 'desc' }).jsonPayload;
+    expect(byUpdate.map(c => c.name)).toEqual(['Berlin', 'rome', 'Paris']);
+    expect(byUpdate[1].attractions.map(a => a.name)).toEqual(['Colosseum', 'Pantheon']);
+    expect(get({ sort: 'rank', order: 'desc' }).jsonPayload.map(c => c.name)).toEqual(['Paris', 'Berlin', 'rome']);
+    expect(get({ sort: 'popularity' }).statusCode).toBe(400);
+    expect(get({ sort: 'name', order: 'up' }).statusCode).toBe(400);
+  });
+
+  // Test: limit/cursor paginate the list, with the total and next cursor in headers
+  it('paginates GET results with limit and cursor', () => {
+    const session = { user: { username: 'pager' } };
+    const cities = ['Paris', 'Rome', 'Berlin', 'Vienna', 'Prague'].map((name, i) => ({ id: `c${i}`, name, attractions: [], restaurants: [] }));
+    writeData({ schemaVersion: 2, pager: cities, latest: cities });
+    const get = query => {
+      const { req, res } = mockReqRes({}, session, {});
+      cityRoutes.handle({ ...req, query, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /?limit=...&cursor=...
+      return res;
+    };
+    let res = get({ limit: '2' });
+    expect(res.jsonPayload.map(c => c.name)).toEqual(['Paris', 'Rome']);
+    expect(res.headers['X-Total-Count']).toBe('5');
+    const names = res.jsonPayload.map(c => c.name);
+    while (res.headers['X-Next-Cursor']) {
+      res = get({ limit: '2', cursor: res.headers['X-Next-Cursor'] });
+      names.push(...res.jsonPayload.map(c => c.name));
+    }
+    expect(names).toEqual(['Paris', 'Rome', 'Berlin', 'Vienna', 'Prague']);
+    expect(get({}).headers['X-Next-Cursor']).toBeUndefined();
+    expect(get({ limit: '0' }).statusCode).toBe(400);
+    expect(get({ limit: '101' }).statusCode).toBe(400);
+    expect(get({ cursor: 'not-a-cursor' }).statusCode).toBe(400);
+  });
+
+  // Test: q filters by name; fields and include select what each city carries
+  it('filters GET results by name and selects fields', () => {
+    const session = { user: { username: 'picker' } };
+    const cities = [
+      { id: 'c1', name: 'Paris', attractions: [{ id: 'a1', name: 'Louvre' }], restaurants: [{ id: 'r1', name: 'Septime' }] },
+      { id: 'c2', name: 'Rome', attractions: [], restaurants: [] },
+      { id: 'c3', name: 'Parma', attractions: [], restaurants: [] },
+    ];
+    writeData({ schemaVersion: 2, picker: cities, latest: cities });
+    const get = query => {
+      const { req, res } = mockReqRes({}, session, {});
+      cityRoutes.handle({ ...req, query, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /?q=...&fields=...&include=...
+      return res;
+    };
+    const filtered = get({ q: ' par ' });
+    expect(filtered.jsonPayload.map(c => c.name)).toEqual(['Paris', 'Parma']);
+    expect(filtered.headers['X-Total-Count']).toBe('2');
+    expect(get({ q: 'par', fields: 'name' }).jsonPayload).toEqual([{ id: 'c1', name: 'Paris' }, { id: 'c3', name: 'Parma' }]);
+    const [paris] = get({ fields: 'name,rank', include: 'attractions' }).jsonPayload;
+    expect(paris).toEqual({ id: 'c1', name: 'Paris', rank: 1, attractions: [expect.objectContaining({ name: 'Louvre' })] });
+    expect(Object.keys(get({ include: '' }).jsonPayload[0])).not.toContain('restaurants');
+    expect(get({ fields: 'name,population' }).statusCode).toBe(400);
+    expect(get({ include: 'museums' }).statusCode).toBe(400);
+  });
+
+  // Test: Names in routes match regardless of case, accents and spacing
+  it('matches names ignoring case, accents and spacing', () => {
+    const session = { user: { username: 'matcher' } };
+    const cities = [{ id: 'c1', name: 'Paris', attractions: [{ id: 'a1', name: 'Champs-Élysées' }, { id: 'a2', name: 'Louvre' }], restaurants: [] }];
+    writeData({ schemaVersion: 2, matcher: cities, latest: cities });
+    let { req, res } = mockReqRes({}, session, {});
+    cityRoutes.handle({ ...req, method: 'DELETE', url: '/paris%20/attractions/CHAMPS-ELYSEES' }, res, () => {}); // Simulate DELETE /:cityName/attractions/:attraction
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.attractions.map(a => a.name)).toEqual(['Louvre']);
+    ({ req, res } = mockReqRes({ city: { name: '  Paris ', attractions: ['Louvre', 'louvre'] } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toMatchObject({ id: 'c1', name: 'Paris', attractions: [{ id: 'a2', name: 'Louvre' }] });
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf-8'));
+    expect(data['matcher'][0].cities).toHaveLength(1);
+  });
+
+  // Test: Near-duplicate names are refused with 409 and the existing entry
+  it('returns 409 with the existing entry for near-duplicate names', () => {
+    const session = { user: { username: 'dedup' } };
+    const cities = [
+      { id: 'c1', name: 'Paris', attractions: [{ id: 'a1', name: 'Champs-Élysées' }], restaurants: [] },
+      { id: 'c2', name: 'São Paulo', attractions: [], restaurants: [] },
+    ];
+    writeData({ schemaVersion: 2, dedup: cities, latest: cities });
+    let { req, res } = mockReqRes({ city: { name: 'PARIS' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(409);
+    expect(res.jsonPayload).toMatchObject({ error: 'City "Paris" already exists', existing: { id: 'c1', name: 'Paris' } });
+    ({ req, res } = mockReqRes({ attraction: 'champs-elysees' }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/by-id/c1/attractions' }, res, () => {}); // Simulate POST /by-id/:cityId/attractions
+    expect(res.statusCode).toBe(409);
+    expect(res.jsonPayload.existing).toMatchObject({ id: 'a1', name: 'Champs-Élysées' });
+    ({ req, res } = mockReqRes({ city: { name: 'sao  paulo' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1' }, res, () => {}); // Simulate PATCH /by-id/:cityId
+    expect(res.statusCode).toBe(409);
+    expect(res.jsonPayload.existing).toMatchObject({ id: 'c2' });
+    ({ req, res } = mockReqRes({ city: { name: 'PARIS' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/by-id/c1' }, res, () => {}); // Renaming a city to another spelling of its own name
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.name).toBe('PARIS');
+  });
+
+  // Test: Strict validation only accepts gazetteer cities, stored under their English name
+  it('validates city names against the gazetteer in strict mode', () => {
+    vi.spyOn(config, 'isStrictCityValidation').mockReturnValue(true);
+    const session = { user: { username: 'strict' } };
+    let { req, res } = mockReqRes({ city: { name: 'Barcelna' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonPayload).toEqual({ error: 'Unknown city "Barcelna"', suggestions: ['Barcelona'] });
+    ({ req, res } = mockReqRes({ city: { name: 'münchen' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.name).toBe('Munich');
+    ({ req, res } = mockReqRes({ city: { name: 'Gotham' } }, session, {}));
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/Munich' }, res, () => {}); // Simulate PATCH /:cityName
+    expect(res.statusCode).toBe(400);
+  });
+
+  // Test: Cities get gazetteer coordinates unless they are given; invalid coordinates are refused
+  it('fills in and validates coordinates', () => {
+    const session = { user: { username: 'mapper' } };
+    const post = city => {
+      const { req, res } = mockReqRes({ city }, session, {});
+      cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+      return res;
+    };
+    expect(post({ name: 'Lisboa' }).jsonPayload).toMatchObject({ name: 'Lisboa', lat: 38.7223, lon: -9.1393 });
+    expect(post({ name: 'Gotham' }).jsonPayload).not.toHaveProperty('lat');
+    const home = post({ name: 'Home', lat: 50.1, lon: 8.7, attractions: [{ name: 'Garden', lat: 50.11, lon: 8.71 }] }).jsonPayload;
+    expect(home).toMatchObject({ lat: 50.1, lon: 8.7, attractions: [{ name: 'Garden', lat: 50.11, lon: 8.71 }] });
+    expect(post({ name: 'Nowhere', lat: 91, lon: 0 }).jsonPayload).toEqual({ error: 'Invalid city: lat must be a number from -90 to 90' });
+    expect(post({ name: 'Nowhere', lat: 10 }).statusCode).toBe(400);
+    expect(post({ name: 'Nowhere', restaurants: [{ name: 'Diner', lat: 1, lon: 2 }] }).statusCode).toBe(400); // Only attractions have coordinates
+    const { req, res } = mockReqRes({ attraction: { lat: null, lon: null } }, session, {});
+    cityRoutes.handle({ ...req, method: 'PATCH', url: '/Home/attractions/Garden' }, res, () => {}); // Simulate PATCH /:cityName/attractions/:attraction
+    expect(res.jsonPayload.attractions[0]).not.toHaveProperty('lat');
+  });
+
+  // Test: The GeoJSON export holds a Point feature per located city and attraction
+  it('exports cities and attractions as GeoJSON', () => {
+    const session = { user: { username: 'gis' } };
+    const cities = [
+      { id: 'c1', name: 'Paris', lat: 48.8566, lon: 2.3522, attractions: [{ id: 'a1', name: 'Louvre', lat: 48.8606, lon: 2.3376, address: 'Rue de Rivoli' }, { id: 'a2', name: 'Somewhere' }], restaurants: [{ id: 'r1', name: 'Septime' }] },
+      { id: 'c2', name: 'Gotham', attractions: [], restaurants: [] },
+    ];
+    writeData({ schemaVersion: 6, gis: cities, latest: cities });
+    const { req, res } = mockReqRes({}, session, {});
+    cityRoutes.handle({ ...req, method: 'GET', url: '/export.geojson' }, res, () => {}); // Simulate GET /export.geojson
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/geo+json');
+    expect(res.jsonPayload).toEqual({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', id: 'c1', geometry: { type: 'Point', coordinates: [2.3522, 48.8566] }, properties: { kind: 'city', name: 'Paris' } },
+        {
+          type: 'Feature', id: 'a1', geometry: { type: 'Point', coordinates: [2.3376, 48.8606] },
+          properties: { kind: 'attraction', cityId: 'c1', cityName: 'Paris', name: 'Louvre', address: 'Rue de Rivoli' },
+        },
+      ],
+    });
   });
 
   // Clean up after all tests
   afterAll(() => {
     fs.writeFileSync(DATA_FILE, '{}');
+    clock.resetClock();
   });
 });
\ No newline at end of file
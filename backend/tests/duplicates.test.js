@@ -0,0 +1,78 @@
+/**
+ * duplicates.test.js
+ *
+ * This test suite verifies the merging of cities and items whose names only differ in case,
+ * accents or spacing (config/merge-duplicates.js). The stored data lives in a MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Merging duplicate cities, their items, and item details
+ * - Timestamps and ranks of the merged records
+ * - Merging every stored list, and dry runs
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { mergeDuplicates, mergeStoredDuplicates } = require('../src/duplicates.js');
+
+const THEN = '2024-01-01T00:00:00.000Z';
+const NOW = '2024-05-01T12:00:00.000Z';
+
+/**
+ * Builds a stored city record.
+ * @param {string} id
+ * @param {string} name
+ * @param {object} [lists] - attractions/restaurants
+ * @returns {object} City record
+ */
+function city(id, name, lists = {}) {
+  return { id, name, rank: 1, createdAt: THEN, updatedAt: THEN, attractions: [], restaurants: [], ...lists };
+}
+
+describe('Duplicate merging', () => {
+  // Test: Later spellings of a city are merged into the first one, items included
+  it('merges duplicate cities and their items', () => {
+    const cities = [
+      city('c1', 'Paris ', { attractions: [{ id: 'a1', name: 'Champs-Elysées', rank: 1, createdAt: NOW }] }),
+      city('c2', 'Rome'),
+      city('c3', 'PARIS', {
+        createdAt: '2023-06-01T00:00:00.000Z',
+        attractions: [
+          { id: 'a2', name: 'Champs-Élysées', rank: 1, address: 'Avenue des Champs-Élysées', createdAt: THEN },
+          { id: 'a3', name: 'Louvre', rank: 2 },
+        ],
+      }),
+    ];
+    const { cities: merged, merged: report } = mergeDuplicates(cities, NOW);
+    expect(report).toEqual([
+      'City "PARIS" merged into "Paris"',
+      'Paris: attraction "Champs-Élysées" merged into "Champs-Elysées"',
+    ]);
+    expect(merged.map(c => [c.id, c.name, c.rank])).toEqual([['c1', 'Paris', 1], ['c2', 'Rome', 2]]);
+    expect(merged[0]).toMatchObject({ createdAt: '2023-06-01T00:00:00.000Z', updatedAt: NOW });
+    expect(merged[0].attractions).toEqual([
+      { id: 'a1', name: 'Champs-Elysées', rank: 1, address: 'Avenue des Champs-Élysées', createdAt: THEN, updatedAt: NOW },
+      { id: 'a3', name: 'Louvre', rank: 2 },
+    ]);
+    expect(merged[1].updatedAt).toBe(THEN);
+    expect(cities[0].name).toBe('Paris '); // Input is not modified
+  });
+
+  // Test: Every stored list is merged; dry runs only report
+  it('merges the stored lists of every user', () => {
+    const trip = { id: 'l1', name: 'Trip', cities: [city('c1', 'Paris'), city('c2', 'paris')] };
+    const data = { schemaVersion: 8, showcase: { publicUsers: ['alice'], featured: [] }, alice: [trip, { id: 'l2', name: 'Food', cities: [city('c4', 'Lyon'), city('c5', 'LYON')] }], bob: [{ id: 'l3', name: 'Mine', cities: [city('c3', 'Rome')] }] };
+    const adapter = new storage.MemoryAdapter({ data: structuredClone(data) });
+    expect(mergeStoredDuplicates(adapter, NOW, { dryRun: true })).toEqual({
+      'alice (Trip)': ['City "paris" merged into "Paris"'],
+      'alice (Food)': ['City "LYON" merged into "Lyon"'],
+    });
+    expect(adapter.readEntry('alice')[0].cities).toHaveLength(2);
+    mergeStoredDuplicates(adapter, NOW);
+    expect(adapter.readEntry('alice').map(list => list.cities.map(c => c.id))).toEqual([['c1'], ['c4']]);
+    expect(adapter.readEntry('showcase')).toEqual(data.showcase);
+    expect(adapter.readEntry('bob')).toEqual(data.bob);
+    expect(mergeStoredDuplicates(adapter, NOW)).toEqual({});
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * ical.test.js
+ *
+ * This test suite verifies the iCalendar (RFC 5545) export of itineraries.
+ *
+ * Coverage includes:
+ * - Escaping of text values
+ * - Folding of long lines at 75 octets, without splitting UTF-8 characters
+ * - One event per slot, timed or all-day, with location, coordinates and notes
+ * - Event UIDs that stay the same across exports
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { escapeText, foldLine, toCalendar } = require('../src/ical.js');
+const clock = require('../src/clock.js');
+
+/**
+ * Unfolds a calendar into its content lines.
+ * @param {string} text - iCalendar file
+ * @returns {Array<string>}
+ */
+const unfold = text => text.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+
+describe('iCalendar export', () => {
+  const rome = {
+    id: 'c1', name: 'Rome', updatedAt: '2026-04-01T12:30:05.123Z',
+    attractions: [
+      { id: 'a1', name: 'Colosseum', lat: 41.8902, lon: 12.4922, address: 'Piazza del Colosseo, 1', website: 'https://colosseo.it' },
+      { id: 'a2', name: 'Pantheon' },
+    ],
+    restaurants: [{ id: 'r1', name: 'Roscioli' }],
+    itinerary: {
+      startDate: '2026-05-01', endDate: '2026-05-03',
+      slots: [
+        { id: 's1', date: '2026-05-01', time: null, list: 'attractions', itemId: 'a2', notes: 'Free entry; book ahead\nBring water' },
+        { id: 's2', date: '2026-05-01', time: '13:00', list: 'restaurants', itemId: 'r1' },
+        { id: 's3', date: '2026-05-01', time: '09:30', list: 'attractions', itemId: 'a1' },
+        { id: 's4', date: '2026-05-03', time: null, list: 'attractions', itemId: 'gone' },
+      ],
+    },
+  };
+
+  afterEach(() => {
+    clock.resetClock();
+  });
+
+  // Test: Backslashes, semicolons, commas and line breaks are escaped
+  it('escapes text values', () => {
+    expect(escapeText('a\\b; c, d\r\ne\nf')).toBe('a\\\\b\\; c\\, d\\ne\\nf');
+  });
+
+  // Test: Long lines are folded at 75 octets, and multi-byte characters are kept whole
+  it('folds long lines', () => {
+    expect(foldLine('SUMMARY:short')).toBe('SUMMARY:short');
+    const line = `DESCRIPTION:${'x'.repeat(200)}`;
+    const folded = foldLine(line).split('\r\n');
+    expect(folded.map(part => part.length)).toEqual([75, 75, 64]);
+    expect(folded.slice(1).every(part => part.startsWith(' '))).toBe(true);
+    expect(folded.join('').replace(/ /g, '')).toBe(line);
+    const accents = foldLine(`SUMMARY:${'é'.repeat(60)}`).split('\r\n');
+    expect(accents.every(part => Buffer.byteLength(part) <= 75)).toBe(true);
+    expect(Buffer.byteLength(accents[0])).toBe(74); // 8 + 33 two-octet characters; the next would not fit
+    expect(accents.map(part => part.replace(/^ /, '')).join('')).toBe(`SUMMARY:${'é'.repeat(60)}`);
+  });
+
+  // Test: Each slot becomes an event in time order; timed slots last an hour, untimed ones all day
+  it('builds an event per slot', () => {
+    const text = toCalendar(rome);
+    expect(text.endsWith('\r\n')).toBe(true);
+    expect(text.replace(/\r\n/g, '')).not.toContain('\n');
+    expect(unfold(text)).toEqual([
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Demo Microservices//City Itinerary//EN',
+      'CALSCALE:GREGORIAN',
+      'X-WR-CALNAME:Trip to Rome',
+      'BEGIN:VEVENT',
+      'UID:s3@demo-microservices',
+      'DTSTAMP:20260401T123005Z',
+      'DTSTART:20260501T093000',
+      'DURATION:PT1H',
+      'SUMMARY:Colosseum',
+      'LOCATION:Piazza del Colosseo\\, 1',
+      'GEO:41.8902;12.4922',
+      'URL:https://colosseo.it',
+      'CATEGORIES:Attraction',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:s2@demo-microservices',
+      'DTSTAMP:20260401T123005Z',
+      'DTSTART:20260501T130000',
+      'DURATION:PT1H',
+      'SUMMARY:Roscioli',
+      'LOCATION:Roscioli\\, Rome',
+      'CATEGORIES:Restaurant',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'UID:s1@demo-microservices',
+      'DTSTAMP:20260401T123005Z',
+      'DTSTART;VALUE=DATE:20260501',
+      'DTEND;VALUE=DATE:20260502',
+      'SUMMARY:Pantheon',
+      'LOCATION:Pantheon\\, Rome',
+      'DESCRIPTION:Free entry\\; book ahead\\nBring water',
+      'CATEGORIES:Attraction',
+      'END:VEVENT',
+      'END:VCALENDAR',
+    ]);
+  });
+
+  // Test: Exports of the same itinerary are identical, and UIDs follow the slots when the plan changes
+  it('keeps event UIDs stable across exports', () => {
+    expect(toCalendar(rome)).toBe(toCalendar(structuredClone(rome)));
+    const moved = structuredClone(rome);
+    moved.itinerary.slots[2] = { ...moved.itinerary.slots[2], date: '2026-05-02', time: '10:00' };
+    const colosseum = unfold(toCalendar(moved)).slice(-12);
+    expect(colosseum).toContain('UID:s3@demo-microservices');
+    expect(colosseum).toContain('DTSTART:20260502T100000');
+    // Without an update time, events are stamped with the current time
+    clock.setClock(() => '2026-06-01T08:00:00.000Z');
+    expect(toCalendar({ ...rome, updatedAt: undefined })).toContain('DTSTAMP:20260601T080000Z');
+  });
+});
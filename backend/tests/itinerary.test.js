@@ -0,0 +1,213 @@
+/**
+ * itinerary.test.js
+ *
+ * This test suite verifies the itinerary routes, mounted by the city routes under
+ * `/:cityName/itinerary` and `/by-id/:cityId/itinerary`. The routes run against an injected MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Creating an itinerary and its day-by-day plan
+ * - Scheduling attractions and restaurants in time order, moving and removing slots
+ * - Validation of trip dates and slots, and the per-day slot limit
+ * - Slots dropped when the trip is shortened or their item is deleted
+ * - Itineraries kept when a city is replaced or updated
+ * - Proposing and applying a short walking order for a day
+ * - Exporting the itinerary as iCalendar
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { migrateStorage } = require('../src/migrations/index.js');
+const clock = require('../src/clock.js');
+const cityRoutes = require('../src/city.js');
+
+/**
+ * Runs a request through the city routes.
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below /api/cities
+ * @param {object} [body] - Request body
+ * @param {object} [session] - Session (logged in as alice by default)
+ * @returns {object} The mock response
+ */
+function call(method, url, body = {}, session = { user: { username: 'alice' } }) {
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    send(body) { this.body = body; return this; }
+  };
+  cityRoutes.handle({ body, session, params: {}, query: {}, method, url }, res, () => {}); // Simulate METHOD /api/cities/...
+  return res;
+}
+
+/**
+ * Adds a slot to Rome's itinerary.
+ * @param {object} slot - Slot fields
+ * @returns {object} The mock response
+ */
+const schedule = slot => call('POST', '/Rome/itinerary/slots', { slot });
+
+describe('Itinerary routes', () => {
+  const rome = {
+    id: 'c1', name: 'Rome', rank: 1,
+    attractions: [{ id: 'a1', name: 'Colosseum', rank: 1 }, { id: 'a2', name: 'Pantheon', rank: 2 }],
+    restaurants: [{ id: 'r1', name: 'Roscioli', rank: 1 }],
+  };
+  const trip = { startDate: '2026-05-01', endDate: '2026-05-03' };
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 6, alice: [structuredClone(rome)], latest: [structuredClone(rome)] } }));
+    migrateStorage(storage.getAdapter());
+    clock.setClock(() => '2026-04-01T12:00:00.000Z');
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: A new itinerary lists every day of the trip
+  it('creates an itinerary with a day per trip date', () => {
+    expect(call('GET', '/Rome/itinerary').statusCode).toBe(404);
+    const res = call('PUT', '/Rome/itinerary', { itinerary: trip });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.itinerary).toEqual({ ...trip, slots: [] });
+    expect(call('GET', '/rome/itinerary').jsonPayload).toEqual({
+      ...trip,
+      days: [{ date: '2026-05-01', slots: [] }, { date: '2026-05-02', slots: [] }, { date: '2026-05-03', slots: [] }],
+    });
+  });
+
+  // Test: Slots are planned in time order, with untimed slots last, and carry their item's name
+  it('schedules attractions and restaurants by day and time', () => {
+    call('PUT', '/Rome/itinerary', { itinerary: trip });
+    expect(schedule({ date: '2026-05-02', list: 'attractions', itemId: 'a2', notes: ' Free entry ' }).statusCode).toBe(200);
+    schedule({ date: '2026-05-02', time: '13:00', list: 'restaurants', itemId: 'r1' });
+    schedule({ date: '2026-05-02', time: '09:30', list: 'attractions', itemId: 'a1' });
+    const [first, second, third] = call('GET', '/Rome/itinerary').jsonPayload.days[1].slots;
+    expect(first).toEqual({ id: expect.any(String), time: '09:30', list: 'attractions', itemId: 'a1', name: 'Colosseum' });
+    expect(second).toMatchObject({ time: '13:00', list: 'restaurants', name: 'Roscioli' });
+    expect(third).toMatchObject({ time: null, name: 'Pantheon', notes: 'Free entry' });
+    // Guests have no list to read
+    expect(call('GET', '/Rome/itinerary', {}, {}).statusCode).toBe(404);
+  });
+
+  // Test: Slots can be moved to another day or time, and removed; the by-ID routes work too
+  it('moves and removes slots', () => {
+    call('PUT', '/by-id/c1/itinerary', { itinerary: trip });
+    const { itinerary } = schedule({ date: '2026-05-01', time: '10:00', list: 'attractions', itemId: 'a1' }).jsonPayload;
+    const slotId = itinerary.slots[0].id;
+    let res = call('PATCH', `/by-id/c1/itinerary/slots/${slotId}`, { slot: { date: '2026-05-03', time: null } });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.itinerary.slots).toEqual([{ id: slotId, date: '2026-05-03', time: null, list: 'attractions', itemId: 'a1' }]);
+    expect(call('PATCH', '/Rome/itinerary/slots/missing', { slot: { time: '10:00' } }).statusCode).toBe(404);
+    res = call('DELETE', `/Rome/itinerary/slots/${slotId}`);
+    expect(res.jsonPayload.itinerary.slots).toEqual([]);
+    res = call('DELETE', '/Rome/itinerary');
+    expect(res.jsonPayload).not.toHaveProperty('itinerary');
+  });
+
+  // Test: Invalid dates and slots are refused
+  it('validates trip dates and slots', () => {
+    expect(call('PUT', '/Rome/itinerary', { itinerary: trip }, {}).statusCode).toBe(401);
+    expect(call('PUT', '/Oslo/itinerary', { itinerary: trip }).statusCode).toBe(404);
+    expect(schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a1' }).statusCode).toBe(404); // No itinerary yet
+    expect(call('PUT', '/Rome/itinerary', { itinerary: { startDate: '2026-02-30', endDate: '2026-03-01' } }).statusCode).toBe(400);
+    expect(call('PUT', '/Rome/itinerary', { itinerary: { startDate: '2026-05-03', endDate: '2026-05-01' } }).statusCode).toBe(400);
+    expect(call('PUT', '/Rome/itinerary', { itinerary: { startDate: '2026-05-01', endDate: '2026-05-15' } }).jsonPayload)
+      .toEqual({ error: 'Invalid itinerary: A trip can last at most 14 days' });
+    call('PUT', '/Rome/itinerary', { itinerary: trip });
+    expect(schedule({ date: '2026-05-04', list: 'attractions', itemId: 'a1' }).jsonPayload)
+      .toEqual({ error: 'Invalid slot: date must be a day of the trip (2026-05-01 to 2026-05-03)' });
+    expect(schedule({ date: '2026-05-01', time: '25:00', list: 'attractions', itemId: 'a1' }).statusCode).toBe(400);
+    expect(schedule({ date: '2026-05-01', list: 'restaurants', itemId: 'a1' }).statusCode).toBe(400);
+    expect(schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a1', rating: 5 }).statusCode).toBe(400);
+  });
+
+  // Test: A day holds at most 10 slots
+  it('limits the slots per day', () => {
+    call('PUT', '/Rome/itinerary', { itinerary: trip });
+    for (let i = 0; i < 10; i++) schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a1' });
+    expect(schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a1' }).jsonPayload)
+      .toEqual({ error: 'Slot limit (10) reached for 2026-05-01' });
+    expect(schedule({ date: '2026-05-02', list: 'attractions', itemId: 'a1' }).statusCode).toBe(200);
+  });
+
+  // Test: Shortening the trip or deleting an item drops its slots; replacing the city keeps the itinerary
+  it('keeps the itinerary in step with the city', () => {
+    call('PUT', '/Rome/itinerary', { itinerary: trip });
+    schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a1' });
+    schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a2' });
+    schedule({ date: '2026-05-03', list: 'restaurants', itemId: 'r1' });
+    let res = call('PUT', '/Rome/itinerary', { itinerary: { startDate: '2026-05-01', endDate: '2026-05-02' } });
+    expect(res.jsonPayload.itinerary.slots.map(slot => slot.itemId)).toEqual(['a1', 'a2']);
+    res = call('DELETE', '/Rome/attractions/Colosseum');
+    expect(res.jsonPayload.itinerary.slots.map(slot => slot.itemId)).toEqual(['a2']);
+    // An itinerary sent with the city is ignored, and the stored one is kept
+    res = call('PATCH', '/Rome', { city: { name: 'Roma', itinerary: { startDate: '2020-01-01', endDate: '2020-01-01', slots: [] } } });
+    expect(res.jsonPayload.itinerary).toMatchObject({ startDate: '2026-05-01', endDate: '2026-05-02' });
+    res = call('POST', '/', { city: { name: 'Roma', attractions: [{ id: 'a2', name: 'Pantheon' }] } });
+    expect(res.jsonPayload.itinerary.slots.map(slot => slot.itemId)).toEqual(['a2']);
+  });
+
+  // Test: A day's attractions are put in a short walking order, keeping the day's times and restaurants
+  it('proposes and applies a walking route for a day', () => {
+    const sights = [
+      { id: 'a1', name: 'Colosseum', lat: 41.8902, lon: 12.4922 },
+      { id: 'a2', name: 'Pantheon', lat: 41.8986, lon: 12.4769 },
+      { id: 'a3', name: 'Vatican Museums', lat: 41.9065, lon: 12.4536 },
+      { id: 'a4', name: 'Roman Forum', lat: 41.8925, lon: 12.4853 },
+      { id: 'a5', name: 'Trastevere' },
+    ];
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 6, alice: [{ ...structuredClone(rome), attractions: sights }] } }));
+    migrateStorage(storage.getAdapter());
+    call('PUT', '/Rome/itinerary', { itinerary: trip });
+    schedule({ date: '2026-05-01', time: '09:00', list: 'attractions', itemId: 'a1' });
+    schedule({ date: '2026-05-01', time: '11:00', list: 'attractions', itemId: 'a3' });
+    schedule({ date: '2026-05-01', time: '13:00', list: 'restaurants', itemId: 'r1' });
+    schedule({ date: '2026-05-01', time: '15:00', list: 'attractions', itemId: 'a4' });
+    schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a2' });
+    schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a5' });
+
+    const proposal = call('GET', '/Rome/itinerary/days/2026-05-01/route').jsonPayload;
+    expect(proposal.stops.map(stop => stop.name)).toEqual(['Colosseum', 'Roman Forum', 'Pantheon', 'Vatican Museums']);
+    expect(proposal).toMatchObject({ date: '2026-05-01', distanceKm: 3.7, currentDistanceKm: 7.7 });
+    expect(proposal.order).toEqual(proposal.stops.map(stop => stop.slotId));
+    expect(proposal.skipped.map(slot => slot.name)).toEqual(['Roscioli', 'Trastevere']);
+
+    const res = call('POST', '/Rome/itinerary/days/2026-05-01/route');
+    expect(res.jsonPayload).toEqual(proposal);
+    const slots = call('GET', '/Rome/itinerary').jsonPayload.days[0].slots;
+    expect(slots.map(slot => [slot.time, slot.name])).toEqual([
+      ['09:00', 'Colosseum'], ['11:00', 'Roman Forum'], ['13:00', 'Roscioli'], ['15:00', 'Pantheon'], [null, 'Vatican Museums'], [null, 'Trastevere'],
+    ]);
+    // The applied route is already the shortest
+    expect(call('GET', '/Rome/itinerary/days/2026-05-01/route').jsonPayload).toMatchObject({ distanceKm: 3.7, currentDistanceKm: 3.7 });
+    expect(call('GET', '/Rome/itinerary/days/2026-05-09/route').statusCode).toBe(404);
+    expect(call('POST', '/Rome/itinerary/days/2026-05-01/route', {}, {}).statusCode).toBe(401);
+  });
+
+  // Test: The itinerary is exported as an iCalendar attachment, by name or by ID
+  it('exports the itinerary as iCalendar', () => {
+    expect(call('GET', '/Rome/itinerary.ics').jsonPayload).toEqual({ error: 'No itinerary' });
+    call('PUT', '/Rome/itinerary', { itinerary: trip });
+    schedule({ date: '2026-05-02', time: '20:00', list: 'restaurants', itemId: 'r1', notes: 'Book a table' });
+    const slotId = schedule({ date: '2026-05-01', list: 'attractions', itemId: 'a1' }).jsonPayload.itinerary.slots[0].id;
+    const res = call('GET', '/rome/itinerary.ics');
+    expect(res.statusCode).toBe(200);
+    expect(res.headers).toEqual({ 'Content-Type': 'text/calendar; charset=utf-8', 'Content-Disposition': 'attachment; filename="itinerary.ics"' });
+    expect(res.body).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(res.body.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(res.body).toContain(`UID:${slotId}@demo-microservices\r\nDTSTAMP:20260401T120000Z\r\nDTSTART;VALUE=DATE:20260501\r\n`);
+    expect(res.body).toContain('DTSTART:20260502T200000\r\nDURATION:PT1H\r\nSUMMARY:Roscioli\r\n');
+    expect(res.body).toContain('DESCRIPTION:Book a table\r\n');
+    // The by-ID route gives the same calendar
+    expect(call('GET', '/by-id/c1/itinerary.ics').body).toBe(res.body);
+    expect(call('GET', '/Oslo/itinerary.ics').statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,246 @@
+/**
+ * lists.test.js
+ *
+ * This test suite verifies the named list routes (`/api/lists`) and the city routes they mount under
+ * `/:listId/cities`. The routes run against an injected MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Listing, creating, renaming and deleting lists
+ * - Validation of list names, duplicate names and the per-user list limit
+ * - City routes scoped to one list, and `/api/cities` using the default list
+ * - Login required, and 404 for unknown lists
+ * - Inviting members by email, changing their roles and removing them
+ * - Members listing and reading the list; editors changing its cities, viewers refused with 403
+ * - Owner-only list changes (rename, share, delete, members)
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const clock = require('../src/clock.js');
+const config = require('../config/config.js');
+const listRoutes = require('../src/lists.js');
+const cityRoutes = require('../src/city.js');
+
+/**
+ * Runs a request through a router.
+ * @param {Function} router - Express router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @param {object} [body] - Request body
+ * @param {object} [session] - Session (logged in as alice by default)
+ * @returns {object} The mock response
+ */
+function handle(router, method, url, body = {}, session = { user: { username: 'alice' } }) {
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; },
+    set(name, value) { this.headers[name] = value; return this; }
+  };
+  router.handle({ body, session, params: {}, query: {}, method, url }, res, () => {});
+  return res;
+}
+
+const call = (...args) => handle(listRoutes, ...args); // Simulate METHOD /api/lists/...
+
+describe('List routes', () => {
+  const rome = { id: 'c1', name: 'Rome', rank: 1, attractions: [], restaurants: [] };
+  const main = { id: 'l1', name: 'My cities', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', cities: [rome] };
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 7, alice: [structuredClone(main)], latest: [] } }));
+    clock.setClock(() => '2026-06-01T12:00:00.000Z');
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+    clock.resetClock();
+  });
+
+  // Test: Lists are returned without their cities
+  it('lists the user\'s lists', () => {
+    const res = call('GET', '/');
+    expect(res.statusCode).toBe(200);
+    const { cities, ...fields } = main;
+    expect(res.jsonPayload).toEqual([{ ...fields, owner: 'alice', role: 'owner', cityCount: 1 }]);
+  });
+
+  // Test: A new list is empty and appended after the default list
+  it('creates a list', () => {
+    const res = call('POST', '/', { list: { name: '  Food   weekend ' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual({
+      id: expect.any(String), name: 'Food weekend', createdAt: '2026-06-01T12:00:00.000Z', updatedAt: '2026-06-01T12:00:00.000Z',
+      owner: 'alice', role: 'owner', cityCount: 0,
+    });
+    expect(call('GET', '/').jsonPayload.map(list => list.name)).toEqual(['My cities', 'Food weekend']);
+  });
+
+  // Test: Names are required, unique per user and limited in number
+  it('validates list names and the list limit', () => {
+    expect(call('POST', '/', {}).statusCode).toBe(400);
+    expect(call('POST', '/', { list: { name: '   ' } }).jsonPayload).toEqual({ error: 'List name required' });
+    expect(call('POST', '/', { list: { name: 'x'.repeat(101) } }).statusCode).toBe(400);
+    const duplicate = call('POST', '/', { list: { name: 'MY CITIES' } });
+    expect(duplicate.statusCode).toBe(409);
+    expect(duplicate.jsonPayload.existing).toMatchObject({ id: 'l1', name: 'My cities' });
+    const max = config.getMaxListsPerUser();
+    for (let i = 1; i < max; i++) expect(call('POST', '/', { list: { name: `Trip ${i}` } }).statusCode).toBe(200);
+    const res = call('POST', '/', { list: { name: 'One too many' } });
+    expect(res.statusCode).toBe(400);
+    expect(res.jsonPayload).toEqual({ error: `List limit (${max}) reached` });
+  });
+
+  // Test: A list can be renamed, but not to another list's name
+  it('renames a list', () => {
+    call('POST', '/', { list: { name: 'Food' } });
+    const res = call('PATCH', '/l1', { list: { name: 'Summer 2026' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toMatchObject({ id: 'l1', name: 'Summer 2026', updatedAt: '2026-06-01T12:00:00.000Z', cityCount: 1 });
+    expect(call('PATCH', '/l1', { list: { name: 'food' } }).statusCode).toBe(409);
+    expect(call('PATCH', '/l1', { list: { name: 'summer 2026' } }).statusCode).toBe(200); // Its own name is free
+    expect(call('PATCH', '/missing', { list: { name: 'Other' } }).statusCode).toBe(404);
+  });
+
+  // Test: Deleting the default list makes the next list the default
+  it('deletes a list with its cities', () => {
+    const food = call('POST', '/', { list: { name: 'Food' } }).jsonPayload;
+    expect(call('DELETE', '/l1').jsonPayload).toEqual({ message: 'List deleted' });
+    expect(call('GET', '/').jsonPayload.map(list => list.id)).toEqual([food.id]);
+    expect(handle(cityRoutes, 'GET', '/').jsonPayload).toEqual([]);
+    expect(call('DELETE', '/l1').statusCode).toBe(404);
+  });
+
+  // Test: Cities are added to and read from one list; /api/cities uses the default list
+  it('scopes the city routes to a list', () => {
+    const food = call('POST', '/', { list: { name: 'Food' } }).jsonPayload;
+    const res = call('POST', `/${food.id}/cities`, { city: { name: 'Naples' } });
+    expect(res.statusCode).toBe(200);
+    expect(call('GET', `/${food.id}/cities`).jsonPayload.map(city => city.name)).toEqual(['Naples']);
+    const pizza = call('POST', `/${food.id}/cities/Naples/restaurants`, { restaurant: 'Da Michele' });
+    expect(pizza.jsonPayload.restaurants.map(item => item.name)).toEqual(['Da Michele']);
+    // The default list is unchanged, and the new list counts its city
+    expect(call('GET', '/l1/cities').jsonPayload.map(city => city.name)).toEqual(['Rome']);
+    expect(handle(cityRoutes, 'GET', '/').jsonPayload.map(city => city.name)).toEqual(['Rome']);
+    expect(call('GET', '/').jsonPayload.map(list => list.cityCount)).toEqual([1, 1]);
+  });
+
+  // Test: Guests get 401, unknown lists 404
+  it('requires a login and an existing list', () => {
+    expect(call('GET', '/', {}, {}).statusCode).toBe(401);
+    expect(call('POST', '/', { list: { name: 'Food' } }, {}).statusCode).toBe(401);
+    expect(call('GET', '/l1/cities', {}, {}).statusCode).toBe(401);
+    const res = call('GET', '/missing/cities');
+    expect(res.statusCode).toBe(404);
+    expect(res.jsonPayload).toEqual({ error: 'List not found' });
+    // Another user's list is not found either
+    expect(call('GET', '/l1/cities', {}, { user: { username: 'bob' } }).statusCode).toBe(404);
+  });
+});
+
+describe('List members', () => {
+  const rome = { id: 'c1', name: 'Rome', rank: 1, attractions: [], restaurants: [] };
+  const trip = { id: 'l1', name: 'Team trip', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', cities: [rome] };
+  const bob = { user: { username: 'bob@example.com' } };
+  const carol = { user: { username: 'carol@example.com' } };
+
+  /**
+   * Invites a member to alice's list.
+   * @param {string} username - Email of the member
+   * @param {string} role - `editor` or `viewer`
+   * @returns {object} The mock response
+   */
+  const invite = (username, role) => call('POST', '/l1/members', { member: { username, role } });
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 7, alice: [structuredClone(trip)], latest: [] } }));
+    clock.setClock(() => '2026-06-01T12:00:00.000Z');
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+    clock.resetClock();
+  });
+
+  // Test: The owner invites members by email with a role; they are listed after the owner
+  it('invites members by email', () => {
+    const res = invite(' bob@example.com ', 'editor');
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual([{ username: 'alice', role: 'owner' }, { username: 'bob@example.com', role: 'editor' }]);
+    expect(invite('bob@example.com', 'viewer').statusCode).toBe(409);
+    expect(invite('not-an-email', 'viewer').jsonPayload).toEqual({ error: 'A valid email is required' });
+    expect(invite('carol@example.com', 'admin').statusCode).toBe(400);
+    expect(call('POST', '/l1/members', { member: { username: 'alice', role: 'editor' } }).statusCode).toBe(400);
+    expect(call('GET', '/l1/members', {}, bob).jsonPayload).toHaveLength(2);
+    expect(call('GET', '/l1/members', {}, carol).statusCode).toBe(404);
+  });
+
+  // Test: Members see the list after their own lists, without its share token
+  it('lists shared lists for their members', () => {
+    call('POST', '/l1/share');
+    invite('bob@example.com', 'viewer');
+    const res = call('GET', '/', {}, bob);
+    expect(res.jsonPayload).toEqual([{
+      id: 'l1', name: 'Team trip', createdAt: trip.createdAt, updatedAt: trip.updatedAt, owner: 'alice', role: 'viewer', cityCount: 1,
+    }]);
+    expect(call('GET', '/l1/cities', {}, bob).jsonPayload.map(city => city.name)).toEqual(['Rome']);
+  });
+
+  // Test: Editors change the cities of the list, stored under its owner
+  it('lets editors change the list', () => {
+    invite('bob@example.com', 'editor');
+    expect(call('POST', '/l1/cities', { city: { name: 'Naples' } }, bob).statusCode).toBe(200);
+    expect(call('POST', '/l1/cities/Naples/attractions', { attraction: 'Castel Nuovo' }, bob).statusCode).toBe(200);
+    expect(call('PUT', '/l1/cities/Naples/itinerary', { itinerary: { startDate: '2026-07-01', endDate: '2026-07-02' } }, bob).statusCode).toBe(200);
+    expect(call('GET', '/l1/cities').jsonPayload.map(city => city.name)).toEqual(['Rome', 'Naples']);
+    expect(storage.getAdapter().readEntry('bob@example.com')).toBeUndefined();
+  });
+
+  // Test: Viewers read the list but every change is refused with 403
+  it('refuses changes by viewers', () => {
+    invite('bob@example.com', 'viewer');
+    const refused = [
+      call('POST', '/l1/cities', { city: { name: 'Naples' } }, bob),
+      call('PATCH', '/l1/cities/by-id/c1', { city: { name: 'Roma' } }, bob),
+      call('DELETE', '/l1/cities/Rome', {}, bob),
+      call('POST', '/l1/cities/Rome/move', { position: 1 }, bob),
+      call('POST', '/l1/cities/Rome/attractions', { attraction: 'Colosseum' }, bob),
+      call('PUT', '/l1/cities/Rome/itinerary', { itinerary: { startDate: '2026-07-01', endDate: '2026-07-02' } }, bob),
+    ];
+    expect(refused.map(res => res.statusCode)).toEqual([403, 403, 403, 403, 403, 403]);
+    expect(refused[0].jsonPayload).toEqual({ error: 'Viewers cannot change this list' });
+    expect(call('GET', '/l1/cities').jsonPayload).toEqual([expect.objectContaining({ name: 'Rome', attractions: [] })]);
+    // Promoted to editor, the same change goes through
+    expect(call('PATCH', '/l1/members/bob@example.com', { member: { role: 'editor' } }).jsonPayload[1]).toEqual({ username: 'bob@example.com', role: 'editor' });
+    expect(call('POST', '/l1/cities/Rome/attractions', { attraction: 'Colosseum' }, bob).statusCode).toBe(200);
+  });
+
+  // Test: Only the owner renames, shares or deletes the list and manages other members
+  it('keeps list changes to the owner', () => {
+    invite('bob@example.com', 'editor');
+    invite('carol@example.com', 'viewer');
+    expect(call('PATCH', '/l1', { list: { name: 'Mine now' } }, bob).statusCode).toBe(403);
+    expect(call('POST', '/l1/share', {}, bob).statusCode).toBe(403);
+    expect(call('DELETE', '/l1', {}, bob).statusCode).toBe(403);
+    expect(call('POST', '/l1/members', { member: { username: 'dave@example.com', role: 'editor' } }, bob).statusCode).toBe(403);
+    expect(call('DELETE', '/l1/members/carol@example.com', {}, bob).statusCode).toBe(403);
+    expect(call('DELETE', '/l1', {}, carol).jsonPayload).toEqual({ error: 'Only the list owner can do this' });
+    expect(call('GET', '/').jsonPayload[0].name).toBe('Team trip');
+  });
+
+  // Test: The owner removes members, members can leave, and removed members lose access
+  it('removes members', () => {
+    invite('bob@example.com', 'editor');
+    invite('carol@example.com', 'viewer');
+    expect(call('DELETE', '/l1/members/bob@example.com').jsonPayload.map(member => member.username)).toEqual(['alice', 'carol@example.com']);
+    expect(call('GET', '/l1/cities', {}, bob).statusCode).toBe(404);
+    expect(call('DELETE', '/l1/members/carol@example.com', {}, carol).statusCode).toBe(200);
+    expect(call('GET', '/', {}, carol).jsonPayload).toEqual([]);
+    expect(call('DELETE', '/l1/members/carol@example.com').statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,334 @@
+/**
+ * migrations.test.js
+ *
+ * This test suite verifies the versioned data schema and the migration runner for the cities store.
+ * Each migration step is tested on its own, followed by the runner and its integration with the
+ * storage adapters and the city routes.
+ *
+ * Coverage includes:
+ * - Migration 1: legacy top-level `cities` list (data_example.json) moved into `latest`
+ * - Migration 2: IDs assigned to cities, attractions and restaurants
+ * - Migration 3: ranks numbered from the list order
+ * - Migration 4: items checked against the item schema
+ * - Migration 5: createdAt/updatedAt timestamps set to the migration time
+ * - Migration 6: gazetteer coordinates added to known cities
+ * - Migration 7: each user's cities wrapped into a default named list
+ * - Migration 8: the `latest` guest view dropped, a legacy guest list kept as a featured showcase list
+ * - Detecting the schema version and pending migrations
+ * - Refusing data written by a newer schema version
+ * - Persisting migrated data through a storage adapter, only when needed
+ * - Legacy shared lists surviving every migration
+ * - City routes serving upgraded legacy data
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const clock = require('../src/clock.js');
+const cityRoutes = require('../src/city.js');
+const { SHOWCASE_OWNER, findPublicLists } = require('../src/showcase.js');
+const {
+  CURRENT_SCHEMA_VERSION,
+  migrations,
+  getSchemaVersion,
+  pendingMigrations,
+  migrateData,
+  migrateStorage,
+} = require('../src/migrations/index.js');
+
+const EXAMPLE_FILE = path.join(path.dirname(new URL(import.meta.url).pathname), '../data_example.json');
+
+/**
+ * Returns the migration that upgrades data to the given version.
+ * @param {number} version
+ * @returns {object} Migration module
+ */
+function migration(version) {
+  return migrations.find(m => m.version === version);
+}
+
+/**
+ * Helper to mock request and response objects for testing Express routes.
+ * @param {object} body - The request body
+ * @param {object} session - The session object (for user auth)
+ * @param {object} params - The route params
+ * @returns {object} { req, res } mock objects
+ */
+function mockReqRes(body = {}, session = {}, params = {}) {
+  const req = { body, session, params };
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  return { req, res };
+}
+
+describe('Migration 1: legacy cities list', () => {
+  // Test: The example file's top-level list becomes the guest view
+  it('moves the top-level cities list into latest', () => {
+    const example = JSON.parse(fs.readFileSync(EXAMPLE_FILE, 'utf-8'));
+    const result = migration(1).up(example);
+    expect(result.cities).toBeUndefined();
+    expect(result.latest).toHaveLength(example.cities.length);
+    expect(result.latest[0].name).toBe('Paris');
+    expect(result.legacyGuestList).toBe(true);
+  });
+
+  // Test: The shared list replaces the latest mirror, while an empty list does not
+  it('replaces latest only with a non-empty cities list', () => {
+    expect(migration(1).up({ cities: [{ name: 'Rome' }], latest: [{ name: 'Paris' }] }).latest).toEqual([{ name: 'Rome' }]);
+    expect(migration(1).up({ cities: [], latest: [{ name: 'Paris' }] })).toEqual({ latest: [{ name: 'Paris' }] });
+  });
+
+  // Test: Per-user data is left untouched
+  it('leaves user lists untouched', () => {
+    const data = { alice: [{ name: 'Paris' }], latest: [{ name: 'Paris' }] };
+    expect(migration(1).up(data)).toEqual(data);
+  });
+
+  // Test: The empty default written for a missing file migrates cleanly
+  it('handles the empty default object', () => {
+    expect(migration(1).up({ cities: [], latest: null })).toEqual({ latest: null });
+  });
+});
+
+describe('Migration 2: record IDs', () => {
+  // Test: Cities get IDs and string items become records
+  it('assigns IDs to cities and turns items into records', () => {
+    const result = migration(2).up({ alice: [{ name: 'Paris', attractions: ['Louvre'], restaurants: ['Le Meurice'] }] });
+    const [city] = result.alice;
+    expect(city.id).toEqual(expect.any(String));
+    expect(city.attractions).toEqual([{ id: expect.any(String), name: 'Louvre' }]);
+    expect(city.restaurants).toEqual([{ id: expect.any(String), name: 'Le Meurice' }]);
+  });
+
+  // Test: Every record gets its own ID
+  it('generates distinct IDs', () => {
+    const { latest } = migration(2).up({ latest: [{ name: 'A', attractions: ['X', 'Y'] }, { name: 'B' }] });
+    const ids = [latest[0].id, latest[1].id, ...latest[0].attractions.map(a => a.id)];
+    expect(new Set(ids).size).toBe(ids.length);
+    expect(latest[1].restaurants).toEqual([]);
+  });
+
+  // Test: An empty guest view stays empty
+  it('leaves a null latest entry alone', () => {
+    expect(migration(2).up({ latest: null })).toEqual({ latest: null });
+  });
+});
+
+describe('Migration 3: ranks', () => {
+  // Test: Ranks follow the current list order, for cities and items
+  it('numbers cities and items by position', () => {
+    const result = migration(3).up({
+      alice: [{ id: 'c1', name: 'Paris', attractions: [{ id: 'a1', name: 'Louvre' }, { id: 'a2', name: 'Orsay' }] }, { id: 'c2', name: 'Rome' }],
+      latest: null,
+    });
+    expect(result.alice.map(c => c.rank)).toEqual([1, 2]);
+    expect(result.alice[0].attractions.map(a => a.rank)).toEqual([1, 2]);
+    expect(result.latest).toBeNull();
+  });
+});
+
+describe('Migration 4: structured items', () => {
+  // Test: Valid details are kept and trimmed; unknown or invalid fields are dropped
+  it('keeps only the fields the item schema accepts', () => {
+    const result = migration(4).up({
+      alice: [{
+        id: 'c1', name: 'Paris',
+        attractions: [{ id: 'a1', name: ' Louvre ', rank: 1, address: ' Rue de Rivoli ', cuisine: 'French', priceLevel: 9 }],
+        restaurants: [{ id: 'r1', name: 'Septime', rank: 1, cuisine: 'French', website: 'not a url', notes: '' }],
+      }],
+      latest: null,
+    });
+    const [city] = result.alice;
+    expect(city.attractions).toEqual([{ id: 'a1', name: 'Louvre', rank: 1, address: 'Rue de Rivoli' }]);
+    expect(city.restaurants).toEqual([{ id: 'r1', name: 'Septime', rank: 1, cuisine: 'French' }]);
+    expect(result.latest).toBeNull();
+  });
+});
+
+describe('Migration 5: timestamps', () => {
+  afterEach(() => {
+    clock.resetClock();
+  });
+
+  // Test: Cities and items get the migration time; existing timestamps are kept
+  it('stamps cities and items with the migration time', () => {
+    clock.setClock(() => '2024-05-01T12:00:00.000Z');
+    const result = migration(5).up({
+      alice: [{ id: 'c1', name: 'Paris', attractions: [{ id: 'a1', name: 'Louvre', createdAt: '2023-01-01T00:00:00.000Z' }], restaurants: [] }],
+      latest: null,
+    });
+    const [city] = result.alice;
+    expect(city).toMatchObject({ createdAt: '2024-05-01T12:00:00.000Z', updatedAt: '2024-05-01T12:00:00.000Z' });
+    expect(city.attractions[0]).toMatchObject({ createdAt: '2023-01-01T00:00:00.000Z', updatedAt: '2024-05-01T12:00:00.000Z' });
+    expect(result.latest).toBeNull();
+  });
+});
+
+describe('Migration 6: city coordinates', () => {
+  // Test: Known cities get gazetteer coordinates; unknown ones and existing coordinates are kept
+  it('adds gazetteer coordinates to known cities', () => {
+    const result = migration(6).up({
+      alice: [{ id: 'c1', name: 'paris' }, { id: 'c2', name: 'Gotham' }, { id: 'c3', name: 'Rome', lat: 41.9, lon: 12.5 }],
+      latest: null,
+    });
+    expect(result.alice).toEqual([
+      { id: 'c1', name: 'paris', lat: 48.8566, lon: 2.3522 },
+      { id: 'c2', name: 'Gotham' },
+      { id: 'c3', name: 'Rome', lat: 41.9, lon: 12.5 },
+    ]);
+    expect(result.latest).toBeNull();
+  });
+});
+
+describe('Migration 7: named lists', () => {
+  afterEach(() => {
+    clock.resetClock();
+  });
+
+  // Test: A user's cities move into a default list; latest and existing lists are kept
+  it('wraps each user\'s cities into a default list', () => {
+    clock.setClock(() => '2026-06-01T12:00:00.000Z');
+    const paris = { id: 'c1', name: 'Paris' };
+    const lists = [{ id: 'l1', name: 'Food', createdAt: 't', updatedAt: 't', cities: [] }];
+    const result = migration(7).up({ alice: [paris], bob: lists, carol: [], latest: [paris] });
+    expect(result.alice).toEqual([
+      { id: expect.any(String), name: 'My cities', createdAt: '2026-06-01T12:00:00.000Z', updatedAt: '2026-06-01T12:00:00.000Z', cities: [paris] },
+    ]);
+    expect(result.bob).toBe(lists);
+    expect(result.carol).toEqual([expect.objectContaining({ name: 'My cities', cities: [] })]);
+    expect(result.latest).toEqual([paris]);
+  });
+});
+
+describe('Migration 8: drop latest', () => {
+  afterEach(() => {
+    clock.resetClock();
+  });
+
+  // Test: The copy of the last changed list is removed, even where no user holds its cities;
+  // users' lists and the showcase are kept
+  it('drops the latest guest view', () => {
+    const lists = [{ id: 'l1', name: 'My cities', createdAt: 't', updatedAt: 't', cities: [{ id: 'c1', name: 'Paris' }] }];
+    const showcase = { publicUsers: ['alice'], featured: [] };
+    expect(migration(8).up({ alice: lists, latest: lists[0].cities, showcase })).toEqual({ alice: lists, showcase });
+    expect(migration(8).up({ alice: lists, latest: [{ id: 'c2', name: 'Paris' }] })).toEqual({ alice: lists });
+    expect(migration(8).up({ bob: [] })).toEqual({ bob: [] });
+    expect(migration(8).up({ bob: [], latest: [] })).toEqual({ bob: [] });
+  });
+
+  // Test: The shared list of a legacy file becomes a public, featured list of the showcase owner
+  it('keeps a legacy guest list in the showcase', () => {
+    clock.setClock(() => '2026-06-01T12:00:00.000Z');
+    const rome = { id: 'c9', name: 'Rome' };
+    const result = migration(8).up({ alice: [], latest: [rome], legacyGuestList: true, showcase: { publicUsers: ['bob'], featured: ['l2'] } });
+    expect(result.latest).toBeUndefined();
+    expect(result.legacyGuestList).toBeUndefined();
+    expect(result[SHOWCASE_OWNER]).toEqual([
+      { id: expect.any(String), name: 'Shared cities', createdAt: '2026-06-01T12:00:00.000Z', updatedAt: '2026-06-01T12:00:00.000Z', cities: [rome] },
+    ]);
+    expect(result.showcase).toEqual({ publicUsers: ['bob', SHOWCASE_OWNER], featured: ['l2', result[SHOWCASE_OWNER][0].id] });
+  });
+});
+
+describe('Legacy shared list', () => {
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: The top-level cities list of a legacy file is still readable after migrations 1 to 8
+  it('keeps the cities of a legacy shared list', () => {
+    const { data } = migrateData({ cities: [{ name: 'Rome', attractions: ['Colosseum'] }, { name: 'Lisbon' }] });
+    const [list] = data[SHOWCASE_OWNER];
+    expect(list.cities.map(city => city.name)).toEqual(['Rome', 'Lisbon']);
+    expect(list.cities[0].attractions).toEqual([expect.objectContaining({ name: 'Colosseum', rank: 1 })]);
+    expect(data.showcase).toEqual({ publicUsers: [SHOWCASE_OWNER], featured: [list.id] });
+    // Guests see it in the showcase
+    storage.setAdapter(new storage.MemoryAdapter({ data }));
+    expect(findPublicLists()).toEqual([{ owner: SHOWCASE_OWNER, list, featured: true }]);
+  });
+
+  // Test: A user's private list, copied into latest by every change before schema version 8, is
+  // not published by the full chain of migrations
+  it('does not publish the latest copy of a user\'s list', () => {
+    const list = [{ name: 'Paris', attractions: ['Louvre'] }];
+    const { data } = migrateData({ 'alice@example.com': list, latest: list });
+    expect(Object.keys(data).sort()).toEqual(['alice@example.com', 'schemaVersion']);
+    expect(data['alice@example.com'][0].cities.map(city => city.name)).toEqual(['Paris']);
+    storage.setAdapter(new storage.MemoryAdapter({ data }));
+    expect(findPublicLists()).toEqual([]);
+  });
+
+  // Test: The example file keeps its shared cities next to its users' lists
+  it('keeps the cities of data_example.json', () => {
+    const example = JSON.parse(fs.readFileSync(EXAMPLE_FILE, 'utf-8'));
+    const { data } = migrateData(example);
+    expect(Object.keys(data).sort()).toEqual(['alice', 'eve', 'schemaVersion', 'showcase', SHOWCASE_OWNER].sort());
+    expect(data[SHOWCASE_OWNER][0].cities.map(city => city.name)).toEqual(example.cities.map(city => city.name));
+  });
+});
+
+describe('Migration runner', () => {
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: Versions are numbered consecutively from 1
+  it('defines consecutive migration versions', () => {
+    expect(migrations.map(m => m.version)).toEqual(Array.from({ length: CURRENT_SCHEMA_VERSION }, (_, i) => i + 1));
+  });
+
+  // Test: Missing schemaVersion means version 0
+  it('treats unversioned data as version 0', () => {
+    expect(getSchemaVersion({ alice: [] })).toBe(0);
+    expect(pendingMigrations(0)).toHaveLength(CURRENT_SCHEMA_VERSION);
+    expect(pendingMigrations(CURRENT_SCHEMA_VERSION)).toHaveLength(0);
+  });
+
+  // Test: Data is upgraded to the current version without mutating the input
+  it('upgrades data to the current version', () => {
+    const input = { cities: [{ name: 'Rome' }] };
+    const { data, applied } = migrateData(input);
+    expect(data.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(applied).toEqual(migrations.map(m => m.version));
+    expect(input).toEqual({ cities: [{ name: 'Rome' }] });
+    expect(migrateData(data).applied).toEqual([]);
+  });
+
+  // Test: Data from a newer backend is refused
+  it('refuses data with a newer schema version', () => {
+    expect(() => migrateData({ schemaVersion: CURRENT_SCHEMA_VERSION + 1 })).toThrow(/newer than supported/);
+  });
+
+  // Test: migrateStorage persists upgraded data and is a no-op afterwards
+  it('persists migrated data through the adapter', () => {
+    const adapter = new storage.MemoryAdapter({ data: { cities: [{ name: 'Lisbon' }] } });
+    expect(migrateStorage(adapter)).toEqual(migrations.map(m => m.version));
+    expect(adapter.readData().schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(adapter.readEntry('latest')).toBeUndefined();
+    expect(adapter.readEntry(SHOWCASE_OWNER)[0].cities).toEqual([expect.objectContaining({ name: 'Lisbon' })]);
+    expect(migrateStorage(adapter)).toEqual([]);
+  });
+
+  // Test: data_example.json, upgraded as on server startup, is served by the city routes
+  it('serves upgraded legacy data to the city routes', () => {
+    const example = JSON.parse(fs.readFileSync(EXAMPLE_FILE, 'utf-8'));
+    const adapter = new storage.MemoryAdapter({ data: example });
+    storage.setAdapter(adapter);
+    migrateStorage(adapter);
+    const { req, res } = mockReqRes({}, { user: { username: 'alice' } }, {});
+    cityRoutes.handle({ ...req, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.map(city => city.name)).toEqual(['Paris']);
+    expect(adapter.readEntry('schemaVersion')).toBe(CURRENT_SCHEMA_VERSION);
+    expect(adapter.readEntry('latest')).toBeUndefined();
+  });
+});
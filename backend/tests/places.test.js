@@ -0,0 +1,159 @@
+/**
+ * places.test.js
+ *
+ * This test suite verifies the offline gazetteer of European cities, the place autocomplete route and
+ * the nearby place search. The nearby routes run against an injected MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Looking up cities by English, local or historical name, ignoring case and accents
+ * - Suggestions for partly typed names, local names and typos, ranked by score and population
+ * - Validation of the query and limit
+ * - Great-circle distances between fixed coordinates
+ * - Nearby cities and attractions of the user's list and the public lists, nearest first
+ * - Validation of the coordinates, radius and limit
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { migrateStorage } = require('../src/migrations/index.js');
+const placeRoutes = require('../src/places.js');
+const { loadPlaces, findPlace } = require('../src/gazetteer/index.js');
+const { distanceKm } = require('../src/distance.js');
+
+/**
+ * Runs a GET route of the place routes with the given query parameters.
+ * @param {string} path - Route path
+ * @param {object} query - Query parameters
+ * @param {object} [session] - Session (logged in when it has a user)
+ * @returns {object} The mock response
+ */
+function get(path, query, session = {}) {
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  placeRoutes.handle({ body: {}, session, params: {}, query, method: 'GET', url: path }, res, () => {}); // Simulate GET /cities?q=... or /nearby?lat=...
+  return res;
+}
+
+const suggest = query => get('/cities', query);
+
+describe('Gazetteer', () => {
+  // Test: Every entry has a name, a country and coordinates in Europe
+  it('bundles European cities with coordinates', () => {
+    const places = loadPlaces();
+    expect(places.length).toBeGreaterThan(100);
+    for (const place of places) {
+      expect(place).toEqual(expect.objectContaining({ name: expect.any(String), country: expect.any(String), aliases: expect.any(Array) }));
+      expect(place.lat).toBeGreaterThan(30);
+      expect(place.lat).toBeLessThan(72);
+      expect(place.lon).toBeGreaterThan(-25);
+      expect(place.lon).toBeLessThan(45);
+    }
+  });
+
+  // Test: Lookups match the English name and aliases, ignoring case and accents
+  it('finds cities by name or alias', () => {
+    expect(findPlace('munchen')).toMatchObject({ name: 'Munich', countryCode: 'DE' });
+    expect(findPlace(' KRAKOW ')).toMatchObject({ name: 'Kraków' });
+    expect(findPlace('Atlantis')).toBeNull();
+  });
+});
+
+describe('Place routes', () => {
+  // Test: Prefixes find the city, with its country and coordinates
+  it('suggests cities for a partly typed name', () => {
+    const res = suggest({ q: 'barc' });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload[0]).toEqual({
+      name: 'Barcelona', country: 'Spain', countryCode: 'ES', lat: 41.3874, lon: 2.1686, matched: null, score: 0.95,
+    });
+  });
+
+  // Test: Local names and typos are matched; the matched alias is reported
+  it('matches local names and typos', () => {
+    expect(suggest({ q: 'Köln' }).jsonPayload[0]).toMatchObject({ name: 'Cologne', matched: 'Köln' });
+    expect(suggest({ q: 'lisbn' }).jsonPayload[0]).toMatchObject({ name: 'Lisbon' });
+    expect(suggest({ q: 'san', limit: '3' }).jsonPayload).toHaveLength(3);
+  });
+
+  // Test: Invalid parameters are refused
+  it('validates the query and limit', () => {
+    expect(suggest({}).statusCode).toBe(400);
+    expect(suggest({ q: 'x'.repeat(101) }).statusCode).toBe(400);
+    expect(suggest({ q: 'par', limit: '21' }).statusCode).toBe(400);
+  });
+});
+
+describe('Nearby places', () => {
+  const rome = {
+    id: 'c1', name: 'Rome', rank: 1, lat: 41.9028, lon: 12.4964,
+    attractions: [
+      { id: 'a1', name: 'Vatican Museums', rank: 1, lat: 41.9065, lon: 12.4536 },
+      { id: 'a2', name: 'Colosseum', rank: 2, lat: 41.8902, lon: 12.4922 },
+      { id: 'a3', name: 'Trevi Fountain', rank: 3 },
+    ],
+    restaurants: [{ id: 'r1', name: 'Roscioli', rank: 1 }],
+  };
+  const naples = { id: 'c2', name: 'Naples', rank: 2, lat: 40.8518, lon: 14.2681, attractions: [], restaurants: [] };
+  const paris = { id: 'c3', name: 'Paris', rank: 1, lat: 48.8566, lon: 2.3522, attractions: [], restaurants: [] };
+  const florence = { id: 'c4', name: 'Florence', rank: 1, lat: 43.7696, lon: 11.2558, attractions: [], restaurants: [] };
+  const alice = { user: { username: 'alice' } };
+  const nearRome = query => get('/nearby', { lat: '41.9028', lon: '12.4964', ...query }, alice);
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 6, alice: [rome, naples, paris], bob: [florence], showcase: { publicUsers: ['bob'] } } }));
+    migrateStorage(storage.getAdapter());
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: Distances follow the great circle
+  it('measures great-circle distances', () => {
+    expect(distanceKm(paris, { lat: 51.5074, lon: -0.1278 })).toBeCloseTo(343.56, 1); // Paris-London
+    expect(distanceKm(rome, naples)).toBeCloseTo(188.43, 1);
+    expect(distanceKm({ lat: 0, lon: 0 }, { lat: 0, lon: 180 })).toBeCloseTo(20015.11, 1); // Half the equator
+    expect(distanceKm(rome, rome)).toBe(0);
+  });
+
+  // Test: Places within the radius come nearest first; places without coordinates are left out
+  it('finds the cities and attractions near a point', () => {
+    const res = nearRome({ km: '10' });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual([
+      { type: 'city', cityId: 'c1', cityName: 'Rome', name: 'Rome', lat: 41.9028, lon: 12.4964, distanceKm: 0, source: 'mine', listId: expect.any(String) },
+      { type: 'attraction', cityId: 'c1', cityName: 'Rome', itemId: 'a2', name: 'Colosseum', lat: 41.8902, lon: 12.4922, distanceKm: 1.4, source: 'mine', listId: expect.any(String) },
+      { type: 'attraction', cityId: 'c1', cityName: 'Rome', itemId: 'a1', name: 'Vatican Museums', lat: 41.9065, lon: 12.4536, distanceKm: 3.6, source: 'mine', listId: expect.any(String) },
+    ]);
+  });
+
+  // Test: The radius and limit bound the result; the public lists are searched too
+  it('searches the user\'s list and the public lists within the radius', () => {
+    expect(nearRome({}).jsonPayload.map(place => place.name)).toEqual(['Rome', 'Colosseum', 'Vatican Museums']); // Default 50 km
+    expect(nearRome({ km: '250' }).jsonPayload.map(place => [place.name, place.distanceKm, place.source])).toEqual([
+      ['Rome', 0, 'mine'], ['Colosseum', 1.4, 'mine'], ['Vatican Museums', 3.6, 'mine'], ['Naples', 188.4, 'mine'], ['Florence', 230.9, 'public'],
+    ]);
+    expect(nearRome({ km: '250', limit: '2' }).jsonPayload).toHaveLength(2);
+    // Guests only see the public lists
+    const guest = get('/nearby', { lat: '41.9028', lon: '12.4964', km: '250' });
+    expect(guest.jsonPayload.map(place => [place.name, place.source])).toEqual([['Florence', 'public']]);
+  });
+
+  // Test: Invalid parameters are refused
+  it('validates the coordinates, radius and limit', () => {
+    expect(get('/nearby', {}).statusCode).toBe(400);
+    expect(get('/nearby', { lat: '41.9', lon: '' }).statusCode).toBe(400);
+    expect(get('/nearby', { lat: '91', lon: '12.5' }).statusCode).toBe(400);
+    expect(nearRome({ km: '0' }).statusCode).toBe(400);
+    expect(nearRome({ km: '1001' }).statusCode).toBe(400);
+    expect(nearRome({ km: 'far' }).statusCode).toBe(400);
+    expect(nearRome({ limit: '51' }).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * public.test.js
+ *
+ * This test suite verifies the public showcase that guests see instead of another user's cities:
+ * users opting their lists in and out (`PATCH /api/users/me`), the showcase routes
+ * (`/api/public/lists`) and the featured lists chosen by admins. The routes run against an injected
+ * MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Lists staying private until their owner opts in, also after changing cities
+ * - Making lists public and private again, and validation of the flag
+ * - Featured lists first, then the most recently updated lists with cities, without their owners
+ * - Only admins featuring lists, and only public ones
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { migrateStorage } = require('../src/migrations/index.js');
+const config = require('../config/config.js');
+const userRoutes = require('../src/user.js');
+const cityRoutes = require('../src/city.js');
+const publicRoutes = require('../src/public.js');
+
+/**
+ * Runs a request through a router.
+ * @param {Function} router - Express router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @param {object} [body] - Request body
+ * @param {object} [session] - Session (a guest by default)
+ * @returns {object} The mock response
+ */
+function handle(router, method, url, body = {}, session = {}) {
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  router.handle({ body, session, params: {}, query: {}, method, url }, res, () => {});
+  return res;
+}
+
+const as = username => ({ user: { username } });
+const setPublic = (username, value) => handle(userRoutes, 'PATCH', '/me', { public: value }, as(username)); // Simulate PATCH /api/users/me
+const showcase = () => handle(publicRoutes, 'GET', '/lists').jsonPayload; // Simulate GET /api/public/lists as a guest
+const feature = (listId, session = as('admin@example.com')) => handle(publicRoutes, 'PUT', `/featured/${listId}`, {}, session); // Simulate PUT /api/public/featured/:listId
+const unfeature = (listId, session = as('admin@example.com')) => handle(publicRoutes, 'DELETE', `/featured/${listId}`, {}, session); // Simulate DELETE /api/public/featured/:listId
+
+describe('Public showcase', () => {
+  const city = (id, name) => ({ id, name, rank: 1, attractions: [], restaurants: [] });
+  const list = (id, name, updatedAt, cities) => ({ id, name, createdAt: '2026-01-01T00:00:00.000Z', updatedAt, cities });
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new storage.MemoryAdapter({ data: {
+      schemaVersion: 7,
+      alice: [list('l1', 'Rome trip', '2026-02-01T00:00:00.000Z', [city('c1', 'Rome')]), list('l2', 'Empty', '2026-03-01T00:00:00.000Z', [])],
+      bob: [list('l3', 'Lisbon', '2026-04-01T00:00:00.000Z', [city('c2', 'Lisbon')])],
+      latest: [city('c2', 'Lisbon')],
+    } });
+    storage.setAdapter(adapter);
+    migrateStorage(storage.getAdapter());
+    vi.spyOn(config, 'getAdmins').mockReturnValue(['admin@example.com']);
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+    vi.restoreAllMocks();
+  });
+
+  // Test: Nobody opted in, so guests see no lists; changing cities does not expose them either
+  it('keeps lists private until their owner opts in', () => {
+    expect(showcase()).toEqual({ featured: [], recent: [] });
+    expect(adapter.readEntry('latest')).toBeUndefined(); // Dropped by migration 8
+    handle(cityRoutes, 'POST', '/', { city: { name: 'Porto' } }, as('bob'));
+    expect(adapter.readEntry('bob')[0].cities.map(c => c.name)).toEqual(['Lisbon', 'Porto']);
+    expect(handle(cityRoutes, 'GET', '/').jsonPayload).toEqual([]); // Guests have no list
+    expect(showcase()).toEqual({ featured: [], recent: [] });
+    expect(handle(userRoutes, 'GET', '/me', {}, as('bob')).jsonPayload).toEqual({ username: 'bob', public: false });
+  });
+
+  // Test: Public users' lists with cities are shown, most recently updated first, without their owners
+  it('shows the lists of users who made them public', () => {
+    expect(setPublic('alice', true).jsonPayload).toEqual({ username: 'alice', public: true });
+    setPublic('bob', true);
+    const { featured, recent } = showcase();
+    expect(featured).toEqual([]);
+    expect(recent).toEqual([
+      { id: 'l3', name: 'Lisbon', updatedAt: '2026-04-01T00:00:00.000Z', cities: [city('c2', 'Lisbon')] },
+      { id: 'l1', name: 'Rome trip', updatedAt: '2026-02-01T00:00:00.000Z', cities: [city('c1', 'Rome')] },
+    ]);
+    expect(JSON.stringify(showcase())).not.toMatch(/alice|bob/);
+    expect(handle(userRoutes, 'GET', '/me', {}, as('alice')).jsonPayload).toEqual({ username: 'alice', public: true });
+  });
+
+  // Test: Opting out hides the lists again; the flag must be a boolean and requires login
+  it('makes lists private again', () => {
+    setPublic('alice', true);
+    setPublic('alice', true); // Opting in twice is harmless
+    expect(adapter.readEntry('showcase').publicUsers).toEqual(['alice']);
+    expect(setPublic('alice', false).jsonPayload).toEqual({ username: 'alice', public: false });
+    expect(showcase().recent).toEqual([]);
+    expect(setPublic('alice', 'yes').statusCode).toBe(400);
+    expect(handle(userRoutes, 'PATCH', '/me', { public: true }).statusCode).toBe(401);
+  });
+
+  // Test: Featured lists come first in the order they were featured, and leave the recent lists
+  it('shows the lists featured by admins first', () => {
+    setPublic('alice', true);
+    setPublic('bob', true);
+    feature('l2');
+    const res = feature('l1');
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.featured.map(entry => entry.name)).toEqual(['Empty', 'Rome trip']);
+    expect(res.jsonPayload.recent.map(entry => entry.name)).toEqual(['Lisbon']);
+    expect(unfeature('l2').jsonPayload.featured.map(entry => entry.name)).toEqual(['Rome trip']);
+    expect(unfeature('l2').statusCode).toBe(404);
+    // A featured list leaves the showcase when its owner opts out
+    setPublic('alice', false);
+    expect(showcase()).toEqual({ featured: [], recent: [expect.objectContaining({ id: 'l3' })] });
+  });
+
+  // Test: Only admins feature lists, and only public ones
+  it('lets only admins feature public lists', () => {
+    setPublic('bob', true);
+    expect(feature('l3', {}).statusCode).toBe(401);
+    const res = feature('l3', as('bob'));
+    expect(res.statusCode).toBe(403);
+    expect(res.jsonPayload).toEqual({ error: 'Admins only' });
+    expect(unfeature('l3', as('bob')).statusCode).toBe(403);
+    expect(feature('l1').jsonPayload).toEqual({ error: 'Public list not found' }); // alice did not opt in
+    expect(feature('missing').statusCode).toBe(404);
+    expect(showcase().featured).toEqual([]);
+  });
+});
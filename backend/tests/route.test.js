@@ -0,0 +1,76 @@
+/**
+ * route.test.js
+ *
+ * This test suite verifies the visiting order proposed for the attractions of an itinerary day
+ * (nearest neighbour and 2-opt over great-circle distances), against fixed point sets.
+ *
+ * Coverage includes:
+ * - Path lengths
+ * - Ordering points on a line, and keeping an order that is already shortest
+ * - Matching the shortest order found by brute force for a day in Rome
+ * - Deterministic results, and days with fewer than two stops
+ */
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const { pathDistance, optimiseRoute } = require('../src/route.js');
+
+// Points on the equator, one degree of longitude (111.19 km) apart
+const onEquator = (...lons) => lons.map(lon => ({ lat: 0, lon }));
+
+// A day of sightseeing in Rome, in the order it was planned
+const ROME = [
+  { name: 'Colosseum', lat: 41.8902, lon: 12.4922 },
+  { name: 'Vatican Museums', lat: 41.9065, lon: 12.4536 },
+  { name: 'Trevi Fountain', lat: 41.9009, lon: 12.4833 },
+  { name: 'Roman Forum', lat: 41.8925, lon: 12.4853 },
+  { name: 'Piazza Navona', lat: 41.8992, lon: 12.4731 },
+  { name: 'Spanish Steps', lat: 41.9058, lon: 12.4823 },
+  { name: 'Pantheon', lat: 41.8986, lon: 12.4769 },
+];
+
+/**
+ * Lists every order of the indexes 0..n-1.
+ * @param {number} n
+ * @returns {Array<Array<number>>}
+ */
+function permutations(n) {
+  if (n === 0) return [[]];
+  return permutations(n - 1).flatMap(order => order.map((_, i) => [...order.slice(0, i), n - 1, ...order.slice(i)]).concat([[...order, n - 1]]));
+}
+
+describe('Route optimisation', () => {
+  // Test: A path is as long as the sum of its legs
+  it('measures the length of a path', () => {
+    expect(pathDistance(onEquator(0, 1, 3))).toBeCloseTo(3 * 111.195, 2);
+    expect(pathDistance(onEquator(5))).toBe(0);
+  });
+
+  // Test: Points on a line are visited from one end to the other
+  it('orders points on a line', () => {
+    const route = optimiseRoute(onEquator(0, 3, 1, 2));
+    expect(route.order).toEqual([0, 2, 3, 1]);
+    expect(route.distanceKm).toBeCloseTo(3 * 111.195, 2);
+    // An order that is already shortest is kept rather than reversed
+    expect(optimiseRoute(onEquator(0, 1, 2, 3)).order).toEqual([0, 1, 2, 3]);
+  });
+
+  // Test: The proposed order for a day in Rome is the shortest one, and the same on every call
+  it('finds the shortest walk for a day in Rome', () => {
+    const route = optimiseRoute(ROME);
+    expect(route.order.map(index => ROME[index].name)).toEqual([
+      'Colosseum', 'Roman Forum', 'Trevi Fountain', 'Spanish Steps', 'Pantheon', 'Piazza Navona', 'Vatican Museums',
+    ]);
+    const shortest = Math.min(...permutations(ROME.length).map(order => pathDistance(order.map(index => ROME[index]))));
+    expect(route.distanceKm).toBeCloseTo(shortest, 9);
+    expect(route.distanceKm).toBeLessThan(pathDistance(ROME) / 2);
+    expect(optimiseRoute(ROME)).toEqual(route);
+  });
+
+  // Test: Days with no or one stop need no routing
+  it('handles days with fewer than two stops', () => {
+    expect(optimiseRoute([])).toEqual({ order: [], distanceKm: 0 });
+    expect(optimiseRoute(onEquator(7))).toEqual({ order: [0], distanceKm: 0 });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * search.test.js
+ *
+ * This test suite verifies the fuzzy text matching and the search route across cities,
+ * attractions and restaurants. The routes run against an injected MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Accent- and case-insensitive matching with highlights in the original text
+ * - Typo tolerance (substitutions, missing letters, swapped letters) and its limits
+ * - Ranking of hits, and matches in item details (e.g. cuisine)
+ * - Scopes: the user's own cities, the lists of the public showcase, or both
+ * - Validation of the query, scope and limit
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { migrateStorage } = require('../src/migrations/index.js');
+const searchRoutes = require('../src/search.js');
+const { matchText, normalizeText } = require('../src/fuzzy.js');
+
+/**
+ * Helper to mock request and response objects for testing Express routes.
+ * @param {object} body - The request body
+ * @param {object} session - The session object (for user auth)
+ * @param {object} params - The route params
+ * @returns {object} { req, res } mock objects
+ */
+function mockReqRes(body = {}, session = {}, params = {}) {
+  const req = { body, session, params };
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  return { req, res };
+}
+
+/**
+ * Runs GET /api/search with the given query parameters.
+ * @param {object} query - Query parameters
+ * @param {object} [session] - Session (logged in when it has a user)
+ * @returns {object} The mock response
+ */
+function search(query, session = {}) {
+  const { req, res } = mockReqRes({}, session, {});
+  searchRoutes.handle({ ...req, query, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /?q=...
+  return res;
+}
+
+describe('Fuzzy matching', () => {
+  // Test: Accents and case are ignored, and highlights point into the original text
+  it('matches regardless of accents and case', () => {
+    expect(normalizeText('  São  PAULO ')).toBe('sao paulo');
+    const match = matchText('musee', 'Le Musée du Louvre');
+    expect(match.highlights).toEqual([{ start: 3, end: 8 }]);
+    expect('Le Musée du Louvre'.slice(3, 8)).toBe('Musée');
+  });
+
+  // Test: Small typos are tolerated, scoring lower than exact matches
+  it('tolerates typos in longer words', () => {
+    const exact = matchText('louvre', 'Louvre');
+    const typo = matchText('lovure', 'Louvre');
+    expect(exact.score).toBe(1);
+    expect(typo.score).toBeGreaterThan(0);
+    expect(typo.score).toBeLessThan(exact.score);
+    expect(matchText('eifel towr', 'Eiffel Tower').highlights).toEqual([{ start: 0, end: 6 }, { start: 7, end: 12 }]);
+  });
+
+  // Test: Short words must match exactly, and unrelated words do not match
+  it('rejects unrelated text', () => {
+    expect(matchText('bar', 'Paris')).toBeNull();
+    expect(matchText('colosseum', 'Louvre')).toBeNull();
+    expect(matchText('   ', 'Louvre')).toBeNull();
+  });
+});
+
+describe('Search routes', () => {
+  const paris = {
+    id: 'c1', name: 'Paris', rank: 1,
+    attractions: [{ id: 'a1', name: 'Musée du Louvre', rank: 1 }, { id: 'a2', name: 'Eiffel Tower', rank: 2 }],
+    restaurants: [{ id: 'r1', name: 'Septime', rank: 1, cuisine: 'French' }],
+  };
+  const rome = { id: 'c2', name: 'Rome', rank: 1, attractions: [{ id: 'a3', name: 'Louvre Café', rank: 1 }], restaurants: [] };
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 5, alice: [paris], bob: [rome], showcase: { publicUsers: ['bob'] } } }));
+    migrateStorage(storage.getAdapter());
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: Finds which city has an attraction, with highlights
+  it('finds an attraction and its city', () => {
+    const res = search({ q: 'louvre' }, { user: { username: 'alice' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual([{
+      type: 'attraction', cityId: 'c1', cityName: 'Paris', itemId: 'a1', name: 'Musée du Louvre', source: 'mine', listId: expect.any(String),
+      field: 'name', text: 'Musée du Louvre', score: 0.85, highlights: [{ start: 9, end: 15 }],
+    }]);
+  });
+
+  // Test: Better matches rank first; item details are searched too
+  it('ranks hits by score and searches item details', () => {
+    let res = search({ q: 'pari' }, { user: { username: 'alice' } });
+    expect(res.jsonPayload[0]).toMatchObject({ type: 'city', cityId: 'c1', name: 'Paris' });
+    res = search({ q: 'frnech' }, { user: { username: 'alice' } });
+    expect(res.jsonPayload).toEqual([expect.objectContaining({ type: 'restaurant', itemId: 'r1', field: 'cuisine', text: 'French' })]);
+  });
+
+  // Test: Guests search the public lists; users choose their own, the public lists, or both
+  it('searches the requested scope', () => {
+    expect(search({ q: 'louvre' }).jsonPayload.map(hit => [hit.itemId, hit.source])).toEqual([['a3', 'public']]);
+    const all = search({ q: 'louvre', scope: 'all' }, { user: { username: 'alice' } }).jsonPayload;
+    expect(all.map(hit => [hit.itemId, hit.source])).toEqual([['a3', 'public'], ['a1', 'mine']]); // "Louvre Café" starts with the query
+    expect(search({ q: 'louvre', scope: 'all', limit: '1' }, { user: { username: 'alice' } }).jsonPayload).toHaveLength(1);
+  });
+
+  // Test: Invalid parameters are refused
+  it('validates the query, scope and limit', () => {
+    expect(search({}).statusCode).toBe(400);
+    expect(search({ q: 'x'.repeat(101) }).statusCode).toBe(400);
+    expect(search({ q: 'paris', scope: 'everyone' }).statusCode).toBe(400);
+    expect(search({ q: 'paris', limit: '0' }).statusCode).toBe(400);
+  });
+});
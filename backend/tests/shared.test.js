@@ -0,0 +1,118 @@
+/**
+ * shared.test.js
+ *
+ * This test suite verifies read-only share links: creating and revoking share tokens through the list
+ * routes, and reading a shared list without a session through the shared list routes
+ * (`/api/shared/:token`). The routes run against an injected MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Creating a share token, and replacing it with a new one
+ * - Reading a shared list as a guest, without its owner or token
+ * - Revoked, replaced and unknown tokens returning 404
+ * - Only the owner sharing or revoking a list
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const listRoutes = require('../src/lists.js');
+const sharedRoutes = require('../src/shared.js');
+
+/**
+ * Runs a request through a router.
+ * @param {Function} router - Express router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @param {object} [session] - Session (logged in as alice by default)
+ * @returns {object} The mock response
+ */
+function handle(router, method, url, session = { user: { username: 'alice' } }) {
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  router.handle({ body: {}, session, params: {}, query: {}, method, url }, res, () => {});
+  return res;
+}
+
+const share = (listId, session) => handle(listRoutes, 'POST', `/${listId}/share`, session); // Simulate POST /api/lists/:listId/share
+const revoke = (listId, session) => handle(listRoutes, 'DELETE', `/${listId}/share`, session); // Simulate DELETE /api/lists/:listId/share
+const readShared = token => handle(sharedRoutes, 'GET', `/${encodeURIComponent(token)}`, {}); // Simulate GET /api/shared/:token as a guest
+
+describe('Shared list routes', () => {
+  const rome = { id: 'c1', name: 'Rome', rank: 1, attractions: [{ id: 'a1', name: 'Colosseum', rank: 1 }], restaurants: [] };
+  const lists = [
+    { id: 'l1', name: 'My cities', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-02T00:00:00.000Z', cities: [rome] },
+    { id: 'l2', name: 'Food', createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', cities: [] },
+  ];
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: { schemaVersion: 7, alice: structuredClone(lists), latest: [] } }));
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: Sharing returns the list with a long random token, also listed by GET /api/lists
+  it('creates a share token', () => {
+    const res = share('l1');
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toMatchObject({ id: 'l1', name: 'My cities', cityCount: 1 });
+    expect(res.jsonPayload.shareToken).toMatch(/^[\w-]{32}$/);
+    expect(handle(listRoutes, 'GET', '/').jsonPayload.map(list => list.shareToken)).toEqual([res.jsonPayload.shareToken, undefined]);
+  });
+
+  // Test: Guests read the shared list without its owner or token
+  it('returns a shared list without a session', () => {
+    const { shareToken } = share('l1').jsonPayload;
+    const res = readShared(shareToken);
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual({ name: 'My cities', updatedAt: '2026-01-02T00:00:00.000Z', cities: [rome] });
+    expect(JSON.stringify(res.jsonPayload)).not.toContain('alice');
+    expect(JSON.stringify(res.jsonPayload)).not.toContain(shareToken);
+  });
+
+  // Test: A revoked token returns 404, and revoking twice is harmless
+  it('returns 404 for a revoked token', () => {
+    const { shareToken } = share('l1').jsonPayload;
+    const res = revoke('l1');
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload.shareToken).toBeUndefined();
+    const shared = readShared(shareToken);
+    expect(shared.statusCode).toBe(404);
+    expect(shared.jsonPayload).toEqual({ error: 'Shared list not found' });
+    expect(revoke('l1').statusCode).toBe(200);
+  });
+
+  // Test: Sharing again replaces the token, and the old link stops working
+  it('revokes the previous token when sharing again', () => {
+    const first = share('l1').jsonPayload.shareToken;
+    const second = share('l1').jsonPayload.shareToken;
+    expect(second).not.toBe(first);
+    expect(readShared(first).statusCode).toBe(404);
+    expect(readShared(second).statusCode).toBe(200);
+  });
+
+  // Test: Deleting a shared list revokes its link; unknown tokens are not found
+  it('returns 404 for unknown tokens and deleted lists', () => {
+    expect(readShared('no-such-token').statusCode).toBe(404);
+    const { shareToken } = share('l2').jsonPayload;
+    handle(listRoutes, 'DELETE', '/l2');
+    expect(readShared(shareToken).statusCode).toBe(404);
+  });
+
+  // Test: Only the owner can share or revoke a list
+  it('requires the owner to share or revoke', () => {
+    expect(share('l1', {}).statusCode).toBe(401);
+    expect(share('l1', { user: { username: 'bob' } }).statusCode).toBe(404);
+    const { shareToken } = share('l1').jsonPayload;
+    expect(revoke('l1', { user: { username: 'bob' } }).statusCode).toBe(404);
+    expect(readShared(shareToken).statusCode).toBe(200);
+    expect(share('missing').statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * sqliteAdapter.test.js
+ *
+ * This test suite verifies the SQLite storage adapter and the one-shot migration from the JSON files.
+ * The adapter relies on Node's built-in `node:sqlite` module, so the suite is skipped on Node.js
+ * versions that do not ship it (older than 22.5).
+ *
+ * Coverage includes:
+ * - Round-tripping the data object (users, shared `latest`, extra city fields)
+ * - Round-tripping named lists, and list deletes cascading to their cities
+ * - Foreign key cascades from cities to attractions and restaurants
+ * - Per-user queries through readEntry/writeEntries
+ * - List lookups by member, share token and owner through indexed queries, and filling the indexes
+ *   of databases created before them
+ * - Registered users coexisting with users that only own a city list
+ * - Waiting for other connections to release the database (busy timeout)
+ * - A data version that changes with the commits of this and other connections
+ * - City routes running against the SQLite adapter
+ * - Copying JSON file data into SQLite with copyStorage
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const cityRoutes = require('../src/city.js');
+
+const { SqliteAdapter, JsonFileAdapter } = storage;
+
+// node:sqlite is only available from Node.js 22.5
+let hasSqlite = true;
+try {
+  require('node:sqlite');
+} catch {
+  hasSqlite = false;
+}
+
+/**
+ * Helper to mock request and response objects for testing Express routes.
+ * @param {object} body - The request body
+ * @param {object} session - The session object (for user auth)
+ * @param {object} params - The route params
+ * @returns {object} { req, res } mock objects
+ */
+function mockReqRes(body = {}, session = {}, params = {}) {
+  const req = { body, session, params };
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    set(name, value) { this.headers[name] = value; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  return { req, res };
+}
+
+describe.skipIf(!hasSqlite)('SQLite storage adapter', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new SqliteAdapter({ file: ':memory:' });
+  });
+
+  afterEach(() => {
+    adapter.close();
+    storage.resetAdapter();
+  });
+
+  // Test: The data object round-trips unchanged
+  it('round-trips the data object', () => {
+    const data = {
+      alice: [{ name: 'Paris', note: 'spring', attractions: ['Louvre', 'Eiffel Tower'], restaurants: ['Le Meurice'] }],
+      bob: [],
+      latest: [{ name: 'Paris', attractions: [], restaurants: [] }],
+    };
+    adapter.writeData(data);
+    expect(adapter.readData()).toEqual(data);
+  });
+
+  // Test: Named lists keep their order and cities; deleting a list deletes its cities
+  it('round-trips named lists', () => {
+    const data = {
+      alice: [
+        { id: 'l1', name: 'My cities', createdAt: 't1', updatedAt: 't2', cities: [{ name: 'Paris', attractions: ['Louvre'], restaurants: [] }] },
+        { id: 'l2', name: 'Food', createdAt: 't1', updatedAt: 't1', cities: [] },
+      ],
+      latest: [{ name: 'Paris', attractions: [], restaurants: [] }],
+    };
+    adapter.writeData(data);
+    expect(adapter.readData()).toEqual(data);
+    expect(adapter.readEntry('alice').map(list => list.name)).toEqual(['My cities', 'Food']);
+    adapter.writeEntries({ alice: [data.alice[1]] });
+    expect(adapter.readEntry('alice')).toEqual([data.alice[1]]);
+    expect(adapter.db.prepare('SELECT COUNT(*) AS n FROM attractions').get().n).toBe(0);
+  });
+
+  // Test: Deleting a city cascades to its items
+  it('cascades city deletes to attractions and restaurants', () => {
+    adapter.writeData({ alice: [{ name: 'Rome', attractions: ['Colosseum'], restaurants: ['Armando'] }] });
+    adapter.writeEntries({ alice: [] });
+    expect(adapter.db.prepare('SELECT COUNT(*) AS n FROM attractions').get().n).toBe(0);
+    expect(adapter.db.prepare('SELECT COUNT(*) AS n FROM restaurants').get().n).toBe(0);
+  });
+
+  // Test: readEntry and writeEntries only address the requested user
+  it('reads and writes single entries', () => {
+    adapter.writeData({ alice: [{ name: 'Paris', attractions: [], restaurants: [] }] });
+    adapter.writeEntries({ bob: [{ name: 'Rome', attractions: [], restaurants: [] }], latest: [] });
+    expect(adapter.readEntry('alice').map(c => c.name)).toEqual(['Paris']);
+    expect(adapter.readEntry('bob').map(c => c.name)).toEqual(['Rome']);
+    expect(adapter.readEntry('latest')).toEqual([]);
+    expect(adapter.readEntry('carol')).toBeUndefined();
+  });
+
+  // Test: Lists are found by member, share token and owner without reading the whole data object
+  it('looks up lists through the indexes', () => {
+    const list = (id, extra) => ({ id, name: id, createdAt: 't', updatedAt: 't', ...extra, cities: [{ name: 'Rome', attractions: [], restaurants: [] }] });
+    const alice = [list('l1', { shareToken: 'tok', members: [{ username: 'bob', role: 'viewer', invitedAt: 't' }] }), list('l2')];
+    adapter.writeData({ alice, carol: [list('l3', { members: [{ username: 'bob', role: 'editor', invitedAt: 't' }] })] });
+    const readData = vi.spyOn(adapter, 'readData');
+    expect(adapter.findListsByMember('bob').map(({ owner, list }) => [owner, list.id])).toEqual([['alice', 'l1'], ['carol', 'l3']]);
+    expect(adapter.findListByShareToken('tok')).toEqual({ owner: 'alice', list: alice[0] });
+    expect(adapter.findListsByOwners(['carol', 'alice']).map(({ list }) => list.id)).toEqual(['l3', 'l1', 'l2']);
+    expect(readData).not.toHaveBeenCalled();
+    // Rewriting a user's lists keeps the indexes in step
+    adapter.writeEntries({ alice: [list('l1')] });
+    expect(adapter.findListByShareToken('tok')).toBeUndefined();
+    expect(adapter.findListsByMember('bob').map(({ list }) => list.id)).toEqual(['l3']);
+    expect(adapter.db.prepare('SELECT COUNT(*) AS n FROM list_members').get().n).toBe(1);
+  });
+
+  // Test: Databases created before the indexes get them filled from the stored lists
+  it('indexes the lists of older databases', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-test-'));
+    const file = path.join(tmpDir, 'data.sqlite');
+    try {
+      const old = new SqliteAdapter({ file });
+      old.writeData({ alice: [{ id: 'l1', name: 'Trip', shareToken: 'tok', members: [{ username: 'bob', role: 'viewer' }], cities: [] }] });
+      old.db.exec('DROP INDEX lists_share_token; ALTER TABLE lists DROP COLUMN share_token; DROP TABLE list_members');
+      old.close();
+      const upgraded = new SqliteAdapter({ file });
+      expect(upgraded.findListByShareToken('tok').owner).toBe('alice');
+      expect(upgraded.findListsByMember('bob').map(({ list }) => list.id)).toEqual(['l1']);
+      upgraded.close();
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  // Test: A transaction waits for another connection's write lock instead of failing at once
+  it('waits for the database while another connection writes', () => {
+    expect(adapter.db.prepare('PRAGMA busy_timeout').get()).toEqual({ timeout: 5000 });
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-test-'));
+    const file = path.join(tmpDir, 'data.sqlite');
+    const writer = new SqliteAdapter({ file });
+    const waiting = new SqliteAdapter({ file });
+    try {
+      waiting.db.exec('PRAGMA busy_timeout = 50'); // Keep the test short
+      writer.db.exec('BEGIN IMMEDIATE');
+      const start = Date.now();
+      expect(() => waiting.writeEntries({ alice: [{ name: 'Rome' }] })).toThrow(/locked/);
+      expect(Date.now() - start).toBeGreaterThanOrEqual(40);
+      writer.db.exec('COMMIT');
+      waiting.writeEntries({ alice: [{ name: 'Rome' }] });
+      expect(writer.readEntry('alice').map(city => city.name)).toEqual(['Rome']);
+    } finally {
+      writer.close();
+      waiting.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  // Test: The data version changes with every commit, whichever connection made it
+  it('tells when the data changed', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-test-'));
+    const file = path.join(tmpDir, 'data.sqlite');
+    const server = new SqliteAdapter({ file });
+    const script = new SqliteAdapter({ file }); // E.g. a CLI script
+    try {
+      const before = server.dataVersion();
+      expect(server.dataVersion()).toBe(before);
+      server.writeEntries({ alice: [{ name: 'Rome' }] });
+      const written = server.dataVersion();
+      expect(written).not.toBe(before);
+      script.writeEntries({ bob: [{ name: 'Oslo' }] });
+      expect(server.dataVersion()).not.toBe(written);
+    } finally {
+      server.close();
+      script.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+
+  // Test: Removing a user from the data object drops their cities
+  it('drops users missing from written data', () => {
+    adapter.writeData({ alice: [{ name: 'Paris' }], bob: [{ name: 'Rome' }] });
+    adapter.writeData({ alice: [{ name: 'Paris' }] });
+    expect(Object.keys(adapter.readData())).toEqual(['alice']);
+    expect(adapter.db.prepare('SELECT COUNT(*) AS n FROM cities').get().n).toBe(1);
+  });
+
+  // Test: Registered users and list owners share the users table
+  it('keeps registered users separate from list-only owners', () => {
+    adapter.writeData({ 'owner@example.com': [{ name: 'Lisbon' }] });
+    adapter.writeUsers([{ username: 'zoe@example.com', password: 'pw' }]);
+    expect(adapter.readUsers()).toEqual([{ username: 'zoe@example.com', password: 'pw' }]);
+    expect(adapter.readEntry('owner@example.com')).toHaveLength(1);
+    adapter.writeUsers([]);
+    expect(adapter.readUsers()).toEqual([]);
+    expect(adapter.readEntry('owner@example.com')).toHaveLength(1);
+  });
+
+  // Test: A failing cycle is rolled back
+  it('rolls back a failed read-modify-write cycle', () => {
+    adapter.writeData({ alice: [{ name: 'Paris' }] });
+    expect(() => adapter.lockData(() => {
+      adapter.writeEntries({ alice: [] });
+      throw new Error('boom');
+    })).toThrow('boom');
+    expect(adapter.readEntry('alice')).toHaveLength(1);
+  });
+
+  // Test: City routes work unchanged on top of SQLite
+  it('serves the city routes', () => {
+    storage.setAdapter(adapter);
+    const session = { user: { username: 'dave' } };
+    let { req, res } = mockReqRes({ city: { name: 'Berlin' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(200);
+    ({ req, res } = mockReqRes({ restaurant: 'Curry 36' }, session, { cityName: 'Berlin' }));
+    cityRoutes.handle({ ...req, method: 'POST', url: '/Berlin/restaurants' }, res, () => {}); // Simulate POST /:cityName/restaurants
+    expect(res.jsonPayload.restaurants.map(r => r.name)).toEqual(['Curry 36']);
+    ({ req, res } = mockReqRes({}, session, {}));
+    cityRoutes.handle({ ...req, method: 'GET', url: '/' }, res, () => {}); // Simulate GET /
+    const stamped = { createdAt: expect.any(String), updatedAt: expect.any(String) };
+    expect(res.jsonPayload).toEqual([{ id: expect.any(String), name: 'Berlin', rank: 1, lat: 52.52, lon: 13.405, ...stamped, attractions: [], restaurants: [{ id: expect.any(String), name: 'Curry 36', rank: 1, ...stamped }] }]);
+  });
+
+  // Test: JSON file data migrates into SQLite
+  it('copies JSON file data into SQLite', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-test-'));
+    try {
+      const source = new JsonFileAdapter({
+        dataFile: path.join(tmpDir, 'data.json'),
+        usersFile: path.join(tmpDir, 'users.json'),
+      });
+      source.writeData({ 'eve@example.com': [{ name: 'Nice', attractions: ['Castle Hill'], restaurants: [] }], latest: [] });
+      source.writeUsers([{ username: 'eve@example.com', password: 'pw' }]);
+      expect(storage.copyStorage(source, adapter)).toEqual({ users: 1, cities: 1 });
+      expect(adapter.readData()).toEqual(source.readData());
+      expect(adapter.readUsers()).toEqual(source.readUsers());
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
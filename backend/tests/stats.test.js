@@ -0,0 +1,155 @@
+/**
+ * stats.test.js
+ *
+ * This test suite verifies the popularity rankings: the ranking rules of popularity.js, and the
+ * statistics routes (`/api/stats`) computed from the public lists of an injected MemoryAdapter.
+ *
+ * Coverage includes:
+ * - Counting lists per city, matching names ignoring case and accents
+ * - Ordering by count, then average position, with shared rank positions for ties
+ * - Top cities, and top attractions and restaurants of a city, from public lists only
+ * - Recomputing the cached rankings after lists change, also when another process changes them
+ * - Validation of the city and limit
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { buildRankings } = require('../src/popularity.js');
+const statsRoutes = require('../src/stats.js');
+const cityRoutes = require('../src/city.js');
+const userRoutes = require('../src/user.js');
+
+/**
+ * Runs a request through a router.
+ * @param {Function} router - Express router
+ * @param {string} method - HTTP method
+ * @param {string} url - Path below the router's mount point
+ * @param {object} [options]
+ * @param {object} [options.query] - Query parameters
+ * @param {object} [options.body] - Request body
+ * @param {object} [options.session] - Session (a guest by default)
+ * @returns {object} The mock response
+ */
+function handle(router, method, url, { query = {}, body = {}, session = {} } = {}) {
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  router.handle({ body, session, params: {}, query, method, url }, res, () => {});
+  return res;
+}
+
+const stats = (url, query) => handle(statsRoutes, 'GET', url, { query }); // Simulate GET /api/stats/...
+
+const city = (id, name, rank, attractions = [], restaurants = []) => ({
+  id, name, rank,
+  attractions: attractions.map((item, index) => ({ id: `${id}-a${index}`, name: item, rank: index + 1 })),
+  restaurants: restaurants.map((item, index) => ({ id: `${id}-r${index}`, name: item, rank: index + 1 })),
+});
+
+describe('Popularity rankings', () => {
+  // Test: Cities are counted per list under one spelling; ties on count are broken by average position
+  it('ranks cities by the number of lists and their average position', () => {
+    const { cities } = buildRankings([
+      [city('1', 'Rome', 1), city('2', 'Paris', 2)],
+      [city('3', 'paris', 1), city('4', 'Rome', 2), city('5', 'Zürich', 3)],
+      [city('6', 'ROME', 1), city('7', 'Zurich', 2)],
+    ]);
+    expect(cities).toEqual([
+      { rank: 1, name: 'Rome', count: 3, averageRank: 1.3 },
+      { rank: 2, name: 'Paris', count: 2, averageRank: 1.5 },
+      { rank: 3, name: 'Zürich', count: 2, averageRank: 2.5 },
+    ]);
+  });
+
+  // Test: Entries tied on count and average position share a rank position
+  it('gives tied entries the same rank', () => {
+    const { cities, items } = buildRankings([
+      [city('1', 'Oslo', 1, ['Opera', 'Fram Museum']), city('2', 'Bergen', 2)],
+      [city('3', 'Bergen', 1), city('4', 'Oslo', 2, ['Fram Museum'])],
+      [city('5', 'Turku', 1)],
+    ]);
+    expect(cities.map(entry => [entry.rank, entry.name])).toEqual([[1, 'Bergen'], [1, 'Oslo'], [3, 'Turku']]);
+    expect(items.get('oslo').attractions.map(entry => [entry.rank, entry.name, entry.count])).toEqual([
+      [1, 'Fram Museum', 2], [2, 'Opera', 1],
+    ]);
+    expect(items.get('oslo').restaurants).toEqual([]);
+  });
+});
+
+describe('Statistics routes', () => {
+  const list = (id, cities) => ({ id, name: `List ${id}`, createdAt: 't', updatedAt: 't', cities });
+
+  beforeEach(() => {
+    storage.setAdapter(new storage.MemoryAdapter({ data: {
+      schemaVersion: 8,
+      alice: [list('l1', [city('c1', 'Rome', 1, ['Colosseum', 'Pantheon'], ['Roscioli']), city('c2', 'Paris', 2, ['Louvre'])])],
+      bob: [
+        list('l2', [city('c3', 'Paris', 1, ['Louvre', 'Orsay'], ['Septime']), city('c4', 'rome', 2, ['Pantheon'])]),
+        list('l3', [city('c5', 'Paris', 1, ['Orsay'])]),
+      ],
+      carol: [list('l4', [city('c6', 'Lisbon', 1), city('c7', 'Lisbon', 2)])],
+      showcase: { publicUsers: ['alice', 'bob'], featured: [] },
+    } }));
+  });
+
+  afterEach(() => {
+    storage.resetAdapter();
+  });
+
+  // Test: Cities of all public lists are ranked; private lists (carol's) are not counted
+  it('returns the top cities of the public lists', () => {
+    const res = stats('/top-cities');
+    expect(res.statusCode).toBe(200);
+    expect(res.jsonPayload).toEqual([
+      { rank: 1, name: 'Paris', count: 3, averageRank: 1.3 },
+      { rank: 2, name: 'Rome', count: 2, averageRank: 1.5 },
+    ]);
+    expect(stats('/top-cities', { limit: '1' }).jsonPayload.map(entry => entry.name)).toEqual(['Paris']);
+  });
+
+  // Test: Attractions and restaurants are ranked per city, whatever the spelling of the city
+  it('returns the top attractions and restaurants of a city', () => {
+    expect(stats('/top-attractions', { city: 'PARIS' }).jsonPayload).toEqual([
+      { rank: 1, name: 'Louvre', count: 2, averageRank: 1 },
+      { rank: 2, name: 'Orsay', count: 2, averageRank: 1.5 },
+    ]);
+    expect(stats('/top-attractions', { city: 'Rome' }).jsonPayload.map(entry => [entry.name, entry.count])).toEqual([
+      ['Pantheon', 2], ['Colosseum', 1],
+    ]);
+    expect(stats('/top-restaurants', { city: 'rome' }).jsonPayload.map(entry => entry.name)).toEqual(['Roscioli']);
+    expect(stats('/top-restaurants', { city: 'Lisbon' }).jsonPayload).toEqual([]); // Only in a private list
+  });
+
+  // Test: The cached rankings are recomputed after a city is added or a user opts in
+  it('recomputes the rankings after lists change', () => {
+    expect(stats('/top-cities').jsonPayload.map(entry => entry.name)).toEqual(['Paris', 'Rome']);
+    handle(cityRoutes, 'POST', '/', { body: { city: { name: 'Vienna' } }, session: { user: { username: 'alice' } } });
+    expect(stats('/top-cities').jsonPayload.map(entry => entry.name)).toEqual(['Paris', 'Rome', 'Vienna']);
+    handle(userRoutes, 'PATCH', '/me', { body: { public: true }, session: { user: { username: 'carol' } } });
+    expect(stats('/top-cities').jsonPayload.map(entry => [entry.rank, entry.name])).toEqual([
+      [1, 'Paris'], [2, 'Lisbon'], [2, 'Rome'], [4, 'Vienna'],
+    ]);
+  });
+
+  // Test: Changes written around the routes (a CLI script, another server) are seen too
+  it('recomputes the rankings after lists change outside the routes', () => {
+    expect(stats('/top-cities').jsonPayload.map(entry => entry.name)).toEqual(['Paris', 'Rome']);
+    const adapter = storage.getAdapter();
+    adapter.writeEntries({ bob: [...adapter.readEntry('bob'), list('l5', [city('c8', 'Vienna', 1)])] });
+    expect(stats('/top-cities').jsonPayload.map(entry => entry.name)).toEqual(['Paris', 'Rome', 'Vienna']);
+  });
+
+  // Test: The city is required for item rankings, and the limit must be in range
+  it('validates the city and limit', () => {
+    expect(stats('/top-attractions').jsonPayload).toEqual({ error: 'City required' });
+    expect(stats('/top-restaurants', { city: '  ' }).statusCode).toBe(400);
+    expect(stats('/top-cities', { limit: '0' }).statusCode).toBe(400);
+    expect(stats('/top-attractions', { city: 'Paris', limit: '51' }).statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * storage.test.js
+ *
+ * This test suite verifies the pluggable storage adapter layer used by the city and user routes.
+ * It checks each built-in adapter on its own and shows how the in-memory adapter can be swapped
+ * in so route tests never touch data.json or users.json.
+ *
+ * Coverage includes:
+ * - MemoryAdapter isolation (returned objects are copies)
+ * - JsonFileAdapter round-trips and defaults for missing files
+ * - UserDirectoryAdapter per-user layout and cleanup of removed users
+ * - List lookups by member, share token and owner on every file-based adapter, and the
+ *   UserDirectoryAdapter list index
+ * - Request locks taken by the file-based adapters
+ * - Data versions that change with every write, including writes through another adapter instance
+ * - Adapter selection, registration and replacement through the registry
+ * - City and user routes running against an injected MemoryAdapter
+ */
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+
+// Load the CommonJS modules through require so the routes and this test share one storage registry
+const require = createRequire(import.meta.url);
+const storage = require('../src/storage/index.js');
+const { migrateStorage } = require('../src/migrations/index.js');
+const cityRoutes = require('../src/city.js');
+const userRoutes = require('../src/user.js');
+
+const { MemoryAdapter, JsonFileAdapter, UserDirectoryAdapter } = storage;
+
+/**
+ * Helper to mock request and response objects for testing Express routes.
+ * @param {object} body - The request body
+ * @param {object} session - The session object (for user auth)
+ * @param {object} params - The route params
+ * @returns {object} { req, res } mock objects
+ */
+function mockReqRes(body = {}, session = {}, params = {}) {
+  const req = { body, session, params };
+  const res = {
+    statusCode: 200,
+    jsonPayload: null,
+    status(code) { this.statusCode = code; return this; },
+    json(payload) { this.jsonPayload = payload; return this; }
+  };
+  return { req, res };
+}
+
+describe('Storage adapters', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    storage.resetAdapter();
+  });
+
+  // Test: MemoryAdapter hands out copies, so only writeData changes stored state
+  it('MemoryAdapter isolates stored data from callers', () => {
+    const adapter = new MemoryAdapter({ data: { alice: [{ name: 'Paris' }] } });
+    const data = adapter.readData();
+    data.alice.push({ name: 'Rome' });
+    expect(adapter.readData().alice).toHaveLength(1);
+    adapter.writeData(data);
+    expect(adapter.readData().alice).toHaveLength(2);
+  });
+
+  // Test: JsonFileAdapter returns defaults for missing files and round-trips data
+  it('JsonFileAdapter reads defaults and round-trips data', () => {
+    const adapter = new JsonFileAdapter({
+      dataFile: path.join(tmpDir, 'data.json'),
+      usersFile: path.join(tmpDir, 'users.json'),
+    });
+    expect(adapter.readData()).toEqual({ cities: [], latest: null });
+    expect(adapter.readUsers()).toEqual([]);
+    adapter.writeData({ bob: [{ name: 'London' }] });
+    adapter.writeUsers([{ username: 'bob@example.com', password: 'pw' }]);
+    expect(adapter.readData()).toEqual({ bob: [{ name: 'London' }] });
+    expect(adapter.readUsers()[0].username).toBe('bob@example.com');
+  });
+
+  // Test: UserDirectoryAdapter writes one directory per user plus a shared file
+  it('UserDirectoryAdapter splits data into per-user directories', () => {
+    const adapter = new UserDirectoryAdapter({ directory: tmpDir });
+    const data = {
+      'alice@example.com': [{ name: 'Paris' }],
+      'bob@example.com': [{ name: 'Rome' }],
+      latest: [{ name: 'Rome' }],
+    };
+    adapter.writeData(data);
+    expect(fs.existsSync(path.join(tmpDir, encodeURIComponent('alice@example.com'), 'cities.json'))).toBe(true);
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'shared.json'), 'utf-8'))).toEqual({ latest: [{ name: 'Rome' }] });
+    expect(adapter.readData()).toEqual(data);
+  });
+
+  // Test: UserDirectoryAdapter removes directories of users dropped from the data object
+  it('UserDirectoryAdapter removes users missing from written data', () => {
+    const adapter = new UserDirectoryAdapter({ directory: tmpDir });
+    adapter.writeData({ alice: [], bob: [] });
+    adapter.writeData({ alice: [] });
+    expect(adapter.listUsernames()).toEqual(['alice']);
+  });
+
+  // Test: Every adapter finds lists by member, share token and owner
+  it('looks up lists by member, share token and owner', () => {
+    const list = (id, extra) => ({ id, name: id, createdAt: 't', updatedAt: 't', ...extra, cities: [{ name: 'Rome' }] });
+    const data = {
+      alice: [list('l1', { shareToken: 'tok', members: [{ username: 'bob', role: 'viewer', invitedAt: 't' }] }), list('l2')],
+      carol: [list('l3', { members: [{ username: 'bob', role: 'editor', invitedAt: 't' }] })],
+      dave: [{ name: 'Paris' }], // Plain city list of schema version 6
+    };
+    const adapters = [
+      new MemoryAdapter(),
+      new JsonFileAdapter({ dataFile: path.join(tmpDir, 'data.json'), usersFile: path.join(tmpDir, 'users.json') }),
+      new UserDirectoryAdapter({ directory: path.join(tmpDir, 'users') }),
+    ];
+    for (const adapter of adapters) {
+      adapter.writeData(data);
+      expect(adapter.findListsByMember('bob').map(({ owner, list }) => [owner, list.id])).toEqual([['alice', 'l1'], ['carol', 'l3']]);
+      expect(adapter.findListsByMember('alice')).toEqual([]);
+      expect(adapter.findListByShareToken('tok')).toEqual({ owner: 'alice', list: data.alice[0] });
+      expect(adapter.findListByShareToken('other')).toBeUndefined();
+      expect(adapter.findListsByOwners(['carol', 'dave', 'erin', 'alice']).map(({ list }) => list.id)).toEqual(['l3', 'l1', 'l2']);
+    }
+  });
+
+  // Test: UserDirectoryAdapter answers lookups from its index, reading only the owners it names
+  it('UserDirectoryAdapter keeps a list index', () => {
+    const adapter = new UserDirectoryAdapter({ directory: tmpDir });
+    const shared = { id: 'l1', name: 'Trip', createdAt: 't', updatedAt: 't', shareToken: 'tok', cities: [] };
+    adapter.writeData({ alice: [shared], bob: [] });
+    adapter.writeEntries({ carol: [{ ...shared, id: 'l2', shareToken: undefined, members: [{ username: 'bob', role: 'viewer' }] }] });
+    expect(JSON.parse(fs.readFileSync(path.join(tmpDir, 'lists-index.json'), 'utf-8'))).toEqual({
+      alice: { members: [], shareTokens: ['tok'] },
+      bob: { members: [], shareTokens: [] },
+      carol: { members: ['bob'], shareTokens: [] },
+    });
+    const readData = vi.spyOn(adapter, 'readData');
+    const readEntry = vi.spyOn(adapter, 'readEntry');
+    expect(adapter.findListsByMember('bob')).toEqual([{ owner: 'carol', list: expect.objectContaining({ id: 'l2' }) }]);
+    expect(adapter.findListByShareToken('tok').owner).toBe('alice');
+    expect(readEntry.mock.calls).toEqual([['carol'], ['alice']]);
+    expect(readData).not.toHaveBeenCalled();
+    // Stores written before the index are indexed from the user files
+    fs.rmSync(path.join(tmpDir, 'lists-index.json'));
+    expect(adapter.findListByShareToken('tok').owner).toBe('alice');
+  });
+
+  // Test: File adapters lock their users and data files for a request, re-entered by their cycles
+  it('takes the request locks of the file adapters', async () => {
+    const jsonAdapter = new JsonFileAdapter({ dataFile: path.join(tmpDir, 'data.json'), usersFile: path.join(tmpDir, 'users.json') });
+    const directoryAdapter = new UserDirectoryAdapter({ directory: path.join(tmpDir, 'users') });
+    for (const adapter of [jsonAdapter, directoryAdapter]) {
+      expect(await adapter.withLocks(() => adapter.lockData(() => adapter.lockUsers(() => 'ok')))).toBe('ok');
+    }
+    expect(fs.readdirSync(tmpDir).filter(name => name.endsWith('.lock'))).toEqual([]);
+    expect(fs.readdirSync(path.join(tmpDir, 'users'))).toEqual([]);
+    expect(await new MemoryAdapter().withLocks(() => 'ok')).toBe('ok');
+  });
+
+  // Test: The data version changes with every write of the city data, also when another instance on
+  // the same files (another process) writes; writes of the users do not change it
+  it('tells when the city data changed', () => {
+    const files = { dataFile: path.join(tmpDir, 'data.json'), usersFile: path.join(tmpDir, 'users.json') };
+    const directory = { directory: path.join(tmpDir, 'users') };
+    const memory = new MemoryAdapter();
+    const pairs = [
+      [memory, memory],
+      [new JsonFileAdapter(files), new JsonFileAdapter(files)],
+      [new UserDirectoryAdapter(directory), new UserDirectoryAdapter(directory)],
+    ];
+    for (const [server, script] of pairs) {
+      const before = server.dataVersion();
+      server.writeUsers([{ username: 'alice', password: 'x' }]);
+      expect(server.dataVersion()).toBe(before);
+      server.writeEntries({ alice: [{ name: 'Rome' }] });
+      const written = server.dataVersion();
+      expect(written).not.toBe(before);
+      script.writeEntries({ alice: [{ name: 'Rome' }, { name: 'Oslo' }] });
+      expect(server.dataVersion()).not.toBe(written);
+    }
+  });
+
+  // Test: Registry creates adapters by name and rejects unknown names
+  it('creates registered adapters and rejects unknown ones', () => {
+    expect(storage.createAdapter('memory')).toBeInstanceOf(MemoryAdapter);
+    expect(storage.createAdapter('json')).toBeInstanceOf(JsonFileAdapter);
+    expect(() => storage.createAdapter('nope')).toThrow(/Unknown storage adapter/);
+    class CustomAdapter extends MemoryAdapter {}
+    storage.registerAdapter('custom', CustomAdapter);
+    expect(storage.createAdapter('custom')).toBeInstanceOf(CustomAdapter);
+  });
+
+  // Test: Default adapter comes from the configuration (json)
+  it('uses the configured adapter by default', () => {
+    expect(storage.getAdapter()).toBeInstanceOf(JsonFileAdapter);
+  });
+
+  // Test: City routes run against an injected MemoryAdapter
+  it('city routes use the injected adapter', () => {
+    const adapter = new MemoryAdapter({ data: { alice: [{ name: 'Paris', attractions: [], restaurants: [] }] } });
+    storage.setAdapter(adapter);
+    migrateStorage(storage.getAdapter());
+    const session = { user: { username: 'alice' } };
+    const { req, res } = mockReqRes({ city: { name: 'Rome' } }, session, {});
+    cityRoutes.handle({ ...req, method: 'POST', url: '/' }, res, () => {}); // Simulate POST /
+    expect(res.statusCode).toBe(200);
+    expect(adapter.readData().alice[0].cities.map(c => c.name)).toEqual(['Paris', 'Rome']);
+  });
+
+  // Test: User routes run against an injected MemoryAdapter
+  it('user routes use the injected adapter', () => {
+    const adapter = new MemoryAdapter();
+    storage.setAdapter(adapter);
+    const { req, res } = mockReqRes({ username: 'zoe@example.com', password: 'pw' }, {});
+    userRoutes.handle({ ...req, method: 'POST', url: '/register' }, res, () => {}); // Simulate POST /register
+    expect(res.statusCode).toBe(200);
+    expect(adapter.readUsers()).toEqual([{ username: 'zoe@example.com', password: 'pw' }]);
+  });
+});
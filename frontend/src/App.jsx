@@ -1,40 +1,114 @@
 // App.jsx
-// Main entry point for the React frontend. Handles authentication, city/attraction/restaurant CRUD, error handling, and conditional rendering.
+// Main entry point for the React frontend. Handles authentication, city/attraction/restaurant CRUD, trip itineraries, error handling, and conditional rendering.
 
 import React from 'react';
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import './App.css';
 import LoginForm from './LoginForm';
 import CityList from './CityList';
+import SearchBox from './SearchBox';
+import CityAutocomplete from './CityAutocomplete';
+import ListSwitcher from './ListSwitcher';
+import ListMembers from './ListMembers';
+import PublicLists from './PublicLists';
+import TopCities from './TopCities';
 
 const API = 'http://localhost:3001/api';
 
+// Number of cities fetched per page; further pages are appended with "Load more"
+const CITIES_PAGE_SIZE = 10;
+
+// Number of city suggestions shown while typing a new city, and the text length that triggers them
+const CITY_SUGGESTIONS = 8;
+const MIN_SUGGEST_LENGTH = 2;
+
+/**
+ * fetchCityPage
+ * Fetches one page of cities and reads the pagination headers of the response.
+ * @param {string} citiesUrl - City routes of the displayed list (`/cities` or `/lists/:listId/cities`)
+ * @param {string|null} cursor - Cursor of the page to fetch (null for the first page)
+ * @returns {Promise<{ cities: Array, total: number|null, nextCursor: string|null, citiesUrl: string }>}
+ */
+function fetchCityPage(citiesUrl, cursor) {
+  const params = new URLSearchParams({ limit: CITIES_PAGE_SIZE });
+  if (cursor) params.set('cursor', cursor);
+  return fetch(`${citiesUrl}?${params}`, { credentials: 'include' }) // API call to get a page of cities
+    .then(async r => {
+      const cities = await r.json();
+      const total = r.headers?.get('X-Total-Count');
+      return { cities, total: total ? Number(total) : null, nextCursor: r.headers?.get('X-Next-Cursor') || null, citiesUrl };
+    });
+}
+
 /**
  * App Component
  *
  * The root component for the frontend application. Manages global state for user session, city data,
- * error messages, and loading state. Handles all authentication and CRUD operations for cities,
- * attractions, and restaurants, and passes handlers and data to child components.
+ * error messages, and loading state. Handles all authentication and CRUD operations for lists, cities,
+ * attractions, restaurants and itineraries, and passes handlers and data to child components.
  *
  * State:
  *   - user: current logged-in user (object or null)
- *   - cities: array of city objects for the user
+ *   - isPublic: whether the logged-in user's lists are shown in the public showcase
+ *   - showcase: public lists shown to guests ({ featured, recent })
+ *   - topCities: the cities found in the most public lists, shown to guests
+ *   - lists: the logged-in user's named lists ({ id, name, cityCount }), without their cities
+ *   - listId: ID of the displayed list, or null for the default list
+ *   - listError: error message for list actions
+ *   - members: users working on the displayed list ({ username, role }), the owner first
+ *   - membersError: error message for member actions
+ *   - cities: array of city objects for the user (the pages loaded so far)
+ *   - totalCities: number of cities on the server (from X-Total-Count), or null if unknown
+ *   - nextCursor: cursor of the next page of cities, or null if all are loaded
+ *   - searchResults: hits of the last search, or null if there is none
+ *   - searchError: error message for search
+ *   - pagesUrl: city routes the loaded pages came from, so a list switch in flight is told apart
+ *   - focus: the city to jump to ({ cityId }), set when a search hit is selected
+ *   - pendingFocus: the city of a selected search hit ({ cityId }) whose page is not loaded yet
+ *   - addingCity: boolean, true while the new city input is open
+ *   - citySuggestions: places suggested for the name typed in the new city input
  *   - error: error message for login/register
  *   - cityError: error message for city/attraction/restaurant actions
  *   - loading: boolean, true while checking session on mount
  *
  * Side effects:
- *   - On mount, checks user session and fetches cities
- *   - Refetches cities when user changes (login/logout)
+ *   - On mount, checks user session
+ *   - Fetches the first page of cities when user changes (login) or another list is selected, and the
+ *     public showcase and most loved cities for guests
+ *   - Fetches the user's lists after login, and the members of the displayed list
  *
  * Returns:
- *   - Renders LoginForm and CityList if not logged in
- *   - Renders CityList and user info if logged in
+ *   - Renders LoginForm, the most loved cities (TopCities) and the public showcase (PublicLists) if not
+ *     logged in
+ *   - Renders a ListSwitcher, the list's members, CityList, user info, a public showcase checkbox and a
+ *     GeoJSON export link if logged in;
+ *     lists the user can only view are shown read-only
+ *   - Renders a "Load more" button while further pages of cities are available
+ *   - Renders a SearchBox; selecting a hit expands and scrolls to its city
+ *   - Renders a CityAutocomplete in place of the Add City button while a city is being added
  */
 function App() {
   // State for user session, city data, errors, and loading
   const [user, setUser] = useState(null);
+  const [isPublic, setIsPublic] = useState(false);
+  const [showcase, setShowcase] = useState({ featured: [], recent: [] });
+  const [topCities, setTopCities] = useState([]);
+  const [lists, setLists] = useState([]);
+  const [listId, setListId] = useState(null);
+  const [listError, setListError] = useState('');
+  const [members, setMembers] = useState([]);
+  const [membersError, setMembersError] = useState('');
   const [cities, setCities] = useState([]);
+  const [totalCities, setTotalCities] = useState(null);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [pagesUrl, setPagesUrl] = useState(null);
+  const [searchResults, setSearchResults] = useState(null);
+  const [searchError, setSearchError] = useState('');
+  const [focus, setFocus] = useState(null);
+  const [pendingFocus, setPendingFocus] = useState(null);
+  const [addingCity, setAddingCity] = useState(false);
+  const [citySuggestions, setCitySuggestions] = useState([]);
+  const suggestRequest = useRef(0); // Number of the latest suggestion request, to drop stale responses
   const [error, setError] = useState(''); // For login/register errors
   const [cityError, setCityError] = useState(''); // For city/attraction/restaurant errors
   const [loading, setLoading] = useState(true);
@@ -48,7 +122,10 @@ function App() {
     fetch(`${API}/users/me`, { credentials: 'include' }) // API call to check session
       .then(r => r.ok ? r.json() : null)
       .then(data => {
-        if (data && data.username) setUser({ username: data.username }); // Set user if session exists
+        if (data && data.username) {
+          setUser({ username: data.username }); // Set user if session exists
+          setIsPublic(!!data.public);
+        }
       })
       .catch(error => {
         // Handle network or JSON parsing errors gracefully
@@ -57,23 +134,107 @@ function App() {
       .finally(() => setLoading(false)); // Always clear loading
   }, []);
 
+  // The user's default list (their first own list), and the displayed list
+  const defaultList = lists.find(list => list.role === 'owner');
+  const selectedList = lists.find(list => list.id === listId) || defaultList;
+  const selectedListId = selectedList ? selectedList.id : null;
+  // Viewers of another user's list cannot change it
+  const canEditList = !selectedList || selectedList.role !== 'viewer';
+
+  // City routes of the displayed list; the default list is served by /cities
+  const citiesUrl = user && listId ? `${API}/lists/${encodeURIComponent(listId)}/cities` : `${API}/cities`;
+
   /**
-   * useEffect: Fetch cities for the current user (or latest if not logged in)
-   * - Calls backend /cities endpoint
-   * - Updates cities state
-   * - Runs on mount and whenever user changes (login/logout)
+   * showFirstPage
+   * Replaces the city list with the first page and its pagination metadata.
+   * @param {object} page - Page from fetchCityPage
+   */
+  const showFirstPage = page => {
+    setCities(page.cities);
+    setTotalCities(page.total);
+    setNextCursor(page.nextCursor);
+    setPagesUrl(page.citiesUrl || null);
+  };
+
+  /**
+   * useEffect: Fetch cities for the current user
+   * - Calls backend /cities (or /lists/:listId/cities) endpoint for the first page
+   * - Updates cities state; guests have no cities
+   * - Runs whenever user changes (login/logout) or another list is selected
    */
   useEffect(() => {
-    fetch(`${API}/cities`, { credentials: 'include' }) // API call to get cities
-      .then(r => r.json())
-      .then(setCities) // Update cities state
+    if (!user) {
+      showFirstPage({ cities: [], total: null, nextCursor: null });
+      return;
+    }
+    fetchCityPage(citiesUrl, null)
+      .then(showFirstPage) // Update cities state
       .catch(error => {
         // Handle network or JSON parsing errors gracefully
         console.error('Cities fetch error:', error.message);
-        setCities([]); // Set empty array as fallback
+        showFirstPage({ cities: [], total: null, nextCursor: null }); // Set empty list as fallback
       });
+  }, [user, citiesUrl]);
+
+  /**
+   * refreshLists
+   * Fetches the logged-in user's lists from the backend and updates state.
+   * - Calls backend /lists endpoint
+   */
+  const refreshLists = () => {
+    fetch(`${API}/lists`, { credentials: 'include' }) // API call to get the lists
+      .then(r => r.ok ? r.json() : [])
+      .then(data => setLists(Array.isArray(data) ? data : []))
+      .catch(error => console.error('Lists fetch error:', error.message));
+  };
+
+  /**
+   * useEffect: Fetch the lists after login, and show the default list
+   * - Clears the lists on logout
+   */
+  useEffect(() => {
+    setListId(null);
+    setListError('');
+    if (user) refreshLists();
+    else setLists([]);
   }, [user]);
 
+  /**
+   * useEffect: Fetch the public showcase and the most loved cities for guests
+   * - Calls backend /public/lists and /stats/top-cities endpoints after logout (and on mount)
+   */
+  useEffect(() => {
+    if (user) return;
+    fetch(`${API}/public/lists`) // API call to get the public lists (no session needed)
+      .then(r => r.ok ? r.json() : null)
+      .then(data => {
+        if (data && Array.isArray(data.featured) && Array.isArray(data.recent)) setShowcase(data);
+      })
+      .catch(error => console.error('Public lists fetch error:', error.message));
+    fetch(`${API}/stats/top-cities`) // API call to get the city ranking of all public lists
+      .then(r => r.ok ? r.json() : null)
+      .then(data => {
+        if (Array.isArray(data)) setTopCities(data);
+      })
+      .catch(error => console.error('Top cities fetch error:', error.message));
+  }, [user]);
+
+  /**
+   * useEffect: Fetch the members of the displayed list
+   * - Calls backend /lists/:listId/members endpoint whenever another list is displayed
+   */
+  useEffect(() => {
+    setMembersError('');
+    if (!selectedListId) {
+      setMembers([]);
+      return;
+    }
+    fetch(`${API}/lists/${encodeURIComponent(selectedListId)}/members`, { credentials: 'include' }) // API call to get the members
+      .then(r => r.ok ? r.json() : [])
+      .then(data => setMembers(Array.isArray(data) ? data : []))
+      .catch(error => console.error('Members fetch error:', error.message));
+  }, [selectedListId]);
+
   /**
    * handleAuth
    * Handles login or registration.
@@ -94,7 +255,10 @@ function App() {
         if (!r.ok) throw new Error((await r.json()).error || 'Auth failed'); // Handle backend error
         return r.json();
       })
-      .then(data => setUser({ username: data.username })) // Set user on success
+      .then(data => {
+        setUser({ username: data.username }); // Set user on success
+        setIsPublic(!!data.public);
+      })
       .catch(e => setError(e.message)); // Set error on failure
   };
 
@@ -109,84 +273,409 @@ function App() {
       .then(() => setUser(null)); // Clear user state
   };
 
+  /**
+   * handleSetPublic
+   * Shows the user's lists in the public showcase, or hides them again.
+   * - Calls backend PATCH /users/me
+   * @param {boolean} value - True to make the lists public
+   */
+  const handleSetPublic = (value) => {
+    setListError('');
+    fetch(`${API}/users/me`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ public: value })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error changing visibility'); // Handle backend error
+        return r.json();
+      })
+      .then(data => setIsPublic(data.public))
+      .catch(e => setListError(e.message)); // Show error message
+  };
+
   /**
    * refreshCities
    * Fetches the latest cities from the backend and updates state.
-   * - Calls backend /cities endpoint
+   * - Calls backend /cities (or /lists/:listId/cities) endpoint for the first page
+   * - Refreshes the lists too, whose city counts may have changed
    */
   const refreshCities = () => {
-    fetch(`${API}/cities`, { credentials: 'include' }) // API call to get cities
-      .then(r => r.json())
-      .then(setCities) // Update cities state
+    if (user) refreshLists();
+    fetchCityPage(citiesUrl, null)
+      .then(showFirstPage) // Update cities state
       .catch(error => {
         // Handle network or JSON parsing errors gracefully
         console.error('Cities refresh error:', error.message);
-        setCities([]); // Set empty array as fallback
+        showFirstPage({ cities: [], total: null, nextCursor: null }); // Set empty list as fallback
       });
   };
 
+  /**
+   * loadNextPage
+   * Appends a page of cities to the list.
+   * - Calls backend /cities endpoint with the cursor of the page
+   * @param {string} url - City routes of the displayed list
+   * @param {string} cursor - Cursor of the page
+   */
+  const loadNextPage = (url, cursor) => {
+    fetchCityPage(url, cursor)
+      .then(page => {
+        setCities(current => [...current, ...page.cities]);
+        setTotalCities(page.total);
+        setNextCursor(page.nextCursor);
+      })
+      .catch(error => console.error('Cities load error:', error.message));
+  };
+
+  /**
+   * handleLoadMore
+   * Appends the next page of cities to the list.
+   */
+  const handleLoadMore = () => loadNextPage(citiesUrl, nextCursor);
+
+  /**
+   * handleSearch
+   * Searches the user's cities, attractions and restaurants (or the public lists for guests).
+   * - Calls backend /search endpoint
+   * @param {string} query - Search text
+   */
+  const handleSearch = (query) => {
+    setSearchError('');
+    fetch(`${API}/search?${new URLSearchParams({ q: query })}`, { credentials: 'include' }) // API call to search
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Search failed'); // Handle backend error
+        return r.json();
+      })
+      .then(setSearchResults) // Show the hits
+      .catch(e => setSearchError(e.message)); // Show error message
+  };
+
+  /**
+   * handleSelectHit
+   * Jumps to the city of a search hit and closes the results.
+   * - Switches to the hit's list if it is in another list
+   * - Guests see whole public lists, so their hits are focused at once; users' hits may be on a
+   *   page that is not loaded yet (see the pending focus effect below)
+   * @param {object} hit - The selected search hit
+   */
+  const handleSelectHit = (hit) => {
+    if (hit.listId) setListId(defaultList && hit.listId === defaultList.id ? null : hit.listId);
+    if (user) setPendingFocus({ cityId: hit.cityId });
+    else setFocus({ cityId: hit.cityId });
+    setSearchResults(null);
+  };
+
+  /**
+   * useEffect: Focus the city of a selected search hit once it is loaded
+   * - Waits for the first page of the hit's list, then loads further pages until the city is shown
+   * - Gives up when the last page is loaded without it (e.g. the city was deleted meanwhile)
+   */
+  useEffect(() => {
+    if (!pendingFocus || pagesUrl !== citiesUrl) return;
+    if (cities.some(city => city.id === pendingFocus.cityId)) {
+      setFocus(pendingFocus);
+      setPendingFocus(null);
+    } else if (nextCursor) {
+      loadNextPage(citiesUrl, nextCursor);
+    } else {
+      setPendingFocus(null);
+    }
+  }, [pendingFocus, pagesUrl, citiesUrl, cities, nextCursor]);
+
+  /**
+   * handleClearSearch
+   * Clears the search results and error.
+   */
+  const handleClearSearch = () => {
+    setSearchResults(null);
+    setSearchError('');
+  };
+
+  /**
+   * handleSelectList
+   * Shows another of the user's lists.
+   * @param {string} id - ID of the list
+   */
+  const handleSelectList = (id) => {
+    setListError('');
+    setListId(defaultList && defaultList.id === id ? null : id);
+  };
+
+  /**
+   * changeLists
+   * Sends a list change to the backend, then refreshes the lists.
+   * - Calls backend /lists endpoints
+   * - Handles error display (e.g. name taken, list limit reached)
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below /lists ('' or '/:listId')
+   * @param {object|null} body - Request body, if any
+   * @param {string} fallback - Error message when the backend gives none
+   * @returns {Promise<object|undefined>} The backend's response, or undefined on error
+   */
+  const changeLists = (method, path, body, fallback) => {
+    setListError('');
+    return fetch(`${API}/lists${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || fallback); // Handle backend error
+        return r.json();
+      })
+      .then(data => {
+        refreshLists(); // Refresh lists on success
+        return data;
+      })
+      .catch(e => setListError(e.message)); // Show error message
+  };
+
+  /**
+   * handleCreateList
+   * Prompts for a name, creates an empty list and shows it.
+   * - Calls backend /lists POST endpoint
+   */
+  const handleCreateList = () => {
+    const name = prompt('New list name?'); // Prompt for name
+    if (!name) return;
+    changeLists('POST', '', { list: { name } }, 'Error creating list')
+      .then(list => { if (list) setListId(defaultList ? list.id : null); }); // A first own list is the default list
+  };
+
+  /**
+   * handleRenameList
+   * Prompts for a new list name and renames the list.
+   * - Calls backend /lists/:listId PATCH endpoint
+   */
+  const handleRenameList = (list) => {
+    const name = prompt('New list name?', list.name); // Prompt for new name
+    if (!name || name === list.name) return;
+    changeLists('PATCH', `/${encodeURIComponent(list.id)}`, { list: { name } }, 'Error renaming list');
+  };
+
+  /**
+   * handleDeleteList
+   * Deletes a list with its cities after confirmation, and shows the default list.
+   * - Calls backend /lists/:listId DELETE endpoint
+   */
+  const handleDeleteList = (list) => {
+    if (!confirm(`Delete the list "${list.name}" and its ${list.cityCount} cities?`)) return;
+    changeLists('DELETE', `/${encodeURIComponent(list.id)}`, null, 'Error deleting list')
+      .then(data => { if (data) setListId(null); });
+  };
+
+  /**
+   * handleShareList
+   * Creates a read-only share link for a list.
+   * - Calls backend /lists/:listId/share POST endpoint
+   */
+  const handleShareList = (list) => changeLists('POST', `/${encodeURIComponent(list.id)}/share`, null, 'Error sharing list');
+
+  /**
+   * handleUnshareList
+   * Revokes the share link of a list; the link then stops working.
+   * - Calls backend /lists/:listId/share DELETE endpoint
+   */
+  const handleUnshareList = (list) => changeLists('DELETE', `/${encodeURIComponent(list.id)}/share`, null, 'Error revoking share link');
+
+  /**
+   * changeMembers
+   * Sends a member change of the displayed list to the backend, and shows the members it responds with.
+   * - Calls backend /lists/:listId/members endpoints
+   * - Handles error display (e.g. invalid email, already a member)
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the members ('' or '/:username')
+   * @param {object|null} body - Request body, if any
+   * @param {string} fallback - Error message when the backend gives none
+   * @returns {Promise<Array|undefined>} The members, or undefined on error
+   */
+  const changeMembers = (method, path, body, fallback) => {
+    setMembersError('');
+    return fetch(`${API}/lists/${encodeURIComponent(selectedListId)}/members${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || fallback); // Handle backend error
+        return r.json();
+      })
+      .then(data => {
+        setMembers(data); // Show the members
+        return data;
+      })
+      .catch(e => setMembersError(e.message)); // Show error message
+  };
+
+  /**
+   * handleInviteMember
+   * Invites a user by email to the displayed list (POST /lists/:listId/members).
+   */
+  const handleInviteMember = (username, role) =>
+    changeMembers('POST', '', { member: { username, role } }, 'Error inviting member');
+
+  /**
+   * handleChangeMemberRole
+   * Makes a member an editor or a viewer of the displayed list (PATCH /lists/:listId/members/:username).
+   */
+  const handleChangeMemberRole = (username, role) =>
+    changeMembers('PATCH', `/${encodeURIComponent(username)}`, { member: { role } }, 'Error changing role');
+
+  /**
+   * handleRemoveMember
+   * Removes a member from the displayed list (DELETE /lists/:listId/members/:username). When users remove
+   * themselves, they leave the list and the default list is shown.
+   */
+  const handleRemoveMember = (username) =>
+    changeMembers('DELETE', `/${encodeURIComponent(username)}`, null, 'Error removing member')
+      .then(data => {
+        if (data && username === user.username) {
+          setListId(null);
+          refreshLists();
+        }
+      });
+
   /**
    * handleAddCity
-   * Prompts for a new city name and adds it for the user.
-   * - Calls backend /cities POST endpoint
-   * - Handles city limit and error display
+   * Opens the new city input (CityAutocomplete).
    */
   const handleAddCity = () => {
-    const name = prompt('City name?'); // Prompt user for city name
-    if (!name) return;
+    setCitySuggestions([]);
+    setAddingCity(true);
+  };
+
+  /**
+   * handleCancelAddCity
+   * Closes the new city input without adding a city.
+   */
+  const handleCancelAddCity = () => {
+    setAddingCity(false);
+    setCitySuggestions([]);
+  };
+
+  /**
+   * handleSuggestCities
+   * Fetches city suggestions for the text typed in the new city input.
+   * - Calls backend /places/cities endpoint (offline gazetteer) once 2 characters are typed
+   * - Responses to older requests are ignored
+   * @param {string} query - Typed text
+   */
+  const handleSuggestCities = (query) => {
+    const request = ++suggestRequest.current;
+    if (query.trim().length < MIN_SUGGEST_LENGTH) {
+      setCitySuggestions([]);
+      return;
+    }
+    fetch(`${API}/places/cities?${new URLSearchParams({ q: query.trim(), limit: CITY_SUGGESTIONS })}`) // API call for suggestions
+      .then(r => r.ok ? r.json() : [])
+      .then(places => {
+        if (request === suggestRequest.current) setCitySuggestions(places); // Keep only the latest suggestions
+      })
+      .catch(error => console.error('City suggestions error:', error.message));
+  };
+
+  /**
+   * handleSubmitCity
+   * Adds a city for the user and closes the new city input.
+   * - Calls backend /cities POST endpoint
+   * - Handles city limit, unknown city (strict validation) and error display
+   * @param {string} name - Name of the city to add
+   */
+  const handleSubmitCity = (name) => {
     setCityError('');
-    fetch(`${API}/cities`, {
+    fetch(citiesUrl, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
       body: JSON.stringify({ city: { name, attractions: [], restaurants: [] } })
     })
       .then(async r => {
-        if (!r.ok) throw new Error((await r.json()).error || 'Error adding city'); // Handle backend error
+        if (!r.ok) {
+          const { error, suggestions } = await r.json();
+          const hint = suggestions && suggestions.length ? ` Did you mean ${suggestions.join(', ')}?` : ''; // Close gazetteer names
+          throw new Error((error || 'Error adding city') + hint); // Handle backend error
+        }
         return r.json();
       })
-      .then(refreshCities) // Refresh city list on success
+      .then(() => {
+        handleCancelAddCity(); // Close the input
+        refreshCities(); // Refresh city list on success
+      })
       .catch(e => setCityError(e.message)); // Show error message
   };
 
   /**
    * handleUpdateCity
-   * Prompts for a new city name and updates the city.
-   * - Calls backend /cities POST endpoint with updated name
+   * Prompts for a new city name and renames the city in place.
+   * - Calls backend /cities/by-id/:cityId PATCH endpoint with the new name
+   * - Handles error display (e.g. another city already has that name)
    */
   const handleUpdateCity = (city) => {
     const name = prompt('New city name?', city.name); // Prompt for new name
-    if (!name) return;
-    fetch(`${API}/cities`, {
-      method: 'POST',
+    if (!name || name === city.name) return;
+    setCityError('');
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(city.id)}`, {
+      method: 'PATCH',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
-      body: JSON.stringify({ city: { ...city, name } })
-    }).then(refreshCities); // Refresh city list
+      body: JSON.stringify({ city: { name } })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error renaming city'); // Handle backend error
+        return r.json();
+      })
+      .then(refreshCities) // Refresh city list on success
+      .catch(e => setCityError(e.message)); // Show error message
   };
 
   /**
    * handleDeleteCity
-   * Deletes a city by name.
-   * - Calls backend /cities/:cityName DELETE endpoint
+   * Deletes a city by ID.
+   * - Calls backend /cities/by-id/:cityId DELETE endpoint
    */
-  const handleDeleteCity = (cityName) => {
-    fetch(`${API}/cities/${encodeURIComponent(cityName)}`, {
+  const handleDeleteCity = (cityId) => {
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}`, {
       method: 'DELETE',
       credentials: 'include'
     }).then(refreshCities); // Refresh city list
   };
 
+  /**
+   * handleMoveCity
+   * Moves a city to a new rank in the list.
+   * - Calls backend /cities/by-id/:cityId/move POST endpoint
+   * - Handles error display
+   */
+  const handleMoveCity = (cityId, position) => {
+    setCityError('');
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/move`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ position })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error moving city'); // Handle backend error
+        return r.json();
+      })
+      .then(refreshCities) // Refresh city list on success
+      .catch(e => setCityError(e.message)); // Show error message
+  };
+
   /**
    * handleAddAttraction
    * Adds an attraction to a city (enforced limit in backend).
-   * - Calls backend /cities/:cityName/attractions POST endpoint
+   * - Calls backend /cities/by-id/:cityId/attractions POST endpoint
    * - Handles error display
    */
-  const handleAddAttraction = (cityName, attraction) => {
+  const handleAddAttraction = (cityId, attraction) => {
     if (!attraction) return;
     setCityError('');
-    fetch(`${API}/cities/${encodeURIComponent(cityName)}/attractions`, {
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/attractions`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
@@ -200,13 +689,57 @@ function App() {
       .catch(e => setCityError(e.message)); // Show error message
   };
 
+  /**
+   * handleUpdateAttraction
+   * Renames an attraction in place, keeping its position in the list.
+   * - Calls backend /cities/by-id/:cityId/attractions/:itemId PATCH endpoint
+   * - Handles error display (e.g. the city already has an attraction with that name)
+   */
+  const handleUpdateAttraction = (cityId, attractionId, name) => {
+    setCityError('');
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/attractions/${encodeURIComponent(attractionId)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ attraction: name })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error renaming attraction'); // Handle backend error
+        return r.json();
+      })
+      .then(refreshCities) // Refresh city list on success
+      .catch(e => setCityError(e.message)); // Show error message
+  };
+
+  /**
+   * handleMoveAttraction
+   * Moves an attraction to a new rank within its city.
+   * - Calls backend /cities/by-id/:cityId/attractions/:itemId/move POST endpoint
+   * - Handles error display
+   */
+  const handleMoveAttraction = (cityId, attractionId, position) => {
+    setCityError('');
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/attractions/${encodeURIComponent(attractionId)}/move`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ position })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error moving attraction'); // Handle backend error
+        return r.json();
+      })
+      .then(refreshCities) // Refresh city list on success
+      .catch(e => setCityError(e.message)); // Show error message
+  };
+
   /**
    * handleDeleteAttraction
    * Deletes an attraction from a city.
-   * - Calls backend /cities/:cityName/attractions/:attraction DELETE endpoint
+   * - Calls backend /cities/by-id/:cityId/attractions/:itemId DELETE endpoint
    */
-  const handleDeleteAttraction = (cityName, attraction) => {
-    fetch(`${API}/cities/${encodeURIComponent(cityName)}/attractions/${encodeURIComponent(attraction)}`, {
+  const handleDeleteAttraction = (cityId, attractionId) => {
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/attractions/${encodeURIComponent(attractionId)}`, {
       method: 'DELETE',
       credentials: 'include'
     }).then(refreshCities); // Refresh city list
@@ -215,13 +748,13 @@ function App() {
   /**
    * handleAddRestaurant
    * Adds a restaurant to a city (enforced limit in backend).
-   * - Calls backend /cities/:cityName/restaurants POST endpoint
+   * - Calls backend /cities/by-id/:cityId/restaurants POST endpoint
    * - Handles error display
    */
-  const handleAddRestaurant = (cityName, restaurant) => {
+  const handleAddRestaurant = (cityId, restaurant) => {
     if (!restaurant) return;
     setCityError('');
-    fetch(`${API}/cities/${encodeURIComponent(cityName)}/restaurants`, {
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/restaurants`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'include',
@@ -235,18 +768,142 @@ function App() {
       .catch(e => setCityError(e.message)); // Show error message
   };
 
+  /**
+   * handleUpdateRestaurant
+   * Renames a restaurant in place, keeping its position in the list.
+   * - Calls backend /cities/by-id/:cityId/restaurants/:itemId PATCH endpoint
+   * - Handles error display (e.g. the city already has a restaurant with that name)
+   */
+  const handleUpdateRestaurant = (cityId, restaurantId, name) => {
+    setCityError('');
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/restaurants/${encodeURIComponent(restaurantId)}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ restaurant: name })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error renaming restaurant'); // Handle backend error
+        return r.json();
+      })
+      .then(refreshCities) // Refresh city list on success
+      .catch(e => setCityError(e.message)); // Show error message
+  };
+
+  /**
+   * handleMoveRestaurant
+   * Moves a restaurant to a new rank within its city.
+   * - Calls backend /cities/by-id/:cityId/restaurants/:itemId/move POST endpoint
+   * - Handles error display
+   */
+  const handleMoveRestaurant = (cityId, restaurantId, position) => {
+    setCityError('');
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/restaurants/${encodeURIComponent(restaurantId)}/move`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      body: JSON.stringify({ position })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || 'Error moving restaurant'); // Handle backend error
+        return r.json();
+      })
+      .then(refreshCities) // Refresh city list on success
+      .catch(e => setCityError(e.message)); // Show error message
+  };
+
   /**
    * handleDeleteRestaurant
    * Deletes a restaurant from a city.
-   * - Calls backend /cities/:cityName/restaurants/:restaurant DELETE endpoint
+   * - Calls backend /cities/by-id/:cityId/restaurants/:itemId DELETE endpoint
    */
-  const handleDeleteRestaurant = (cityName, restaurant) => {
-    fetch(`${API}/cities/${encodeURIComponent(cityName)}/restaurants/${encodeURIComponent(restaurant)}`, {
+  const handleDeleteRestaurant = (cityId, restaurantId) => {
+    fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/restaurants/${encodeURIComponent(restaurantId)}`, {
       method: 'DELETE',
       credentials: 'include'
     }).then(refreshCities); // Refresh city list
   };
 
+  /**
+   * changeItinerary
+   * Sends a change to a city's itinerary and refreshes the city list.
+   * - Calls backend /cities/by-id/:cityId/itinerary endpoints
+   * - Handles error display (e.g. invalid dates, full day)
+   * @param {string} cityId - The city whose itinerary changes
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the itinerary ('' or '/slots/...')
+   * @param {object|null} body - Request body, if any
+   * @param {string} fallback - Error message when the backend gives none
+   * @returns {Promise<object|undefined>} The backend's response, or undefined on error
+   */
+  const changeItinerary = (cityId, method, path, body, fallback) => {
+    setCityError('');
+    return fetch(`${citiesUrl}/by-id/${encodeURIComponent(cityId)}/itinerary${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'include',
+      ...(body && { body: JSON.stringify(body) })
+    })
+      .then(async r => {
+        if (!r.ok) throw new Error((await r.json()).error || fallback); // Handle backend error
+        return r.json();
+      })
+      .then(data => {
+        refreshCities(); // Refresh city list on success
+        return data;
+      })
+      .catch(e => setCityError(e.message)); // Show error message
+  };
+
+  /**
+   * handleSetItinerary
+   * Plans a trip to a city, or changes its dates (PUT /cities/by-id/:cityId/itinerary).
+   */
+  const handleSetItinerary = (cityId, startDate, endDate) =>
+    changeItinerary(cityId, 'PUT', '', { itinerary: { startDate, endDate } }, 'Error planning trip');
+
+  /**
+   * handleDeleteItinerary
+   * Deletes a city's itinerary (DELETE /cities/by-id/:cityId/itinerary).
+   */
+  const handleDeleteItinerary = (cityId) =>
+    changeItinerary(cityId, 'DELETE', '', null, 'Error deleting itinerary');
+
+  /**
+   * handleAddSlot
+   * Schedules an attraction or restaurant on a day of the trip (POST /cities/by-id/:cityId/itinerary/slots).
+   */
+  const handleAddSlot = (cityId, slot) =>
+    changeItinerary(cityId, 'POST', '/slots', { slot }, 'Error planning visit');
+
+  /**
+   * handleUpdateSlot
+   * Moves a slot to another day or time (PATCH /cities/by-id/:cityId/itinerary/slots/:slotId).
+   */
+  const handleUpdateSlot = (cityId, slotId, changes) =>
+    changeItinerary(cityId, 'PATCH', `/slots/${encodeURIComponent(slotId)}`, { slot: changes }, 'Error moving visit');
+
+  /**
+   * handleDeleteSlot
+   * Removes a slot from the itinerary (DELETE /cities/by-id/:cityId/itinerary/slots/:slotId).
+   */
+  const handleDeleteSlot = (cityId, slotId) =>
+    changeItinerary(cityId, 'DELETE', `/slots/${encodeURIComponent(slotId)}`, null, 'Error removing visit');
+
+  /**
+   * handleOptimiseRoute
+   * Reorders the attractions of a day into a short walking route (POST /cities/by-id/:cityId/itinerary/days/:date/route).
+   * Resolves with the applied route ({ distanceKm, currentDistanceKm, ... }).
+   */
+  const handleOptimiseRoute = (cityId, date) =>
+    changeItinerary(cityId, 'POST', `/days/${encodeURIComponent(date)}/route`, null, 'Error optimising route');
+
+  /**
+   * itineraryCalendarUrl
+   * Download link of a city's itinerary as an iCalendar file (GET /cities/by-id/:cityId/itinerary.ics).
+   */
+  const itineraryCalendarUrl = (cityId) => `${citiesUrl}/by-id/${encodeURIComponent(cityId)}/itinerary.ics`;
+
   /**
    * handleClearError
    * Clears the login/register error (used when toggling login/register mode)
@@ -260,35 +917,94 @@ function App() {
   return (
     <div className="App">
       <h1>Top Cities Tool</h1>
+      {/* Search across cities, attractions and restaurants */}
+      <SearchBox results={searchResults} onSearch={handleSearch} onSelect={handleSelectHit} onClear={handleClearSearch} error={searchError} />
       {user ? (
         <>
           {/* Show welcome message and logout button for logged-in user */}
-          <div>Welcome, {user.username}! <button onClick={handleLogout}>Logout</button></div>
+          <div>
+            Welcome, {user.username}! <button onClick={handleLogout}>Logout</button>
+            {/* Download the cities and attractions with coordinates, for GIS tools */}
+            <a className="export-link" href={`${citiesUrl}/export.geojson`} download="cities.geojson">Export GeoJSON</a>
+            {/* Opt in to the public showcase that guests see */}
+            <label className="public-toggle">
+              <input type="checkbox" checked={isPublic} onChange={e => handleSetPublic(e.target.checked)} />
+              Show my lists to visitors
+            </label>
+          </div>
+          {/* Pick the displayed list, and create, rename or delete lists */}
+          <ListSwitcher
+            lists={lists}
+            selectedId={listId}
+            onSelect={handleSelectList}
+            onCreate={handleCreateList}
+            onRename={handleRenameList}
+            onDelete={handleDeleteList}
+            onShare={handleShareList}
+            onUnshare={handleUnshareList}
+            error={listError}
+          />
+          {/* Who works on the displayed list, and who can edit it */}
+          {selectedList && (
+            <ListMembers
+              members={members}
+              currentUser={user.username}
+              onInvite={handleInviteMember}
+              onChangeRole={handleChangeMemberRole}
+              onRemove={handleRemoveMember}
+              error={membersError}
+            />
+          )}
           {/* Pass all handlers and data to CityList */}
           <CityList
             cities={cities}
             onAddCity={handleAddCity}
+            addCityForm={addingCity && (
+              <CityAutocomplete
+                suggestions={citySuggestions}
+                onSuggest={handleSuggestCities}
+                onSubmit={handleSubmitCity}
+                onCancel={handleCancelAddCity}
+              />
+            )}
             onUpdateCity={handleUpdateCity}
             onDeleteCity={handleDeleteCity}
+            onMoveCity={handleMoveCity}
             onAddAttraction={handleAddAttraction}
+            onUpdateAttraction={handleUpdateAttraction}
+            onMoveAttraction={handleMoveAttraction}
             onDeleteAttraction={handleDeleteAttraction}
             onAddRestaurant={handleAddRestaurant}
+            onUpdateRestaurant={handleUpdateRestaurant}
+            onMoveRestaurant={handleMoveRestaurant}
             onDeleteRestaurant={handleDeleteRestaurant}
-            loggedIn={!!user}
+            onSetItinerary={handleSetItinerary}
+            onDeleteItinerary={handleDeleteItinerary}
+            onAddSlot={handleAddSlot}
+            onUpdateSlot={handleUpdateSlot}
+            onDeleteSlot={handleDeleteSlot}
+            onOptimiseRoute={handleOptimiseRoute}
+            calendarUrl={itineraryCalendarUrl}
+            loggedIn={canEditList}
             error={cityError}
+            focus={focus}
           />
         </>
       ) : (
         <>
-          {/* Show login/register form and city list for guests */}
+          {/* Show login/register form, the most loved cities and the public lists for guests */}
           <LoginForm onAuth={handleAuth} error={error} onToggleMode={handleClearError} />
-          <CityList
-            cities={cities}
-            loggedIn={false}
-            error={cityError}
-          />
+          <TopCities cities={topCities} />
+          <PublicLists featured={showcase.featured} recent={showcase.recent} focus={focus} />
         </>
       )}
+      {/* Pagination: how many cities are shown, and a button for the next page */}
+      {nextCursor && (
+        <div className="pagination">
+          {totalCities !== null && <span>Showing {cities.length} of {totalCities} cities</span>}
+          <button className="load-more-btn" onClick={handleLoadMore}>Load more</button>
+        </div>
+      )}
     </div>
   );
 }
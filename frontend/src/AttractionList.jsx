@@ -1,33 +1,77 @@
 // AttractionList.jsx
-// Displays and manages attractions for a city. Handles add/remove, error display, and enforces a limit of 5 attractions per city.
+// Displays and manages attractions for a city. Handles add/edit/remove, error display, and enforces a limit of 5 attractions per city.
 
 import React from 'react';
 import { useState } from 'react';
+import ItemDetails from './ItemDetails';
+import { hasDetails } from './itemFields';
 
 /**
  * AttractionList Component
  *
- * Displays and manages a list of attractions for a city. Allows adding and removing attractions,
+ * Displays and manages a list of attractions for a city. Allows adding, renaming (inline) and removing attractions,
+ * showing the details of each attraction (address, website, etc.) in an expandable view,
  * displays error messages, and enforces a limit of 5 attractions per city.
  *
  * Props:
- *   - attractions: array of attraction names
+ *   - attractions: array of attraction records ({ id, name, ...details })
  *   - cityName: name of the city (for handler calls)
  *   - onAdd: function to add a new attraction
- *   - onDelete: function to delete an attraction
+ *   - onUpdate: function to rename an attraction, called with its ID and the new name
+ *   - onMove: function to move an attraction to a new rank, called with its ID and 1-based position
+ *   - onDelete: function to delete an attraction, called with its ID
  *   - loggedIn: boolean, true if user is logged in
  *   - error: error message to display (for attraction actions)
  *
  * State:
  *   - newAttraction: string, value of the new attraction input field
+ *   - editingId: ID of the attraction being edited inline (or null)
+ *   - editName: string, value of the inline edit input field
+ *   - expanded: object mapping attraction IDs to boolean (details shown/hidden)
  *
  * Returns:
- *   - Renders a list of attractions with remove buttons (if logged in)
+ *   - Renders a list of attractions in rank order with move up/down, edit and remove buttons (if logged in)
+ *   - Renders a Details toggle for attractions with details, and the details below expanded ones
+ *   - Renders an inline edit form in place of the attraction being edited
  *   - Renders an add form if under the limit and logged in
  */
-export default function AttractionList({ attractions, cityName, onAdd, onDelete, loggedIn, error }) {
+export default function AttractionList({ attractions, cityName, onAdd, onUpdate, onMove, onDelete, loggedIn, error }) {
   // State for new attraction input
   const [newAttraction, setNewAttraction] = useState('');
+  // State for the inline edit form
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  // State to track which attractions show their details
+  const [expanded, setExpanded] = useState({});
+
+  /**
+   * toggle
+   * Shows or hides the details of an attraction.
+   * @param {string} id - The ID of the attraction
+   */
+  const toggle = id => setExpanded(e => ({ ...e, [id]: !e[id] }));
+
+  /**
+   * startEdit
+   * Opens the inline edit form for an attraction.
+   * @param {object} a - The attraction record to edit
+   */
+  const startEdit = a => {
+    setEditingId(a.id);
+    setEditName(a.name);
+  };
+
+  /**
+   * saveEdit
+   * Renames the attraction being edited (if the name changed) and closes the edit form.
+   * @param {object} a - The attraction record being edited
+   */
+  const saveEdit = a => {
+    const name = editName.trim();
+    if (name && name !== a.name) onUpdate(a.id, name);
+    setEditingId(null);
+  };
+
   return (
     <div className="attraction-list bright-section">
       <h4>Attractions</h4>
@@ -35,13 +79,48 @@ export default function AttractionList({ attractions, cityName, onAdd, onDelete,
       {error && <div className="error-msg">{error}</div>}
       {/* List of attractions with remove buttons (if logged in) */}
       <div>
-        {(attractions || []).map(a => (
-          <div key={a} className="attraction-row">
-            {/* Display attraction name, wrapped for long names */}
-            <span className="wrap-name">{a}</span>
-            {/* Remove button, only if logged in */}
-            {loggedIn && <button className="remove-btn" onClick={() => onDelete(a)}>Remove</button>}
-          </div>
+        {(attractions || []).map((a, index) => (
+          <React.Fragment key={a.id}>
+            <div className="attraction-row">
+              {editingId === a.id ? (
+                /* Inline edit form for the attraction name */
+                <form className="edit-form" onSubmit={e => { e.preventDefault(); saveEdit(a); }}>
+                  <input
+                    type="text"
+                    aria-label="Edit attraction"
+                    value={editName}
+                    onChange={e => setEditName(e.target.value)}
+                  />
+                  <button type="submit" className="edit-btn">Save</button>
+                  <button type="button" className="remove-btn" onClick={() => setEditingId(null)}>Cancel</button>
+                </form>
+              ) : (
+                <>
+                  {/* Display attraction name, wrapped for long names */}
+                  <span className="wrap-name">{a.name}</span>
+                  <span>
+                    {/* Details toggle, only if the attraction has details */}
+                    {hasDetails(a) && (
+                      <button className="expand-btn" aria-expanded={!!expanded[a.id]} onClick={() => toggle(a.id)}>
+                        {expanded[a.id] ? 'Hide details' : 'Details'}
+                      </button>
+                    )}
+                    {/* Move, Edit and Remove buttons, only if logged in */}
+                    {loggedIn && (
+                      <>
+                        <button className="move-btn" aria-label="Move up" disabled={index === 0} onClick={() => onMove(a.id, index)}>↑</button>
+                        <button className="move-btn" aria-label="Move down" disabled={index === attractions.length - 1} onClick={() => onMove(a.id, index + 2)}>↓</button>
+                        <button className="edit-btn" onClick={() => startEdit(a)}>Edit</button>
+                        <button className="remove-btn" onClick={() => onDelete(a.id)}>Remove</button>
+                      </>
+                    )}
+                  </span>
+                </>
+              )}
+            </div>
+            {/* Details of the attraction, if expanded */}
+            {expanded[a.id] && hasDetails(a) && <ItemDetails item={a} />}
+          </React.Fragment>
         ))}
       </div>
       {/* Add attraction form, only visible if under limit and logged in */}
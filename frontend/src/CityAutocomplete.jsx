@@ -0,0 +1,107 @@
+// CityAutocomplete.jsx
+// Input for the name of a new city, suggesting European cities from the backend's offline gazetteer as the user types.
+
+import React from 'react';
+import { useState } from 'react';
+
+/**
+ * CityAutocomplete Component
+ *
+ * Text input with a list of suggested cities. Suggestions can be picked with the mouse or with the
+ * arrow keys and Enter; Enter without a picked suggestion adds the typed name as it is.
+ *
+ * Props:
+ *   - suggestions: array of suggested places ({ name, country, matched }) for the typed text
+ *   - onSuggest: function called with the typed text whenever it changes (to fetch suggestions)
+ *   - onSubmit: function called with the city name to add
+ *   - onCancel: function to close the input without adding a city
+ *
+ * State:
+ *   - query: string, value of the input field
+ *   - active: index of the highlighted suggestion, or -1 if none
+ *
+ * Returns:
+ *   - Renders a combobox input with Add and Cancel buttons, and the suggestions below it
+ */
+export default function CityAutocomplete({ suggestions, onSuggest, onSubmit, onCancel }) {
+  // State for the input and the highlighted suggestion
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(-1);
+  const options = query.trim() ? suggestions || [] : [];
+
+  /**
+   * handleChange
+   * Updates the input and asks for suggestions for the new text.
+   */
+  const handleChange = e => {
+    setQuery(e.target.value);
+    setActive(-1);
+    onSuggest(e.target.value);
+  };
+
+  /**
+   * handleKeyDown
+   * Moves through the suggestions with the arrow keys; Escape closes the input.
+   */
+  const handleKeyDown = e => {
+    if (e.key === 'ArrowDown' && options.length > 0) {
+      e.preventDefault();
+      setActive(index => (index + 1) % options.length);
+    } else if (e.key === 'ArrowUp' && options.length > 0) {
+      e.preventDefault();
+      setActive(index => (index <= 0 ? options.length : index) - 1);
+    } else if (e.key === 'Escape') {
+      onCancel();
+    }
+  };
+
+  /**
+   * handleSubmit
+   * Adds the highlighted suggestion, or else the typed name.
+   */
+  const handleSubmit = e => {
+    e.preventDefault();
+    const name = active >= 0 && options[active] ? options[active].name : query.trim();
+    if (name) onSubmit(name);
+  };
+
+  return (
+    <form className="city-autocomplete" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        role="combobox"
+        aria-label="City name"
+        aria-autocomplete="list"
+        aria-expanded={options.length > 0}
+        aria-controls="city-suggestions"
+        aria-activedescendant={active >= 0 ? `city-suggestion-${active}` : undefined}
+        placeholder="Start typing a city, e.g. Lisbon"
+        value={query}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        autoFocus
+      />
+      <button type="submit">Add</button>
+      <button type="button" className="remove-btn" onClick={onCancel}>Cancel</button>
+      {/* Suggested cities; a click adds the city */}
+      {options.length > 0 && (
+        <ul id="city-suggestions" role="listbox" className="city-suggestions">
+          {options.map((place, index) => (
+            <li
+              key={`${place.name}-${place.countryCode}`}
+              id={`city-suggestion-${index}`}
+              role="option"
+              aria-selected={index === active}
+              className={index === active ? 'active' : undefined}
+              onClick={() => onSubmit(place.name)}
+            >
+              <span className="wrap-name">{place.name}</span>
+              {place.matched && <span className="place-alias"> ({place.matched})</span>}
+              <span className="place-country">{place.country}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </form>
+  );
+}
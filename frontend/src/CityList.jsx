@@ -1,48 +1,138 @@
 // CityList.jsx
-// Displays a list of cities with expand/collapse, add, edit, and delete functionality. Handles error display and passes handlers to child components.
+// Displays a list of cities with expand/collapse, add, edit, and delete functionality, or the cities on a map. Handles error display and passes handlers to child components.
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import AttractionList from './AttractionList';
 import RestaurantList from './RestaurantList';
+import CityMap from './CityMap';
+import ItineraryPlanner from './ItineraryPlanner';
 
 /**
  * CityList Component
  *
  * Displays a list of cities with expand/collapse, add, edit, and delete functionality.
+ * A Map tab shows the cities on a map instead; clicking a marker shows that city's details below the map.
  * Handles error display and passes handler functions and data to child components (AttractionList, RestaurantList).
  *
  * Props:
  *   - cities: array of city objects to display
  *   - onAddCity: function to add a new city
- *   - onUpdateCity: function to update a city's name
- *   - onDeleteCity: function to delete a city
- *   - onAddAttraction: function to add an attraction to a city
- *   - onDeleteAttraction: function to delete an attraction from a city
- *   - onAddRestaurant: function to add a restaurant to a city
- *   - onDeleteRestaurant: function to delete a restaurant from a city
+ *   - addCityForm: optional element shown instead of the Add City button (e.g. the city name input)
+ *   - onUpdateCity: function to rename a city in place (PATCH), called with the city object
+ *   - onDeleteCity: function to delete a city, called with the city ID
+ *   - onMoveCity: function to move a city to a new rank, called with the city ID and 1-based position
+ *   - onAddAttraction: function to add an attraction to a city, called with the city ID
+ *   - onUpdateAttraction: function to rename an attraction, called with the city ID, attraction ID and new name
+ *   - onMoveAttraction: function to move an attraction to a new rank, called with the city ID, attraction ID and position
+ *   - onDeleteAttraction: function to delete an attraction from a city, called with the city and attraction IDs
+ *   - onAddRestaurant: function to add a restaurant to a city, called with the city ID
+ *   - onUpdateRestaurant: function to rename a restaurant, called with the city ID, restaurant ID and new name
+ *   - onMoveRestaurant: function to move a restaurant to a new rank, called with the city ID, restaurant ID and position
+ *   - onDeleteRestaurant: function to delete a restaurant from a city, called with the city and restaurant IDs
+ *   - onSetItinerary: function to plan or re-date a city's trip, called with the city ID, start and end date
+ *   - onDeleteItinerary: function to delete a city's itinerary, called with the city ID
+ *   - onAddSlot: function to schedule an item on a day of the trip, called with the city ID and the slot
+ *   - onUpdateSlot: function to move a slot, called with the city ID, slot ID and the fields to change
+ *   - onDeleteSlot: function to remove a slot, called with the city and slot IDs
+ *   - onOptimiseRoute: function to reorder a day's attractions into a short walk, called with the city ID and date
+ *   - calendarUrl: function returning the iCalendar download link of a city's itinerary, called with the city ID
  *   - loggedIn: boolean, true if user is logged in
  *   - error: error message to display (for city/attraction/restaurant actions)
+ *   - focus: city to jump to ({ cityId }, e.g. from a search hit); it is expanded, scrolled into view and highlighted
  *
  * State:
- *   - expanded: object mapping city names to boolean (expanded/collapsed)
+ *   - expanded: object mapping city IDs to boolean (expanded/collapsed)
+ *   - view: 'list' or 'map', the selected tab
+ *   - selected: ID of the city picked on the map, or null
  *
  * Returns:
- *   - Renders a list of city cards, each with expand/collapse, edit, and delete buttons
- *   - Renders AttractionList and RestaurantList for each expanded city
+ *   - Renders List and Map tabs
+ *   - Renders a list of city cards in rank order, each with expand/collapse, move up/down, edit, and delete buttons
+ *   - Renders AttractionList, RestaurantList and ItineraryPlanner for each expanded city, and for the city picked on the map
  */
-export default function CityList({ cities, onAddCity, onUpdateCity, onDeleteCity, onAddAttraction, onDeleteAttraction, onAddRestaurant, onDeleteRestaurant, loggedIn, error }) {
+export default function CityList({ cities, onAddCity, addCityForm, onUpdateCity, onDeleteCity, onMoveCity, onAddAttraction, onUpdateAttraction, onMoveAttraction, onDeleteAttraction, onAddRestaurant, onUpdateRestaurant, onMoveRestaurant, onDeleteRestaurant, onSetItinerary, onDeleteItinerary, onAddSlot, onUpdateSlot, onDeleteSlot, onOptimiseRoute, calendarUrl, loggedIn, error, focus }) {
   // State to track which cities are expanded
   const [expanded, setExpanded] = useState({});
+  // State for the selected tab and the city picked on the map
+  const [view, setView] = useState('list');
+  const [selected, setSelected] = useState(null);
   /**
    * toggle
    * Toggles the expanded/collapsed state for a city.
-   * @param {string} cityName - The name of the city to toggle
+   * @param {string} cityId - The ID of the city to toggle
    */
-  const toggle = cityName => setExpanded(e => ({ ...e, [cityName]: !e[cityName] }));
+  const toggle = cityId => setExpanded(e => ({ ...e, [cityId]: !e[cityId] }));
+
+  /**
+   * select
+   * Picks a city on the map, or unpicks it if it was picked already.
+   * @param {string} cityId - The ID of the city whose marker was clicked
+   */
+  const select = cityId => setSelected(s => (s === cityId ? null : cityId));
+
+  /**
+   * useEffect: Jump to the focused city
+   * - Expands it (or picks it on the map) and scrolls it into view whenever a new focus is set
+   */
+  useEffect(() => {
+    if (!focus) return;
+    setExpanded(e => ({ ...e, [focus.cityId]: true }));
+    setSelected(focus.cityId);
+    const card = document.getElementById(`city-${focus.cityId}`);
+    if (card && card.scrollIntoView) card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [focus]);
   
   // Ensure cities is always an array
   const safeCities = Array.isArray(cities) ? cities : [];
-  
+  const selectedCity = safeCities.find(city => city.id === selected);
+
+  /**
+   * renderDetails
+   * Renders the attractions, restaurants and itinerary of a city, with city-specific handlers.
+   * @param {object} city - The expanded or picked city
+   */
+  const renderDetails = city => (
+    <>
+      <div className="city-details">
+        {/* Pass city-specific handlers and data to AttractionList */}
+        <AttractionList
+          attractions={city.attractions || []}
+          cityName={city.name}
+          onAdd={a => onAddAttraction(city.id, a)}
+          onUpdate={(id, name) => onUpdateAttraction(city.id, id, name)}
+          onMove={(id, position) => onMoveAttraction(city.id, id, position)}
+          onDelete={id => onDeleteAttraction(city.id, id)}
+          loggedIn={loggedIn}
+          error={error}
+        />
+        {/* Pass city-specific handlers and data to RestaurantList */}
+        <RestaurantList
+          restaurants={city.restaurants || []}
+          cityName={city.name}
+          onAdd={r => onAddRestaurant(city.id, r)}
+          onUpdate={(id, name) => onUpdateRestaurant(city.id, id, name)}
+          onMove={(id, position) => onMoveRestaurant(city.id, id, position)}
+          onDelete={id => onDeleteRestaurant(city.id, id)}
+          loggedIn={loggedIn}
+          error={error}
+        />
+      </div>
+      {/* Day-by-day plan of a trip to the city */}
+      <ItineraryPlanner
+        key={city.id}
+        city={city}
+        onSetDates={(startDate, endDate) => onSetItinerary(city.id, startDate, endDate)}
+        onDeleteItinerary={() => onDeleteItinerary(city.id)}
+        onAddSlot={slot => onAddSlot(city.id, slot)}
+        onUpdateSlot={(slotId, changes) => onUpdateSlot(city.id, slotId, changes)}
+        onDeleteSlot={slotId => onDeleteSlot(city.id, slotId)}
+        onOptimiseRoute={date => onOptimiseRoute(city.id, date)}
+        calendarUrl={calendarUrl && calendarUrl(city.id)}
+        loggedIn={loggedIn}
+      />
+    </>
+  );
+
   return (
     <div className="city-list">
       <h2>Top 10 Cities in Europe</h2>
@@ -50,51 +140,56 @@ export default function CityList({ cities, onAddCity, onUpdateCity, onDeleteCity
       {error && <div className="error-msg">{error}</div>}
       {/* Show Add City button only if logged in and under limit */}
       {loggedIn && safeCities.length < 10 && (
-        <button className="add-btn" onClick={() => onAddCity()}>Add City</button>
+        addCityForm || <button className="add-btn" onClick={() => onAddCity()}>Add City</button>
       )}
       {/* Show message if no cities exist */}
       {safeCities.length === 0 && <div className="no-cities">The list is still building it...</div>}
+      {/* Tabs to switch between the card list and the map */}
+      {safeCities.length > 0 && (
+        <div className="view-tabs" role="tablist" aria-label="City view">
+          <button role="tab" aria-selected={view === 'list'} onClick={() => setView('list')}>List</button>
+          <button role="tab" aria-selected={view === 'map'} onClick={() => setView('map')}>Map</button>
+        </div>
+      )}
+      {/* Map of the cities, with the details of the picked city below it */}
+      {view === 'map' && safeCities.length > 0 && (
+        <>
+          <CityMap cities={safeCities} selectedId={selected} onSelect={select} />
+          {selectedCity && (
+            <div id={`city-${selectedCity.id}`} className="city-item bright-card map-details">
+              <div className="city-header">
+                <h3 className="wrap-name">{selectedCity.name}</h3>
+                <button className="expand-btn" onClick={() => setSelected(null)}>Close</button>
+              </div>
+              {renderDetails(selectedCity)}
+            </div>
+          )}
+        </>
+      )}
       {/* Render each city as a card with expand/collapse and actions */}
-      {safeCities.map(city => (
-        <div key={city.name} className="city-item bright-card">
+      {view === 'list' && safeCities.map((city, index) => (
+        <div key={city.id} id={`city-${city.id}`} className={`city-item bright-card${focus && focus.cityId === city.id ? ' focused' : ''}`}>
           <div className="city-header">
+            {/* Rank of the city in the list */}
+            <span className="rank">{index + 1}.</span>
             {/* City name, wrapped for long names */}
             <h3 className="wrap-name">{city.name}</h3>
             {/* Expand/collapse button for city details */}
-            <button className="expand-btn" onClick={() => toggle(city.name)}>
-              {expanded[city.name] ? 'Collapse' : 'Expand'}
+            <button className="expand-btn" onClick={() => toggle(city.id)}>
+              {expanded[city.id] ? 'Collapse' : 'Expand'}
             </button>
-            {/* Edit and Delete buttons, only if logged in */}
+            {/* Move, Edit and Delete buttons, only if logged in */}
             {loggedIn && (
               <>
+                <button className="move-btn" aria-label="Move up" disabled={index === 0} onClick={() => onMoveCity(city.id, index)}>↑</button>
+                <button className="move-btn" aria-label="Move down" disabled={index === safeCities.length - 1} onClick={() => onMoveCity(city.id, index + 2)}>↓</button>
                 <button className="edit-btn" onClick={() => onUpdateCity(city)}>Edit</button>
-                <button className="delete-btn" onClick={() => onDeleteCity(city.name)}>Delete</button>
+                <button className="delete-btn" onClick={() => onDeleteCity(city.id)}>Delete</button>
               </>
             )}
           </div>
           {/* Show details (attractions/restaurants) if expanded */}
-          {expanded[city.name] && (
-            <div className="city-details">
-              {/* Pass city-specific handlers and data to AttractionList */}
-              <AttractionList
-                attractions={city.attractions || []}
-                cityName={city.name}
-                onAdd={a => onAddAttraction(city.name, a)}
-                onDelete={a => onDeleteAttraction(city.name, a)}
-                loggedIn={loggedIn}
-                error={error}
-              />
-              {/* Pass city-specific handlers and data to RestaurantList */}
-              <RestaurantList
-                restaurants={city.restaurants || []}
-                cityName={city.name}
-                onAdd={r => onAddRestaurant(city.name, r)}
-                onDelete={r => onDeleteRestaurant(city.name, r)}
-                loggedIn={loggedIn}
-                error={error}
-              />
-            </div>
-          )}
+          {expanded[city.id] && renderDetails(city)}
         </div>
       ))}
     </div>
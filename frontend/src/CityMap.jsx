@@ -0,0 +1,96 @@
+// CityMap.jsx
+// Map of the cities, drawn on the bundled outline of Europe (europeMap.js) so it needs no network access.
+
+import React from 'react';
+import { useState } from 'react';
+import { WIDTH, HEIGHT, OUTLINE_PATH, project } from './europeMap';
+
+/**
+ * CityMap Component
+ *
+ * Draws a numbered marker per city at its stored coordinates. Hovering a marker shows a tooltip with the
+ * city name and how many attractions and restaurants it has; clicking it (or Enter/Space) selects the city.
+ * Cities without coordinates, or outside the map, are listed below it.
+ *
+ * Props:
+ *   - cities: array of city objects, in rank order
+ *   - selectedId: ID of the selected city, whose marker is highlighted
+ *   - onSelect: function called with the city ID when a marker is clicked
+ *
+ * State:
+ *   - hovered: ID of the city whose tooltip is shown, or null
+ *
+ * Returns:
+ *   - Renders the SVG map with its markers, and the names of the cities that are not on it
+ */
+export default function CityMap({ cities, selectedId, onSelect }) {
+  // State for the marker under the mouse pointer
+  const [hovered, setHovered] = useState(null);
+
+  const markers = [];
+  const unplaced = [];
+  cities.forEach((city, index) => {
+    const point = project(city.lat, city.lon);
+    if (point) markers.push({ city, rank: index + 1, ...point });
+    else unplaced.push(city);
+  });
+  const tooltip = markers.find(marker => marker.city.id === hovered);
+
+  /**
+   * handleKeyDown
+   * Selects the city of a focused marker with Enter or Space.
+   */
+  const handleKeyDown = (e, cityId) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onSelect(cityId);
+    }
+  };
+
+  return (
+    <figure className="city-map">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Map of the cities in Europe">
+        <rect className="map-sea" width={WIDTH} height={HEIGHT} />
+        <path className="map-land" d={OUTLINE_PATH} fillRule="evenodd" />
+        {/* One marker per city; the selected one is drawn highlighted */}
+        {markers.map(({ city, rank, x, y }) => (
+          <g
+            key={city.id}
+            className={`map-marker${city.id === selectedId ? ' selected' : ''}`}
+            transform={`translate(${x} ${y})`}
+            role="button"
+            tabIndex={0}
+            aria-label={`${rank}. ${city.name}`}
+            aria-pressed={city.id === selectedId}
+            onClick={() => onSelect(city.id)}
+            onKeyDown={e => handleKeyDown(e, city.id)}
+            onMouseEnter={() => setHovered(city.id)}
+            onMouseLeave={() => setHovered(null)}
+            onFocus={() => setHovered(city.id)}
+            onBlur={() => setHovered(null)}
+          >
+            <circle r="8" />
+            <text dy="3.5">{rank}</text>
+          </g>
+        ))}
+        {/* Tooltip of the hovered marker, drawn last so it stays on top */}
+        {tooltip && (
+          <g className="map-tooltip" transform={`translate(${tooltip.x} ${tooltip.y - 26})`} role="tooltip">
+            <text>
+              <tspan className="map-tooltip-name">{tooltip.city.name}</tspan>
+              <tspan x="0" dy="12">
+                {(tooltip.city.attractions || []).length} attractions, {(tooltip.city.restaurants || []).length} restaurants
+              </tspan>
+            </text>
+          </g>
+        )}
+      </svg>
+      {/* Cities that have no marker */}
+      {unplaced.length > 0 && (
+        <figcaption className="map-unplaced">
+          Not on the map: {unplaced.map(city => city.name).join(', ')}
+        </figcaption>
+      )}
+    </figure>
+  );
+}
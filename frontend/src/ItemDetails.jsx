@@ -0,0 +1,43 @@
+// ItemDetails.jsx
+// Shows the optional details of an attraction or restaurant record (address, website, opening hours, etc.).
+
+import React from 'react';
+import { DETAIL_FIELDS, hasValue } from './itemFields';
+
+/**
+ * ItemDetails Component
+ *
+ * Renders the details of an attraction or restaurant as a definition list. Fields the item does not
+ * have are left out; the website is rendered as a link and the price level as 1–4 euro signs.
+ *
+ * Props:
+ *   - item: attraction or restaurant record ({ id, name, ...details })
+ *
+ * Returns:
+ *   - A definition list of the item's details
+ */
+export default function ItemDetails({ item }) {
+  /**
+   * renderValue
+   * Formats a detail value for display.
+   * @param {string} field - Detail field name
+   * @param {*} value - Detail value
+   * @returns {React.ReactNode}
+   */
+  const renderValue = (field, value) => {
+    if (field === 'website') return <a href={value} target="_blank" rel="noopener noreferrer">{value}</a>;
+    if (field === 'priceLevel') return <span aria-label={`Price level ${value} of 4`}>{'€'.repeat(value)}</span>;
+    return value;
+  };
+
+  return (
+    <dl className="item-details">
+      {DETAIL_FIELDS.filter(([field]) => hasValue(item, field)).map(([field, label]) => (
+        <React.Fragment key={field}>
+          <dt>{label}</dt>
+          <dd className="wrap-name">{renderValue(field, item[field])}</dd>
+        </React.Fragment>
+      ))}
+    </dl>
+  );
+}
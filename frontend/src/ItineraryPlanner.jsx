@@ -0,0 +1,151 @@
+// ItineraryPlanner.jsx
+// Day-by-day trip planner for a city: assigns the city's attractions and restaurants to days and times.
+
+import React from 'react';
+import { useState } from 'react';
+import { planDays, formatDay } from './itinerary';
+
+// Item lists that can be scheduled, with their labels
+const LISTS = [['attractions', 'Attractions'], ['restaurants', 'Restaurants']];
+
+/**
+ * ItineraryPlanner Component
+ *
+ * Shows the days of a city's trip with the attractions and restaurants scheduled on them. Logged-in
+ * users set the trip dates, assign items to a day and time, move slots to another day, and remove them.
+ *
+ * Props:
+ *   - city: city object, with its attractions, restaurants and optional itinerary
+ *   - onSetDates: function called with the start and end date (YYYY-MM-DD) to plan or re-date the trip
+ *   - onDeleteItinerary: function to delete the itinerary
+ *   - onAddSlot: function called with a new slot ({ date, time, list, itemId })
+ *   - onUpdateSlot: function called with a slot ID and the fields to change
+ *   - onDeleteSlot: function called with the ID of a slot to remove
+ *   - onOptimiseRoute: function called with a date to reorder its attractions into a short walk; may
+ *     return a promise of the applied route ({ distanceKm, currentDistanceKm })
+ *   - calendarUrl: optional download link of the itinerary as an iCalendar (.ics) file
+ *   - loggedIn: boolean, true if user is logged in
+ *
+ * State:
+ *   - startDate, endDate: values of the trip date inputs
+ *   - picks: object mapping each day to the item ("list:itemId") and time chosen in its add form
+ *   - routes: object mapping each optimised day to the distances of its route
+ *
+ * Returns:
+ *   - Renders nothing for guests when the city has no itinerary
+ *   - Renders the trip date form (logged in), and each day with its slots and add form
+ */
+export default function ItineraryPlanner({ city, onSetDates, onDeleteItinerary, onAddSlot, onUpdateSlot, onDeleteSlot, onOptimiseRoute, calendarUrl, loggedIn }) {
+  const { itinerary } = city;
+  // State for the trip date inputs and the add forms of the days
+  const [startDate, setStartDate] = useState(itinerary ? itinerary.startDate : '');
+  const [endDate, setEndDate] = useState(itinerary ? itinerary.endDate : '');
+  const [picks, setPicks] = useState({});
+  const [routes, setRoutes] = useState({});
+
+  if (!itinerary && !loggedIn) return null;
+  const days = itinerary ? planDays(city) : [];
+
+  /**
+   * setPick
+   * Updates the item or time chosen in the add form of a day.
+   */
+  const setPick = (date, field, value) => setPicks(p => ({ ...p, [date]: { ...p[date], [field]: value } }));
+
+  /**
+   * handleSetDates
+   * Plans the trip, or changes its dates.
+   */
+  const handleSetDates = e => {
+    e.preventDefault();
+    if (startDate && endDate) onSetDates(startDate, endDate);
+  };
+
+  /**
+   * handleAddSlot
+   * Schedules the item chosen for a day at the chosen time (or any time).
+   */
+  const handleAddSlot = (e, date) => {
+    e.preventDefault();
+    const { item = '', time = '' } = picks[date] || {};
+    if (!item) return;
+    const [list, itemId] = item.split(':');
+    onAddSlot({ date, time: time || null, list, itemId });
+    setPicks(p => ({ ...p, [date]: {} }));
+  };
+
+  /**
+   * handleOptimiseRoute
+   * Reorders the attractions of a day into a short walk, and shows how far it is.
+   */
+  const handleOptimiseRoute = date => {
+    Promise.resolve(onOptimiseRoute(date)).then(route => {
+      if (route) setRoutes(r => ({ ...r, [date]: route }));
+    });
+  };
+
+  return (
+    <div className="bright-section itinerary-planner">
+      <h4>Itinerary</h4>
+      {/* Calendar download, for importing the trip into calendar apps */}
+      {itinerary && calendarUrl && <a className="export-link" href={calendarUrl} download="itinerary.ics">Export to calendar</a>}
+      {/* Trip dates, for logged-in users */}
+      {loggedIn && (
+        <form className="itinerary-dates" onSubmit={handleSetDates}>
+          <input type="date" aria-label="Start date" value={startDate} onChange={e => setStartDate(e.target.value)} />
+          <input type="date" aria-label="End date" value={endDate} min={startDate || undefined} onChange={e => setEndDate(e.target.value)} />
+          <button type="submit" className="add-btn">{itinerary ? 'Change dates' : 'Plan trip'}</button>
+          {itinerary && <button type="button" className="remove-btn" onClick={onDeleteItinerary}>Delete itinerary</button>}
+        </form>
+      )}
+      {/* One block per day, with its slots in time order */}
+      {days.map(day => (
+        <div key={day.date} className="itinerary-day">
+          <h5>{formatDay(day.date)}</h5>
+          {day.slots.length === 0 && <div className="itinerary-empty">Nothing planned yet</div>}
+          <ul>
+            {day.slots.map(slot => (
+              <li key={slot.id}>
+                <span className="itinerary-time">{slot.time || 'Any time'}</span>
+                <span className="wrap-name">{slot.name}</span>
+                {slot.notes && <span className="itinerary-notes"> — {slot.notes}</span>}
+                {loggedIn && (
+                  <>
+                    <select aria-label={`Move ${slot.name} to day`} value={slot.date} onChange={e => onUpdateSlot(slot.id, { date: e.target.value })}>
+                      {days.map(other => <option key={other.date} value={other.date}>{formatDay(other.date)}</option>)}
+                    </select>
+                    <button className="remove-btn" aria-label={`Remove ${slot.name} from ${formatDay(day.date)}`} onClick={() => onDeleteSlot(slot.id)}>Remove</button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+          {/* Walking order of the day's attractions, once there are two to visit */}
+          {loggedIn && day.slots.filter(slot => slot.list === 'attractions').length >= 2 && (
+            <div className="itinerary-route">
+              <button type="button" className="add-btn" aria-label={`Optimise route for ${formatDay(day.date)}`} onClick={() => handleOptimiseRoute(day.date)}>Optimise route</button>
+              {routes[day.date] && (
+                <span className="itinerary-notes">Route: {routes[day.date].distanceKm} km (was {routes[day.date].currentDistanceKm} km)</span>
+              )}
+            </div>
+          )}
+          {/* Assign an attraction or restaurant to this day */}
+          {loggedIn && (
+            <form className="itinerary-add" onSubmit={e => handleAddSlot(e, day.date)}>
+              <select aria-label={`Item for ${formatDay(day.date)}`} value={(picks[day.date] || {}).item || ''} onChange={e => setPick(day.date, 'item', e.target.value)}>
+                <option value="">Choose an attraction or restaurant</option>
+                {LISTS.map(([list, label]) => (city[list] || []).length > 0 && (
+                  <optgroup key={list} label={label}>
+                    {city[list].map(item => <option key={item.id} value={`${list}:${item.id}`}>{item.name}</option>)}
+                  </optgroup>
+                ))}
+              </select>
+              <input type="time" aria-label={`Time for ${formatDay(day.date)}`} value={(picks[day.date] || {}).time || ''} onChange={e => setPick(day.date, 'time', e.target.value)} />
+              <button type="submit" className="add-btn" aria-label={`Add to ${formatDay(day.date)}`}>Add</button>
+            </form>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
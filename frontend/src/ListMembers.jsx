@@ -0,0 +1,95 @@
+// ListMembers.jsx
+// Members panel of a city list: who works on the list and who can edit it, with invitations by email.
+
+import React from 'react';
+import { useState } from 'react';
+
+// Labels of the list roles returned by the members API
+const ROLE_LABELS = { owner: 'Owner', editor: 'Can edit', viewer: 'Can view' };
+
+// Roles the owner can give to members
+const MEMBER_ROLES = ['editor', 'viewer'];
+
+/**
+ * ListMembers Component
+ *
+ * Lists the users working on the displayed list with their roles: the owner and editors can change its
+ * cities, viewers only read them. The owner invites users by email, changes their roles and removes them;
+ * other members can leave the list.
+ *
+ * Props:
+ *   - members: array of { username, role }, the owner first
+ *   - currentUser: username of the logged-in user
+ *   - onInvite: function called with the email and role to invite; may return a promise resolving to the new members
+ *   - onChangeRole: function called with a member's username and new role
+ *   - onRemove: function called with the username of the member to remove (or of the user, to leave)
+ *   - error: error message to display (for member actions)
+ *
+ * State:
+ *   - email: string, value of the invitation input field
+ *   - role: role of the invited member
+ *
+ * Returns:
+ *   - Renders the members with their roles; for the owner, role selects, Remove buttons and the invitation form
+ */
+export default function ListMembers({ members, currentUser, onInvite, onChangeRole, onRemove, error }) {
+  // State for the invitation form
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('editor');
+  const isOwner = members.some(member => member.role === 'owner' && member.username === currentUser);
+
+  /**
+   * handleInvite
+   * Invites the typed email and empties the input once the invitation succeeded.
+   */
+  const handleInvite = (e) => {
+    e.preventDefault();
+    if (!email.trim()) return;
+    Promise.resolve(onInvite(email.trim(), role)).then(result => {
+      if (result) setEmail('');
+    });
+  };
+
+  return (
+    <div className="list-members">
+      <h3>Members</h3>
+      <ul className="member-list">
+        {members.map(member => (
+          <li key={member.username} className="member">
+            <span className="wrap-name">{member.username}</span>
+            {isOwner && member.role !== 'owner' ? (
+              <select aria-label={`Role of ${member.username}`} value={member.role} onChange={e => onChangeRole(member.username, e.target.value)}>
+                {MEMBER_ROLES.map(value => <option key={value} value={value}>{ROLE_LABELS[value]}</option>)}
+              </select>
+            ) : (
+              <span className="member-role">{ROLE_LABELS[member.role]}</span>
+            )}
+            {/* The owner removes members; members can leave */}
+            {member.role !== 'owner' && (isOwner || member.username === currentUser) && (
+              <button className="remove-btn" onClick={() => onRemove(member.username)}>
+                {member.username === currentUser ? 'Leave list' : 'Remove'}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      {isOwner && (
+        <form className="invite-form" onSubmit={handleInvite}>
+          <input
+            type="email"
+            aria-label="Invite by email"
+            placeholder="colleague@example.com"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+          />
+          <select aria-label="Role of the invited member" value={role} onChange={e => setRole(e.target.value)}>
+            {MEMBER_ROLES.map(value => <option key={value} value={value}>{ROLE_LABELS[value]}</option>)}
+          </select>
+          <button type="submit">Invite</button>
+        </form>
+      )}
+      {/* Show error message if present */}
+      {error && <div className="error-msg">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,70 @@
+// ListSwitcher.jsx
+// Picker for the user's named city lists, with buttons to create, rename, share and delete lists.
+
+import React from 'react';
+
+/**
+ * ListSwitcher Component
+ *
+ * Shows which of the user's named lists ("Summer 2026", "Food weekend") is displayed, and lets the user
+ * switch to another list or manage them. The user's first own list is the default list; lists of other
+ * users the user is a member of follow, with their owner. Only the owner renames, shares or deletes a list.
+ * A shared list shows its read-only link (/shared/:token), which works without an account until sharing
+ * is stopped.
+ *
+ * Props:
+ *   - lists: array of list summaries ({ id, name, cityCount, shareToken, owner, role })
+ *   - selectedId: ID of the displayed list, or null for the default list
+ *   - onSelect: function called with the ID of the list to display
+ *   - onCreate: function to create a list
+ *   - onRename: function called with the displayed list to rename it
+ *   - onDelete: function called with the displayed list to delete it
+ *   - onShare: function called with the displayed list to create its share link
+ *   - onUnshare: function called with the displayed list to revoke its share link
+ *   - error: error message to display (for list actions)
+ *
+ * Returns:
+ *   - Renders a select of the lists with their city counts (and owners, for other users' lists), and the
+ *     owner's list buttons
+ *   - Renders the share link of the displayed list if it is shared
+ *   - Renders only the "New list" button while the user has no list
+ */
+export default function ListSwitcher({ lists, selectedId, onSelect, onCreate, onRename, onDelete, onShare, onUnshare, error }) {
+  const selected = lists.find(list => list.id === selectedId) || lists.find(list => list.role === 'owner');
+  const isOwner = selected && selected.role === 'owner';
+  const shareUrl = isOwner && selected.shareToken && `${window.location.origin}/shared/${encodeURIComponent(selected.shareToken)}`;
+
+  return (
+    <div className="list-switcher">
+      {lists.length > 0 && (
+        <select aria-label="City list" value={selected ? selected.id : ''} onChange={e => onSelect(e.target.value)}>
+          {/* Users who only work on other users' lists have no default list */}
+          {!selected && <option value="" disabled>Choose a list</option>}
+          {lists.map(list => (
+            <option key={list.id} value={list.id}>
+              {`${list.name} (${list.cityCount})${list.role === 'owner' ? '' : ` · ${list.owner}`}`}
+            </option>
+          ))}
+        </select>
+      )}
+      {isOwner && (
+        <>
+          <button className="edit-btn" onClick={() => onRename(selected)}>Rename list</button>
+          <button className="remove-btn" onClick={() => onDelete(selected)}>Delete list</button>
+          {shareUrl ? (
+            <>
+              {/* Read-only link for people without an account */}
+              <input className="share-link" aria-label="Share link" readOnly value={shareUrl} onFocus={e => e.target.select()} />
+              <button onClick={() => onUnshare(selected)}>Stop sharing</button>
+            </>
+          ) : (
+            <button onClick={() => onShare(selected)}>Share</button>
+          )}
+        </>
+      )}
+      <button onClick={onCreate}>New list</button>
+      {/* Show error message if present */}
+      {error && <div className="error-msg">{error}</div>}
+    </div>
+  );
+}
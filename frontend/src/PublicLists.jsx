@@ -0,0 +1,46 @@
+// PublicLists.jsx
+// Public showcase for guests: city lists their owners made public, the lists featured by admins first.
+
+import React from 'react';
+import CityList from './CityList';
+
+/**
+ * PublicLists Component
+ *
+ * Shows guests the lists of users who made their lists public, read-only: the featured lists, then the
+ * most recently updated ones. Owners are not shown.
+ *
+ * Props:
+ *   - featured: array of featured lists ({ id, name, updatedAt, cities })
+ *   - recent: array of recently updated lists ({ id, name, updatedAt, cities })
+ *   - focus: city to jump to ({ cityId }, e.g. from a search hit)
+ *
+ * Returns:
+ *   - Renders a section per non-empty group, each list with its name and a read-only CityList
+ *   - Renders a message while no list is public
+ */
+export default function PublicLists({ featured, recent, focus }) {
+  // Groups of the showcase, in display order
+  const groups = [
+    { title: 'Featured lists', lists: featured },
+    { title: 'Recently updated lists', lists: recent },
+  ].filter(group => group.lists.length > 0);
+
+  if (groups.length === 0) return <div className="public-lists">No public lists yet.</div>;
+
+  return (
+    <div className="public-lists">
+      {groups.map(group => (
+        <section key={group.title}>
+          <h2>{group.title}</h2>
+          {group.lists.map(list => (
+            <div key={list.id} className="public-list">
+              <h3 className="shared-list-name">{list.name}</h3>
+              <CityList cities={list.cities} loggedIn={false} focus={focus} />
+            </div>
+          ))}
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -1,33 +1,77 @@
 // RestaurantList.jsx
-// Displays and manages restaurants for a city. Handles add/remove, error display, and enforces a limit of 5 restaurants per city.
+// Displays and manages restaurants for a city. Handles add/edit/remove, error display, and enforces a limit of 5 restaurants per city.
 
 import React from 'react';
 import { useState } from 'react';
+import ItemDetails from './ItemDetails';
+import { hasDetails } from './itemFields';
 
 /**
  * RestaurantList Component
  *
- * Displays and manages a list of restaurants for a city. Allows adding and removing restaurants,
+ * Displays and manages a list of restaurants for a city. Allows adding, renaming (inline) and removing restaurants,
+ * showing the details of each restaurant (address, website, etc.) in an expandable view,
  * displays error messages, and enforces a limit of 5 restaurants per city.
  *
  * Props:
- *   - restaurants: array of restaurant names
+ *   - restaurants: array of restaurant records ({ id, name, ...details })
  *   - cityName: name of the city (for handler calls)
  *   - onAdd: function to add a new restaurant
- *   - onDelete: function to delete a restaurant
+ *   - onUpdate: function to rename a restaurant, called with its ID and the new name
+ *   - onMove: function to move a restaurant to a new rank, called with its ID and 1-based position
+ *   - onDelete: function to delete a restaurant, called with its ID
  *   - loggedIn: boolean, true if user is logged in
  *   - error: error message to display (for restaurant actions)
  *
  * State:
  *   - newRestaurant: string, value of the new restaurant input field
+ *   - editingId: ID of the restaurant being edited inline (or null)
+ *   - editName: string, value of the inline edit input field
+ *   - expanded: object mapping restaurant IDs to boolean (details shown/hidden)
  *
  * Returns:
- *   - Renders a list of restaurants with remove buttons (if logged in)
+ *   - Renders a list of restaurants in rank order with move up/down, edit and remove buttons (if logged in)
+ *   - Renders a Details toggle for restaurants with details, and the details below expanded ones
+ *   - Renders an inline edit form in place of the restaurant being edited
  *   - Renders an add form if under the limit and logged in
  */
-export default function RestaurantList({ restaurants, cityName, onAdd, onDelete, loggedIn, error }) {
+export default function RestaurantList({ restaurants, cityName, onAdd, onUpdate, onMove, onDelete, loggedIn, error }) {
   // State for new restaurant input
   const [newRestaurant, setNewRestaurant] = useState('');
+  // State for the inline edit form
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState('');
+  // State to track which restaurants show their details
+  const [expanded, setExpanded] = useState({});
+
+  /**
+   * toggle
+   * Shows or hides the details of a restaurant.
+   * @param {string} id - The ID of the restaurant
+   */
+  const toggle = id => setExpanded(e => ({ ...e, [id]: !e[id] }));
+
+  /**
+   * startEdit
+   * Opens the inline edit form for a restaurant.
+   * @param {object} r - The restaurant record to edit
+   */
+  const startEdit = r => {
+    setEditingId(r.id);
+    setEditName(r.name);
+  };
+
+  /**
+   * saveEdit
+   * Renames the restaurant being edited (if the name changed) and closes the edit form.
+   * @param {object} r - The restaurant record being edited
+   */
+  const saveEdit = r => {
+    const name = editName.trim();
+    if (name && name !== r.name) onUpdate(r.id, name);
+    setEditingId(null);
+  };
+
   return (
     <div className="restaurant-list bright-section">
       <h4>Restaurants</h4>
@@ -35,13 +79,48 @@ export default function RestaurantList({ restaurants, cityName, onAdd, onDelete,
       {error && <div className="error-msg">{error}</div>}
       {/* List of restaurants with remove buttons (if logged in) */}
       <div>
-        {(restaurants || []).map(r => (
-          <div key={r} className="restaurant-row">
-            {/* Display restaurant name, wrapped for long names */}
-            <span className="wrap-name">{r}</span>
-            {/* Remove button, only if logged in */}
-            {loggedIn && <button className="remove-btn" onClick={() => onDelete(r)}>Remove</button>}
-          </div>
+        {(restaurants || []).map((r, index) => (
+          <React.Fragment key={r.id}>
+            <div className="restaurant-row">
+              {editingId === r.id ? (
+                /* Inline edit form for the restaurant name */
+                <form className="edit-form" onSubmit={e => { e.preventDefault(); saveEdit(r); }}>
+                  <input
+                    type="text"
+                    aria-label="Edit restaurant"
+                    value={editName}
+                    onChange={e => setEditName(e.target.value)}
+                  />
+                  <button type="submit" className="edit-btn">Save</button>
+                  <button type="button" className="remove-btn" onClick={() => setEditingId(null)}>Cancel</button>
+                </form>
+              ) : (
+                <>
+                  {/* Display restaurant name, wrapped for long names */}
+                  <span className="wrap-name">{r.name}</span>
+                  <span>
+                    {/* Details toggle, only if the restaurant has details */}
+                    {hasDetails(r) && (
+                      <button className="expand-btn" aria-expanded={!!expanded[r.id]} onClick={() => toggle(r.id)}>
+                        {expanded[r.id] ? 'Hide details' : 'Details'}
+                      </button>
+                    )}
+                    {/* Move, Edit and Remove buttons, only if logged in */}
+                    {loggedIn && (
+                      <>
+                        <button className="move-btn" aria-label="Move up" disabled={index === 0} onClick={() => onMove(r.id, index)}>↑</button>
+                        <button className="move-btn" aria-label="Move down" disabled={index === restaurants.length - 1} onClick={() => onMove(r.id, index + 2)}>↓</button>
+                        <button className="edit-btn" onClick={() => startEdit(r)}>Edit</button>
+                        <button className="remove-btn" onClick={() => onDelete(r.id)}>Remove</button>
+                      </>
+                    )}
+                  </span>
+                </>
+              )}
+            </div>
+            {/* Details of the restaurant, if expanded */}
+            {expanded[r.id] && hasDetails(r) && <ItemDetails item={r} />}
+          </React.Fragment>
         ))}
       </div>
       {/* Add restaurant form, only visible if under limit and logged in */}
@@ -0,0 +1,99 @@
+// SearchBox.jsx
+// Search box for cities, attractions and restaurants. Shows ranked hits with highlighted matches; selecting a hit jumps to its city.
+
+import React from 'react';
+import { useState } from 'react';
+
+// Labels of the hit types returned by the search API
+const TYPE_LABELS = { city: 'City', attraction: 'Attraction', restaurant: 'Restaurant' };
+
+/**
+ * Highlighted Component
+ *
+ * Renders a text with the matched ranges wrapped in <mark>.
+ *
+ * Props:
+ *   - text: the matched text
+ *   - highlights: array of { start, end } ranges of text (end exclusive)
+ */
+function Highlighted({ text, highlights }) {
+  const parts = [];
+  let position = 0;
+  (highlights || []).forEach(({ start, end }) => {
+    if (start > position) parts.push(text.slice(position, start));
+    parts.push(<mark key={start}>{text.slice(start, end)}</mark>);
+    position = end;
+  });
+  if (position < text.length) parts.push(text.slice(position));
+  return <>{parts}</>;
+}
+
+/**
+ * SearchBox Component
+ *
+ * Lets the user search their cities, attractions and restaurants, and lists the hits with the matched
+ * parts highlighted. Matching (accents, typos) is done by the backend.
+ *
+ * Props:
+ *   - results: array of search hits, or null if no search was made
+ *   - onSearch: function to run a search, called with the query
+ *   - onSelect: function called with a hit when it is selected (to jump to its city)
+ *   - onClear: function to clear the results
+ *   - error: error message to display (for search)
+ *
+ * State:
+ *   - query: string, value of the search input field
+ *
+ * Returns:
+ *   - Renders a search form, and the hits (or a "No matches" message) after a search
+ */
+export default function SearchBox({ results, onSearch, onSelect, onClear, error }) {
+  // State for the search input
+  const [query, setQuery] = useState('');
+
+  /**
+   * handleClear
+   * Empties the search input and clears the results.
+   */
+  const handleClear = () => {
+    setQuery('');
+    onClear();
+  };
+
+  return (
+    <div className="search-box">
+      <form className="search-form" onSubmit={e => { e.preventDefault(); if (query.trim()) onSearch(query.trim()); }}>
+        <input
+          type="search"
+          aria-label="Search cities, attractions and restaurants"
+          placeholder="Search, e.g. Louvre"
+          value={query}
+          onChange={e => setQuery(e.target.value)}
+        />
+        <button type="submit">Search</button>
+        {results && <button type="button" className="remove-btn" onClick={handleClear}>Clear</button>}
+      </form>
+      {/* Show error message if present */}
+      {error && <div className="error-msg">{error}</div>}
+      {/* Hits, best first; selecting one jumps to its city */}
+      {results && (results.length === 0 ? (
+        <div className="no-results">No matches</div>
+      ) : (
+        <ul className="search-results">
+          {results.map(hit => (
+            <li key={`${hit.source}-${hit.type}-${hit.itemId || hit.cityId}`}>
+              <button className="search-hit" onClick={() => onSelect(hit)}>
+                <span className="hit-type">{TYPE_LABELS[hit.type]}</span>
+                <span className="wrap-name">
+                  <Highlighted text={hit.text} highlights={hit.highlights} />
+                  {hit.field !== 'name' && <> ({hit.name})</>}
+                </span>
+                {hit.type !== 'city' && <span className="hit-city">in {hit.cityName}</span>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// SharedList.jsx
+// Read-only view of a city list shared by link (/shared/:token), for people without an account.
+
+import React from 'react';
+import { useState, useEffect } from 'react';
+import CityList from './CityList';
+
+const API = 'http://localhost:3001/api';
+
+/**
+ * SharedList Component
+ *
+ * Loads the list shared under a token and shows its cities read-only, without login or edit controls.
+ *
+ * Props:
+ *   - token: share token from the link
+ *
+ * State:
+ *   - list: the shared list ({ name, updatedAt, cities }), or null while loading
+ *   - error: error message, e.g. when the link was revoked
+ *
+ * Returns:
+ *   - Renders the list name and a read-only CityList, or the error
+ */
+export default function SharedList({ token }) {
+  const [list, setList] = useState(null);
+  const [error, setError] = useState('');
+
+  /**
+   * useEffect: Fetch the shared list
+   * - Calls backend /shared/:token endpoint (no session needed)
+   */
+  useEffect(() => {
+    fetch(`${API}/shared/${encodeURIComponent(token)}`) // API call to get the shared list
+      .then(async r => {
+        if (r.status === 404) throw new Error('This list does not exist or is no longer shared.'); // Revoked or unknown link
+        if (!r.ok) throw new Error((await r.json()).error || 'Error loading shared list'); // Handle backend error
+        return r.json();
+      })
+      .then(setList)
+      .catch(e => setError(e.message)); // Show error message
+  }, [token]);
+
+  return (
+    <div className="App">
+      <h1>Top Cities Tool</h1>
+      {error ? (
+        <div className="error-msg">{error}</div>
+      ) : !list ? (
+        <div>Loading...</div>
+      ) : (
+        <>
+          {/* Name of the shared list; its cities cannot be changed here */}
+          <h2 className="shared-list-name">{list.name}</h2>
+          <CityList cities={list.cities} loggedIn={false} />
+        </>
+      )}
+      <a className="export-link" href="/">Open Top Cities Tool</a>
+    </div>
+  );
+}
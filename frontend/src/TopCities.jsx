@@ -0,0 +1,36 @@
+// TopCities.jsx
+// Popularity ranking for guests: the cities found in the most public lists.
+
+import React from 'react';
+
+/**
+ * TopCities Component
+ *
+ * Shows guests the "Most loved cities": the cities that appear in the most public lists, with the
+ * number of lists each appears in. Cities tied in the ranking share a position.
+ *
+ * Props:
+ *   - cities: ranking from GET /api/stats/top-cities ({ rank, name, count, averageRank })
+ *
+ * Returns:
+ *   - Renders the ranked cities with their rank and list count
+ *   - Renders nothing while no public list holds a city
+ */
+export default function TopCities({ cities }) {
+  if (cities.length === 0) return null;
+
+  return (
+    <section className="top-cities">
+      <h2>Most loved cities</h2>
+      <ol>
+        {cities.map(city => (
+          <li key={city.name} className="top-city">
+            <span className="top-city-rank">{city.rank}.</span>
+            <span className="top-city-name">{city.name}</span>
+            <span className="top-city-count">in {city.count} {city.count === 1 ? 'list' : 'lists'}</span>
+          </li>
+        ))}
+      </ol>
+    </section>
+  );
+}
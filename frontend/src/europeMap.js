@@ -0,0 +1,107 @@
+// europeMap.js
+// Bundled outline of Europe and the map projection used by CityMap, so the map works offline (no tile server).
+
+// Area shown on the map, in degrees
+export const BOUNDS = { west: -25, east: 45, south: 34, north: 72 };
+
+// SVG units per degree of latitude
+const SCALE = 10;
+
+// Degrees of longitude are shortened by the cosine of the middle latitude (equirectangular projection)
+const LON_FACTOR = Math.cos(((BOUNDS.south + BOUNDS.north) / 2) * Math.PI / 180);
+
+// Size of the map in SVG units
+export const WIDTH = Math.round((BOUNDS.east - BOUNDS.west) * LON_FACTOR * SCALE);
+export const HEIGHT = (BOUNDS.north - BOUNDS.south) * SCALE;
+
+// Simplified coastlines as rings of [lon, lat] points. Land that runs off the map is cut at its edge;
+// the Black Sea is a hole in the mainland (drawn with the even-odd fill rule).
+const COASTLINES = [
+  // Mainland, from Gibraltar round the Atlantic, the Baltic and Scandinavia, then back along the Mediterranean
+  [
+    [-5.6, 36.0], [-6.3, 36.5], [-7.4, 37.2], [-9.0, 37.0], [-8.8, 38.0], [-9.5, 38.7], [-8.9, 40.0],
+    [-8.7, 41.2], [-9.3, 43.0], [-8.4, 43.4], [-6.0, 43.6], [-4.0, 43.5], [-1.8, 43.4], [-1.2, 45.5],
+    [-1.2, 46.2], [-2.5, 47.3], [-4.7, 48.0], [-4.6, 48.6], [-3.0, 48.8], [-1.6, 48.7], [-1.9, 49.7],
+    [-1.2, 49.4], [0.2, 49.5], [1.6, 50.2], [2.5, 51.1], [3.5, 51.4], [4.2, 52.0], [4.7, 52.9],
+    [5.5, 53.4], [7.0, 53.5], [8.5, 53.6], [8.7, 54.9], [8.1, 55.5], [8.2, 56.7], [10.0, 57.6],
+    [10.5, 57.2], [10.6, 56.0], [10.0, 55.0], [10.9, 54.4], [12.0, 54.2], [13.6, 54.5], [14.3, 53.9],
+    [16.0, 54.3], [18.0, 54.8], [18.6, 54.4], [19.6, 54.5], [21.1, 55.2], [21.0, 56.0], [21.0, 57.0],
+    [22.6, 57.7], [23.7, 57.0], [24.1, 57.0], [24.4, 58.3], [23.5, 58.9], [24.5, 59.4], [28.0, 59.5],
+    [30.2, 59.9], [28.8, 60.4], [26.9, 60.4], [25.0, 60.2], [22.9, 59.9], [21.4, 60.7], [21.5, 61.7],
+    [21.2, 62.6], [22.0, 63.4], [23.5, 64.0], [25.4, 65.0], [24.2, 65.8], [22.1, 65.6], [20.9, 64.5],
+    [19.5, 63.5], [17.8, 62.5], [17.3, 61.0], [18.9, 60.1], [18.1, 59.3], [16.7, 58.5], [16.4, 56.6],
+    [14.7, 56.2], [13.0, 55.4], [12.8, 56.6], [11.9, 57.7], [11.2, 58.9], [10.6, 59.9], [9.6, 59.0],
+    [8.0, 58.1], [5.6, 58.9], [5.3, 60.4], [5.0, 61.9], [6.2, 62.5], [8.0, 63.3], [10.4, 64.0],
+    [11.0, 64.6], [12.6, 66.0], [14.4, 67.3], [16.0, 68.5], [18.9, 69.7], [21.0, 70.2], [23.7, 70.7],
+    [25.8, 71.1], [28.0, 70.9], [31.0, 70.3], [33.1, 69.1], [36.0, 69.0], [41.0, 67.7], [43.5, 66.4],
+    [45.0, 67.8], [45.0, 34.0], [35.6, 34.0], [35.8, 35.5], [35.9, 36.4], [34.6, 36.8], [32.0, 36.5],
+    [30.6, 36.8], [28.2, 36.7], [27.3, 37.5], [26.3, 38.3], [26.2, 39.5], [26.4, 40.1], [26.0, 40.8],
+    [24.0, 40.8], [23.0, 40.6], [22.6, 40.0], [23.0, 39.2], [24.0, 38.2], [23.0, 37.5], [22.9, 36.5],
+    [21.7, 36.8], [21.6, 37.9], [21.1, 38.3], [20.7, 39.1], [20.0, 39.7], [19.4, 40.4], [19.5, 41.8],
+    [18.5, 42.5], [17.0, 43.4], [15.9, 43.6], [15.2, 44.3], [14.3, 45.3], [13.7, 45.1], [13.6, 45.8],
+    [12.3, 45.4], [12.5, 44.2], [13.6, 43.6], [14.2, 42.4], [15.9, 41.9], [16.9, 41.1], [18.5, 40.1],
+    [17.2, 40.5], [16.6, 39.8], [17.1, 39.0], [16.0, 38.0], [15.8, 39.6], [15.0, 40.2], [14.2, 40.8],
+    [13.0, 41.3], [12.2, 41.8], [11.1, 42.4], [10.3, 43.6], [8.9, 44.4], [7.5, 43.8], [6.0, 43.1],
+    [4.8, 43.4], [3.2, 43.2], [3.1, 42.4], [3.2, 41.9], [2.2, 41.4], [0.9, 41.0], [-0.3, 39.5],
+    [0.2, 38.7], [-0.5, 38.3], [-1.0, 37.6], [-2.1, 36.7], [-4.4, 36.7],
+  ],
+  // Black Sea
+  [
+    [29.1, 41.2], [28.0, 41.7], [27.9, 42.6], [27.9, 43.2], [28.6, 44.2], [29.6, 45.2], [30.8, 46.5],
+    [32.0, 46.3], [32.5, 45.4], [33.4, 44.5], [35.0, 44.8], [36.6, 45.2], [37.8, 44.7], [39.7, 43.6],
+    [41.6, 41.6], [40.0, 41.0], [37.0, 41.2], [35.0, 42.0], [33.0, 41.9], [31.5, 41.3],
+  ],
+  // North Africa
+  [
+    [-6.8, 34.0], [-6.2, 35.0], [-5.8, 35.8], [-5.3, 35.9], [-2.9, 35.3], [-1.0, 35.7], [3.0, 36.8],
+    [7.8, 36.9], [10.2, 37.3], [11.1, 37.0], [10.5, 36.2], [11.0, 35.2], [10.8, 34.7], [10.1, 34.0],
+  ],
+  // Great Britain
+  [
+    [-5.7, 50.0], [-3.5, 50.3], [-1.0, 50.8], [1.4, 51.2], [0.9, 51.8], [1.7, 52.6], [0.3, 53.1],
+    [0.2, 53.5], [-0.4, 54.5], [-1.5, 55.6], [-3.0, 56.0], [-2.5, 56.5], [-2.1, 57.1], [-1.8, 57.6],
+    [-3.9, 57.7], [-3.0, 58.6], [-5.0, 58.6], [-5.7, 57.5], [-5.6, 56.4], [-5.6, 55.3], [-4.9, 55.7],
+    [-5.0, 54.8], [-3.4, 54.9], [-3.6, 54.5], [-3.0, 53.8], [-3.1, 53.3], [-4.6, 53.3], [-4.2, 52.8],
+    [-4.7, 52.1], [-5.2, 51.7], [-4.0, 51.6], [-3.1, 51.4], [-4.2, 51.2], [-5.0, 50.6],
+  ],
+  // Ireland
+  [
+    [-6.3, 52.2], [-6.0, 53.3], [-6.2, 54.0], [-5.5, 54.5], [-5.8, 55.2], [-7.3, 55.4], [-8.3, 55.1],
+    [-8.6, 54.3], [-10.0, 54.2], [-9.9, 53.4], [-9.2, 53.2], [-9.9, 52.6], [-10.4, 52.1], [-9.8, 51.5],
+    [-8.5, 51.6], [-7.0, 52.1],
+  ],
+  // Iceland
+  [
+    [-22.0, 64.0], [-22.7, 65.0], [-24.0, 65.5], [-22.0, 66.4], [-18.0, 66.2], [-15.0, 66.5],
+    [-13.5, 65.3], [-14.5, 64.4], [-18.0, 63.4], [-21.0, 63.8],
+  ],
+  // Mediterranean islands: Sicily, Sardinia, Corsica, Mallorca, Crete, Cyprus
+  [[12.4, 37.8], [13.3, 38.2], [15.6, 38.3], [15.1, 37.0], [14.3, 37.0], [12.5, 37.6]],
+  [[8.4, 39.0], [8.2, 40.6], [8.4, 41.0], [9.8, 41.1], [9.6, 40.0], [9.5, 39.1], [8.6, 38.9]],
+  [[8.6, 41.9], [8.7, 42.8], [9.4, 43.0], [9.5, 42.0], [9.2, 41.4], [8.8, 41.6]],
+  [[2.4, 39.6], [3.1, 39.9], [3.5, 39.7], [3.0, 39.3]],
+  [[23.5, 35.3], [24.0, 35.6], [26.3, 35.3], [25.0, 35.0], [23.6, 35.2]],
+  [[32.3, 34.8], [32.3, 35.1], [33.0, 35.4], [34.6, 35.7], [34.0, 35.0], [33.0, 34.6]],
+];
+
+/**
+ * project
+ * Converts coordinates to a point on the map.
+ * @param {number} lat - Latitude in decimal degrees
+ * @param {number} lon - Longitude in decimal degrees
+ * @returns {{ x: number, y: number }|null} The point in SVG units, or null if it is outside the map
+ */
+export function project(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  if (lat < BOUNDS.south || lat > BOUNDS.north || lon < BOUNDS.west || lon > BOUNDS.east) return null;
+  return {
+    x: Math.round((lon - BOUNDS.west) * LON_FACTOR * SCALE * 10) / 10,
+    y: Math.round((BOUNDS.north - lat) * SCALE * 10) / 10,
+  };
+}
+
+// SVG path of the coastlines, one closed subpath per ring
+export const OUTLINE_PATH = COASTLINES.map(ring => 'M' + ring.map(([lon, lat]) => {
+  const { x, y } = project(lat, lon);
+  return `${x},${y}`;
+}).join('L') + 'Z').join('');
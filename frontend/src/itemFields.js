@@ -0,0 +1,33 @@
+// itemFields.js
+// Detail fields of attraction and restaurant records, shared by the list components and ItemDetails.
+
+// Detail fields in display order, with their labels (mirrors backend/src/itemSchema.js)
+export const DETAIL_FIELDS = [
+  ['cuisine', 'Cuisine'],
+  ['address', 'Address'],
+  ['openingHours', 'Opening hours'],
+  ['priceLevel', 'Price level'],
+  ['website', 'Website'],
+  ['notes', 'Notes'],
+  ['lat', 'Latitude'],
+  ['lon', 'Longitude'],
+];
+
+/**
+ * hasValue
+ * Tells whether an item record has a value for a detail field.
+ * @param {object} item - Attraction or restaurant record
+ * @param {string} field - Detail field name
+ * @returns {boolean}
+ */
+export const hasValue = (item, field) => item[field] !== undefined && item[field] !== null && item[field] !== '';
+
+/**
+ * hasDetails
+ * Tells whether an item record carries any detail fields worth showing.
+ * @param {object} item - Attraction or restaurant record
+ * @returns {boolean}
+ */
+export function hasDetails(item) {
+  return DETAIL_FIELDS.some(([field]) => hasValue(item, field));
+}
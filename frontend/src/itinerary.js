@@ -0,0 +1,34 @@
+// itinerary.js
+// Days of a city's trip, derived from its itinerary (mirrors backend/src/itinerarySchema.js), shared by ItineraryPlanner.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * planDays
+ * Builds the days of a city's trip with their slots in time order (slots without a time last),
+ * mirroring GET /api/cities/:cityName/itinerary.
+ * @param {object} city - City object with an itinerary
+ * @returns {Array} `[{ date, slots: [{ ...slot, name }] }]`, one entry per day of the trip
+ */
+export function planDays(city) {
+  const { startDate, endDate, slots = [] } = city.itinerary;
+  const days = [];
+  for (let time = Date.parse(`${startDate}T00:00:00Z`); time <= Date.parse(`${endDate}T00:00:00Z`); time += MS_PER_DAY) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const daySlots = slots
+      .filter(slot => slot.date === date)
+      .map(slot => ({ ...slot, name: ((city[slot.list] || []).find(item => item.id === slot.itemId) || {}).name }))
+      .filter(slot => slot.name)
+      .sort((a, b) => (a.time || '24:00').localeCompare(b.time || '24:00'));
+    days.push({ date, slots: daySlots });
+  }
+  return days;
+}
+
+/**
+ * formatDay
+ * Formats a trip date for display, e.g. "Fri 1 May".
+ * @param {string} date - Date as YYYY-MM-DD
+ * @returns {string}
+ */
+export const formatDay = date => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' });
@@ -2,9 +2,13 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import SharedList from './SharedList.jsx'
+
+// Share links (/shared/:token) open the read-only view of a shared list instead of the app
+const shared = window.location.pathname.match(/^\/shared\/([^/]+)\/?$/)
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <App />
+    {shared ? <SharedList token={decodeURIComponent(shared[1])} /> : <App />}
   </StrictMode>,
 )
@@ -10,6 +10,11 @@
  * - Mocking browser APIs (localStorage, sessionStorage)
  * - Testing component behavior with mocked data
  * - Verifying mock function calls
+ * - Loading further pages of cities from the pagination headers
+ * - Adding a city with the autocomplete input
+ * - Switching between named lists, and creating a list
+ * - List members, and lists the user can only view shown read-only
+ * - The public showcase and most loved cities for guests, and opting in to the showcase
  * - Testing error scenarios with mocked failures
  */
 import React from 'react';
@@ -160,6 +165,12 @@ describe('App Component with Mocked Dependencies', () => {
         json: () => Promise.resolve([]),
       });
 
+      // Mock most loved cities fetch
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([]),
+      });
+
       // Mock successful login
       mockFetch.mockResolvedValueOnce({
         ok: true,
@@ -224,6 +235,12 @@ describe('App Component with Mocked Dependencies', () => {
         json: () => Promise.resolve([]),
       });
 
+      // Mock most loved cities fetch
+      mockFetch.mockResolvedValueOnce({
+        ok: true,
+        json: () => Promise.resolve([]),
+      });
+
       // Mock failed login
       mockFetch.mockResolvedValueOnce({
         ok: false,
@@ -337,61 +354,34 @@ describe('App Component with Mocked Dependencies', () => {
       mockFetch.mockResolvedValueOnce({
         ok: true,
         json: () => Promise.resolve([
-          { name: 'Paris', attractions: ['Eiffel Tower'], restaurants: ['Le Meurice'] },
-          { name: 'London', attractions: [], restaurants: [] }
+          { id: 'paris', name: 'Paris', attractions: [{ id: 'a1', name: 'Eiffel Tower' }], restaurants: [{ id: 'r1', name: 'Le Meurice' }] },
+          { id: 'london', name: 'London', attractions: [], restaurants: [] }
         ]),
       });
-    });
-
-    it('should add city with mocked prompt and fetch', async () => {
-      // Mock successful session check (/users/me)
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve({ username: 'user@example.com' }),
-      });
-
-      // Mock cities fetch (/cities) - first call
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
-      });
-
-      // Mock cities fetch (/cities) - second call after user state change
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
-      });
-
-      // Mock cities fetch (/cities) - third call after component mounts
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
-      });
 
-      // Mock cities fetch (/cities) - fourth call for any additional renders
+      // Mock most loved cities fetch
       mockFetch.mockResolvedValueOnce({
         ok: true,
         json: () => Promise.resolve([]),
       });
+    });
 
-      // Mock prompt to return city name
-      mockPrompt.mockReturnValueOnce('Tokyo');
-
-      // Mock successful city addition
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve({ message: 'City added' }),
-      });
-
-      // Mock cities refresh after addition
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([
-          { name: 'Paris', attractions: [], restaurants: [] },
-          { name: 'London', attractions: [], restaurants: [] },
-          { name: 'Tokyo', attractions: [], restaurants: [] }
-        ]),
-      });
+    /**
+     * Mocks fetch by URL for the add-city tests: a logged-in session, an empty city list,
+     * gazetteer suggestions, and the given response to adding a city.
+     * @param {object} addResponse - Response to POST /cities
+     */
+    const mockAddCityFetch = (addResponse) => {
+      mockFetch.mockImplementation((url, options) => Promise.resolve(
+        url.endsWith('/users/me') ? { ok: true, json: () => Promise.resolve({ username: 'user@example.com' }) }
+          : url.includes('/places/cities') ? { ok: true, json: () => Promise.resolve([{ name: 'Lisbon', country: 'Portugal', countryCode: 'PT', matched: null }]) }
+          : options && options.method === 'POST' ? addResponse
+          : { ok: true, json: () => Promise.resolve([]) }
+      ));
+    };
+
+    it('should add city picked from the autocomplete suggestions', async () => {
+      mockAddCityFetch({ ok: true, json: () => Promise.resolve({ id: 'lisbon', name: 'Lisbon' }) });
 
       render(<App />);
 
@@ -400,12 +390,16 @@ describe('App Component with Mocked Dependencies', () => {
         expect(screen.getByText(/welcome, user@example\.com/i)).toBeInTheDocument();
       });
 
-      // Click add city button
-      const addCityButton = screen.getByRole('button', { name: /add city/i });
-      fireEvent.click(addCityButton);
+      // Click add city button: the city name input replaces it
+      fireEvent.click(screen.getByRole('button', { name: /add city/i }));
+      const input = screen.getByRole('combobox', { name: /city name/i });
 
-      // Verify prompt was called
-      expect(mockPrompt).toHaveBeenCalledWith('City name?');
+      // Typing fetches suggestions from the gazetteer
+      fireEvent.change(input, { target: { value: 'lisb' } });
+      expect(mockFetch).toHaveBeenCalledWith('http://localhost:3001/api/places/cities?q=lisb&limit=8');
+
+      // Pick the suggestion
+      fireEvent.click(await screen.findByRole('option', { name: /lisbon/i }));
 
       // Verify fetch was called with correct parameters
       expect(mockFetch).toHaveBeenCalledWith(
@@ -414,108 +408,160 @@ describe('App Component with Mocked Dependencies', () => {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           credentials: 'include',
-          body: JSON.stringify({ city: { name: 'Tokyo', attractions: [], restaurants: [] } }),
+          body: JSON.stringify({ city: { name: 'Lisbon', attractions: [], restaurants: [] } }),
         })
       );
+
+      // The input closes again
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: /add city/i })).toBeInTheDocument();
+      });
     });
 
     it('should handle city addition failure with mocked fetch', async () => {
-      // Mock successful session check (/users/me)
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve({ username: 'user@example.com' }),
+      mockAddCityFetch({ ok: false, json: () => Promise.resolve({ error: 'Unknown city "Lisbn"', suggestions: ['Lisbon'] }) });
+
+      render(<App />);
+
+      // Wait for initial load
+      await waitFor(() => {
+        expect(screen.getByText(/welcome, user@example\.com/i)).toBeInTheDocument();
       });
 
-      // Mock cities fetch (/cities) - first call
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
+      // Submit a typed name that the backend refuses
+      fireEvent.click(screen.getByRole('button', { name: /add city/i }));
+      fireEvent.change(screen.getByRole('combobox', { name: /city name/i }), { target: { value: 'Lisbn' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+
+      // The error lists the suggested names, and the input stays open to correct the name
+      await waitFor(() => {
+        expect(screen.getByText('Unknown city "Lisbn" Did you mean Lisbon?')).toBeInTheDocument();
       });
+      expect(screen.getByRole('combobox', { name: /city name/i })).toBeInTheDocument();
+    });
 
+    it('should delete city by ID with mocked fetch', async () => {
       // Mock cities fetch (/cities) - second call after user state change
       mockFetch.mockResolvedValueOnce({
         ok: true,
-        json: () => Promise.resolve([]),
+        json: () => Promise.resolve([
+          { id: 'paris', name: 'Paris', attractions: [], restaurants: [] },
+          { id: 'london', name: 'London', attractions: [], restaurants: [] }
+        ]),
       });
 
-      // Mock cities fetch (/cities) - third call after component mounts
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
-      });
+      render(<App />);
 
-      // Mock cities fetch (/cities) - fourth call for any additional renders
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
+      // Wait for the city list to load
+      await waitFor(() => {
+        expect(screen.getByText('Paris')).toBeInTheDocument();
       });
 
-      // Mock prompt to return city name
-      mockPrompt.mockReturnValueOnce('New York');
+      // Click the first city's delete button
+      fireEvent.click(screen.getAllByRole('button', { name: /delete/i })[0]);
 
-      // Mock failed city addition
-      mockFetch.mockResolvedValueOnce({
-        ok: false,
-        json: () => Promise.resolve({ error: 'City limit reached' }),
-      });
+      // Verify fetch addressed the city by ID
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/cities/by-id/paris',
+        expect.objectContaining({ method: 'DELETE', credentials: 'include' })
+      );
+    });
 
-      // Mock any additional cities fetch calls that might happen
+    it('should rename city in place with PATCH', async () => {
+      // Mock cities fetch (/cities) - second call after user state change
       mockFetch.mockResolvedValueOnce({
         ok: true,
-        json: () => Promise.resolve([]),
+        json: () => Promise.resolve([
+          { id: 'paris', name: 'Pariss', attractions: [], restaurants: [] }
+        ]),
       });
 
+      // Mock prompt to return the corrected name
+      mockPrompt.mockReturnValueOnce('Paris');
+
       render(<App />);
 
-      // Wait for initial load
+      // Wait for the city list to load
       await waitFor(() => {
-        expect(screen.getByText(/welcome, user@example\.com/i)).toBeInTheDocument();
+        expect(screen.getByText('Pariss')).toBeInTheDocument();
       });
 
-      // Click add city button
-      const addCityButton = screen.getByRole('button', { name: /add city/i });
-      fireEvent.click(addCityButton);
+      // Click the city's edit button
+      fireEvent.click(screen.getByRole('button', { name: /edit/i }));
 
-      // Verify the error handling works by checking that the component doesn't crash
-      // and that the add city button is still available
-      await waitFor(() => {
-        expect(screen.getByRole('button', { name: /add city/i })).toBeInTheDocument();
-      });
+      // Verify prompt offered the current name and fetch renamed the city by ID
+      expect(mockPrompt).toHaveBeenCalledWith('New city name?', 'Pariss');
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/cities/by-id/paris',
+        expect.objectContaining({
+          method: 'PATCH',
+          body: JSON.stringify({ city: { name: 'Paris' } }),
+        })
+      );
     });
 
-    it('should not add city when prompt is cancelled', async () => {
-      // Mock successful session check (/users/me)
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve({ username: 'user@example.com' }),
-      });
+    it('should load the next page of cities using the pagination headers', async () => {
+      // Mock responses by URL: the session, then two pages of cities
+      const page = (cities, headers) => ({ ok: true, headers: new Headers(headers), json: () => Promise.resolve(cities) });
+      mockFetch.mockImplementation(url => Promise.resolve(
+        url.endsWith('/users/me') ? { ok: true, json: () => Promise.resolve({ username: 'pager@example.com' }) }
+          : url.includes('cursor=next-page') ? page([{ id: 'rome', name: 'Rome', attractions: [], restaurants: [] }], { 'X-Total-Count': '2' })
+          : page([{ id: 'paris', name: 'Paris', attractions: [], restaurants: [] }], { 'X-Total-Count': '2', 'X-Next-Cursor': 'next-page' })
+      ));
 
-      // Mock cities fetch (/cities) - first call
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
-      });
+      render(<App />);
 
-      // Mock cities fetch (/cities) - second call after user state change
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
+      // Wait for the first page and the pagination summary
+      await waitFor(() => {
+        expect(screen.getByText('Showing 1 of 2 cities')).toBeInTheDocument();
       });
+      expect(mockFetch).toHaveBeenCalledWith('http://localhost:3001/api/cities?limit=10', { credentials: 'include' });
 
-      // Mock cities fetch (/cities) - third call after component mounts
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
+      // Load the next page: it is appended, and the button disappears on the last page
+      fireEvent.click(screen.getByRole('button', { name: /load more/i }));
+      await waitFor(() => {
+        expect(screen.getByText('Rome')).toBeInTheDocument();
       });
+      expect(screen.getByText('Paris')).toBeInTheDocument();
+      expect(mockFetch).toHaveBeenCalledWith('http://localhost:3001/api/cities?limit=10&cursor=next-page', { credentials: 'include' });
+      expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+    });
 
-      // Mock cities fetch (/cities) - fourth call for any additional renders
-      mockFetch.mockResolvedValueOnce({
-        ok: true,
-        json: () => Promise.resolve([]),
+    it('should load the page of a search hit before jumping to its city', async () => {
+      // Mock responses by URL only: the session, two lists, a search hit in the second list, and
+      // its cities in two pages, the hit's city on the second
+      mockFetch.mockReset();
+      const page = (cities, headers) => ({ ok: true, headers: new Headers(headers), json: () => Promise.resolve(cities) });
+      const json = data => ({ ok: true, json: () => Promise.resolve(data) });
+      mockFetch.mockImplementation(url => Promise.resolve(
+        url.endsWith('/users/me') ? json({ username: 'user@example.com' })
+          : url.endsWith('/members') ? json([{ username: 'user@example.com', role: 'owner' }])
+          : url.endsWith('/lists') ? json([
+            { id: 'l1', name: 'My cities', cityCount: 1, role: 'owner' },
+            { id: 'l2', name: 'Trip', cityCount: 2, role: 'owner' },
+          ])
+          : url.includes('/search') ? json([{ source: 'user', type: 'city', field: 'name', text: 'Porto', highlights: [{ start: 0, end: 5 }], name: 'Porto', cityId: 'porto', listId: 'l2' }])
+          : url.includes('/lists/l2/cities') && url.includes('cursor=next-page') ? page([{ id: 'porto', name: 'Porto', attractions: [], restaurants: [] }], { 'X-Total-Count': '2' })
+          : url.includes('/lists/l2/cities') ? page([{ id: 'lisbon', name: 'Lisbon', attractions: [], restaurants: [] }], { 'X-Total-Count': '2', 'X-Next-Cursor': 'next-page' })
+          : page([{ id: 'rome', name: 'Rome', attractions: [], restaurants: [] }], { 'X-Total-Count': '1' })
+      ));
+
+      render(<App />);
+      expect(await screen.findByText('Rome')).toBeInTheDocument();
+
+      // Select the hit: its list is shown and paged through until the city is loaded and focused
+      fireEvent.change(screen.getByRole('searchbox', { name: /search cities/i }), { target: { value: 'Porto' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+      fireEvent.click(await screen.findByRole('button', { name: /Porto/ }));
+      await waitFor(() => {
+        expect(document.getElementById('city-porto')).toHaveClass('focused');
       });
+      expect(screen.getByText('Lisbon')).toBeInTheDocument();
+      expect(mockFetch).toHaveBeenCalledWith('http://localhost:3001/api/lists/l2/cities?limit=10&cursor=next-page', { credentials: 'include' });
+    });
 
-      // Mock prompt to return null (cancelled)
-      mockPrompt.mockReturnValueOnce(null);
+    it('should not add city when the input is cancelled', async () => {
+      mockAddCityFetch({ ok: true, json: () => Promise.resolve({}) });
 
       render(<App />);
 
@@ -524,13 +570,13 @@ describe('App Component with Mocked Dependencies', () => {
         expect(screen.getByText(/welcome, user@example\.com/i)).toBeInTheDocument();
       });
 
-      // Click add city button
-      const addCityButton = screen.getByRole('button', { name: /add city/i });
-      fireEvent.click(addCityButton);
+      // Open the input, type a name and cancel
+      fireEvent.click(screen.getByRole('button', { name: /add city/i }));
+      fireEvent.change(screen.getByRole('combobox', { name: /city name/i }), { target: { value: 'New York' } });
+      fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
 
-      // Verify prompt was called but no fetch for city addition
-      expect(mockPrompt).toHaveBeenCalledWith('City name?');
-      // Should not have called fetch for adding city
+      // The Add City button is back, and no city was added
+      expect(screen.getByRole('button', { name: /add city/i })).toBeInTheDocument();
       expect(mockFetch).not.toHaveBeenCalledWith(
         'http://localhost:3001/api/cities',
         expect.objectContaining({
@@ -539,6 +585,141 @@ describe('App Component with Mocked Dependencies', () => {
         })
       );
     });
+
+    it('should switch to another list and create lists', async () => {
+      // Mock responses by URL: the session, two lists, and the cities of each list
+      const json = data => ({ ok: true, json: () => Promise.resolve(data) });
+      mockFetch.mockImplementation((url, options) => Promise.resolve(
+        url.endsWith('/users/me') ? json({ username: 'user@example.com' })
+          : url.endsWith('/members') ? json([{ username: 'user@example.com', role: 'owner' }])
+          : url.endsWith('/lists') && options && options.method === 'POST' ? json({ id: 'l3', name: 'Art', cityCount: 0, role: 'owner' })
+          : url.endsWith('/lists') ? json([
+            { id: 'l1', name: 'My cities', cityCount: 1, role: 'owner' },
+            { id: 'l2', name: 'Food', cityCount: 1, role: 'owner' },
+          ])
+          : url.includes('/lists/l2/cities') ? json([{ id: 'naples', name: 'Naples', attractions: [], restaurants: [] }])
+          : url.includes('/lists/l3/cities') ? json([])
+          : json([{ id: 'rome', name: 'Rome', attractions: [], restaurants: [] }])
+      ));
+
+      render(<App />);
+
+      // The default list is shown first
+      const select = await screen.findByRole('combobox', { name: 'City list' });
+      expect(await screen.findByText('Rome')).toBeInTheDocument();
+
+      // Selecting another list shows its cities, and city changes go to its routes
+      fireEvent.change(select, { target: { value: 'l2' } });
+      expect(await screen.findByText('Naples')).toBeInTheDocument();
+      expect(mockFetch).toHaveBeenCalledWith('http://localhost:3001/api/lists/l2/cities?limit=10', { credentials: 'include' });
+      fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/lists/l2/cities/by-id/naples',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+
+      // A new list is created with the prompted name and shown
+      mockPrompt.mockReturnValueOnce('Art');
+      fireEvent.click(screen.getByRole('button', { name: 'New list' }));
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/lists',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ list: { name: 'Art' } }) })
+      );
+      await waitFor(() => {
+        expect(mockFetch).toHaveBeenCalledWith('http://localhost:3001/api/lists/l3/cities?limit=10', { credentials: 'include' });
+      });
+    });
+
+    it('should show the members of a list and keep lists the user can only view read-only', async () => {
+      // Mock responses by URL: the session, an own list and another user's list the user can view
+      const json = data => ({ ok: true, json: () => Promise.resolve(data) });
+      mockFetch.mockImplementation((url, options) => Promise.resolve(
+        url.endsWith('/users/me') ? json({ username: 'user@example.com' })
+          : url.endsWith('/lists/team/members') && options && options.method === 'DELETE' ? json([{ username: 'boss@example.com', role: 'owner' }])
+          : url.endsWith('/lists/team/members') ? json([
+            { username: 'boss@example.com', role: 'owner' },
+            { username: 'user@example.com', role: 'viewer' },
+          ])
+          : url.endsWith('/members') ? json([{ username: 'user@example.com', role: 'owner' }])
+          : url.endsWith('/lists') ? json([
+            { id: 'l1', name: 'My cities', cityCount: 1, owner: 'user@example.com', role: 'owner' },
+            { id: 'team', name: 'Team trip', cityCount: 1, owner: 'boss@example.com', role: 'viewer' },
+          ])
+          : url.includes('/lists/team/cities') ? json([{ id: 'oslo', name: 'Oslo', attractions: [], restaurants: [] }])
+          : json([{ id: 'rome', name: 'Rome', attractions: [], restaurants: [] }])
+      ));
+
+      render(<App />);
+
+      // The owner of the default list can invite members
+      const select = await screen.findByRole('combobox', { name: 'City list' });
+      expect(await screen.findByRole('textbox', { name: 'Invite by email' })).toBeInTheDocument();
+
+      // Another user's list shows its members and its cities without edit controls
+      fireEvent.change(select, { target: { value: 'team' } });
+      expect(await screen.findByText('Oslo')).toBeInTheDocument();
+      expect(await screen.findByText('boss@example.com')).toBeInTheDocument();
+      expect(screen.queryByRole('textbox', { name: 'Invite by email' })).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Delete' })).not.toBeInTheDocument();
+
+      // Leaving the list removes the user from its members
+      fireEvent.click(screen.getByRole('button', { name: 'Leave list' }));
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/lists/team/members/user%40example.com',
+        expect.objectContaining({ method: 'DELETE' })
+      );
+      // The default list is shown again
+      await waitFor(() => expect(select).toHaveValue('l1'));
+      expect(await screen.findByText('Rome')).toBeInTheDocument();
+    });
+  });
+
+  describe('Public Showcase with Mocked Fetch', () => {
+    it('should show the public lists and most loved cities to guests', async () => {
+      // Mock responses by URL: no session, one featured and one recent public list, and the city ranking
+      const json = data => ({ ok: true, json: () => Promise.resolve(data) });
+      mockFetch.mockImplementation(url => Promise.resolve(
+        url.endsWith('/users/me') ? { ok: false, json: () => Promise.resolve({ error: 'Not logged in' }) }
+          : url.endsWith('/public/lists') ? json({
+            featured: [{ id: 'l1', name: 'Best of Italy', updatedAt: 't', cities: [{ id: 'rome', name: 'Rome', attractions: [], restaurants: [] }] }],
+            recent: [{ id: 'l2', name: 'Lisbon weekend', updatedAt: 't', cities: [{ id: 'lisbon', name: 'Lisbon', attractions: [], restaurants: [] }] }],
+          })
+          : url.endsWith('/stats/top-cities') ? json([{ rank: 1, name: 'Paris', count: 4, averageRank: 1.5 }])
+          : json([])
+      ));
+
+      render(<App />);
+
+      expect(await screen.findByText('Best of Italy')).toBeInTheDocument();
+      expect(await screen.findByRole('heading', { name: 'Most loved cities' })).toBeInTheDocument();
+      expect(screen.getByText('Paris')).toBeInTheDocument();
+      expect(screen.getByText('in 4 lists')).toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Featured lists' })).toBeInTheDocument();
+      expect(screen.getByText('Lisbon')).toBeInTheDocument();
+      // Guests no longer read another user's cities
+      expect(mockFetch).not.toHaveBeenCalledWith(expect.stringContaining('/cities'), expect.anything());
+    });
+
+    it('should let users show their lists to visitors', async () => {
+      // Mock responses by URL: a session with private lists, and the changed flag
+      const json = data => ({ ok: true, json: () => Promise.resolve(data) });
+      mockFetch.mockImplementation((url, options) => Promise.resolve(
+        url.endsWith('/users/me') && options && options.method === 'PATCH' ? json({ username: 'user@example.com', public: true })
+          : url.endsWith('/users/me') ? json({ username: 'user@example.com', public: false })
+          : json([])
+      ));
+
+      render(<App />);
+
+      const checkbox = await screen.findByRole('checkbox', { name: 'Show my lists to visitors' });
+      expect(checkbox).not.toBeChecked();
+      fireEvent.click(checkbox);
+      expect(mockFetch).toHaveBeenCalledWith(
+        'http://localhost:3001/api/users/me',
+        expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ public: true }) })
+      );
+      await waitFor(() => expect(checkbox).toBeChecked());
+    });
   });
 
   describe('Local Storage and Session Storage Mocking', () => {
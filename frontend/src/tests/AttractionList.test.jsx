@@ -8,6 +8,9 @@
  * - Rendering of attractions
  * - Conditional rendering of the add form (based on login state and attraction count)
  * - Add and remove functionality (event handlers)
+ * - Inline editing of names
+ * - Moving items up and down by rank
+ * - Expandable detail view for structured records
  * - Error message display
  * - UI/UX details (wrapping long names, button alignment)
  * - Enforcement of the 5-attraction limit
@@ -21,7 +24,7 @@ import AttractionList from '../AttractionList';
 // This describe block covers all behaviors and edge cases for the AttractionList component
 
 describe('AttractionList', () => {
-  const attractions = ['Eiffel Tower', 'Louvre'];
+  const attractions = [{ id: 'a1', name: 'Eiffel Tower' }, { id: 'a2', name: 'Louvre' }];
 
   // Test: Rendering of provided attractions
   it('renders attractions', () => {
@@ -45,12 +48,66 @@ describe('AttractionList', () => {
     expect(onAdd).toHaveBeenCalledWith('Arc de Triomphe');
   });
 
-  // Test: onDelete handler is called with correct value when remove is clicked
+  // Test: onDelete handler is called with the attraction ID when remove is clicked
   it('calls onDelete when remove is clicked', () => {
     const onDelete = vi.fn();
-    render(<AttractionList attractions={['Eiffel Tower']} loggedIn={true} onDelete={onDelete} />);
+    render(<AttractionList attractions={[{ id: 'a1', name: 'Eiffel Tower' }]} loggedIn={true} onDelete={onDelete} />);
     fireEvent.click(screen.getAllByText(/remove/i)[0]);
-    expect(onDelete).toHaveBeenCalledWith('Eiffel Tower');
+    expect(onDelete).toHaveBeenCalledWith('a1');
+  });
+
+  // Test: Inline edit calls onUpdate with the attraction ID and the new name
+  it('renames an attraction inline', () => {
+    const onUpdate = vi.fn();
+    render(<AttractionList attractions={[{ id: 'a1', name: 'Notre-Dame Cathdral' }]} loggedIn={true} onUpdate={onUpdate} onDelete={() => {}} />);
+    fireEvent.click(screen.getByText(/edit/i));
+    fireEvent.change(screen.getByLabelText(/edit attraction/i), { target: { value: 'Notre-Dame Cathedral' } });
+    fireEvent.click(screen.getByText(/save/i));
+    expect(onUpdate).toHaveBeenCalledWith('a1', 'Notre-Dame Cathedral');
+    expect(screen.queryByLabelText(/edit attraction/i)).not.toBeInTheDocument();
+  });
+
+  // Test: Cancelling the inline edit keeps the name and does not call onUpdate
+  it('cancels the inline edit without calling onUpdate', () => {
+    const onUpdate = vi.fn();
+    render(<AttractionList attractions={[{ id: 'a1', name: 'Notre-Dame Cathdral' }]} loggedIn={true} onUpdate={onUpdate} onDelete={() => {}} />);
+    fireEvent.click(screen.getByText(/edit/i));
+    fireEvent.click(screen.getByText(/cancel/i));
+    expect(onUpdate).not.toHaveBeenCalled();
+    expect(screen.getByText('Notre-Dame Cathdral')).toBeInTheDocument();
+  });
+
+  // Test: Move buttons call onMove with the attraction ID and target rank
+  it('moves attractions up and down by rank', () => {
+    const onMove = vi.fn();
+    render(<AttractionList attractions={attractions} loggedIn={true} onMove={onMove} onDelete={() => {}} />);
+    const upButtons = screen.getAllByRole('button', { name: /move up/i });
+    expect(upButtons[0]).toBeDisabled();
+    fireEvent.click(upButtons[1]);
+    expect(onMove).toHaveBeenCalledWith('a2', 1);
+  });
+
+  // Test: Details are hidden until expanded, and only offered for attractions that have them
+  it('expands and collapses attraction details', () => {
+    render(<AttractionList attractions={[{ id: 'a1', name: 'Louvre', address: 'Rue de Rivoli, Paris', website: 'https://www.louvre.fr', priceLevel: 2 }, { id: 'x2', name: 'Plain' }]} loggedIn={false} />);
+    expect(screen.queryByText('Rue de Rivoli, Paris')).not.toBeInTheDocument();
+    const detailsBtn = screen.getByRole('button', { name: 'Details' });
+    expect(screen.getAllByRole('button', { name: 'Details' })).toHaveLength(1);
+    fireEvent.click(detailsBtn);
+    expect(detailsBtn).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText('Rue de Rivoli, Paris')).toBeInTheDocument();
+    expect(screen.getByRole('link', { name: 'https://www.louvre.fr' })).toHaveAttribute('href', 'https://www.louvre.fr');
+    expect(screen.getByLabelText('Price level 2 of 4')).toHaveTextContent('€€');
+    fireEvent.click(screen.getByRole('button', { name: 'Hide details' }));
+    expect(screen.queryByText('Rue de Rivoli, Paris')).not.toBeInTheDocument();
+  });
+
+  // Test: Coordinates are shown with the other details
+  it('shows attraction coordinates in the details', () => {
+    render(<AttractionList attractions={[{ id: 'a1', name: 'Louvre', lat: 48.8606, lon: 2.3376 }]} loggedIn={false} />);
+    fireEvent.click(screen.getByRole('button', { name: 'Details' }));
+    expect(screen.getByText('Latitude').nextSibling).toHaveTextContent('48.8606');
+    expect(screen.getByText('Longitude').nextSibling).toHaveTextContent('2.3376');
   });
 
   // Test: Error message is displayed if error prop is set
@@ -62,7 +119,7 @@ describe('AttractionList', () => {
   // Test: Long attraction names are wrapped and remove button is aligned left
   it('wraps long attraction names and aligns remove button left', () => {
     const longName = 'A very very very very long attraction name';
-    render(<AttractionList attractions={[longName]} loggedIn={true} onDelete={() => {}} />);
+    render(<AttractionList attractions={[{ id: 'a1', name: longName }]} loggedIn={true} onDelete={() => {}} />);
     const nameSpan = screen.getByText(longName);
     expect(nameSpan).toHaveClass('wrap-name');
     const removeBtn = screen.getByText(/remove/i);
@@ -72,14 +129,14 @@ describe('AttractionList', () => {
 
   // Test: Add Attraction form is hidden when there are 5 attractions
   it('hides Add Attraction form when there are 5 attractions', () => {
-    const attractions = Array.from({length: 5}, (_, i) => `Attraction${i}`);
+    const attractions = Array.from({length: 5}, (_, i) => ({ id: `a${i}`, name: `Attraction${i}` }));
     render(<AttractionList attractions={attractions} loggedIn={true} onAdd={() => {}} />);
     expect(screen.queryByPlaceholderText(/add attraction/i)).not.toBeInTheDocument();
   });
 
   // Test: Add Attraction form is shown when there are less than 5 attractions
   it('shows Add Attraction form when there are less than 5 attractions', () => {
-    const attractions = Array.from({length: 4}, (_, i) => `Attraction${i}`);
+    const attractions = Array.from({length: 4}, (_, i) => ({ id: `a${i}`, name: `Attraction${i}` }));
     render(<AttractionList attractions={attractions} loggedIn={true} onAdd={() => {}} />);
     expect(screen.getByPlaceholderText(/add attraction/i)).toBeInTheDocument();
   });
@@ -0,0 +1,82 @@
+/**
+ * CityAutocomplete.test.jsx
+ *
+ * This test suite verifies the CityAutocomplete component, the input for the name of a new city that
+ * suggests European cities from the backend's gazetteer.
+ *
+ * Coverage includes:
+ * - Asking for suggestions as the user types
+ * - Rendering suggestions with their country and matched local name
+ * - Picking a suggestion with the mouse or the keyboard
+ * - Submitting a typed name, and cancelling
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import CityAutocomplete from '../CityAutocomplete';
+
+// Group all CityAutocomplete tests
+// This describe block covers all behaviors and edge cases for the CityAutocomplete component
+
+describe('CityAutocomplete', () => {
+  const suggestions = [
+    { name: 'Munich', country: 'Germany', countryCode: 'DE', matched: 'München' },
+    { name: 'Manchester', country: 'United Kingdom', countryCode: 'GB', matched: null },
+  ];
+
+  /**
+   * Renders the component with mocked handlers and types a text into it.
+   * @param {string} text - Text to type
+   * @returns {object} The handlers and the input
+   */
+  const setup = (text) => {
+    const handlers = { onSuggest: vi.fn(), onSubmit: vi.fn(), onCancel: vi.fn() };
+    render(<CityAutocomplete suggestions={suggestions} {...handlers} />);
+    const input = screen.getByRole('combobox', { name: /city name/i });
+    fireEvent.change(input, { target: { value: text } });
+    return { ...handlers, input };
+  };
+
+  // Test: Typing asks for suggestions, which are listed with their country
+  it('shows suggestions for the typed text', () => {
+    const { onSuggest, input } = setup('munchen');
+    expect(onSuggest).toHaveBeenCalledWith('munchen');
+    expect(input).toHaveAttribute('aria-expanded', 'true');
+    const options = screen.getAllByRole('option');
+    expect(options).toHaveLength(2);
+    expect(options[0]).toHaveTextContent('Munich (München)Germany');
+  });
+
+  // Test: Clicking a suggestion adds that city
+  it('adds a clicked suggestion', () => {
+    const { onSubmit } = setup('man');
+    fireEvent.click(screen.getByRole('option', { name: /manchester/i }));
+    expect(onSubmit).toHaveBeenCalledWith('Manchester');
+  });
+
+  // Test: Arrow keys highlight a suggestion, and Enter adds it
+  it('picks a suggestion with the keyboard', () => {
+    const { onSubmit, input } = setup('mun');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowUp' });
+    expect(screen.getAllByRole('option')[0]).toHaveAttribute('aria-selected', 'true');
+    fireEvent.submit(input);
+    expect(onSubmit).toHaveBeenCalledWith('Munich');
+  });
+
+  // Test: Without a highlighted suggestion the trimmed typed name is added
+  it('adds the typed name', () => {
+    const { onSubmit } = setup('  Gotham ');
+    fireEvent.click(screen.getByRole('button', { name: 'Add' }));
+    expect(onSubmit).toHaveBeenCalledWith('Gotham');
+  });
+
+  // Test: Escape and the Cancel button close the input
+  it('cancels with Escape or the Cancel button', () => {
+    const { onCancel, input } = setup('par');
+    fireEvent.keyDown(input, { key: 'Escape' });
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onCancel).toHaveBeenCalledTimes(2);
+  });
+});
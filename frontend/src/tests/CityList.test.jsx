@@ -7,7 +7,10 @@
  * Coverage includes:
  * - Rendering of city names
  * - Add, delete, and update city functionality
+ * - Moving cities up and down by rank
  * - Expand/collapse logic for city details
+ * - Jumping to a focused city (e.g. from a search hit)
+ * - Map tab with click-to-expand city details
  * - Button class and alignment
  * - Error message display and propagation
  * - UI/UX details (wrapping long names, button alignment)
@@ -23,8 +26,8 @@ import CityList from '../CityList';
 
 describe('CityList', () => {
   const sampleCities = [
-    { name: 'Paris', attractions: ['Eiffel Tower'], restaurants: ['Le Meurice'] },
-    { name: 'London', attractions: [], restaurants: [] }
+    { id: 'paris', name: 'Paris', attractions: [{ id: 'a1', name: 'Eiffel Tower' }], restaurants: [{ id: 'r1', name: 'Le Meurice' }] },
+    { id: 'london', name: 'London', attractions: [], restaurants: [] }
   ];
 
   // Test: Rendering of provided city names
@@ -42,12 +45,26 @@ describe('CityList', () => {
     expect(onAddCity).toHaveBeenCalled();
   });
 
-  // Test: onDeleteCity handler is called with correct city name when Delete is clicked
+  // Test: onDeleteCity handler is called with the city ID when Delete is clicked
   it('calls onDeleteCity when delete button is clicked', () => {
     const onDeleteCity = vi.fn();
     render(<CityList cities={sampleCities} onDeleteCity={onDeleteCity} loggedIn={true} />);
     fireEvent.click(screen.getAllByText(/delete/i)[0]);
-    expect(onDeleteCity).toHaveBeenCalledWith('Paris');
+    expect(onDeleteCity).toHaveBeenCalledWith('paris');
+  });
+
+  // Test: Move buttons call onMoveCity with the target rank, and are disabled at the ends
+  it('moves cities up and down by rank', () => {
+    const onMoveCity = vi.fn();
+    render(<CityList cities={sampleCities} onMoveCity={onMoveCity} loggedIn={true} />);
+    const upButtons = screen.getAllByRole('button', { name: /move up/i });
+    const downButtons = screen.getAllByRole('button', { name: /move down/i });
+    expect(upButtons[0]).toBeDisabled();
+    expect(downButtons[1]).toBeDisabled();
+    fireEvent.click(downButtons[0]);
+    expect(onMoveCity).toHaveBeenCalledWith('paris', 2);
+    fireEvent.click(upButtons[1]);
+    expect(onMoveCity).toHaveBeenCalledWith('london', 1);
   });
 
   // Test: Expand/collapse logic for city details
@@ -64,6 +81,34 @@ describe('CityList', () => {
     expect(screen.queryByText('Attractions')).not.toBeInTheDocument();
   });
 
+  // Test: A focused city is expanded and highlighted
+  it('expands and highlights the focused city', () => {
+    const { rerender } = render(<CityList cities={sampleCities} loggedIn={false} />);
+    expect(screen.queryByText('Eiffel Tower')).not.toBeInTheDocument();
+    rerender(<CityList cities={sampleCities} loggedIn={false} focus={{ cityId: 'paris' }} />);
+    expect(screen.getByText('Eiffel Tower')).toBeInTheDocument();
+    expect(screen.getByText('Paris').closest('.city-item')).toHaveClass('focused');
+    expect(screen.getByText('London').closest('.city-item')).not.toHaveClass('focused');
+  });
+
+  // Test: The Map tab shows markers, and clicking one shows that city's details below the map
+  it('shows the cities on a map with click-to-expand details', () => {
+    const cities = [{ ...sampleCities[0], lat: 48.8566, lon: 2.3522 }, sampleCities[1]];
+    render(<CityList cities={cities} loggedIn={false} />);
+    fireEvent.click(screen.getByRole('tab', { name: 'Map' }));
+    expect(screen.getByRole('tab', { name: 'Map' })).toHaveAttribute('aria-selected', 'true');
+    expect(screen.queryByRole('button', { name: /expand/i })).not.toBeInTheDocument();
+    expect(screen.getByText('Not on the map: London')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: '1. Paris' }));
+    expect(screen.getByText('Eiffel Tower')).toBeInTheDocument();
+    expect(screen.getByText('Le Meurice')).toBeInTheDocument();
+    // Clicking the marker again closes the details
+    fireEvent.click(screen.getByRole('button', { name: '1. Paris' }));
+    expect(screen.queryByText('Eiffel Tower')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('tab', { name: 'List' }));
+    expect(screen.getAllByRole('button', { name: /expand/i })).toHaveLength(2);
+  });
+
   // Test: Expand/collapse button has correct className
   it('expand/collapse button has correct className', () => {
     render(<CityList cities={sampleCities} loggedIn={true} />);
@@ -83,7 +128,7 @@ describe('CityList', () => {
   // Test: Error is passed to child AttractionList and RestaurantList components
   it('passes error to AttractionList and RestaurantList', () => {
     const sampleCities = [
-      { name: 'Paris', attractions: ['Eiffel Tower'], restaurants: ['Le Meurice'] }
+      { id: 'paris', name: 'Paris', attractions: [{ id: 'a1', name: 'Eiffel Tower' }], restaurants: [{ id: 'r1', name: 'Le Meurice' }] }
     ];
     render(<CityList cities={sampleCities} error="Attraction limit!" loggedIn={true} onAddAttraction={() => {}} onDeleteAttraction={() => {}} onAddRestaurant={() => {}} onDeleteRestaurant={() => {}} onUpdateCity={() => {}} onDeleteCity={() => {}} onAddCity={() => {}} />);
     fireEvent.click(screen.getAllByText(/expand/i)[0]);
@@ -94,7 +139,7 @@ describe('CityList', () => {
   // Test: Long city names are wrapped and buttons are aligned left
   it('wraps long city names and aligns buttons left', () => {
     const longName = 'A very very very very long city name that should wrap';
-    render(<CityList cities={[{ name: longName, attractions: [], restaurants: [] }]} loggedIn={true} onUpdateCity={() => {}} onDeleteCity={() => {}} onAddAttraction={() => {}} onDeleteAttraction={() => {}} onAddRestaurant={() => {}} onDeleteRestaurant={() => {}} onAddCity={() => {}} />);
+    render(<CityList cities={[{ id: 'long', name: longName, attractions: [], restaurants: [] }]} loggedIn={true} onUpdateCity={() => {}} onDeleteCity={() => {}} onAddAttraction={() => {}} onDeleteAttraction={() => {}} onAddRestaurant={() => {}} onDeleteRestaurant={() => {}} onAddCity={() => {}} />);
     const nameH3 = screen.getByText(longName);
     expect(nameH3).toHaveClass('wrap-name');
     // Check for button classes
@@ -105,15 +150,22 @@ describe('CityList', () => {
 
   // Test: Add City button is hidden when there are 10 cities
   it('hides Add City button when there are 10 cities', () => {
-    const cities = Array.from({length: 10}, (_, i) => ({ name: `City${i}`, attractions: [], restaurants: [] }));
+    const cities = Array.from({length: 10}, (_, i) => ({ id: `c${i}`, name: `City${i}`, attractions: [], restaurants: [] }));
     render(<CityList cities={cities} loggedIn={true} onAddCity={() => {}} />);
     expect(screen.queryByText(/add city/i)).not.toBeInTheDocument();
   });
 
   // Test: Add City button is shown when there are less than 10 cities
   it('shows Add City button when there are less than 10 cities', () => {
-    const cities = Array.from({length: 9}, (_, i) => ({ name: `City${i}`, attractions: [], restaurants: [] }));
+    const cities = Array.from({length: 9}, (_, i) => ({ id: `c${i}`, name: `City${i}`, attractions: [], restaurants: [] }));
     render(<CityList cities={cities} loggedIn={true} onAddCity={() => {}} />);
     expect(screen.getByText(/add city/i)).toBeInTheDocument();
   });
+
+  // Test: The add city form replaces the Add City button while it is open
+  it('shows the add city form instead of the Add City button', () => {
+    render(<CityList cities={[]} loggedIn={true} onAddCity={() => {}} addCityForm={<form aria-label="New city" />} />);
+    expect(screen.getByRole('form', { name: 'New city' })).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /add city/i })).not.toBeInTheDocument();
+  });
 }); 
\ No newline at end of file
@@ -24,10 +24,10 @@ vi.mock('../AttractionList', () => ({
       {error && <div data-testid="attraction-error">{error}</div>}
       {attractions.map((attraction, index) => (
         <div key={index} data-testid={`attraction-${index}`}>
-          {attraction}
+          {attraction.name}
           <button 
             data-testid={`delete-attraction-${index}`}
-            onClick={() => onDelete(attraction)}
+            onClick={() => onDelete(attraction.id)}
           >
             Delete
           </button>
@@ -51,10 +51,10 @@ vi.mock('../RestaurantList', () => ({
       {error && <div data-testid="restaurant-error">{error}</div>}
       {restaurants.map((restaurant, index) => (
         <div key={index} data-testid={`restaurant-${index}`}>
-          {restaurant}
+          {restaurant.name}
           <button 
             data-testid={`delete-restaurant-${index}`}
-            onClick={() => onDelete(restaurant)}
+            onClick={() => onDelete(restaurant.id)}
           >
             Delete
           </button>
@@ -75,9 +75,11 @@ import AttractionList from '../AttractionList';
 import RestaurantList from '../RestaurantList';
 
 describe('CityList Component with Mocked Dependencies', () => {
+  const parisAttractions = [{ id: 'a1', name: 'Eiffel Tower' }, { id: 'a2', name: 'Louvre' }];
+  const parisRestaurants = [{ id: 'r1', name: 'Le Meurice' }, { id: 'r2', name: 'L\'Astrance' }];
   const sampleCities = [
-    { name: 'Paris', attractions: ['Eiffel Tower', 'Louvre'], restaurants: ['Le Meurice', 'L\'Astrance'] },
-    { name: 'London', attractions: ['Big Ben'], restaurants: ['The Ritz'] }
+    { id: 'paris', name: 'Paris', attractions: parisAttractions, restaurants: parisRestaurants },
+    { id: 'london', name: 'London', attractions: [{ id: 'a3', name: 'Big Ben' }], restaurants: [{ id: 'r3', name: 'The Ritz' }] }
   ];
 
   beforeEach(() => {
@@ -100,7 +102,7 @@ describe('CityList Component with Mocked Dependencies', () => {
       // Verify AttractionList was called with correct props
       expect(AttractionList).toHaveBeenCalledWith(
         expect.objectContaining({
-          attractions: ['Eiffel Tower', 'Louvre'],
+          attractions: parisAttractions,
           cityName: 'Paris',
           loggedIn: true,
           error: undefined
@@ -111,7 +113,7 @@ describe('CityList Component with Mocked Dependencies', () => {
       // Verify RestaurantList was called with correct props
       expect(RestaurantList).toHaveBeenCalledWith(
         expect.objectContaining({
-          restaurants: ['Le Meurice', 'L\'Astrance'],
+          restaurants: parisRestaurants,
           cityName: 'Paris',
           loggedIn: true,
           error: undefined
@@ -174,17 +176,17 @@ describe('CityList Component with Mocked Dependencies', () => {
 
       // Test attraction interactions
       fireEvent.click(screen.getByTestId('add-attraction'));
-      expect(onAddAttraction).toHaveBeenCalledWith('Paris', 'New Attraction');
+      expect(onAddAttraction).toHaveBeenCalledWith('paris', 'New Attraction');
 
       fireEvent.click(screen.getByTestId('delete-attraction-0'));
-      expect(onDeleteAttraction).toHaveBeenCalledWith('Paris', 'Eiffel Tower');
+      expect(onDeleteAttraction).toHaveBeenCalledWith('paris', 'a1');
 
       // Test restaurant interactions
       fireEvent.click(screen.getByTestId('add-restaurant'));
-      expect(onAddRestaurant).toHaveBeenCalledWith('Paris', 'New Restaurant');
+      expect(onAddRestaurant).toHaveBeenCalledWith('paris', 'New Restaurant');
 
       fireEvent.click(screen.getByTestId('delete-restaurant-0'));
-      expect(onDeleteRestaurant).toHaveBeenCalledWith('Paris', 'Le Meurice');
+      expect(onDeleteRestaurant).toHaveBeenCalledWith('paris', 'r1');
     });
   });
 
@@ -212,14 +214,14 @@ describe('CityList Component with Mocked Dependencies', () => {
       expect(onUpdateCity).toHaveBeenCalledWith(sampleCities[0]);
 
       fireEvent.click(screen.getAllByText(/delete/i)[0]);
-      expect(onDeleteCity).toHaveBeenCalledWith('Paris');
+      expect(onDeleteCity).toHaveBeenCalledWith('paris');
     });
 
     it('should handle multiple cities with mocked child components', () => {
       const manyCities = [
-        { name: 'Paris', attractions: ['A1', 'A2'], restaurants: ['R1', 'R2'] },
-        { name: 'London', attractions: ['A3'], restaurants: ['R3'] },
-        { name: 'Tokyo', attractions: ['A4', 'A5', 'A6'], restaurants: ['R4'] }
+        { id: 'paris', name: 'Paris', attractions: [{ id: 'a1', name: 'A1' }, { id: 'a2', name: 'A2' }], restaurants: [{ id: 'r1', name: 'R1' }, { id: 'r2', name: 'R2' }] },
+        { id: 'london', name: 'London', attractions: [{ id: 'a3', name: 'A3' }], restaurants: [{ id: 'r3', name: 'R3' }] },
+        { id: 'tokyo', name: 'Tokyo', attractions: [{ id: 'a4', name: 'A4' }, { id: 'a5', name: 'A5' }, { id: 'a6', name: 'A6' }], restaurants: [{ id: 'r4', name: 'R4' }] }
       ];
 
       render(<CityList cities={manyCities} loggedIn={true} />);
@@ -256,7 +258,7 @@ describe('CityList Component with Mocked Dependencies', () => {
       // Verify AttractionList was called with specific attractions
       expect(AttractionList).toHaveBeenCalledWith(
         expect.objectContaining({
-          attractions: ['Eiffel Tower', 'Louvre'],
+          attractions: parisAttractions,
           cityName: 'Paris',
           loggedIn: true,
           error: undefined
@@ -267,7 +269,7 @@ describe('CityList Component with Mocked Dependencies', () => {
       // Verify RestaurantList was called with specific restaurants
       expect(RestaurantList).toHaveBeenCalledWith(
         expect.objectContaining({
-          restaurants: ['Le Meurice', 'L\'Astrance'],
+          restaurants: parisRestaurants,
           cityName: 'Paris',
           loggedIn: true,
           error: undefined
@@ -300,12 +302,12 @@ describe('CityList Component with Mocked Dependencies', () => {
       const restaurantCalls = RestaurantList.mock.calls;
 
       // Verify first city's components were called first
-      expect(attractionCalls[0][0].attractions).toEqual(['Eiffel Tower', 'Louvre']);
-      expect(restaurantCalls[0][0].restaurants).toEqual(['Le Meurice', 'L\'Astrance']);
+      expect(attractionCalls[0][0].attractions).toEqual(parisAttractions);
+      expect(restaurantCalls[0][0].restaurants).toEqual(parisRestaurants);
 
       // Verify second city's components were called second
-      expect(attractionCalls[1][0].attractions).toEqual(['Eiffel Tower', 'Louvre']);
-      expect(restaurantCalls[1][0].restaurants).toEqual(['Le Meurice', 'L\'Astrance']);
+      expect(attractionCalls[1][0].attractions).toEqual(parisAttractions);
+      expect(restaurantCalls[1][0].restaurants).toEqual(parisRestaurants);
     });
   });
 
@@ -0,0 +1,67 @@
+/**
+ * CityMap.test.jsx
+ *
+ * This test suite verifies the CityMap component, which draws the cities on the bundled outline of Europe.
+ *
+ * Coverage includes:
+ * - Placing numbered markers at the cities' coordinates
+ * - Listing cities without coordinates, or outside the map, below it
+ * - Tooltips on hover
+ * - Selecting a city with the mouse or the keyboard
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import CityMap from '../CityMap';
+import { project } from '../europeMap';
+
+// Group all CityMap tests
+// This describe block covers all behaviors and edge cases for the CityMap component
+
+describe('CityMap', () => {
+  const cities = [
+    { id: 'paris', name: 'Paris', lat: 48.8566, lon: 2.3522, attractions: [{ id: 'a1', name: 'Louvre' }], restaurants: [] },
+    { id: 'atlantis', name: 'Atlantis', attractions: [], restaurants: [] },
+    { id: 'lisbon', name: 'Lisbon', lat: 38.7223, lon: -9.1393, attractions: [], restaurants: [] },
+    { id: 'tokyo', name: 'Tokyo', lat: 35.6762, lon: 139.6503, attractions: [], restaurants: [] },
+  ];
+
+  // Test: Markers are numbered by rank and placed at the projected coordinates
+  it('places a numbered marker per city with coordinates', () => {
+    render(<CityMap cities={cities} selectedId={null} onSelect={() => {}} />);
+    const paris = screen.getByRole('button', { name: '1. Paris' });
+    const { x, y } = project(48.8566, 2.3522);
+    expect(paris).toHaveAttribute('transform', `translate(${x} ${y})`);
+    expect(paris).toHaveTextContent('1');
+    expect(screen.getByRole('button', { name: '3. Lisbon' })).toBeInTheDocument();
+    expect(screen.getAllByRole('button')).toHaveLength(2);
+  });
+
+  // Test: Cities without coordinates or outside Europe are named below the map
+  it('lists the cities that are not on the map', () => {
+    render(<CityMap cities={cities} selectedId={null} onSelect={() => {}} />);
+    expect(screen.getByText('Not on the map: Atlantis, Tokyo')).toBeInTheDocument();
+  });
+
+  // Test: Hovering a marker shows its tooltip, leaving it hides the tooltip
+  it('shows a tooltip while a marker is hovered', () => {
+    render(<CityMap cities={cities} selectedId={null} onSelect={() => {}} />);
+    expect(screen.queryByRole('tooltip')).not.toBeInTheDocument();
+    fireEvent.mouseEnter(screen.getByRole('button', { name: '1. Paris' }));
+    expect(screen.getByRole('tooltip')).toHaveTextContent('Paris1 attractions, 0 restaurants');
+    fireEvent.mouseLeave(screen.getByRole('button', { name: '1. Paris' }));
+    expect(screen.queryByRole('tooltip')).not.toBeInTheDocument();
+  });
+
+  // Test: Clicking a marker or pressing Enter on it selects the city; the selected marker is highlighted
+  it('selects a city with the mouse or the keyboard', () => {
+    const onSelect = vi.fn();
+    render(<CityMap cities={cities} selectedId="lisbon" onSelect={onSelect} />);
+    fireEvent.click(screen.getByRole('button', { name: '1. Paris' }));
+    expect(onSelect).toHaveBeenCalledWith('paris');
+    fireEvent.keyDown(screen.getByRole('button', { name: '3. Lisbon' }), { key: 'Enter' });
+    expect(onSelect).toHaveBeenCalledWith('lisbon');
+    expect(screen.getByRole('button', { name: '3. Lisbon' })).toHaveClass('selected');
+    expect(screen.getByRole('button', { name: '1. Paris' })).not.toHaveClass('selected');
+  });
+});
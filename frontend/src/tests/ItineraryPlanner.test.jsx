@@ -0,0 +1,125 @@
+/**
+ * ItineraryPlanner.test.jsx
+ *
+ * This test suite verifies the ItineraryPlanner component, the day-by-day plan of a trip to a city.
+ *
+ * Coverage includes:
+ * - Planning a trip by its dates
+ * - Listing every day of the trip with its slots in time order
+ * - Assigning attractions and restaurants to a day and time
+ * - Moving slots to another day, removing them, and deleting the itinerary
+ * - Optimising the walking route of a day with several attractions
+ * - Linking to the iCalendar export of a planned trip
+ * - Read-only plans for guests
+ */
+import React from 'react';
+import { render, screen, fireEvent, within, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import ItineraryPlanner from '../ItineraryPlanner';
+
+// Group all ItineraryPlanner tests
+// This describe block covers all behaviors and edge cases for the ItineraryPlanner component
+
+describe('ItineraryPlanner', () => {
+  const city = {
+    id: 'rome', name: 'Rome',
+    attractions: [{ id: 'a1', name: 'Colosseum' }, { id: 'a2', name: 'Pantheon' }],
+    restaurants: [{ id: 'r1', name: 'Roscioli' }],
+  };
+  const planned = {
+    ...city,
+    itinerary: {
+      startDate: '2026-05-01', endDate: '2026-05-02',
+      slots: [
+        { id: 's1', date: '2026-05-01', time: null, list: 'attractions', itemId: 'a2', notes: 'Free entry' },
+        { id: 's2', date: '2026-05-01', time: '13:00', list: 'restaurants', itemId: 'r1' },
+        { id: 's3', date: '2026-05-01', time: '09:30', list: 'attractions', itemId: 'a1' },
+      ],
+    },
+  };
+
+  /**
+   * Renders the planner with mocked handlers.
+   * @param {object} props - City and loggedIn props
+   * @returns {object} The handlers
+   */
+  const setup = (props) => {
+    const handlers = { onSetDates: vi.fn(), onDeleteItinerary: vi.fn(), onAddSlot: vi.fn(), onUpdateSlot: vi.fn(), onDeleteSlot: vi.fn(), onOptimiseRoute: vi.fn() };
+    render(<ItineraryPlanner loggedIn={true} {...props} {...handlers} />);
+    return handlers;
+  };
+
+  // Test: A city without an itinerary offers the trip dates form
+  it('plans a trip by its dates', () => {
+    const { onSetDates } = setup({ city });
+    fireEvent.change(screen.getByLabelText('Start date'), { target: { value: '2026-05-01' } });
+    fireEvent.change(screen.getByLabelText('End date'), { target: { value: '2026-05-03' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Plan trip' }));
+    expect(onSetDates).toHaveBeenCalledWith('2026-05-01', '2026-05-03');
+  });
+
+  // Test: Every day is listed, with slots in time order and untimed slots last
+  it('lists the days of the trip with their slots in time order', () => {
+    setup({ city: planned });
+    const [first, second] = screen.getAllByRole('heading', { level: 5 });
+    expect(first).toHaveTextContent('Fri 1 May');
+    expect(second).toHaveTextContent('Sat 2 May');
+    const items = within(first.closest('.itinerary-day')).getAllByRole('listitem');
+    expect(items.map(item => item.querySelector('.wrap-name').textContent)).toEqual(['Colosseum', 'Roscioli', 'Pantheon']);
+    expect(items[2]).toHaveTextContent('Any time');
+    expect(items[2]).toHaveTextContent('Free entry');
+    expect(within(second.closest('.itinerary-day')).getByText('Nothing planned yet')).toBeInTheDocument();
+  });
+
+  // Test: An attraction or restaurant is assigned to a day and time
+  it('assigns an item to a day and time', () => {
+    const { onAddSlot } = setup({ city: planned });
+    fireEvent.change(screen.getByLabelText('Item for Sat 2 May'), { target: { value: 'restaurants:r1' } });
+    fireEvent.change(screen.getByLabelText('Time for Sat 2 May'), { target: { value: '20:00' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add to Sat 2 May' }));
+    expect(onAddSlot).toHaveBeenCalledWith({ date: '2026-05-02', time: '20:00', list: 'restaurants', itemId: 'r1' });
+    // Without a time, the item is planned for any time of the day
+    fireEvent.change(screen.getByLabelText('Item for Fri 1 May'), { target: { value: 'attractions:a2' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Add to Fri 1 May' }));
+    expect(onAddSlot).toHaveBeenLastCalledWith({ date: '2026-05-01', time: null, list: 'attractions', itemId: 'a2' });
+  });
+
+  // Test: Slots are moved and removed; the itinerary can be deleted
+  it('moves and removes slots', () => {
+    const { onUpdateSlot, onDeleteSlot, onDeleteItinerary } = setup({ city: planned });
+    fireEvent.change(screen.getByLabelText('Move Colosseum to day'), { target: { value: '2026-05-02' } });
+    expect(onUpdateSlot).toHaveBeenCalledWith('s3', { date: '2026-05-02' });
+    fireEvent.click(screen.getByRole('button', { name: 'Remove Roscioli from Fri 1 May' }));
+    expect(onDeleteSlot).toHaveBeenCalledWith('s2');
+    fireEvent.click(screen.getByRole('button', { name: 'Delete itinerary' }));
+    expect(onDeleteItinerary).toHaveBeenCalled();
+  });
+
+  // Test: Days with two or more attractions offer to optimise their route, and show its length
+  it('optimises the route of a day', async () => {
+    const { onOptimiseRoute } = setup({ city: planned });
+    onOptimiseRoute.mockResolvedValue({ date: '2026-05-01', distanceKm: 1.2, currentDistanceKm: 2.5 });
+    expect(screen.queryByRole('button', { name: 'Optimise route for Sat 2 May' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Optimise route for Fri 1 May' }));
+    expect(onOptimiseRoute).toHaveBeenCalledWith('2026-05-01');
+    await waitFor(() => expect(screen.getByText('Route: 1.2 km (was 2.5 km)')).toBeInTheDocument());
+  });
+
+  // Test: A planned trip links to its calendar file; a city without one does not
+  it('links to the calendar export', () => {
+    setup({ city: planned, calendarUrl: '/api/cities/by-id/rome/itinerary.ics' });
+    expect(screen.getByRole('link', { name: 'Export to calendar' })).toHaveAttribute('href', '/api/cities/by-id/rome/itinerary.ics');
+    render(<ItineraryPlanner city={city} loggedIn={true} calendarUrl="/api/cities/by-id/rome/itinerary.ics" />);
+    expect(screen.getAllByRole('link')).toHaveLength(1);
+  });
+
+  // Test: Guests see a planned trip without editing controls, and nothing without one
+  it('shows a read-only plan to guests', () => {
+    const { container } = render(<ItineraryPlanner city={city} loggedIn={false} />);
+    expect(container).toBeEmptyDOMElement();
+    render(<ItineraryPlanner city={planned} loggedIn={false} />);
+    expect(screen.getByText('Colosseum')).toBeInTheDocument();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Start date')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * ListMembers.test.jsx
+ *
+ * This test suite verifies the ListMembers component, which shows who works on a city list and lets
+ * the owner invite members, change their roles and remove them.
+ *
+ * Coverage includes:
+ * - Rendering the members with their roles
+ * - Inviting by email with a role, and emptying the input after a successful invitation
+ * - Changing a member's role and removing a member (owner only)
+ * - Members leaving a list, without the owner's controls
+ * - Error display
+ */
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import ListMembers from '../ListMembers';
+
+// Group all ListMembers tests
+// This describe block covers all behaviors and edge cases for the ListMembers component
+
+describe('ListMembers', () => {
+  const members = [
+    { username: 'owner@example.com', role: 'owner' },
+    { username: 'editor@example.com', role: 'editor' },
+    { username: 'viewer@example.com', role: 'viewer' },
+  ];
+
+  // Test: The owner sees role selects for the members and the invitation form
+  it('renders the members with their roles', () => {
+    render(<ListMembers members={members} currentUser="owner@example.com" />);
+    expect(screen.getByText('Owner')).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'Role of editor@example.com' })).toHaveValue('editor');
+    expect(screen.getByRole('combobox', { name: 'Role of viewer@example.com' })).toHaveValue('viewer');
+    expect(screen.getByRole('textbox', { name: 'Invite by email' })).toBeInTheDocument();
+  });
+
+  // Test: Invitations pass the email and role; the input empties once the invitation succeeded
+  it('invites a user by email', async () => {
+    const onInvite = vi.fn().mockResolvedValue(members);
+    render(<ListMembers members={members} currentUser="owner@example.com" onInvite={onInvite} />);
+    const input = screen.getByRole('textbox', { name: 'Invite by email' });
+    fireEvent.change(input, { target: { value: ' new@example.com ' } });
+    fireEvent.change(screen.getByRole('combobox', { name: 'Role of the invited member' }), { target: { value: 'viewer' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Invite' }));
+    expect(onInvite).toHaveBeenCalledWith('new@example.com', 'viewer');
+    await waitFor(() => expect(input).toHaveValue(''));
+  });
+
+  // Test: The owner changes roles and removes members
+  it('changes roles and removes members', () => {
+    const onChangeRole = vi.fn();
+    const onRemove = vi.fn();
+    render(<ListMembers members={members} currentUser="owner@example.com" onChangeRole={onChangeRole} onRemove={onRemove} />);
+    fireEvent.change(screen.getByRole('combobox', { name: 'Role of viewer@example.com' }), { target: { value: 'editor' } });
+    expect(onChangeRole).toHaveBeenCalledWith('viewer@example.com', 'editor');
+    fireEvent.click(screen.getAllByRole('button', { name: 'Remove' })[0]);
+    expect(onRemove).toHaveBeenCalledWith('editor@example.com');
+  });
+
+  // Test: Members only see the roles and can leave the list
+  it('lets members leave the list', () => {
+    const onRemove = vi.fn();
+    render(<ListMembers members={members} currentUser="viewer@example.com" onRemove={onRemove} />);
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    expect(screen.queryByRole('textbox', { name: 'Invite by email' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Remove' })).not.toBeInTheDocument();
+    expect(screen.getByText('Can edit')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Leave list' }));
+    expect(onRemove).toHaveBeenCalledWith('viewer@example.com');
+  });
+
+  // Test: Errors of member actions are shown
+  it('shows errors', () => {
+    render(<ListMembers members={members} currentUser="owner@example.com" error="new@example.com is already a member" />);
+    expect(screen.getByText('new@example.com is already a member')).toBeInTheDocument();
+  });
+});
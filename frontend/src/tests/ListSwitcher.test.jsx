@@ -0,0 +1,95 @@
+/**
+ * ListSwitcher.test.jsx
+ *
+ * This test suite verifies the ListSwitcher component, which picks the displayed named list and
+ * offers to create, rename, share and delete lists.
+ *
+ * Coverage includes:
+ * - Rendering the lists with their city counts, the default list selected
+ * - Selecting another list
+ * - Create, rename and delete buttons
+ * - Sharing a list, showing its share link and stopping sharing
+ * - Other users' lists, with their owner and without the owner's buttons
+ * - Users without lists, and error display
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import ListSwitcher from '../ListSwitcher';
+
+// Group all ListSwitcher tests
+// This describe block covers all behaviors and edge cases for the ListSwitcher component
+
+describe('ListSwitcher', () => {
+  const lists = [
+    { id: 'l1', name: 'My cities', cityCount: 3, owner: 'me@example.com', role: 'owner' },
+    { id: 'l2', name: 'Food weekend', cityCount: 1, owner: 'me@example.com', role: 'owner' },
+  ];
+  const team = { id: 'l3', name: 'Team trip', cityCount: 2, owner: 'boss@example.com', role: 'editor' };
+
+  // Test: Lists show their city counts; without a selection the default list is shown
+  it('renders the lists with the default list selected', () => {
+    render(<ListSwitcher lists={lists} selectedId={null} />);
+    const select = screen.getByRole('combobox', { name: 'City list' });
+    expect(select).toHaveValue('l1');
+    expect(screen.getByRole('option', { name: 'Food weekend (1)' })).toBeInTheDocument();
+  });
+
+  // Test: Picking a list passes its ID to onSelect
+  it('selects another list', () => {
+    const onSelect = vi.fn();
+    render(<ListSwitcher lists={lists} selectedId={null} onSelect={onSelect} />);
+    fireEvent.change(screen.getByRole('combobox', { name: 'City list' }), { target: { value: 'l2' } });
+    expect(onSelect).toHaveBeenCalledWith('l2');
+  });
+
+  // Test: Rename and delete act on the displayed list
+  it('creates, renames and deletes lists', () => {
+    const onCreate = vi.fn();
+    const onRename = vi.fn();
+    const onDelete = vi.fn();
+    render(<ListSwitcher lists={lists} selectedId="l2" onCreate={onCreate} onRename={onRename} onDelete={onDelete} />);
+    fireEvent.click(screen.getByRole('button', { name: 'New list' }));
+    expect(onCreate).toHaveBeenCalled();
+    fireEvent.click(screen.getByRole('button', { name: 'Rename list' }));
+    expect(onRename).toHaveBeenCalledWith(lists[1]);
+    fireEvent.click(screen.getByRole('button', { name: 'Delete list' }));
+    expect(onDelete).toHaveBeenCalledWith(lists[1]);
+  });
+
+  // Test: An unshared list offers Share; a shared one shows its link and Stop sharing
+  it('shares a list and shows its link', () => {
+    const onShare = vi.fn();
+    const onUnshare = vi.fn();
+    const { rerender } = render(<ListSwitcher lists={lists} selectedId="l2" onShare={onShare} onUnshare={onUnshare} />);
+    expect(screen.queryByRole('textbox', { name: 'Share link' })).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Share' }));
+    expect(onShare).toHaveBeenCalledWith(lists[1]);
+    const shared = { ...lists[1], shareToken: 'tok-123' };
+    rerender(<ListSwitcher lists={[lists[0], shared]} selectedId="l2" onShare={onShare} onUnshare={onUnshare} />);
+    expect(screen.getByRole('textbox', { name: 'Share link' })).toHaveValue(`${window.location.origin}/shared/tok-123`);
+    fireEvent.click(screen.getByRole('button', { name: 'Stop sharing' }));
+    expect(onUnshare).toHaveBeenCalledWith(shared);
+    expect(screen.queryByRole('button', { name: 'Share' })).not.toBeInTheDocument();
+  });
+
+  // Test: Lists of other users name their owner; only the owner gets the list buttons
+  it('shows other users\' lists without the owner\'s buttons', () => {
+    render(<ListSwitcher lists={[...lists, team]} selectedId="l3" />);
+    expect(screen.getByRole('option', { name: 'Team trip (2) · boss@example.com' })).toBeInTheDocument();
+    expect(screen.getByRole('combobox', { name: 'City list' })).toHaveValue('l3');
+    expect(screen.queryByRole('button', { name: 'Rename list' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Delete list' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Share' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'New list' })).toBeInTheDocument();
+  });
+
+  // Test: Without lists only "New list" is offered; errors are shown
+  it('offers only a new list to users without lists', () => {
+    render(<ListSwitcher lists={[]} selectedId={null} error="List limit (5) reached" />);
+    expect(screen.queryByRole('combobox')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Delete list' })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'New list' })).toBeInTheDocument();
+    expect(screen.getByText('List limit (5) reached')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * PublicLists.test.jsx
+ *
+ * This test suite verifies the PublicLists component, which shows guests the city lists their owners
+ * made public, featured lists first.
+ *
+ * Coverage includes:
+ * - Rendering the featured and recent lists with their cities, read-only
+ * - Leaving out empty groups
+ * - The message shown while no list is public
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { describe, it, expect } from 'vitest';
+import PublicLists from '../PublicLists';
+
+// Group all PublicLists tests
+// This describe block covers all behaviors and edge cases for the PublicLists component
+
+describe('PublicLists', () => {
+  const italy = { id: 'l1', name: 'Best of Italy', updatedAt: 't', cities: [{ id: 'c1', name: 'Rome', attractions: [], restaurants: [] }] };
+  const lisbon = { id: 'l2', name: 'Lisbon weekend', updatedAt: 't', cities: [{ id: 'c2', name: 'Lisbon', attractions: [], restaurants: [] }] };
+
+  // Test: Featured lists come before the recent ones, each with its cities and no edit controls
+  it('renders the featured and recent lists', () => {
+    render(<PublicLists featured={[italy]} recent={[lisbon]} />);
+    const headings = screen.getAllByRole('heading').map(heading => heading.textContent);
+    expect(headings.indexOf('Featured lists')).toBeLessThan(headings.indexOf('Recently updated lists'));
+    expect(screen.getByText('Best of Italy')).toBeInTheDocument();
+    expect(screen.getByText('Rome')).toBeInTheDocument();
+    expect(screen.getByText('Lisbon')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /add city/i })).not.toBeInTheDocument();
+  });
+
+  // Test: Groups without lists are left out
+  it('leaves out empty groups', () => {
+    render(<PublicLists featured={[]} recent={[lisbon]} />);
+    expect(screen.queryByRole('heading', { name: 'Featured lists' })).not.toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Recently updated lists' })).toBeInTheDocument();
+  });
+
+  // Test: A message is shown while no list is public
+  it('shows a message without public lists', () => {
+    render(<PublicLists featured={[]} recent={[]} />);
+    expect(screen.getByText('No public lists yet.')).toBeInTheDocument();
+  });
+});
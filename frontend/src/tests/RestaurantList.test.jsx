@@ -8,6 +8,9 @@
  * - Rendering of restaurants
  * - Conditional rendering of the add form (based on login state and restaurant count)
  * - Add and remove functionality (event handlers)
+ * - Inline editing of names
+ * - Moving items up and down by rank
+ * - Expandable detail view for structured records
  * - Error message display
  * - UI/UX details (wrapping long names, button alignment)
  * - Enforcement of the 5-restaurant limit
@@ -21,7 +24,7 @@ import RestaurantList from '../RestaurantList';
 // This describe block covers all behaviors and edge cases for the RestaurantList component
 
 describe('RestaurantList', () => {
-  const restaurants = ['Le Meurice', 'Epicure'];
+  const restaurants = [{ id: 'r1', name: 'Le Meurice' }, { id: 'r2', name: 'Epicure' }];
 
   // Test: Rendering of provided restaurants
   it('renders restaurants', () => {
@@ -45,12 +48,59 @@ describe('RestaurantList', () => {
     expect(onAdd).toHaveBeenCalledWith('Chez Janou');
   });
 
-  // Test: onDelete handler is called with correct value when remove is clicked
+  // Test: onDelete handler is called with the restaurant ID when remove is clicked
   it('calls onDelete when remove is clicked', () => {
     const onDelete = vi.fn();
-    render(<RestaurantList restaurants={['Le Meurice']} loggedIn={true} onDelete={onDelete} />);
+    render(<RestaurantList restaurants={[{ id: 'r1', name: 'Le Meurice' }]} loggedIn={true} onDelete={onDelete} />);
     fireEvent.click(screen.getAllByText(/remove/i)[0]);
-    expect(onDelete).toHaveBeenCalledWith('Le Meurice');
+    expect(onDelete).toHaveBeenCalledWith('r1');
+  });
+
+  // Test: Inline edit calls onUpdate with the restaurant ID and the new name
+  it('renames a restaurant inline', () => {
+    const onUpdate = vi.fn();
+    render(<RestaurantList restaurants={[{ id: 'r1', name: 'Le Meurise' }]} loggedIn={true} onUpdate={onUpdate} onDelete={() => {}} />);
+    fireEvent.click(screen.getByText(/edit/i));
+    fireEvent.change(screen.getByLabelText(/edit restaurant/i), { target: { value: 'Le Meurice' } });
+    fireEvent.click(screen.getByText(/save/i));
+    expect(onUpdate).toHaveBeenCalledWith('r1', 'Le Meurice');
+    expect(screen.queryByLabelText(/edit restaurant/i)).not.toBeInTheDocument();
+  });
+
+  // Test: Cancelling the inline edit keeps the name and does not call onUpdate
+  it('cancels the inline edit without calling onUpdate', () => {
+    const onUpdate = vi.fn();
+    render(<RestaurantList restaurants={[{ id: 'r1', name: 'Le Meurise' }]} loggedIn={true} onUpdate={onUpdate} onDelete={() => {}} />);
+    fireEvent.click(screen.getByText(/edit/i));
+    fireEvent.click(screen.getByText(/cancel/i));
+    expect(onUpdate).not.toHaveBeenCalled();
+    expect(screen.getByText('Le Meurise')).toBeInTheDocument();
+  });
+
+  // Test: Move buttons call onMove with the restaurant ID and target rank
+  it('moves restaurants up and down by rank', () => {
+    const onMove = vi.fn();
+    render(<RestaurantList restaurants={restaurants} loggedIn={true} onMove={onMove} onDelete={() => {}} />);
+    const upButtons = screen.getAllByRole('button', { name: /move up/i });
+    expect(upButtons[0]).toBeDisabled();
+    fireEvent.click(upButtons[1]);
+    expect(onMove).toHaveBeenCalledWith('r2', 1);
+  });
+
+  // Test: Details are hidden until expanded, and only offered for restaurants that have them
+  it('expands and collapses restaurant details', () => {
+    render(<RestaurantList restaurants={[{ id: 'r1', name: 'Septime', cuisine: 'French', openingHours: 'Tue-Sat evenings', priceLevel: 3 }, { id: 'x2', name: 'Plain' }]} loggedIn={false} />);
+    expect(screen.queryByText('French')).not.toBeInTheDocument();
+    const detailsBtn = screen.getByRole('button', { name: 'Details' });
+    expect(screen.getAllByRole('button', { name: 'Details' })).toHaveLength(1);
+    fireEvent.click(detailsBtn);
+    expect(detailsBtn).toHaveAttribute('aria-expanded', 'true');
+    expect(screen.getByText('Cuisine')).toBeInTheDocument();
+    expect(screen.getByText('French')).toBeInTheDocument();
+    expect(screen.getByText('Tue-Sat evenings')).toBeInTheDocument();
+    expect(screen.queryByText('Address')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Hide details' }));
+    expect(screen.queryByText('French')).not.toBeInTheDocument();
   });
 
   // Test: Error message is displayed if error prop is set
@@ -62,7 +112,7 @@ describe('RestaurantList', () => {
   // Test: Long restaurant names are wrapped and remove button is aligned left
   it('wraps long restaurant names and aligns remove button left', () => {
     const longName = 'A very very very very long restaurant name';
-    render(<RestaurantList restaurants={[longName]} loggedIn={true} onDelete={() => {}} />);
+    render(<RestaurantList restaurants={[{ id: 'r1', name: longName }]} loggedIn={true} onDelete={() => {}} />);
     const nameSpan = screen.getByText(longName);
     expect(nameSpan).toHaveClass('wrap-name');
     const removeBtn = screen.getByText(/remove/i);
@@ -72,14 +122,14 @@ describe('RestaurantList', () => {
 
   // Test: Add Restaurant form is hidden when there are 5 restaurants
   it('hides Add Restaurant form when there are 5 restaurants', () => {
-    const restaurants = Array.from({length: 5}, (_, i) => `Restaurant${i}`);
+    const restaurants = Array.from({length: 5}, (_, i) => ({ id: `r${i}`, name: `Restaurant${i}` }));
     render(<RestaurantList restaurants={restaurants} loggedIn={true} onAdd={() => {}} />);
     expect(screen.queryByPlaceholderText(/add restaurant/i)).not.toBeInTheDocument();
   });
 
   // Test: Add Restaurant form is shown when there are less than 5 restaurants
   it('shows Add Restaurant form when there are less than 5 restaurants', () => {
-    const restaurants = Array.from({length: 4}, (_, i) => `Restaurant${i}`);
+    const restaurants = Array.from({length: 4}, (_, i) => ({ id: `r${i}`, name: `Restaurant${i}` }));
     render(<RestaurantList restaurants={restaurants} loggedIn={true} onAdd={() => {}} />);
     expect(screen.getByPlaceholderText(/add restaurant/i)).toBeInTheDocument();
   });
@@ -0,0 +1,70 @@
+/**
+ * SearchBox.test.jsx
+ *
+ * This test suite verifies the SearchBox component, which submits searches across cities, attractions and
+ * restaurants and lists the hits returned by the backend.
+ *
+ * Coverage includes:
+ * - Submitting a trimmed query (and ignoring empty ones)
+ * - Rendering hits with highlighted matches, hit types and cities
+ * - Selecting a hit and clearing the results
+ * - "No matches" and error display
+ */
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { describe, it, expect, vi } from 'vitest';
+import SearchBox from '../SearchBox';
+
+// Group all SearchBox tests
+// This describe block covers all behaviors and edge cases for the SearchBox component
+
+describe('SearchBox', () => {
+  const hits = [
+    { type: 'attraction', cityId: 'paris', cityName: 'Paris', itemId: 'a1', name: 'Musée du Louvre', source: 'mine', field: 'name', text: 'Musée du Louvre', score: 0.85, highlights: [{ start: 9, end: 15 }] },
+    { type: 'restaurant', cityId: 'paris', cityName: 'Paris', itemId: 'r1', name: 'Septime', source: 'mine', field: 'cuisine', text: 'French', score: 0.6, highlights: [{ start: 0, end: 6 }] },
+  ];
+
+  // Test: The trimmed query is submitted; an empty one is not
+  it('calls onSearch with the trimmed query', () => {
+    const onSearch = vi.fn();
+    render(<SearchBox results={null} onSearch={onSearch} />);
+    const input = screen.getByRole('searchbox', { name: /search cities/i });
+    fireEvent.change(input, { target: { value: '   ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    expect(onSearch).not.toHaveBeenCalled();
+    fireEvent.change(input, { target: { value: ' louvre ' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Search' }));
+    expect(onSearch).toHaveBeenCalledWith('louvre');
+  });
+
+  // Test: Hits show their type, city and highlighted match
+  it('renders hits with highlighted matches', () => {
+    render(<SearchBox results={hits} onSearch={() => {}} />);
+    expect(screen.getByText('Louvre').tagName).toBe('MARK');
+    expect(screen.getByText('Attraction')).toBeInTheDocument();
+    expect(screen.getAllByText('in Paris')).toHaveLength(2);
+    // Matches in a detail field also name the item
+    expect(screen.getByText('French').tagName).toBe('MARK');
+    expect(screen.getByText(/\(Septime\)/)).toBeInTheDocument();
+  });
+
+  // Test: Selecting a hit passes it to onSelect; Clear empties the input and results
+  it('selects a hit and clears the results', () => {
+    const onSelect = vi.fn();
+    const onClear = vi.fn();
+    render(<SearchBox results={hits} onSearch={() => {}} onSelect={onSelect} onClear={onClear} />);
+    fireEvent.click(screen.getByText('Louvre').closest('button'));
+    expect(onSelect).toHaveBeenCalledWith(hits[0]);
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(onClear).toHaveBeenCalled();
+  });
+
+  // Test: An empty result and errors are shown
+  it('shows "No matches" and error messages', () => {
+    const { rerender } = render(<SearchBox results={[]} onSearch={() => {}} />);
+    expect(screen.getByText('No matches')).toBeInTheDocument();
+    rerender(<SearchBox results={null} onSearch={() => {}} error="Query required" />);
+    expect(screen.getByText('Query required')).toBeInTheDocument();
+    expect(screen.queryByText('No matches')).not.toBeInTheDocument();
+  });
+});
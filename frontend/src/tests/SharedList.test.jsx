@@ -0,0 +1,51 @@
+/**
+ * SharedList.test.jsx
+ *
+ * This test suite verifies the SharedList component, the read-only view of a city list opened from a
+ * share link (/shared/:token).
+ *
+ * Coverage includes:
+ * - Fetching the shared list for the token without credentials
+ * - Rendering its cities without login or edit controls
+ * - The message for revoked or unknown links
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import SharedList from '../SharedList';
+
+// Group all SharedList tests
+// This describe block covers all behaviors and edge cases for the SharedList component
+
+describe('SharedList', () => {
+  const list = {
+    name: 'Food weekend',
+    updatedAt: '2026-05-01T00:00:00.000Z',
+    cities: [{ id: 'c1', name: 'Naples', attractions: [], restaurants: [{ id: 'r1', name: 'Da Michele' }] }],
+  };
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  // Test: The shared list is shown read-only
+  it('renders the shared list read-only', async () => {
+    const fetch = vi.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(list) }));
+    vi.stubGlobal('fetch', fetch);
+    render(<SharedList token="abc/123" />);
+    expect(await screen.findByRole('heading', { name: 'Food weekend' })).toBeInTheDocument();
+    expect(screen.getByText('Naples')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:3001/api/shared/abc%2F123');
+    expect(screen.queryByRole('button', { name: /add city/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /delete/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /edit/i })).not.toBeInTheDocument();
+  });
+
+  // Test: A revoked link shows a message instead of the list
+  it('shows a message for a revoked link', async () => {
+    vi.stubGlobal('fetch', vi.fn(() => Promise.resolve({ ok: false, status: 404, json: () => Promise.resolve({ error: 'Shared list not found' }) })));
+    render(<SharedList token="revoked" />);
+    expect(await screen.findByText('This list does not exist or is no longer shared.')).toBeInTheDocument();
+    expect(screen.queryByRole('heading', { level: 2 })).not.toBeInTheDocument();
+  });
+});
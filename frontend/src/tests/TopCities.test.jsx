@@ -0,0 +1,37 @@
+/**
+ * TopCities.test.jsx
+ *
+ * This test suite verifies the TopCities component, which shows guests the cities found in the most
+ * public lists.
+ *
+ * Coverage includes:
+ * - Rendering the ranked cities with their list counts, tied cities sharing a position
+ * - Rendering nothing while no city is ranked
+ */
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { describe, it, expect } from 'vitest';
+import TopCities from '../TopCities';
+
+// Group all TopCities tests
+// This describe block covers all behaviors and edge cases for the TopCities component
+
+describe('TopCities', () => {
+  // Test: Cities are listed in ranking order with their rank and the number of lists they appear in
+  it('renders the ranked cities', () => {
+    render(<TopCities cities={[
+      { rank: 1, name: 'Paris', count: 3, averageRank: 1.3 },
+      { rank: 2, name: 'Lisbon', count: 1, averageRank: 1 },
+      { rank: 2, name: 'Rome', count: 1, averageRank: 1 },
+    ]} />);
+    expect(screen.getByRole('heading', { name: 'Most loved cities' })).toBeInTheDocument();
+    const items = screen.getAllByRole('listitem').map(item => item.textContent);
+    expect(items).toEqual(['1.Parisin 3 lists', '2.Lisbonin 1 list', '2.Romein 1 list']);
+  });
+
+  // Test: Nothing is shown while no public list holds a city
+  it('renders nothing without cities', () => {
+    const { container } = render(<TopCities cities={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});